@@ -0,0 +1,111 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const jwt = require("jsonwebtoken");
+
+describe("Test authentication and authorization middleware", () => {
+  const LOADED_ENV = process.env;
+  const secret = "test-secret";
+  let keysFile = null;
+  let auth = null;
+
+  const request = (headers, params = {}) => ({
+    params: params,
+    get: (name) => headers[name.toLowerCase()],
+  });
+
+  const response = () => {
+    const res = { headers: {} };
+    res.set = (name, value) => (res.headers[name] = value);
+    return res;
+  };
+
+  // Run the request through authentication and the specified permission middleware, providing the response status.
+  const authorize = (permission, headers, params) => {
+    const req = request(headers, params);
+    const res = response();
+    let status = null;
+    // Rejected requests are passed on to the error handling middleware.
+    const next = (err) => (status = err ? err.status : 200);
+    auth.authenticate(req, res, (err) =>
+      err ? next(err) : auth[permission](req, res, next)
+    );
+    return status;
+  };
+
+  beforeEach(() => {
+    jest.resetModules();
+    keysFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "auth-")), "keys.json");
+    fs.writeFileSync(
+      keysFile,
+      JSON.stringify({
+        reader: { subject: "reader", grants: { "*": "read", tasks: "write" } },
+        root: { subject: "root", grants: { "*": "admin" } },
+      })
+    );
+    process.env = {
+      ...LOADED_ENV,
+      AUTHENTICATION: "api-key,jwt",
+      API_KEYS_FILE: keysFile,
+      JWT_SECRET: secret,
+    };
+    auth = require("../src/service/auth");
+  });
+
+  afterEach(() => {
+    fs.rmdirSync(path.dirname(keysFile), { recursive: true });
+  });
+
+  afterAll(() => {
+    process.env = LOADED_ENV;
+  });
+
+  test("Test permissions imply lower permissions", () => {
+    const identity = { grants: { "*": "read", tasks: "admin", notes: "none" } };
+
+    expect(auth.permitted(identity, "tasks", "write")).toBe(true);
+    expect(auth.permitted(identity, "other", "read")).toBe(true);
+    expect(auth.permitted(identity, "other", "write")).toBe(false);
+    // A namespace grant takes precedence over the '*' grant
+    expect(auth.permitted(identity, "notes", "read")).toBe(false);
+    // Service level routes are only covered by the '*' grant
+    expect(auth.permitted(identity, undefined, "admin")).toBe(false);
+  });
+
+  test("Test API key authentication", () => {
+    expect(authorize("read", {}, { namespace: "tasks" })).toEqual(401);
+    expect(authorize("read", { "x-api-key": "bad" }, { namespace: "tasks" })).toEqual(401);
+    expect(authorize("write", { "x-api-key": "reader" }, { namespace: "tasks" })).toEqual(200);
+    expect(authorize("write", { "x-api-key": "reader" }, { namespace: "other" })).toEqual(403);
+    expect(authorize("admin", { authorization: "ApiKey reader" })).toEqual(403);
+    expect(authorize("admin", { authorization: "ApiKey root" })).toEqual(200);
+  });
+
+  test("Test bearer token authentication", () => {
+    const bearer = (claims, key = secret, options = {}) => ({
+      authorization: `Bearer ${jwt.sign(claims, key, options)}`,
+    });
+
+    expect(
+      authorize("write", bearer({ sub: "bob", scope: "tasks:write" }), { namespace: "tasks" })
+    ).toEqual(200);
+    expect(
+      authorize("read", bearer({ sub: "bob", grants: { tasks: "read" } }), { namespace: "other" })
+    ).toEqual(403);
+    expect(
+      authorize("read", bearer({ sub: "bob", scope: "*:read" }, "wrong"), { namespace: "tasks" })
+    ).toEqual(401);
+    expect(
+      authorize("read", bearer({ sub: "bob", scope: "*:read" }, secret, { expiresIn: -10 }), { namespace: "tasks" })
+    ).toEqual(401);
+  });
+
+  test("Test requests are permitted when authentication is not configured", () => {
+    fs.unlinkSync(keysFile);
+    delete process.env.JWT_SECRET;
+    process.env.CONFIG_PATH = path.dirname(keysFile);
+
+    expect(auth.enabled()).toBe(false);
+    expect(authorize("admin", {}, { namespace: "tasks" })).toEqual(200);
+  });
+});
@@ -0,0 +1,81 @@
+describe("Test batch request module", () => {
+  let batch = null;
+
+  beforeEach(() => {
+    jest.resetModules();
+    process.env.SCHEMA_PATH = "/nonexistent";
+    process.env.BATCH_LIMIT = "3";
+    batch = require("../src/service/batch");
+  });
+
+  afterAll(() => {
+    delete process.env.SCHEMA_PATH;
+    delete process.env.BATCH_LIMIT;
+  });
+
+  test("Test parsing batch requests", () => {
+    expect(() => batch.parseBatch("tasks", [])).toThrow(batch.BatchError);
+    expect(() => batch.parseBatch("tasks", { operations: [] })).toThrow(
+      batch.BatchError
+    );
+    expect(() =>
+      batch.parseBatch("tasks", { operations: [{}, {}, {}, {}] })
+    ).toThrow(batch.BatchError);
+
+    const parsed = batch.parseBatch("tasks", {
+      atomic: true,
+      operations: [
+        { op: "create", data: { title: "a" } },
+        { op: "update", id: "1", data: { title: "b" }, ifMatch: '"2"' },
+        { op: "delete" },
+      ],
+    });
+    expect(parsed.atomic).toBe(true);
+    expect(parsed.operations[0]).toEqual({
+      op: "create",
+      id: undefined,
+      data: { title: "a" },
+      ifMatch: null,
+    });
+    expect(parsed.operations[1].ifMatch).toEqual([2]);
+    expect(parsed.operations[2].rejected.status).toEqual(400);
+
+    // Integer identifiers are taken as the :dataId route parameter would be.
+    const numbered = batch.parseBatch("tasks", {
+      operations: [
+        { op: "delete", id: 2 },
+        { op: "delete", id: 2.5 },
+      ],
+    });
+    expect(numbered.operations[0].id).toEqual("2");
+    expect(numbered.operations[1].rejected.status).toEqual(400);
+  });
+
+  test("Test reporting batch results", () => {
+    const operations = [
+      { op: "create", data: {} },
+      { op: "delete", id: "x", rejected: { status: 400, error: "Bad" } },
+      { op: "update", id: "1", data: {}, ifMatch: [1] },
+    ];
+
+    const results = batch.batchResults(operations, [
+      { outcome: "created", id: 2, data: { _id: 2, _version: 1 } },
+      { outcome: "mismatch", id: "1" },
+    ]);
+    expect(results).toEqual([
+      { op: "create", id: "2", status: 201, etag: '"1"' },
+      { op: "delete", id: "x", status: 400, error: "Bad" },
+      {
+        op: "update",
+        id: "1",
+        status: 412,
+        error: "Object does not match the ifMatch version",
+      },
+    ]);
+    expect(batch.succeeded(results)).toBe(false);
+
+    // Abandoned batches report the operations as not applied
+    const abandoned = batch.batchResults(operations, null);
+    expect(abandoned.map((result) => result.status)).toEqual([424, 400, 424]);
+  });
+});
@@ -0,0 +1,82 @@
+describe("Test namespace change feed", () => {
+  let changeFeed = null;
+
+  beforeEach(() => {
+    jest.resetModules();
+    process.env.CHANGE_BUFFER = "2";
+    changeFeed = require("../src/service/change-feed");
+    changeFeed.start({});
+  });
+
+  afterAll(() => {
+    delete process.env.CHANGE_BUFFER;
+  });
+
+  test("Test subscribers receive sequenced events of their namespace", () => {
+    const events = [];
+    const unsubscribe = changeFeed.subscribe("tasks", null, (event) =>
+      events.push(event)
+    );
+
+    changeFeed.publish("tasks", changeFeed.changeTypes.created, "1", { _id: "1" });
+    changeFeed.publish("notes", changeFeed.changeTypes.created, "1", { _id: "1" });
+    changeFeed.publish("tasks", changeFeed.changeTypes.deleted, "1", null);
+    unsubscribe();
+    changeFeed.publish("tasks", changeFeed.changeTypes.created, "2", { _id: "2" });
+
+    expect(events.map((event) => [event.sequence, event.type])).toEqual([
+      [1, "created"],
+      [2, "deleted"],
+    ]);
+  });
+
+  test("Test resuming from the last event id", () => {
+    const published = [];
+    const unsubscribe = changeFeed.subscribe("tasks", null, (event) =>
+      published.push(event)
+    );
+    ["1", "2", "3"].forEach((id) =>
+      changeFeed.publish("tasks", changeFeed.changeTypes.created, id, { _id: id })
+    );
+    unsubscribe();
+
+    const resumed = [];
+    changeFeed.subscribe("tasks", published[1].id, (event) => resumed.push(event));
+    expect(resumed.map((event) => event.dataId)).toEqual(["3"]);
+
+    // The first event has been evicted from the buffer, so the feed cannot be resumed from it
+    const reset = [];
+    changeFeed.subscribe("tasks", "unknown-0", (event) => reset.push(event));
+    changeFeed.subscribe("tasks", published[0].id.replace(/-1$/, "-0"), (event) =>
+      reset.push(event)
+    );
+    expect(reset.map((event) => event.type)).toEqual(["reset", "reset"]);
+  });
+
+  test("Test repository changes replace service publications while watching", () => {
+    let onChange = null;
+    let stopped = false;
+    changeFeed.start({
+      watch: (namespace, listener, callback) => {
+        onChange = listener;
+        callback(null, () => (stopped = true));
+      },
+    });
+
+    const events = [];
+    const unsubscribe = changeFeed.subscribe("tasks", null, (event) =>
+      events.push(event)
+    );
+    changeFeed.publish("tasks", changeFeed.changeTypes.created, "1", {});
+    onChange(null, { type: "created", id: "1", data: {} });
+    expect(events.length).toEqual(1);
+
+    // Once the watch ends, the service publications are used again
+    onChange(new Error("Stream closed"), null);
+    changeFeed.publish("tasks", changeFeed.changeTypes.updated, "1", {});
+    expect(events.map((event) => event.type)).toEqual(["created", "updated"]);
+
+    unsubscribe();
+    expect(stopped).toBe(false);
+  });
+});
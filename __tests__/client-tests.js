@@ -0,0 +1,295 @@
+/**
+ * @jest-environment node
+ */
+const http = require("http");
+const client = require("../client");
+const httpFetch = require("./support/http-fetch");
+
+describe("Test service client", () => {
+  let server = null;
+  let url = null;
+  // Requests received by the stand-in service, and the responses it sends in turn (200 with an empty object once
+  // exhausted).
+  let received = [];
+  let responses = [];
+
+  const problem = (status, title, detail, extra = {}) => ({
+    status: status,
+    headers: { "Content-Type": "application/problem+json" },
+    body: {
+      type: "about:blank",
+      title: title,
+      status: status,
+      detail: detail,
+      requestId: "req-1",
+      ...extra,
+    },
+  });
+
+  beforeAll((done) => {
+    server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        received.push({
+          method: req.method,
+          url: req.url,
+          headers: req.headers,
+          body: body ? JSON.parse(body) : undefined,
+        });
+        const response = responses.length > 0 ? responses.shift() : {};
+        res.writeHead(response.status || 200, {
+          "Content-Type": "application/json",
+          ...response.headers,
+        });
+        res.end(JSON.stringify(response.body || {}));
+      });
+    });
+    server.listen(0, "127.0.0.1", () => {
+      url = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    received = [];
+    responses = [];
+  });
+
+  test("Test data objects are created, read, updated, patched and deleted", async () => {
+    const api = client.createClient({
+      baseUrl: `${url}/`,
+      apiKey: "k1",
+      fetch: httpFetch,
+    });
+
+    responses = [
+      { status: 201, headers: { Location: `${url}/my%20tasks/data/7` } },
+      { body: { title: "a", _id: 7, _version: 1 } },
+      { status: 201, headers: { ETag: '"1"' } },
+      { headers: { ETag: '"3"' } },
+      { body: { title: "c", _id: 7, _version: 4 } },
+      { body: { title: "d", _id: 7, _version: 5 } },
+      {},
+    ];
+
+    expect(await api.create("my tasks", { title: "a" })).toEqual("7");
+    expect(await api.get("my tasks", 7)).toEqual({
+      title: "a",
+      _id: 7,
+      _version: 1,
+    });
+    expect(await api.update("tasks", "8", { title: "b" })).toEqual({
+      created: true,
+      version: 1,
+    });
+    expect(
+      await api.update("tasks", "7", { title: "b" }, { ifMatch: 2 })
+    ).toEqual({ created: false, version: 3 });
+    expect(await api.patch("tasks", "7", { title: "c" })).toMatchObject({
+      _version: 4,
+    });
+    await api.patch(
+      "tasks",
+      "7",
+      [{ op: "replace", path: "/title", value: "d" }],
+      { ifMatch: '"4"' }
+    );
+    expect(await api.delete("tasks", "7")).toBeUndefined();
+
+    expect(
+      received.map((request) => `${request.method} ${request.url}`)
+    ).toEqual([
+      "POST /my%20tasks/data",
+      "GET /my%20tasks/data/7",
+      "PUT /tasks/data/8",
+      "PUT /tasks/data/7",
+      "PATCH /tasks/data/7",
+      "PATCH /tasks/data/7",
+      "DELETE /tasks/data/7",
+    ]);
+    expect(received[0].headers).toMatchObject({
+      "x-api-key": "k1",
+      "content-type": "application/json",
+    });
+    expect(received[0].body).toEqual({ title: "a" });
+    expect(received[2].headers["if-match"]).toBeUndefined();
+    expect(received[3].headers["if-match"]).toEqual('"2"');
+    expect(received[4].headers["content-type"]).toEqual(
+      "application/merge-patch+json"
+    );
+    expect(received[5].headers).toMatchObject({
+      "content-type": "application/json-patch+json",
+      "if-match": '"4"',
+    });
+  });
+
+  test("Test the dataset listing writes the query and reads the total and page links", async () => {
+    const api = client.createClient({
+      baseUrl: url,
+      token: "jwt",
+      fetch: httpFetch,
+    });
+    responses = [
+      {
+        headers: {
+          "X-Total-Count": "12",
+          Link: `<${url}/tasks/dataset?limit=5&offset=0>; rel="first", <${url}/tasks/dataset?limit=5&offset=5>; rel="next"`,
+        },
+        body: [{ _id: 1, _version: 1 }],
+      },
+    ];
+
+    const page = await api.list("tasks", {
+      done: false,
+      owner: ["ann", "bob"],
+      priority: { gte: 2, in: [2, 3] },
+      sort: ["-priority", "title"],
+      limit: 5,
+      skipped: undefined,
+    });
+
+    expect(page).toEqual({
+      items: [{ _id: 1, _version: 1 }],
+      total: 12,
+      links: {
+        first: `${url}/tasks/dataset?limit=5&offset=0`,
+        next: `${url}/tasks/dataset?limit=5&offset=5`,
+      },
+    });
+    expect(received[0].headers.authorization).toEqual("Bearer jwt");
+    expect(new URL(received[0].url, url).searchParams.toString()).toEqual(
+      "done=false&owner=ann&owner=bob&priority%5Bgte%5D=2&priority%5Bin%5D=2%2C3&sort=-priority%2Ctitle&limit=5"
+    );
+  });
+
+  test("Test failed requests are rejected with the error of their status and problem details", async () => {
+    const api = client.createClient({ baseUrl: url, fetch: httpFetch });
+    const errors = [
+      { path: "/title", keyword: "type", message: "must be string" },
+    ];
+    responses = [
+      problem(404, "Not Found", "Object '9' not found"),
+      problem(400, "Bad Request", "Invalid object", { errors: errors }),
+      problem(412, "Precondition Failed", "Object '7' has changed"),
+      problem(422, "Unprocessable Entity", "Invalid object", {
+        errors: errors,
+      }),
+      { status: 507, headers: { "X-Request-Id": "req-2" }, body: "Full" },
+      { status: 418, headers: { "X-Request-Id": "req-3" }, body: "Teapot" },
+    ];
+
+    const notFound = await api.get("tasks", "9").catch((err) => err);
+    expect(notFound).toBeInstanceOf(client.NotFoundError);
+    expect(notFound).toBeInstanceOf(client.MyDataError);
+    expect(notFound).toMatchObject({
+      name: "NotFoundError",
+      message: "Object '9' not found",
+      status: 404,
+      requestId: "req-1",
+    });
+
+    await expect(api.create("tasks", { title: 1 })).rejects.toMatchObject({
+      name: "ValidationError",
+      errors: errors,
+    });
+    await expect(
+      api.delete("tasks", "7", { ifMatch: 1 })
+    ).rejects.toBeInstanceOf(client.PreconditionFailedError);
+    const unprocessable = await api
+      .update("tasks", "7", { title: 1 })
+      .catch((err) => err);
+    expect(unprocessable).toBeInstanceOf(client.ValidationError);
+    expect(unprocessable).toMatchObject({
+      name: "UnprocessableError",
+      status: 422,
+      errors: errors,
+    });
+    await expect(api.create("tasks", { title: "a" })).rejects.toMatchObject({
+      name: "QuotaExceededError",
+      status: 507,
+      requestId: "req-2",
+    });
+    await expect(api.get("tasks", "7")).rejects.toMatchObject({
+      name: "MyDataError",
+      status: 418,
+      requestId: "req-3",
+    });
+  });
+
+  test("Test requests the service asks to retry are retried, waiting as it asks", async () => {
+    const api = client.createClient({
+      baseUrl: url,
+      retryDelay: 1,
+      fetch: httpFetch,
+    });
+    const unavailable = () =>
+      problem(503, "Service Unavailable", "Repository unavailable");
+    responses = [
+      { ...problem(429, "Too Many Requests", "Rate limit exceeded") },
+      { status: 201, headers: { Location: `${url}/tasks/data/1` } },
+    ];
+    responses[0].headers["Retry-After"] = "0";
+
+    expect(await api.create("tasks", { title: "a" })).toEqual("1");
+    expect(received.length).toEqual(2);
+
+    responses = [unavailable(), { status: 201, headers: { ETag: '"1"' } }];
+    expect(await api.update("tasks", "1", { title: "a" })).toEqual({
+      created: true,
+      version: 1,
+    });
+    expect(received.length).toEqual(4);
+
+    // A create the service may have applied before becoming unavailable is only repeated with an idempotency key.
+    responses = [unavailable()];
+    await expect(api.create("tasks", { title: "b" })).rejects.toBeInstanceOf(
+      client.UnavailableError
+    );
+    expect(received.length).toEqual(5);
+
+    responses = [unavailable(), { status: 201 }];
+    const keyed = await api.request("POST", "/tasks/data", {
+      body: { title: "b" },
+      headers: { "Idempotency-Key": "create-b" },
+    });
+    expect(keyed.status).toEqual(201);
+    expect(received.length).toEqual(7);
+
+    responses = [429, 429, 429].map((status) => ({
+      ...problem(status, "Too Many Requests", "Rate limit exceeded"),
+      headers: { "Retry-After": "0" },
+    }));
+    await expect(api.get("tasks", "1")).rejects.toMatchObject({
+      name: "RateLimitError",
+      retryAfter: 0,
+    });
+    expect(received.length).toEqual(10);
+  });
+
+  test("Test only idempotent requests are retried when the service cannot be reached", async () => {
+    let failures = 1;
+    const flaky = (...args) =>
+      failures-- > 0
+        ? Promise.reject(new TypeError("fetch failed"))
+        : httpFetch(...args);
+    const api = client.createClient({
+      baseUrl: url,
+      retryDelay: 1,
+      fetch: flaky,
+    });
+    responses = [{ body: { _id: 1, _version: 1 } }];
+
+    expect(await api.get("tasks", "1")).toEqual({ _id: 1, _version: 1 });
+
+    failures = 1;
+    const err = await api.create("tasks", { title: "a" }).catch((err) => err);
+    expect(err).toBeInstanceOf(client.NetworkError);
+    expect(err.cause.message).toEqual("fetch failed");
+    expect(received.length).toEqual(1);
+  });
+});
@@ -0,0 +1,405 @@
+/**
+ * @jest-environment node
+ */
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const WebSocket = require("ws");
+const httpFetch = require("./support/http-fetch");
+
+describe("Test the data service routes", () => {
+  const LOADED_ENV = process.env;
+  let directory = null;
+  let server = null;
+  let url = null;
+
+  // Send a WebSocket upgrade request, providing the raw response.
+  const upgrade = (route, host) =>
+    new Promise((resolve, reject) => {
+      const socket = net.connect(server.address().port, "127.0.0.1");
+      let reply = "";
+      socket.setEncoding("utf8");
+      socket.on("data", (chunk) => (reply += chunk));
+      socket.on("close", () => resolve(reply));
+      socket.on("error", reject);
+      socket.write(
+        [
+          `GET ${route} HTTP/1.1`,
+          `Host: ${host}`,
+          "Connection: Upgrade",
+          "Upgrade: websocket",
+          "Sec-WebSocket-Version: 13",
+          "Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==",
+        ].join("\r\n") + "\r\n\r\n"
+      );
+    });
+
+  // Send a request to the service, with a JSON body when one is specified.
+  const request = (method, route, { key, headers = {}, body, type } = {}) =>
+    httpFetch(`${url}${route}`, {
+      method: method,
+      headers: {
+        ...(key ? { "x-api-key": key } : {}),
+        ...(body !== undefined
+          ? { "Content-Type": type || "application/json" }
+          : {}),
+        ...headers,
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+    });
+
+  beforeAll(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "data-service-"));
+    fs.writeFileSync(
+      path.join(directory, "api-keys.json"),
+      JSON.stringify({
+        adm: { subject: "root", grants: { "*": "admin" } },
+        writer: { subject: "app", grants: { "*": "write" } },
+        reader: { subject: "viewer", grants: { "*": "read" } },
+      })
+    );
+    process.env = {
+      ...LOADED_ENV,
+      CONFIG_PATH: directory,
+      AUTHENTICATION: "api-key",
+      PORT: "0",
+      TENANT_DOMAIN: "",
+    };
+    jest.spyOn(process.stdout, "write").mockImplementation(() => true);
+    jest.resetModules();
+
+    server = await require("../src/service/data-service").start(
+      require("../src/repository/memory-repository")
+    );
+    if (!server.listening) {
+      await new Promise((resolve) => server.once("listening", resolve));
+    }
+    url = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    require("../src/service/change-socket").close();
+    require("../src/service/webhooks").stop();
+    require("../src/config/layers").unwatch();
+    await new Promise((resolve) => server.close(resolve));
+    jest.restoreAllMocks();
+    process.env = LOADED_ENV;
+    fs.rmdirSync(directory, { recursive: true });
+  });
+
+  test("Test the probes and API documentation are served whichever credentials are presented", async () => {
+    for (const route of ["/healthz", "/readyz", "/openapi.json"]) {
+      expect((await request("GET", route)).status).toEqual(200);
+      expect((await request("GET", route, { key: "invalid" })).status).toEqual(
+        200
+      );
+    }
+  });
+
+  test("Test requests are rejected without credentials, or without the permission", async () => {
+    const anonymous = await request("GET", "/tasks/dataset");
+    expect(anonymous.status).toEqual(401);
+    expect(anonymous.headers.get("www-authenticate")).toContain("realm");
+
+    expect(
+      (await request("GET", "/tasks/dataset", { key: "invalid" })).status
+    ).toEqual(401);
+    expect(
+      (await request("GET", "/tasks/dataset", { key: "reader" })).status
+    ).toEqual(200);
+
+    const forbidden = await request("POST", "/tasks/data", {
+      key: "reader",
+      body: { title: "a" },
+    });
+    expect(forbidden.status).toEqual(403);
+    expect(forbidden.headers.get("content-type")).toContain(
+      "application/problem+json"
+    );
+    expect((await request("GET", "/config", { key: "writer" })).status).toEqual(
+      403
+    );
+  });
+
+  test("Test missing objects are reported as problem details", async () => {
+    const response = await request("GET", "/missing/data/42", {
+      key: "reader",
+    });
+
+    expect(response.status).toEqual(404);
+    expect(response.headers.get("content-type")).toContain(
+      "application/problem+json"
+    );
+    expect(await response.json()).toMatchObject({
+      type: "about:blank",
+      title: "Not Found",
+      status: 404,
+      instance: "/missing/data/42",
+      requestId: response.headers.get("x-request-id"),
+    });
+  });
+
+  test("Test objects are created, replaced, patched and deleted", async () => {
+    const created = await request("POST", "/crud/data", {
+      key: "writer",
+      body: { title: "a", done: false },
+    });
+    expect(created.status).toEqual(201);
+    expect(created.headers.get("location")).toMatch(/\/crud\/data\/1$/);
+
+    expect(
+      (
+        await request("PUT", "/crud/data/1", {
+          key: "writer",
+          body: { title: "b", done: false, tags: ["x"] },
+        })
+      ).status
+    ).toEqual(200);
+
+    const patched = await request("PATCH", "/crud/data/1", {
+      key: "writer",
+      type: "application/merge-patch+json",
+      body: { done: true, tags: null },
+    });
+    expect(patched.status).toEqual(200);
+    expect(await patched.json()).toEqual({
+      title: "b",
+      done: true,
+      _id: 1,
+      _version: 3,
+    });
+
+    const unpatchable = await request("PATCH", "/crud/data/1", {
+      key: "writer",
+      type: "application/json-patch+json",
+      body: [{ op: "remove", path: "/missing" }],
+    });
+    expect(unpatchable.status).toEqual(422);
+
+    expect(
+      (await request("DELETE", "/crud/data/1", { key: "writer" })).status
+    ).toEqual(200);
+    expect(
+      (await request("GET", "/crud/data/1", { key: "reader" })).status
+    ).toEqual(404);
+  });
+
+  test("Test objects written by identifier are recorded with their stored identifier", async () => {
+    await request("PUT", "/stored/data/1", { key: "writer", body: { n: 1 } });
+    await request("PUT", "/stored/data/1", { key: "writer", body: { n: 2 } });
+    const restored = await request("POST", "/stored/data/1/history/1/restore", {
+      key: "writer",
+    });
+    expect(restored.status).toEqual(200);
+    expect(await restored.json()).toMatchObject({ n: 1, _id: 1 });
+
+    const revisions = await (
+      await request("GET", "/stored/data/1/history", { key: "reader" })
+    ).json();
+    expect(revisions.map((revision) => revision.after)).toMatchObject([
+      { n: 1, _id: 1 },
+      { n: 2, _id: 1 },
+      { n: 1, _id: 1 },
+    ]);
+  });
+
+  test("Test entity tags make reads and writes conditional", async () => {
+    const created = await request("PUT", "/etags/data/1", {
+      key: "writer",
+      body: { title: "a" },
+    });
+    expect(created.status).toEqual(201);
+    expect(created.headers.get("etag")).toEqual('"1"');
+
+    const unchanged = await request("GET", "/etags/data/1", {
+      key: "reader",
+      headers: { "If-None-Match": '"1"' },
+    });
+    expect(unchanged.status).toEqual(304);
+
+    const mismatched = await request("PUT", "/etags/data/1", {
+      key: "writer",
+      headers: { "If-Match": '"5"' },
+      body: { title: "b" },
+    });
+    expect(mismatched.status).toEqual(412);
+    expect((await mismatched.json()).status).toEqual(412);
+
+    const replaced = await request("PUT", "/etags/data/1", {
+      key: "writer",
+      headers: { "If-Match": '"1"' },
+      body: { title: "b" },
+    });
+    expect(replaced.status).toEqual(200);
+    expect(replaced.headers.get("etag")).toEqual('"2"');
+
+    const changed = await request("GET", "/etags/data/1", {
+      key: "reader",
+      headers: { "If-None-Match": '"1"' },
+    });
+    expect(changed.status).toEqual(200);
+    expect(await changed.json()).toMatchObject({ title: "b", _version: 2 });
+  });
+
+  test("Test objects are validated against the namespace schema", async () => {
+    expect(
+      (
+        await request("PUT", "/validated/schema", {
+          key: "adm",
+          body: {
+            type: "object",
+            required: ["title"],
+            properties: { title: { type: "string" } },
+          },
+        })
+      ).status
+    ).toEqual(201);
+
+    const invalid = await request("POST", "/validated/data", {
+      key: "writer",
+      body: { title: 42 },
+    });
+    expect(invalid.status).toEqual(422);
+    const problem = await invalid.json();
+    expect(problem.status).toEqual(422);
+    expect(problem.errors.length).toBeGreaterThan(0);
+
+    expect(
+      (
+        await request("POST", "/validated/data", {
+          key: "writer",
+          body: { title: "a" },
+        })
+      ).status
+    ).toEqual(201);
+  });
+
+  test("Test batches report the outcome of each operation, and atomic batches roll back", async () => {
+    const batch = await request("POST", "/batched/batch", {
+      key: "writer",
+      body: {
+        operations: [
+          { op: "create", data: { n: 1 } },
+          { op: "update", id: "7", data: { n: 7 } },
+          { op: "delete", id: "missing" },
+        ],
+      },
+    });
+    expect(batch.status).toEqual(200);
+    expect((await batch.json()).results.map((result) => result.status)).toEqual(
+      [201, 201, 404]
+    );
+
+    const atomic = await request("POST", "/batched/batch", {
+      key: "writer",
+      body: {
+        atomic: true,
+        operations: [
+          { op: "delete", id: "7" },
+          { op: "update", id: "1", data: { n: 2 }, ifMatch: '"5"' },
+        ],
+      },
+    });
+    expect(atomic.status).toEqual(409);
+    expect(
+      (await atomic.json()).results.map((result) => result.status)
+    ).toEqual([424, 412]);
+    expect(
+      (await request("GET", "/batched/data/7", { key: "reader" })).status
+    ).toEqual(200);
+
+    const numbered = await request("POST", "/batched/batch", {
+      key: "writer",
+      body: { operations: [{ op: "delete", id: 7 }] },
+    });
+    expect(numbered.status).toEqual(200);
+    expect((await numbered.json()).results).toMatchObject([
+      { id: "7", status: 200 },
+    ]);
+  });
+
+  test("Test CORS preflight requests are answered without credentials", async () => {
+    const preflight = await request("OPTIONS", "/tasks/data", {
+      headers: {
+        Origin: "https://app.example.com",
+        "Access-Control-Request-Method": "PUT",
+        "Access-Control-Request-Headers": "content-type,x-api-key,if-match",
+      },
+    });
+
+    expect(preflight.status).toEqual(204);
+    expect(preflight.headers.get("access-control-allow-origin")).toEqual("*");
+    expect(preflight.headers.get("access-control-allow-methods")).toContain(
+      "PUT"
+    );
+    expect(preflight.headers.get("access-control-allow-headers")).toContain(
+      "x-api-key"
+    );
+  });
+
+  test("Test tenants are rate limited, and permit the origins their CORS settings list", async () => {
+    expect(
+      (
+        await request("PUT", "/tenants/acme", {
+          key: "adm",
+          body: {
+            rateLimit: 1,
+            cors: { origins: ["https://app.example.com"] },
+          },
+        })
+      ).status
+    ).toEqual(201);
+
+    const permitted = await request("GET", "/tasks/dataset", {
+      key: "adm",
+      headers: { "X-Tenant-Id": "acme", Origin: "https://app.example.com" },
+    });
+    expect(permitted.status).toEqual(200);
+    expect(permitted.headers.get("access-control-allow-origin")).toEqual(
+      "https://app.example.com"
+    );
+    expect(permitted.headers.get("vary")).toContain("Origin");
+
+    const limited = await request("GET", "/tasks/dataset", {
+      key: "adm",
+      headers: { "X-Tenant-Id": "acme", Origin: "https://other.example.com" },
+    });
+    expect(limited.status).toEqual(429);
+    expect(limited.headers.get("retry-after")).not.toBeNull();
+    expect(limited.headers.get("access-control-allow-origin")).toBeNull();
+
+    // Other tenants are neither limited nor restricted.
+    const untenanted = await request("GET", "/tasks/dataset", {
+      key: "reader",
+      headers: { Origin: "https://other.example.com" },
+    });
+    expect(untenanted.status).toEqual(200);
+    expect(untenanted.headers.get("access-control-allow-origin")).toEqual("*");
+  });
+
+  test("Test malformed WebSocket upgrades are rejected, and browsers present credentials as query parameters", async () => {
+    expect(await upgrade("/%E0%A4%A/changes", "localhost")).toMatch(
+      /^HTTP\/1.1 400/
+    );
+    expect(await upgrade("/tasks/changes", "a:b:c")).toMatch(/^HTTP\/1.1 400/);
+    expect(await upgrade("/tasks/changes", "localhost")).toMatch(
+      /^HTTP\/1.1 401/
+    );
+    expect((await request("GET", "/healthz")).status).toEqual(200);
+
+    const ws = new WebSocket(
+      `${url.replace("http", "ws")}/sockets/changes?apiKey=reader`
+    );
+    await new Promise((resolve, reject) => {
+      ws.once("open", resolve);
+      ws.once("error", reject);
+    });
+    const received = new Promise((resolve) =>
+      ws.once("message", (message) => resolve(JSON.parse(message)))
+    );
+    await request("POST", "/sockets/data", { key: "writer", body: { n: 1 } });
+    expect(await received).toMatchObject({ type: "created", dataId: 1 });
+    ws.close();
+  });
+});
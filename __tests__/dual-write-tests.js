@@ -0,0 +1,172 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { parseQuery } = require("../src/service/query");
+
+describe("Test dual-write repository", () => {
+  const LOADED_ENV = process.env;
+  let migration = null;
+  let primary = null;
+  let secondary = null;
+  let repository = null;
+
+  const call = (operation, ...args) =>
+    new Promise((resolve, reject) =>
+      operation(...args, (err, result) => (err ? reject(err) : resolve(result)))
+    );
+
+  const items = async (from, namespace) =>
+    (await call(from.read, namespace, parseQuery({}))).items;
+
+  // Both repositories hold the same data objects, whatever their versions.
+  const expectMirrored = async (namespace) =>
+    expect(await migration.checksum(secondary, namespace)).toEqual(
+      await migration.checksum(primary, namespace)
+    );
+
+  beforeEach(() => {
+    jest.resetModules();
+    migration = require("../src/service/migration");
+    primary = require("../src/repository/memory-repository");
+    jest.resetModules();
+    secondary = require("../src/repository/memory-repository");
+    repository = require("../src/service/dual-write").mirror(
+      primary,
+      secondary
+    );
+    jest.spyOn(process.stdout, "write").mockImplementation(() => true);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    process.env = LOADED_ENV;
+  });
+
+  test("Test writes are mirrored with their identifiers, and reads are served by the primary", async () => {
+    expect(await call(repository.create, "tasks", { n: 1 })).toEqual(1);
+    await call(repository.create, "tasks", { n: 2 });
+    await call(repository.update, "tasks", "3", { n: 3 }, null);
+    await call(repository.update, "tasks", "1", { n: 10 }, null);
+    await call(
+      repository.patch,
+      "tasks",
+      "2",
+      (data) => ({ ...data, n: 20 }),
+      null
+    );
+    await call(repository.delete, "tasks", "3", null);
+    await call(
+      repository.batch,
+      "tasks",
+      [
+        { op: "create", data: { n: 4 } },
+        { op: "delete", id: "1", ifMatch: null },
+        { op: "delete", id: "missing", ifMatch: null },
+      ],
+      false
+    );
+
+    await expectMirrored("tasks");
+    expect((await items(secondary, "tasks")).map((data) => data.n)).toEqual([
+      20, 4,
+    ]);
+
+    await call(secondary.update, "tasks", "2", { n: 0 }, null);
+    expect(await call(repository.get, "tasks", "2")).toMatchObject({ n: 20 });
+  });
+
+  test("Test concurrent writes leave the secondary holding what the primary holds", async () => {
+    await Promise.all(
+      [1, 2, 3, 4, 5].map((n) =>
+        call(repository.update, "tasks", "1", { n: n }, null)
+      )
+    );
+
+    await expectMirrored("tasks");
+    expect(await call(secondary.get, "tasks", "1")).toMatchObject({
+      n: (await call(primary.get, "tasks", "1")).n,
+    });
+  });
+
+  test("Test fields removed from the primary are removed from a secondary storing files", async () => {
+    const location = fs.mkdtempSync(path.join(os.tmpdir(), "dual-write-"));
+    process.env = { ...LOADED_ENV, FS_LOCATION: location };
+    jest.resetModules();
+    secondary = require("../src/repository/fs-repository");
+    repository = require("../src/service/dual-write").mirror(
+      primary,
+      secondary
+    );
+
+    try {
+      await call(
+        repository.update,
+        "tasks",
+        "1",
+        { n: 1, tags: ["x"], done: false },
+        null
+      );
+      await call(repository.update, "tasks", "1", { n: 2, done: false }, null);
+      await call(
+        repository.patch,
+        "tasks",
+        "1",
+        (data) => ({ n: data.n }),
+        null
+      );
+      await expectMirrored("tasks");
+      expect(await call(secondary.get, "tasks", "1")).toEqual({
+        n: 2,
+        _id: 1,
+        _version: 3,
+      });
+
+      await call(
+        repository.batch,
+        "tasks",
+        [{ op: "update", id: "1", data: { done: true }, ifMatch: null }],
+        false
+      );
+      await expectMirrored("tasks");
+      expect(await call(secondary.get, "tasks", "1")).not.toHaveProperty("n");
+    } finally {
+      fs.rmdirSync(location, { recursive: true });
+    }
+  });
+
+  test("Test namespace settings, renames and drops are mirrored", async () => {
+    const settings = {
+      readOnly: false,
+      quota: 10,
+      idStrategy: null,
+      idField: null,
+    };
+    await call(repository.create, "tasks", { n: 1 });
+    await call(repository.putSettings, "tasks", settings);
+    await call(repository.renameNamespace, "tasks", "jobs");
+    await call(repository.create, "notes", { n: 1 });
+    await call(repository.dropNamespace, "notes");
+
+    expect(await call(secondary.namespaces)).toEqual([
+      expect.objectContaining({ name: "jobs", count: 1, settings: settings }),
+    ]);
+  });
+
+  test("Test writes succeed when they cannot be mirrored", async () => {
+    repository = require("../src/service/dual-write").mirror(primary, {
+      ...secondary,
+      batch: (namespace, operations, atomic, callback) =>
+        callback(new Error("Secondary unavailable"), null),
+    });
+
+    expect(await call(repository.create, "tasks", { n: 1 })).toEqual(1);
+    expect(await call(primary.get, "tasks", "1")).toMatchObject({ n: 1 });
+    expect(await call(secondary.get, "tasks", "1")).toBeNull();
+    expect(process.stdout.write).toHaveBeenCalledWith(
+      expect.stringContaining("Failed to mirror create of 1")
+    );
+  });
+});
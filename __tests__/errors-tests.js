@@ -0,0 +1,53 @@
+const {
+  ValidationError,
+  NotFoundError,
+  UnavailableError,
+  errorStatus,
+  problem,
+} = require("../src/service/errors");
+const { IdExistsError } = require("../src/service/ids");
+const { VersionMismatchError } = require("../src/service/version");
+
+describe("Test service error module", () => {
+  const req = { originalUrl: "/tasks/data/42?fields=n", id: "req-1" };
+
+  test("Test errors are reported with the status of their outcome", () => {
+    expect(errorStatus(new NotFoundError("Missing"))).toEqual(404);
+    expect(errorStatus(new IdExistsError("42"))).toEqual(409);
+    expect(errorStatus(new VersionMismatchError("Mismatch"))).toEqual(412);
+    expect(errorStatus(new UnavailableError("Unreachable"))).toEqual(503);
+    // Express middleware errors carry the status they may be exposed with.
+    const malformed = Object.assign(new SyntaxError("Unexpected token"), {
+      status: 400,
+      expose: true,
+    });
+    expect(errorStatus(malformed)).toEqual(400);
+    expect(errorStatus(new Error("ENOENT: /srv/config/keys"))).toEqual(500);
+  });
+
+  test("Test problem details describe the error and request", () => {
+    const errors = [{ path: "/body", keyword: "type", message: "bad" }];
+
+    expect(problem(new ValidationError("Invalid", errors), req)).toEqual({
+      type: "about:blank",
+      title: "Bad Request",
+      status: 400,
+      detail: "Invalid",
+      instance: "/tasks/data/42?fields=n",
+      requestId: "req-1",
+      errors: errors,
+    });
+    expect(problem(new NotFoundError("Object '42' not found"), req)).toEqual(
+      expect.not.objectContaining({ errors: expect.anything() })
+    );
+  });
+
+  test("Test internal errors do not reveal their message", () => {
+    const reported = problem(new Error("ENOENT: /srv/config/keys"), req);
+
+    expect(reported.status).toEqual(500);
+    expect(reported.title).toEqual("Internal Server Error");
+    expect(reported.detail).not.toContain("/srv/config");
+    expect(reported.requestId).toEqual("req-1");
+  });
+});
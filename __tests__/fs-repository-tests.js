@@ -0,0 +1,148 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+describe("Test filesystem repository persistence", () => {
+  const LOADED_ENV = process.env;
+  let location = null;
+  let repository = null;
+
+  // Load the repository module afresh, as a restarted process would.
+  const restart = () => {
+    jest.resetModules();
+    repository = require("../src/repository/fs-repository");
+  };
+
+  const call = (operation, ...args) =>
+    new Promise((resolve, reject) =>
+      operation(...args, (err, result) => (err ? reject(err) : resolve(result)))
+    );
+
+  const file = (name) => path.join(location, name);
+
+  beforeEach(() => {
+    location = fs.mkdtempSync(path.join(os.tmpdir(), "fs-repository-"));
+    process.env = {
+      ...LOADED_ENV,
+      FS_LOCATION: location,
+      FS_COMPACT_ENTRIES: "3",
+    };
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(process.stdout, "write").mockImplementation(() => true);
+    restart();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmdirSync(location, { recursive: true });
+  });
+
+  afterAll(() => {
+    process.env = LOADED_ENV;
+  });
+
+  test("Test concurrent creates are given unique identifiers", async () => {
+    const ids = await Promise.all(
+      [1, 2, 3, 4, 5].map((n) => call(repository.create, "tasks", { n: n }))
+    );
+    expect(ids).toEqual([1, 2, 3, 4, 5]);
+
+    restart();
+    const dataset = await call(repository.read, "tasks", {
+      filter: [],
+      sort: [],
+      fields: [],
+      offset: 0,
+      limit: null,
+    });
+    expect(dataset.total).toEqual(5);
+  });
+
+  test("Test writes are logged then compacted into the snapshot", async () => {
+    await call(repository.create, "tasks", { n: 1 });
+    await call(repository.update, "tasks", "1", { n: 2 }, null);
+    expect(fs.existsSync(file("tasks.json"))).toBe(false);
+    expect(
+      fs.readFileSync(file("tasks.log"), "utf8").split("\n").length
+    ).toEqual(3);
+
+    await call(repository.delete, "tasks", "1", null);
+    expect(JSON.parse(fs.readFileSync(file("tasks.json"), "utf8"))).toEqual({
+      idCursor: 1,
+      dataset: {},
+    });
+    expect(fs.readFileSync(file("tasks.log"), "utf8")).toEqual("");
+
+    // The identifier cursor survives the compaction, so the deleted identifier is not reused.
+    restart();
+    expect(await call(repository.create, "tasks", { n: 3 })).toEqual(2);
+  });
+
+  test("Test a snapshot without an identifier cursor continues from its highest identifier", async () => {
+    fs.writeFileSync(
+      file("tasks.json"),
+      JSON.stringify({ 4: { n: 4, _id: 4, _version: 1 } })
+    );
+
+    restart();
+    expect(await call(repository.create, "tasks", { n: 5 })).toEqual(5);
+  });
+
+  test("Test recovery discards a torn write", async () => {
+    await call(repository.create, "tasks", { n: 1 });
+    fs.appendFileSync(file("tasks.log"), '{"changes":[{"id":2,"da');
+    fs.writeFileSync(file("tasks.json.tmp"), "{");
+
+    restart();
+    await call(repository.open);
+    expect(await call(repository.get, "tasks", "1")).toEqual({
+      n: 1,
+      _id: 1,
+      _version: 1,
+    });
+    expect(await call(repository.get, "tasks", "2")).toBeNull();
+    // Recovery compacts the log and removes the abandoned snapshot
+    expect(fs.existsSync(file("tasks.json.tmp"))).toBe(false);
+    expect(fs.readFileSync(file("tasks.log"), "utf8")).toEqual("");
+  });
+
+  test("Test the namespaces of a tenant are kept within its own directory", async () => {
+    await call(repository.create, "tasks@acme", { n: 1 });
+    await call(repository.create, "tasks", { n: 2 });
+    expect(fs.existsSync(path.join(location, "acme", "tasks.log"))).toBe(true);
+    await expect(
+      call(repository.create, "tasks@Acme", { n: 3 })
+    ).rejects.toThrow();
+
+    restart();
+    await call(repository.open);
+    const names = (await call(repository.namespaces)).map(
+      (namespace) => namespace.name
+    );
+    expect(names.sort()).toEqual(["tasks", "tasks@acme"]);
+    expect(await call(repository.get, "tasks@acme", "1")).toEqual({
+      n: 1,
+      _id: 1,
+      _version: 1,
+    });
+  });
+
+  test("Test corrupt datasets are reported rather than discarded", async () => {
+    await call(repository.create, "tasks", { n: 1 });
+    const log = fs.readFileSync(file("tasks.log"), "utf8");
+    fs.writeFileSync(file("tasks.log"), `garbage\n${log}`);
+
+    restart();
+    await call(repository.open);
+    await expect(call(repository.get, "tasks", "1")).rejects.toThrow(
+      repository.CorruptDatasetError
+    );
+    await expect(call(repository.create, "tasks", { n: 2 })).rejects.toThrow(
+      "entry 1 is not valid JSON"
+    );
+    // The corrupt log is left untouched for repair
+    expect(fs.readFileSync(file("tasks.log"), "utf8")).toEqual(
+      `garbage\n${log}`
+    );
+  });
+});
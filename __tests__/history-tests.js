@@ -0,0 +1,109 @@
+const history = require("../src/service/history");
+const repository = require("../src/repository/memory-repository");
+
+describe("Test data object history", () => {
+  let namespace = null;
+  let namespaces = 0;
+
+  const call = (operation, ...args) =>
+    new Promise((resolve, reject) =>
+      operation(...args, (err, result) => (err ? reject(err) : resolve(result)))
+    );
+
+  const revisions = async (params, dataId) =>
+    (
+      await call(
+        history.read,
+        repository,
+        namespace,
+        history.parseHistoryQuery(params, dataId)
+      )
+    ).items;
+
+  const change = (dataId, action, before, after) => ({
+    dataId: dataId,
+    action: action,
+    before: before,
+    after: after,
+  });
+
+  beforeEach(() => {
+    namespace = `history${namespaces++}`;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("Test revisions are listed per data object in the order they were made", async () => {
+    await call(history.record, repository, namespace, { subject: "alice" }, [
+      change(1, "created", null, { _id: 1, n: 1 }),
+      change(2, "created", null, { _id: 2, n: 1 }),
+    ]);
+    await call(history.record, repository, namespace, null, [
+      change(1, "updated", { _id: 1, n: 1 }, { _id: 1, n: 2 }),
+    ]);
+
+    const listed = await revisions({}, "1");
+    expect(listed.map((revision) => revision.action)).toEqual([
+      "created",
+      "updated",
+    ]);
+    expect(listed[0]).toMatchObject({
+      dataId: "1",
+      identity: "alice",
+      before: null,
+      after: { n: 1 },
+    });
+    expect(listed[1].identity).toBeNull();
+    expect(listed[0]).not.toHaveProperty("_version");
+  });
+
+  test("Test a single revision is only found for its own data object", async () => {
+    await call(history.record, repository, namespace, null, [
+      change("a", "deleted", { _id: "a" }, null),
+    ]);
+    const [listed] = await revisions({}, "a");
+
+    expect(
+      await call(history.get, repository, namespace, "a", listed.revision)
+    ).toEqual(listed);
+    expect(
+      await call(history.get, repository, namespace, "b", listed.revision)
+    ).toBeNull();
+  });
+
+  test("Test the audit log is filtered by time range", async () => {
+    const times = [
+      "2021-03-01T10:00:00.000Z",
+      "2021-03-01T11:00:00.000Z",
+      "2021-03-01T12:00:00.000Z",
+    ];
+    for (const [index, time] of times.entries()) {
+      jest.spyOn(Date.prototype, "toISOString").mockReturnValueOnce(time);
+      await call(history.record, repository, namespace, null, [
+        change(index, "created", null, { _id: index }),
+      ]);
+    }
+
+    const listed = await revisions(
+      { from: "2021-03-01T11:00:00Z", to: "2021-03-01T12:00:00Z" },
+      null
+    );
+    expect(listed.map((revision) => revision.timestamp)).toEqual([times[1]]);
+    expect(
+      (
+        await revisions(
+          { from: "2021-03-01T10:30:00Z", action: "created" },
+          null
+        )
+      ).length
+    ).toEqual(2);
+  });
+
+  test("Test invalid time ranges are rejected", () => {
+    expect(() =>
+      history.parseHistoryQuery({ from: "yesterday" }, null)
+    ).toThrow(history.HistoryError);
+  });
+});
@@ -0,0 +1,50 @@
+const {
+  IdError,
+  ulid,
+  objectId,
+  generateId,
+  verifyId,
+} = require("../src/service/ids");
+
+describe("Test identifier strategies", () => {
+  const natural = { idStrategy: "natural", idField: "sku" };
+
+  test("Test ULIDs encode their time so they sort by it", () => {
+    expect(ulid(1469918176385).slice(0, 10)).toEqual("01ARYZ6S41");
+    expect(ulid(0).slice(0, 10)).toEqual("0000000000");
+    expect(ulid(1000) < ulid(2000)).toBe(true);
+  });
+
+  test("Test ObjectIDs encode their time in seconds", () => {
+    expect(objectId(Date.UTC(2021, 0, 1)).slice(0, 8)).toEqual("5fee6600");
+    expect(objectId(0)).not.toEqual(objectId(0));
+  });
+
+  test("Test the repository strategy applies unless the namespace sets one", () => {
+    const increment = jest.fn(() => 7);
+    expect(
+      generateId({ idStrategy: null }, "increment", {}, increment)
+    ).toEqual(7);
+    expect(
+      generateId({ idStrategy: "uuid" }, "increment", {}, increment)
+    ).toMatch(/^[0-9a-f-]{36}$/);
+    expect(increment).toHaveBeenCalledTimes(1);
+  });
+
+  test("Test natural keys are taken from the body field", () => {
+    expect(generateId(natural, "increment", { sku: 42 }, null)).toEqual("42");
+    expect(() => generateId(natural, "increment", { sku: "" }, null)).toThrow(
+      IdError
+    );
+    expect(() => generateId(natural, "increment", {}, null)).toThrow(IdError);
+  });
+
+  test("Test natural keys must match the identifier written", () => {
+    expect(() => verifyId(natural, "42", { sku: 42 })).not.toThrow();
+    expect(() => verifyId(natural, "42", {})).not.toThrow();
+    expect(() => verifyId(natural, "42", { sku: "43" })).toThrow(IdError);
+    expect(() =>
+      verifyId({ idStrategy: "uuid" }, "42", { sku: "43" })
+    ).not.toThrow();
+  });
+});
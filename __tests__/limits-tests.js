@@ -0,0 +1,143 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+describe("Test request rate limits", () => {
+  const LOADED_ENV = process.env;
+  let limits = null;
+  let now = 0;
+
+  // Load the limits configured by the specified environment.
+  const load = (env) => {
+    jest.resetModules();
+    process.env = { ...LOADED_ENV, AUTHENTICATION: "none", ...env };
+    limits = require("../src/service/limits");
+  };
+
+  // Pass a request through the middleware, providing the response headers and the error it was rejected with.
+  const limit = (middleware, req, ...args) => {
+    const headers = {};
+    const res = {
+      get: (name) => headers[name],
+      set: (name, value) =>
+        typeof name === "object"
+          ? Object.assign(headers, name)
+          : (headers[name] = value),
+    };
+    let error = undefined;
+    middleware(req, res, (err) => (error = err), ...args);
+    return { headers: headers, error: error };
+  };
+
+  beforeEach(() => {
+    now = 1000000;
+    jest.spyOn(Date, "now").mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    process.env = LOADED_ENV;
+  });
+
+  test("Test each client is limited to its burst, refilled at the configured rate", () => {
+    load({ RATE_LIMIT: "0.5", RATE_LIMIT_BURST: "2" });
+    const client = { ip: "10.0.0.1", identity: null };
+
+    expect(limit(limits.client, client).headers).toEqual({
+      "RateLimit-Limit": 2,
+      "RateLimit-Remaining": 1,
+      "RateLimit-Reset": 2,
+    });
+    expect(limit(limits.client, client).error).toBeUndefined();
+    const rejected = limit(limits.client, client);
+    expect(rejected.error).toMatchObject({
+      name: "RateLimitError",
+      status: 429,
+      retryAfter: 2,
+    });
+    expect(rejected.headers).toMatchObject({
+      "RateLimit-Remaining": 0,
+      "Retry-After": 2,
+    });
+
+    // Other clients, including those identified by their credentials from the same address, have buckets of their own.
+    expect(limit(limits.client, { ip: "10.0.0.2" }).error).toBeUndefined();
+    expect(
+      limit(limits.client, { ...client, identity: { subject: "reporting" } })
+        .error
+    ).toBeUndefined();
+
+    now += 2000;
+    expect(limit(limits.client, client).error).toBeUndefined();
+    expect(limit(limits.client, client).error).toBeDefined();
+  });
+
+  test("Test writes to a namespace are limited across clients", () => {
+    load({ NAMESPACE_RATE_LIMIT: "1" });
+    const write = { method: "POST", identity: null };
+
+    expect(limit(limits.namespace, write, "tasks").error).toBeUndefined();
+    expect(
+      limit(limits.namespace, { ...write, method: "GET" }, "tasks").error
+    ).toBeUndefined();
+    expect(limit(limits.namespace, write, "tasks").error).toMatchObject({
+      status: 429,
+    });
+    expect(limit(limits.namespace, write, "other").error).toBeUndefined();
+  });
+
+  test("Test the tightest limit is reported", () => {
+    load({
+      RATE_LIMIT: "10",
+      NAMESPACE_RATE_LIMIT: "1",
+      NAMESPACE_RATE_LIMIT_BURST: "3",
+    });
+    const req = { method: "PUT", ip: "10.0.0.1", identity: null };
+    const headers = {};
+    const res = {
+      get: (name) => headers[name],
+      set: (values) => Object.assign(headers, values),
+    };
+
+    limits.client(req, res, () => {});
+    expect(headers["RateLimit-Remaining"]).toEqual(9);
+    limits.namespace(req, res, () => {}, "tasks");
+    expect(headers).toEqual({
+      "RateLimit-Limit": 3,
+      "RateLimit-Remaining": 2,
+      "RateLimit-Reset": 1,
+    });
+  });
+
+  test("Test disabled limits permit every request", () => {
+    load({ RATE_LIMIT: "0", NAMESPACE_RATE_LIMIT: "0" });
+    for (let count = 0; count < 100; count++) {
+      expect(limit(limits.client, { ip: "10.0.0.1" })).toEqual({
+        headers: {},
+        error: undefined,
+      });
+    }
+  });
+
+  test("Test limits reloaded from the configuration file apply at once", () => {
+    const configPath = fs.mkdtempSync(path.join(os.tmpdir(), "limits-"));
+    const configFile = path.join(configPath, "config.json");
+    fs.writeFileSync(configFile, JSON.stringify({ RATE_LIMIT: 0 }));
+    load({ CONFIG_PATH: configPath });
+    const layers = require("../src/config/layers");
+    const client = { ip: "10.0.0.1", identity: null };
+    expect(limit(limits.client, client).headers).toEqual({});
+
+    fs.writeFileSync(
+      configFile,
+      JSON.stringify({ RATE_LIMIT: 1, RATE_LIMIT_BURST: 1 })
+    );
+    expect(layers.reload().applied).toEqual(["limits.rateLimit"]);
+    expect(limit(limits.client, client).error).toBeUndefined();
+    expect(limit(limits.client, client).error).toMatchObject({ status: 429 });
+    fs.rmdirSync(configPath, { recursive: true });
+  });
+});
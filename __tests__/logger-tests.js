@@ -0,0 +1,103 @@
+describe("Test service logger", () => {
+  const LOADED_ENV = process.env;
+  let logger = null;
+  let lines = null;
+
+  // Load the logger configured by the specified environment, capturing the lines it writes.
+  const load = (env) => {
+    jest.resetModules();
+    process.env = { ...LOADED_ENV, ...env };
+    logger = require("../src/service/logger");
+  };
+
+  beforeEach(() => {
+    lines = [];
+    jest
+      .spyOn(process.stdout, "write")
+      .mockImplementation((line) => lines.push(line));
+    load({ LOG_LEVEL: "info", LOG_FORMAT: "json" });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    process.env = LOADED_ENV;
+  });
+
+  test("Test entries are written as JSON lines at or above the configured level", () => {
+    logger.debug("Not written");
+    logger.warn("Compaction failed", { error: "disk full" });
+
+    expect(lines.length).toEqual(1);
+    expect(lines[0].endsWith("\n")).toBe(true);
+    expect(JSON.parse(lines[0])).toEqual({
+      time: expect.any(String),
+      level: "warn",
+      message: "Compaction failed",
+      error: "disk full",
+    });
+
+    load({ LOG_LEVEL: "debug" });
+    logger.debug("Written");
+    expect(lines.length).toEqual(2);
+  });
+
+  test("Test entries written for a request carry its request id", (done) => {
+    const req = { id: "req-1" };
+    logger.context(req, {}, () =>
+      // The id follows the asynchronous operations started by the request.
+      setImmediate(() => {
+        logger.info("Compacting dataset tasks");
+        expect(JSON.parse(lines[0]).requestId).toEqual("req-1");
+        done();
+      })
+    );
+  });
+
+  test("Test an access log entry is written once the response closes", () => {
+    const handlers = {};
+    const req = {
+      id: "req-2",
+      method: "GET",
+      path: "/tasks/data/1",
+      route: { path: "/:namespace/data/:dataId" },
+      params: { namespace: "tasks", dataId: "1" },
+    };
+    const res = {
+      statusCode: 404,
+      writableFinished: true,
+      on: (event, handler) => (handlers[event] = handler),
+    };
+    const next = jest.fn();
+
+    logger.accessLog("namespace")(req, res, next);
+    expect(next).toHaveBeenCalled();
+    handlers.close();
+
+    expect(JSON.parse(lines[0])).toMatchObject({
+      level: "info",
+      type: "access",
+      requestId: "req-2",
+      method: "GET",
+      route: "/:namespace/data/:dataId",
+      namespace: "tasks",
+      status: 404,
+      aborted: false,
+      duration: expect.any(Number),
+    });
+  });
+
+  test("Test text format and disabled access log", () => {
+    load({ LOG_FORMAT: "text", ACCESS_LOG: "false" });
+    logger.error("Failed to open the repository", { error: "EACCES" });
+    expect(lines[0]).toMatch(
+      /^\S+ ERROR Failed to open the repository error="EACCES"\n$/
+    );
+
+    const res = { on: jest.fn() };
+    logger.accessLog("namespace")({}, res, () => {});
+    expect(res.on).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,109 @@
+const { parseQuery } = require("../src/service/query");
+
+describe("Test memory repository limits", () => {
+  const LOADED_ENV = process.env;
+  let repository = null;
+  let now = 0;
+
+  const load = (env) => {
+    process.env = { ...LOADED_ENV, ...env };
+    jest.resetModules();
+    repository = require("../src/repository/memory-repository");
+  };
+
+  const call = (operation, ...args) =>
+    new Promise((resolve, reject) =>
+      operation(...args, (err, result) => (err ? reject(err) : resolve(result)))
+    );
+
+  const ids = async (namespace) =>
+    (await call(repository.read, namespace, parseQuery({}))).items.map(
+      (item) => item._id
+    );
+
+  beforeEach(() => {
+    now = 1000000;
+    jest.spyOn(Date, "now").mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    process.env = LOADED_ENV;
+  });
+
+  test("Test the least recently written objects are evicted beyond the size limit", async () => {
+    load({ MEMORY_MAX_OBJECTS: "2" });
+    await call(repository.create, "tasks", { n: 1 });
+    await call(repository.create, "tasks", { n: 2 });
+    await call(repository.update, "tasks", "1", { n: 1 }, null);
+    await call(repository.create, "tasks", { n: 3 });
+
+    expect(await ids("tasks")).toEqual([1, 3]);
+    expect(await call(repository.get, "tasks", "2")).toBeNull();
+    // Other namespaces are limited separately.
+    await call(repository.create, "notes", { n: 1 });
+    expect(await ids("tasks")).toEqual([1, 3]);
+  });
+
+  test("Test evicted identifiers are not reused by create", async () => {
+    load({ MEMORY_MAX_OBJECTS: "1" });
+    await call(repository.create, "tasks", { n: 1 });
+    await call(repository.create, "tasks", { n: 2 });
+
+    expect(await call(repository.create, "tasks", { n: 3 })).toEqual(3);
+  });
+
+  test("Test objects expire once their time to live has elapsed since their last write", async () => {
+    load({ MEMORY_TTL: "60" });
+    await call(repository.create, "tasks", { n: 1 });
+    now += 30000;
+    await call(repository.create, "tasks", { n: 2 });
+    now += 20000;
+    await call(repository.update, "tasks", "1", { n: 1 }, null);
+
+    now += 45000;
+    expect(await ids("tasks")).toEqual([1]);
+    expect(await call(repository.get, "tasks", "2")).toBeNull();
+
+    now += 60000;
+    expect(await ids("tasks")).toEqual([]);
+  });
+
+  test("Test the ttl setting of a namespace overrides the time to live of the repository", async () => {
+    load({ MEMORY_TTL: "60" });
+    await call(repository.putSettings, "sessions", { ttl: 10 });
+    await call(repository.putSettings, "kept", { ttl: 0 });
+    await call(repository.create, "sessions", { n: 1 });
+    await call(repository.create, "kept", { n: 1 });
+    await call(repository.create, "tasks", { n: 1 });
+
+    now += 15000;
+    expect(await ids("sessions")).toEqual([]);
+    expect(await ids("tasks")).toEqual([1]);
+
+    now += 365 * 24 * 3600 * 1000;
+    expect(await ids("tasks")).toEqual([]);
+    expect(await ids("kept")).toEqual([1]);
+  });
+
+  test("Test a ttl setting applies to the objects already stored", async () => {
+    load({});
+    await call(repository.create, "tasks", { n: 1 });
+    now += 20000;
+    await call(repository.create, "tasks", { n: 2 });
+
+    await call(repository.putSettings, "tasks", { ttl: 10 });
+    expect(await ids("tasks")).toEqual([2]);
+  });
+
+  test("Test objects never expire without a time to live", async () => {
+    load({});
+    await call(repository.create, "tasks", { n: 1 });
+    now += 365 * 24 * 3600 * 1000;
+
+    expect(await ids("tasks")).toEqual([1]);
+  });
+});
@@ -0,0 +1,52 @@
+describe("Test service metrics", () => {
+  let metrics = null;
+
+  beforeEach(() => {
+    jest.resetModules();
+    metrics = require("../src/service/metrics");
+  });
+
+  test("Test repository operations are timed and their errors counted", (done) => {
+    const repository = metrics.instrument({
+      get: (namespace, id, callback) => callback(null, { _id: id }),
+      update: (namespace, id, data, ifMatch, callback) => {
+        const err = new Error("Version mismatch");
+        err.name = "VersionMismatchError";
+        callback(err, null);
+      },
+      ping: (callback) => callback(null),
+    });
+
+    repository.get("tasks", "1", (err, data) => {
+      expect(data).toEqual({ _id: "1" });
+      repository.update("tasks", "1", {}, [1], (err) => {
+        expect(err.name).toEqual("VersionMismatchError");
+
+        const text = metrics.render();
+        expect(text).toContain(
+          'mydata_repository_operation_duration_seconds_count{operation="get",namespace="tasks"} 1'
+        );
+        expect(text).toContain(
+          'mydata_repository_operation_duration_seconds_bucket{operation="get",namespace="tasks",le="+Inf"} 1'
+        );
+        expect(text).toContain(
+          'mydata_repository_errors_total{operation="update",namespace="tasks",error="VersionMismatchError"} 1'
+        );
+        expect(text).not.toContain('error="VersionMismatchError"} 2');
+        done();
+      });
+    });
+  });
+
+  test("Test gauges and label escaping", () => {
+    metrics.gauge("test_value", "Test gauge", () => 3);
+    const repository = metrics.instrument({
+      get: (namespace, id, callback) => callback(null, null),
+    });
+    repository.get('a"b\\c', "1", () => {});
+
+    const text = metrics.render();
+    expect(text).toContain("# TYPE test_value gauge\ntest_value 3\n");
+    expect(text).toContain('namespace="a\\"b\\\\c"');
+  });
+});
@@ -0,0 +1,198 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { parseQuery } = require("../src/service/query");
+
+describe("Test repository migration", () => {
+  const LOADED_ENV = process.env;
+  let migration = null;
+  let source = null;
+  let target = null;
+
+  // Load the migration module, and independent source and target repositories.
+  const load = (env) => {
+    process.env = { ...LOADED_ENV, ...env };
+    jest.resetModules();
+    migration = require("../src/service/migration");
+    source = require("../src/repository/memory-repository");
+    jest.resetModules();
+    target = require("../src/repository/memory-repository");
+  };
+
+  const call = (operation, ...args) =>
+    new Promise((resolve, reject) =>
+      operation(...args, (err, result) => (err ? reject(err) : resolve(result)))
+    );
+
+  const migrate = (options, progress = []) =>
+    call(
+      migration.migrate,
+      source,
+      target,
+      {
+        namespaces: [],
+        dryRun: false,
+        overwrite: false,
+        verify: true,
+        ...options,
+      },
+      (update) => progress.push(update)
+    );
+
+  const items = async (repository, namespace) =>
+    (await call(repository.read, namespace, parseQuery({}))).items;
+
+  const settings = {
+    readOnly: false,
+    quota: null,
+    idStrategy: null,
+    idField: null,
+  };
+
+  beforeEach(async () => {
+    load({ BATCH_LIMIT: "2" });
+    await call(source.create, "tasks", { title: "a" });
+    await call(source.create, "tasks", { title: "b", tags: { x: 1, y: 2 } });
+    await call(source.create, "tasks", { title: "c" });
+    await call(source.update, "tasks", "1", { title: "A" }, null);
+    await call(source.create, "notes", { text: "n" });
+    await call(source.putSettings, "notes", { ...settings, readOnly: true });
+  });
+
+  afterAll(() => {
+    process.env = LOADED_ENV;
+  });
+
+  test("Test every namespace is migrated with its settings and identifiers, and verified", async () => {
+    const progress = [];
+    const reports = await migrate({}, progress);
+
+    expect(reports).toEqual([
+      expect.objectContaining({
+        namespace: "notes",
+        status: "migrated",
+        objects: 1,
+        copied: 1,
+        failed: [],
+        verified: true,
+      }),
+      expect.objectContaining({
+        namespace: "tasks",
+        status: "migrated",
+        objects: 3,
+        copied: 3,
+        verified: true,
+      }),
+    ]);
+    expect(reports[1].checksum).toEqual(reports[1].targetChecksum);
+    expect(progress.filter((update) => update.namespace === "tasks")).toEqual([
+      { namespace: "tasks", copied: 2, total: 3 },
+      { namespace: "tasks", copied: 3, total: 3 },
+    ]);
+
+    expect(await items(target, "tasks")).toEqual([
+      { title: "b", tags: { x: 1, y: 2 }, _id: 2, _version: 1 },
+      { title: "c", _id: 3, _version: 1 },
+      { title: "A", _id: 1, _version: 1 },
+    ]);
+    expect(await call(target.getSettings, "notes")).toEqual({
+      ...settings,
+      readOnly: true,
+    });
+    // The source is left as it was.
+    expect((await items(source, "tasks"))[2]._version).toEqual(2);
+  });
+
+  test("Test a dry run reports the migration without writing to the target", async () => {
+    const reports = await migrate({ dryRun: true, namespaces: ["tasks"] });
+
+    expect(reports).toEqual([
+      { namespace: "tasks", objects: 3, status: "migrate" },
+    ]);
+    expect(await call(target.namespaces)).toEqual([]);
+  });
+
+  test("Test namespaces within the target are only replaced when overwriting", async () => {
+    await call(target.update, "tasks", "1", { title: "stale" }, null);
+    await call(target.update, "tasks", "9", { title: "extra" }, null);
+
+    const skipped = await migrate({ namespaces: ["tasks"] });
+    expect(skipped[0]).toMatchObject({ status: "exists", verified: false });
+
+    const planned = await migrate({
+      namespaces: ["tasks"],
+      dryRun: true,
+      overwrite: true,
+    });
+    expect(planned[0]).toMatchObject({ status: "overwrite", verified: false });
+    expect(await call(target.get, "tasks", "9")).not.toBeNull();
+
+    const replaced = await migrate({ namespaces: ["tasks"], overwrite: true });
+    expect(replaced[0]).toMatchObject({
+      status: "migrated",
+      copied: 3,
+      deleted: 1,
+      verified: true,
+    });
+    expect(
+      (await items(target, "tasks")).map((data) => data.title).sort()
+    ).toEqual(["A", "b", "c"]);
+  });
+
+  test("Test overwriting removes fields the source lacks from a target storing files", async () => {
+    const location = fs.mkdtempSync(path.join(os.tmpdir(), "migration-"));
+    process.env = { ...process.env, FS_LOCATION: location };
+    jest.resetModules();
+    target = require("../src/repository/fs-repository");
+
+    try {
+      await call(
+        target.update,
+        "tasks",
+        "2",
+        { title: "stale", tags: { x: 1, y: 2, z: 3 }, done: true },
+        null
+      );
+
+      const replaced = await migrate({
+        namespaces: ["tasks"],
+        overwrite: true,
+      });
+      expect(replaced[0]).toMatchObject({ status: "migrated", verified: true });
+      const stored = await call(target.get, "tasks", "2");
+      expect(stored).toMatchObject({ title: "b", tags: { x: 1, y: 2 } });
+      expect(stored.tags).not.toHaveProperty("z");
+      expect(stored).not.toHaveProperty("done");
+    } finally {
+      fs.rmdirSync(location, { recursive: true });
+    }
+  });
+
+  test("Test the checksum ignores versions and the order of keys, but not the data", async () => {
+    await call(target.update, "tasks", "1", { title: "A" }, null);
+    await call(
+      target.update,
+      "tasks",
+      "2",
+      { tags: { y: 2, x: 1 }, title: "b" },
+      null
+    );
+    await call(target.update, "tasks", "3", { title: "c" }, null);
+    await call(target.update, "tasks", "3", { title: "c" }, null);
+
+    const expected = await migration.checksum(source, "tasks");
+    expect(await migration.checksum(target, "tasks")).toEqual(expected);
+    expect(expected.count).toEqual(3);
+
+    await call(target.update, "tasks", "3", { title: "C" }, null);
+    expect((await migration.checksum(target, "tasks")).checksum).not.toEqual(
+      expected.checksum
+    );
+  });
+
+  test("Test namespaces missing from the source are reported", async () => {
+    expect(await migrate({ namespaces: ["absent"] })).toEqual([
+      { namespace: "absent", status: "missing" },
+    ]);
+  });
+});
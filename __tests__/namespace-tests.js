@@ -0,0 +1,108 @@
+const {
+  NamespaceError,
+  validateName,
+  parseSettings,
+  timeToLive,
+  verifyKept,
+  verifyWrite,
+} = require("../src/service/namespace");
+
+describe("Test namespace names and settings", () => {
+  test.each(["tasks", "Tasks-2021", "a", "my_data", "x".repeat(64)])(
+    "Test %s is a valid namespace",
+    (name) => {
+      expect(validateName(name)).toEqual(name);
+    }
+  );
+
+  test.each([
+    "..",
+    "../etc",
+    "a/b",
+    "_history",
+    "-tasks",
+    "tasks.json",
+    "",
+    "x".repeat(65),
+    "namespaces",
+    "Metrics",
+  ])("Test '%s' is rejected as a namespace", (name) => {
+    expect(() => validateName(name)).toThrow(NamespaceError);
+  });
+
+  test("Test settings are completed with the current settings", () => {
+    const unchanged = { idStrategy: null, idField: null, ttl: null };
+    expect(parseSettings({}, null)).toEqual({
+      readOnly: false,
+      quota: null,
+      ...unchanged,
+    });
+    expect(parseSettings({ quota: 10 }, { readOnly: true, quota: 5 })).toEqual({
+      readOnly: true,
+      quota: 10,
+      ...unchanged,
+    });
+    expect(
+      parseSettings({ quota: null }, { readOnly: false, quota: 5 })
+    ).toEqual({ readOnly: false, quota: null, ...unchanged });
+    expect(
+      parseSettings({ idStrategy: "natural", idField: "sku" }, null)
+    ).toMatchObject({ idStrategy: "natural", idField: "sku" });
+    expect(parseSettings({ ttl: 0 }, { ttl: 60 })).toMatchObject({ ttl: 0 });
+  });
+
+  test("Test the time to live of a namespace falls back to that of the repository", () => {
+    expect(timeToLive(null, 60)).toEqual(60);
+    expect(timeToLive({ ttl: null }, 60)).toEqual(60);
+    expect(timeToLive({ ttl: 0 }, 60)).toEqual(0);
+    expect(timeToLive({ ttl: 5 }, 0)).toEqual(5);
+  });
+
+  test("Test repositories which keep every object reject a time to live", () => {
+    expect(() => verifyKept({ ttl: null })).not.toThrow();
+    expect(() => verifyKept({ ttl: 0 })).not.toThrow();
+    expect(() => verifyKept({ ttl: 60 })).toThrow(NamespaceError);
+  });
+
+  test.each([
+    [[]],
+    [null],
+    [{ readOnly: "yes" }],
+    [{ quota: 0 }],
+    [{ quota: 1.5 }],
+    [{ expiry: 60 }],
+    [{ ttl: -1 }],
+    [{ ttl: 1.5 }],
+    [{ idStrategy: "random" }],
+    [{ idStrategy: "natural" }],
+    [{ idStrategy: "natural", idField: "_id" }],
+    [{ idField: "a.b" }],
+  ])("Test invalid settings %j are rejected", (body) => {
+    expect(() => parseSettings(body, null)).toThrow(NamespaceError);
+  });
+
+  test("Test a namespace beyond a reduced quota may still shrink", () => {
+    const settings = { readOnly: false, quota: 2 };
+    expect(() => verifyWrite("tasks", settings, 3, 1)).toThrow(
+      expect.objectContaining({ name: "NamespaceQuotaError" })
+    );
+    expect(() => verifyWrite("tasks", settings, 3, 0)).not.toThrow();
+    expect(() => verifyWrite("tasks", settings, 3, -1)).not.toThrow();
+    expect(() => verifyWrite("tasks", settings, 1, 1)).not.toThrow();
+  });
+
+  test("Test the service object limit applies to every namespace, whichever its quota", () => {
+    const LOADED_ENV = process.env;
+    jest.resetModules();
+    process.env = { ...LOADED_ENV, NAMESPACE_MAX_OBJECTS: "3" };
+    const limited = require("../src/service/namespace");
+    process.env = LOADED_ENV;
+
+    expect(limited.objectLimit({ quota: null })).toEqual(3);
+    expect(limited.objectLimit({ quota: 2 })).toEqual(2);
+    expect(limited.objectLimit({ quota: 10 })).toEqual(3);
+    expect(() =>
+      limited.verifyWrite("tasks", { readOnly: false, quota: null }, 3, 1)
+    ).toThrow(expect.objectContaining({ name: "NamespaceQuotaError" }));
+  });
+});
@@ -0,0 +1,184 @@
+const express = require("express");
+const api = require("../src/service/openapi");
+const auth = require("../src/service/auth");
+
+describe("Test the OpenAPI document and request validation", () => {
+  const getDataset = api.operation({
+    operationId: "getDataset",
+    summary: "Read the data objects matching the query",
+    tags: ["Data"],
+    query: api.datasetQuery,
+    responses: { 200: "Data objects" },
+  });
+  const postData = api.operation({
+    operationId: "postData",
+    summary: "Create a data object",
+    tags: ["Data"],
+    requestBody: api.content("Data object", "DataObject"),
+    responses: { 201: "Object created" },
+  });
+
+  const app = express();
+  app.get("/healthz", (req, res) => res.send("OK"));
+  app.get("/:namespace/dataset", auth.read, getDataset, (req, res) =>
+    res.json([])
+  );
+  app.post("/:namespace/data", auth.write, postData, (req, res) =>
+    res.sendStatus(201)
+  );
+
+  const request = (params, query, contentType, body) => ({
+    params: params,
+    query: query,
+    body: body,
+    is: (types) =>
+      []
+        .concat(types)
+        .some(
+          (type) =>
+            type === contentType ||
+            (type === "application/*+json" && /\+json$/.test(contentType || ""))
+        ),
+  });
+
+  // Run the request through the operation middleware, providing the status and errors it is passed on with.
+  const validate = (operation, req) => {
+    let result = null;
+    operation(
+      req,
+      {},
+      (err) =>
+        (result = err
+          ? { statusCode: err.status, errors: err.errors }
+          : { statusCode: 200 })
+    );
+    return result;
+  };
+
+  test("Test the document describes each route with an operation", () => {
+    const document = api.document(app, { server: "http://localhost:4242" });
+
+    expect(document.openapi).toEqual("3.1.0");
+    expect(document.servers).toEqual([{ url: "http://localhost:4242" }]);
+    expect(Object.keys(document.paths)).toEqual([
+      "/{namespace}/dataset",
+      "/{namespace}/data",
+    ]);
+
+    const described = document.paths["/{namespace}/data"].post;
+    expect(described).toMatchObject({
+      operationId: "postData",
+      "x-permission": "write",
+      security: [{ apiKey: [] }, { bearer: [] }],
+      requestBody: {
+        required: true,
+        content: {
+          "application/json": {
+            schema: { $ref: "#/components/schemas/DataObject" },
+          },
+        },
+      },
+    });
+    expect(described.parameters).toEqual([
+      expect.objectContaining({
+        name: "namespace",
+        in: "path",
+        required: true,
+      }),
+    ]);
+    expect(Object.keys(described.responses).sort()).toEqual([
+      "201",
+      "400",
+      "401",
+      "403",
+      "413",
+      "429",
+    ]);
+    // Errors are described by the problem details they are reported with.
+    expect(described.responses[403].content).toEqual({
+      "application/problem+json": {
+        schema: { $ref: "#/components/schemas/Problem" },
+      },
+    });
+    expect(
+      document.paths["/{namespace}/dataset"].get.parameters.map(
+        (parameter) => parameter.name
+      )
+    ).toEqual(["namespace", "sort", "fields", "limit", "offset", "filter"]);
+  });
+
+  test("Test namespaces with a registered schema are described by paths of their own", () => {
+    const document = api.document(app, {
+      schemas: {
+        tasks: {
+          $schema: "http://json-schema.org/draft-07/schema#",
+          type: "object",
+          properties: { owner: { $ref: "#/definitions/owner" } },
+          definitions: { owner: { type: "string" } },
+        },
+      },
+    });
+
+    const described = document.paths["/tasks/data"].post;
+    expect(described.operationId).toEqual("postData.tasks");
+    expect(described.parameters).toEqual([]);
+    expect(described.requestBody.content["application/json"].schema).toEqual({
+      $ref: "#/components/schemas/tasks.DataObject",
+    });
+    // Paths which do not describe data objects are not repeated for the namespace.
+    expect(document.paths["/tasks/dataset"]).toBeUndefined();
+    expect(
+      document.components.schemas["tasks.DataObject"].allOf[1].properties
+    ).toEqual({
+      owner: {
+        $ref: "#/components/schemas/tasks.DataObject/allOf/1/definitions/owner",
+      },
+    });
+    expect(
+      document.components.schemas["tasks.DataObject"].allOf[1]
+    ).not.toHaveProperty("$schema");
+  });
+
+  test("Test query parameters are validated as their declared type", () => {
+    const query = { limit: "10", status: "done", n: { gt: "2" } };
+
+    expect(
+      validate(getDataset, request({ namespace: "tasks" }, query))
+    ).toEqual({ statusCode: 200 });
+    // The query is left as it was received.
+    expect(query.limit).toEqual("10");
+
+    const res = validate(
+      getDataset,
+      request({ namespace: "tasks" }, { limit: "ten", offset: "-1" })
+    );
+    expect(res.statusCode).toEqual(400);
+    expect(res.errors.map((error) => error.path)).toEqual([
+      "/query/limit",
+      "/query/offset",
+    ]);
+  });
+
+  test("Test JSON bodies are validated against the schema of their media type", () => {
+    expect(
+      validate(
+        postData,
+        request({ namespace: "tasks" }, {}, "application/json", { n: 1 })
+      )
+    ).toEqual({ statusCode: 200 });
+
+    const res = validate(
+      postData,
+      request({ namespace: "tasks" }, {}, "application/json", [1])
+    );
+    expect(res.statusCode).toEqual(400);
+    expect(res.errors).toEqual([
+      expect.objectContaining({ path: "/body", keyword: "type" }),
+    ]);
+
+    // Other content types are left to the route handler.
+    expect(
+      validate(postData, request({ namespace: "tasks" }, {}, "text/plain", {}))
+    ).toEqual({ statusCode: 200 });
+  });
+});
@@ -0,0 +1,82 @@
+const {
+  mergePatch,
+  jsonPatch,
+  createPatch,
+  jsonPatchType,
+  mergePatchType,
+  PatchError,
+} = require("../src/service/patch");
+
+describe("Test data object patch module", () => {
+  const original = {
+    _id: "1",
+    title: "Task",
+    tags: ["a", "b"],
+    detail: { owner: "me", due: "today" },
+  };
+
+  test("Test merge patch adds, replaces and removes fields", () => {
+    const patched = mergePatch(original, {
+      title: "Updated",
+      done: true,
+      detail: { due: null, priority: 1 },
+    });
+
+    expect(patched).toEqual({
+      _id: "1",
+      title: "Updated",
+      done: true,
+      tags: ["a", "b"],
+      detail: { owner: "me", priority: 1 },
+    });
+    expect(original.title).toEqual("Task");
+  });
+
+  test("Test merge patch replaces arrays", () => {
+    expect(mergePatch(original, { tags: ["c"] }).tags).toEqual(["c"]);
+  });
+
+  test("Test JSON patch operations", () => {
+    const patched = jsonPatch(original, [
+      { op: "replace", path: "/title", value: "Updated" },
+      { op: "add", path: "/tags/-", value: "c" },
+      { op: "remove", path: "/tags/0" },
+      { op: "move", from: "/detail/owner", path: "/owner" },
+      { op: "copy", from: "/owner", path: "/detail/creator" },
+      { op: "test", path: "/detail/due", value: "today" },
+    ]);
+
+    expect(patched).toEqual({
+      _id: "1",
+      title: "Updated",
+      tags: ["b", "c"],
+      owner: "me",
+      detail: { due: "today", creator: "me" },
+    });
+  });
+
+  test("Test JSON patch failures", () => {
+    expect(() =>
+      jsonPatch(original, [{ op: "test", path: "/title", value: "Other" }])
+    ).toThrow(PatchError);
+    expect(() =>
+      jsonPatch(original, [{ op: "remove", path: "/missing" }])
+    ).toThrow(PatchError);
+    expect(() =>
+      jsonPatch(original, [{ op: "add", path: "/tags/5", value: "x" }])
+    ).toThrow(PatchError);
+    expect(() => jsonPatch(original, { op: "add" })).toThrow(PatchError);
+  });
+
+  test("Test patch format is selected by content type", () => {
+    const merge = createPatch(mergePatchType, { title: "Merged" });
+    expect(merge(original).title).toEqual("Merged");
+
+    const json = createPatch(jsonPatchType, [
+      { op: "replace", path: "/title", value: "Patched" },
+    ]);
+    expect(json(original).title).toEqual("Patched");
+
+    expect(() => createPatch("application/json", [])).toThrow(PatchError);
+  });
+});
@@ -0,0 +1,78 @@
+const { parseQuery, applyQuery, QueryError } = require("../src/service/query");
+
+describe("Test dataset query module", () => {
+  const dataset = [
+    { _id: 1, title: "a", price: 5, tags: ["x", "y"] },
+    { _id: 2, title: "b", price: 15, detail: { owner: "me" } },
+    { _id: 3, title: "c", price: "15" },
+    { _id: 4, title: "d", price: 25, done: true },
+  ];
+
+  const ids = (params) =>
+    applyQuery(dataset, parseQuery(params)).items.map((data) => data._id);
+
+  test("Test equality filters match converted and raw values", () => {
+    expect(ids({ price: "15" })).toEqual([2, 3]);
+    expect(ids({ done: "true" })).toEqual([4]);
+    expect(ids({ title: ["a", "d"] })).toEqual([1, 4]);
+    expect(ids({ tags: "y" })).toEqual([1]);
+    expect(ids({ "detail.owner": "me" })).toEqual([2]);
+  });
+
+  test("Test comparison filters only match values of the same type", () => {
+    expect(ids({ price: { gte: "15" } })).toEqual([2, 4]);
+    expect(ids({ price: { gt: "5", lt: "25" } })).toEqual([2]);
+    expect(ids({ price: { ne: "15" } })).toEqual([1, 4]);
+    expect(ids({ title: { in: "b,c" } })).toEqual([2, 3]);
+  });
+
+  test("Test sort, projection and pagination", () => {
+    expect(ids({ sort: "-price,title" })).toEqual([3, 4, 2, 1]);
+
+    const result = applyQuery(
+      dataset,
+      parseQuery({ sort: "title", fields: "title,detail.owner", limit: "2", offset: "1" })
+    );
+    expect(result.total).toEqual(4);
+    expect(result.items).toEqual([
+      { _id: 2, title: "b", detail: { owner: "me" } },
+      { _id: 3, title: "c" },
+    ]);
+  });
+
+  test("Test arrays sort by their lowest element ascending and their highest descending", () => {
+    const lists = [
+      { _id: 1, n: [5, 1] },
+      { _id: 2, n: [3] },
+      { _id: 3, n: [2, 9] },
+      { _id: 4, n: [] },
+    ];
+    const sorted = (sort) =>
+      applyQuery(lists, parseQuery({ sort: sort })).items.map((data) => data._id);
+
+    expect(sorted("n")).toEqual([4, 1, 3, 2]);
+    expect(sorted("-n")).toEqual([3, 1, 2, 4]);
+  });
+
+  test("Test fields within another projected field are dropped from the projection", () => {
+    const { fields } = parseQuery({ fields: "detail.owner,detail,_id.x,title,title" });
+    expect(fields).toEqual(["detail", "title"]);
+    expect(ids({ fields: "detail,detail.owner" })).toEqual([1, 2, 3, 4]);
+  });
+
+  test("Test invalid query parameters", () => {
+    expect(() => parseQuery({ limit: "-1" })).toThrow("must be a non-negative integer");
+    expect(() => parseQuery({ price: { regex: "1" } })).toThrow(QueryError);
+    expect(() => parseQuery({ $where: "1" })).toThrow(QueryError);
+    expect(() => parseQuery({ price: { gt: ["1", "2"] } })).toThrow(QueryError);
+  });
+
+  test("Test paging and search parameters of other APIs are rejected, unless given an operator", () => {
+    ["cursor", "page", "q"].forEach((name) =>
+      expect(() => parseQuery({ [name]: "x" })).toThrow(QueryError)
+    );
+    expect(parseQuery({ page: { eq: "2" } }).filter).toEqual([
+      { field: "page", op: "eq", values: [2, "2"] },
+    ]);
+  });
+});
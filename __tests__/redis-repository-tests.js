@@ -0,0 +1,132 @@
+const { parseQuery } = require("../src/service/query");
+const { createServer } = require("./support/resp-server");
+
+describe("Test redis repository", () => {
+  const LOADED_ENV = process.env;
+  let server = null;
+  let url = null;
+  let repository = null;
+  let now = 0;
+
+  const load = (env) => {
+    process.env = { ...LOADED_ENV, REDIS_URL: url, ...env };
+    jest.resetModules();
+    repository = require("../src/repository/redis-repository");
+  };
+
+  const call = (operation, ...args) =>
+    new Promise((resolve, reject) =>
+      operation(...args, (err, result) => (err ? reject(err) : resolve(result)))
+    );
+
+  const ids = async (namespace) =>
+    (await call(repository.read, namespace, parseQuery({}))).items.map(
+      (item) => item._id
+    );
+
+  beforeAll(async () => {
+    server = createServer();
+    url = await server.listen();
+  });
+
+  beforeEach(() => {
+    now = 1000000;
+    jest.spyOn(Date, "now").mockImplementation(() => now);
+    jest.spyOn(process.stdout, "write").mockImplementation(() => true);
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await call(repository.close);
+    server.flush();
+  });
+
+  afterAll(async () => {
+    process.env = LOADED_ENV;
+    await server.close();
+  });
+
+  test("Test each namespace is stored as a hash under the key prefix", async () => {
+    load({ REDIS_KEY_PREFIX: "app" });
+    await call(repository.create, "tasks", { n: 1 });
+    await call(repository.putSettings, "notes", { idStrategy: "uuid" });
+
+    expect([...server.keys.keys()].sort()).toEqual([
+      "app:data:tasks",
+      "app:namespaces",
+      "app:sequence:tasks",
+      "app:settings:notes",
+      "app:written:tasks",
+    ]);
+    expect(server.keys.get("app:data:tasks").type).toEqual("hash");
+    expect(
+      JSON.parse(server.keys.get("app:data:tasks").value.get("1"))
+    ).toEqual({ n: 1, _id: 1, _version: 1 });
+  });
+
+  test("Test objects expire once their time to live has elapsed since their last write", async () => {
+    load({ REDIS_TTL: "60" });
+    await call(repository.create, "tasks", { n: 1 });
+    now += 30000;
+    await call(repository.create, "tasks", { n: 2 });
+    now += 20000;
+    await call(repository.update, "tasks", "1", { n: 1 }, null);
+
+    now += 45000;
+    expect(await ids("tasks")).toEqual([1]);
+    expect(await call(repository.get, "tasks", "2")).toBeNull();
+
+    now += 60000;
+    expect(await ids("tasks")).toEqual([]);
+    expect(server.keys.has("mydata:data:tasks")).toBe(false);
+  });
+
+  test("Test the ttl setting of a namespace overrides the time to live of the repository", async () => {
+    load({ REDIS_TTL: "60" });
+    await call(repository.putSettings, "sessions", { ttl: 10 });
+    await call(repository.putSettings, "kept", { ttl: 0 });
+    await call(repository.create, "sessions", { n: 1 });
+    await call(repository.create, "kept", { n: 1 });
+    await call(repository.create, "tasks", { n: 1 });
+
+    now += 15000;
+    expect(await ids("sessions")).toEqual([]);
+    expect(await ids("tasks")).toEqual([1]);
+
+    now += 365 * 24 * 3600 * 1000;
+    expect(await ids("tasks")).toEqual([]);
+    expect(await ids("kept")).toEqual([1]);
+  });
+
+  test("Test a ttl setting applies to the objects already stored", async () => {
+    load({});
+    await call(repository.create, "tasks", { n: 1 });
+    now += 20000;
+    await call(repository.create, "tasks", { n: 2 });
+
+    await call(repository.putSettings, "tasks", { ttl: 10 });
+    expect(await ids("tasks")).toEqual([2]);
+  });
+
+  test("Test objects never expire without a time to live", async () => {
+    load({});
+    await call(repository.create, "tasks", { n: 1 });
+    now += 365 * 24 * 3600 * 1000;
+
+    expect(await ids("tasks")).toEqual([1]);
+  });
+
+  test("Test an unreachable server is reported as unavailable", async () => {
+    const unreachable = createServer();
+    const unreachableUrl = await unreachable.listen();
+    await unreachable.close();
+    load({ REDIS_URL: unreachableUrl, REDIS_CONNECT_RETRIES: "0" });
+
+    await expect(call(repository.ping)).rejects.toMatchObject({
+      name: "UnavailableError",
+    });
+    await expect(call(repository.get, "tasks", "1")).rejects.toMatchObject({
+      name: "UnavailableError",
+    });
+  });
+});
@@ -0,0 +1,612 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { parseQuery, applyQuery, allQuery } = require("../src/service/query");
+const {
+  PatchError,
+  mergePatchType,
+  createPatch,
+} = require("../src/service/patch");
+const { createServer } = require("./support/resp-server");
+
+// Error classes are compared by name, as each test loads the repository modules afresh.
+
+/*
+ * Every repository must fulfil the same contract, so the service behaves the same whichever is configured.
+ * The MongoDB repository is only tested when MONGO_TEST_URI addresses a server to test against, whereas the Redis
+ * repository is tested against an in-process stand-in.
+ */
+const redisServer = createServer();
+let redisUrl = null;
+
+const repositories = [
+  {
+    name: "memory-repository",
+    expires: true,
+    env: () => ({}),
+    cleanup: () => {},
+  },
+  {
+    name: "fs-repository",
+    env: () => ({
+      FS_LOCATION: fs.mkdtempSync(path.join(os.tmpdir(), "conformance-")),
+    }),
+    cleanup: (env) => fs.rmdirSync(env.FS_LOCATION, { recursive: true }),
+  },
+  {
+    name: "redis-repository",
+    expires: true,
+    start: async () => (redisUrl = await redisServer.listen()),
+    stop: () => redisServer.close(),
+    env: () => ({ REDIS_URL: redisUrl }),
+    cleanup: () => redisServer.flush(),
+  },
+  {
+    name: "mongo-repository",
+    skip: !process.env.MONGO_TEST_URI,
+    env: () => ({
+      MONGO_URI: process.env.MONGO_TEST_URI,
+      DB_NAME: "MyDataConformance",
+    }),
+    cleanup: () => {},
+  },
+];
+
+// Identifiers of the form MongoDB gives by default, which it stores as ObjectIDs.
+const ids = [
+  "5f1d7c6a2b3e4f5a6b7c8d01",
+  "5f1d7c6a2b3e4f5a6b7c8d02",
+  "5f1d7c6a2b3e4f5a6b7c8d03",
+];
+
+describe.each(
+  repositories.map((implementation) => [implementation.name, implementation])
+)("Test %s conformance", (name, implementation) => {
+  const LOADED_ENV = process.env;
+  const suite = implementation.skip ? describe.skip : describe;
+  let env = null;
+  let repository = null;
+  let namespace = null;
+  let namespaces = 0;
+
+  const call = (operation, ...args) =>
+    new Promise((resolve, reject) =>
+      repository[operation](namespace, ...args, (err, result) =>
+        err ? reject(err) : resolve(result)
+      )
+    );
+
+  beforeAll(async () => {
+    if (implementation.start) {
+      await implementation.start();
+    }
+  });
+
+  beforeEach(() => {
+    env = implementation.env();
+    process.env = { ...LOADED_ENV, ...env };
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(process.stdout, "write").mockImplementation(() => true);
+    jest.resetModules();
+    repository = require(`../src/repository/${name}`);
+    namespace = `conformance${Date.now()}x${namespaces++}`;
+  });
+
+  afterEach(async () => {
+    if (repository.close) {
+      await new Promise((resolve) => repository.close(() => resolve()));
+    }
+    jest.restoreAllMocks();
+    implementation.cleanup(env);
+  });
+
+  afterAll(async () => {
+    process.env = LOADED_ENV;
+    if (implementation.stop) {
+      await implementation.stop();
+    }
+  });
+
+  suite("Contract", () => {
+    test("Test a created object is stored with its identifier and version", async () => {
+      const id = await call("create", { name: "first" });
+      const data = await call("get", String(id));
+
+      expect(String(data._id)).toEqual(String(id));
+      expect(data.name).toEqual("first");
+      expect(data._version).toEqual(1);
+    });
+
+    test("Test a created object is given an identifier in place of the one it carries", async () => {
+      const id = await call("create", { _id: ids[2], n: 1 });
+      const [result] = await call(
+        "batch",
+        [{ op: "create", data: { _id: ids[2], n: 2 } }],
+        false
+      );
+
+      expect(String(id)).not.toEqual(ids[2]);
+      expect(String(result.data._id)).not.toEqual(ids[2]);
+      expect(await call("get", String(id))).toMatchObject({ n: 1 });
+      expect(await call("get", String(result.data._id))).toMatchObject({
+        n: 2,
+      });
+      expect(await call("get", ids[2])).toBeNull();
+    });
+
+    test("Test getting an unknown identifier provides null", async () => {
+      expect(await call("get", ids[0])).toBeNull();
+    });
+
+    test("Test update reports whether it created the object", async () => {
+      expect(await call("update", ids[0], { n: 1 }, null)).toEqual({
+        created: true,
+        version: 1,
+        previous: null,
+      });
+      const result = await call("update", ids[0], { n: 2 }, null);
+      expect(result).toMatchObject({ created: false, version: 2 });
+      expect(result.previous).toMatchObject({ n: 1, _version: 1 });
+      expect((await call("get", ids[0])).n).toEqual(2);
+    });
+
+    test("Test update replaces the object and drops omitted fields", async () => {
+      await call(
+        "update",
+        ids[0],
+        { title: "a", done: false, tags: ["x"] },
+        null
+      );
+      await call("update", ids[0], { title: "b" }, [1]);
+      expect(await call("get", ids[0])).toEqual({
+        title: "b",
+        _id: expect.anything(),
+        _version: 2,
+      });
+
+      const results = await call(
+        "batch",
+        [{ op: "update", id: ids[0], data: { done: true }, ifMatch: null }],
+        false
+      );
+      expect(results[0].outcome).toEqual("updated");
+      const stored = await call("get", ids[0]);
+      expect(stored).toMatchObject({ done: true, _version: 3 });
+      expect(stored).not.toHaveProperty("title");
+    });
+
+    test("Test conditional updates require a matching version", async () => {
+      await expect(
+        call("update", ids[0], { n: 1 }, "*")
+      ).rejects.toHaveProperty("name", "VersionMismatchError");
+
+      await call("update", ids[0], { n: 1 }, null);
+      await expect(
+        call("update", ids[0], { n: 2 }, [2])
+      ).rejects.toHaveProperty("name", "VersionMismatchError");
+      expect(await call("update", ids[0], { n: 2 }, [1])).toMatchObject({
+        created: false,
+        version: 2,
+      });
+    });
+
+    test("Test patch applies to stored objects only", async () => {
+      const merge = createPatch(mergePatchType, { n: 2 });
+      expect(await call("patch", ids[0], merge, null)).toBeNull();
+
+      await call("update", ids[0], { n: 1, name: "first" }, null);
+      const data = await call("patch", ids[0], merge, [1]);
+      expect(data).toMatchObject({ n: 2, name: "first", _version: 2 });
+
+      await expect(call("patch", ids[0], merge, [1])).rejects.toHaveProperty(
+        "name",
+        "VersionMismatchError"
+      );
+      await expect(
+        call(
+          "patch",
+          ids[0],
+          () => {
+            throw new PatchError("Rejected");
+          },
+          null
+        )
+      ).rejects.toHaveProperty("name", "PatchError");
+      expect((await call("get", ids[0]))._version).toEqual(2);
+    });
+
+    test("Test delete provides the deleted object", async () => {
+      await call("update", ids[0], { n: 1 }, null);
+
+      await expect(call("delete", ids[0], [2])).rejects.toHaveProperty(
+        "name",
+        "VersionMismatchError"
+      );
+      expect(await call("delete", ids[0], [1])).toMatchObject({
+        n: 1,
+        _version: 1,
+      });
+      expect(await call("delete", ids[0], null)).toBeNull();
+      await expect(call("delete", ids[0], "*")).rejects.toHaveProperty(
+        "name",
+        "VersionMismatchError"
+      );
+      expect(await call("get", ids[0])).toBeNull();
+    });
+
+    test("Test read applies the query to the dataset", async () => {
+      await Promise.all(
+        [3, 1, 2].map((n) => call("create", { n: n, even: n % 2 === 0 }))
+      );
+
+      const result = await call(
+        "read",
+        parseQuery({ even: "false", sort: "-n" })
+      );
+      expect(result.total).toEqual(2);
+      expect(result.items.map((item) => item.n)).toEqual([3, 1]);
+
+      const page = await call(
+        "read",
+        parseQuery({ sort: "n", offset: "1", limit: "1" })
+      );
+      expect(page.total).toEqual(3);
+      expect(page.items.map((item) => item.n)).toEqual([2]);
+    });
+
+    test("Test read sorts by array elements and projects nested fields as applyQuery does", async () => {
+      const objects = [
+        { tags: [5, 1], detail: { owner: "a", size: 2 } },
+        { tags: [3], detail: { owner: "b", size: 1 } },
+        { tags: [2, 9], detail: { owner: "c", size: 3 } },
+      ];
+      await Promise.all(
+        objects.map((data, index) => call("update", ids[index], data, null))
+      );
+      const stored = (await call("read", allQuery())).items;
+      const comparable = (items) =>
+        items.map((item) => ({ ...item, _id: String(item._id) }));
+
+      for (const params of [
+        { sort: "tags" },
+        { sort: "-tags" },
+        { fields: "detail,detail.owner" },
+        { fields: "detail.owner,_id,detail.owner", sort: "-tags" },
+      ]) {
+        const query = parseQuery(params);
+        expect(comparable((await call("read", query)).items)).toEqual(
+          comparable(applyQuery(stored, query).items)
+        );
+      }
+      // Arrays sort by their lowest element ascending, and their highest descending.
+      const sorted = async (sort) =>
+        (await call("read", parseQuery({ sort: sort }))).items.map((item) =>
+          String(item._id)
+        );
+      expect(await sorted("tags")).toEqual([ids[0], ids[2], ids[1]]);
+      expect(await sorted("-tags")).toEqual([ids[2], ids[0], ids[1]]);
+    });
+
+    test("Test integer identifiers are stored as numbers whichever route writes them", async () => {
+      await call("putSettings", {
+        readOnly: false,
+        quota: null,
+        idStrategy: "increment",
+        idField: null,
+      });
+      expect(await call("create", { n: 1 })).toEqual(1);
+      await call("update", "10", { n: 10 }, null);
+      await call(
+        "batch",
+        [{ op: "update", id: "2", data: { n: 2 }, ifMatch: null }],
+        false
+      );
+      await call("patch", "2", (data) => ({ ...data, patched: true }), null);
+
+      const sorted = await call("read", parseQuery({ sort: "_id" }));
+      expect(sorted.items.map((item) => item._id)).toEqual([1, 2, 10]);
+      const filtered = await call("read", parseQuery({ _id: { gte: "2" } }));
+      expect(filtered.items.map((item) => item._id).sort()).toEqual([10, 2]);
+      expect(await call("get", "10")).toMatchObject({ _id: 10, n: 10 });
+    });
+
+    test("Test scan provides every object", async () => {
+      await call("create", { n: 1 });
+      await call("create", { n: 2 });
+
+      const scanned = [];
+      await call("scan", async (data) => {
+        scanned.push(data.n);
+      });
+      expect(scanned.sort()).toEqual([1, 2]);
+    });
+
+    test("Test batch reports the outcome of each operation", async () => {
+      await call("update", ids[0], { n: 1 }, null);
+
+      const results = await call(
+        "batch",
+        [
+          { op: "create", data: { n: 2 } },
+          { op: "update", id: ids[0], data: { n: 3 }, ifMatch: [1] },
+          { op: "update", id: ids[1], data: { n: 4 }, ifMatch: null },
+          { op: "delete", id: ids[0], ifMatch: [1] },
+        ],
+        false
+      );
+      expect(results.map((result) => result.outcome)).toEqual([
+        "created",
+        "updated",
+        "created",
+        "mismatch",
+      ]);
+      expect(results.map((result) => result.previous)).toEqual([
+        null,
+        expect.objectContaining({ n: 1 }),
+        null,
+        undefined,
+      ]);
+      expect(await call("delete", ids[1], null)).toMatchObject({ n: 4 });
+      expect(
+        (
+          await call(
+            "batch",
+            [{ op: "delete", id: ids[1], ifMatch: null }],
+            false
+          )
+        )[0].outcome
+      ).toEqual("notFound");
+      expect((await call("get", ids[0])).n).toEqual(3);
+    });
+
+    test("Test a failed atomic batch is rolled back", async () => {
+      const results = await call(
+        "batch",
+        [
+          { op: "update", id: ids[0], data: { n: 1 }, ifMatch: null },
+          { op: "delete", id: ids[1], ifMatch: [1] },
+        ],
+        true
+      );
+      expect(results.map((result) => result.outcome)).toEqual([
+        "rolledBack",
+        "mismatch",
+      ]);
+      expect(await call("get", ids[0])).toBeNull();
+    });
+  });
+
+  suite("Namespaces", () => {
+    const settings = (readOnly, quota) => ({
+      readOnly: readOnly,
+      quota: quota,
+      idStrategy: null,
+      idField: null,
+      ttl: null,
+    });
+
+    const listed = () =>
+      new Promise((resolve, reject) =>
+        repository.namespaces((err, result) =>
+          err ? reject(err) : resolve(result)
+        )
+      );
+
+    test("Test a ttl setting is only stored by repositories which expire objects", async () => {
+      const expiring = { ...settings(false, null), ttl: 60 };
+      if (implementation.expires) {
+        expect(await call("putSettings", expiring)).toEqual(true);
+        expect(await call("getSettings")).toMatchObject({ ttl: 60 });
+      } else {
+        await expect(call("putSettings", expiring)).rejects.toHaveProperty(
+          "name",
+          "NamespaceError"
+        );
+        expect(await call("getSettings")).toBeNull();
+      }
+      expect(
+        await call("putSettings", { ...settings(false, null), ttl: 0 })
+      ).toEqual(!implementation.expires);
+    });
+
+    test("Test a namespace exists once it holds objects or settings", async () => {
+      expect(await call("getSettings")).toBeNull();
+      expect(
+        (await listed()).find((item) => item.name === namespace)
+      ).toBeUndefined();
+
+      await call("create", { n: 1 });
+      expect(await call("getSettings")).toEqual(settings(false, null));
+      expect(
+        (await listed()).find((item) => item.name === namespace)
+      ).toMatchObject({ count: 1, settings: settings(false, null) });
+
+      expect(await call("putSettings", settings(false, 5))).toEqual(false);
+      expect(await call("getSettings")).toEqual(settings(false, 5));
+    });
+
+    test("Test a read-only namespace rejects writes", async () => {
+      await call("update", ids[0], { n: 1 }, null);
+      expect(await call("putSettings", settings(true, null))).toEqual(false);
+
+      await expect(call("create", { n: 2 })).rejects.toHaveProperty(
+        "name",
+        "ReadOnlyNamespaceError"
+      );
+      await expect(
+        call("update", ids[0], { n: 2 }, null)
+      ).rejects.toHaveProperty("name", "ReadOnlyNamespaceError");
+      await expect(call("delete", ids[0], null)).rejects.toHaveProperty(
+        "name",
+        "ReadOnlyNamespaceError"
+      );
+      expect((await call("get", ids[0])).n).toEqual(1);
+    });
+
+    test("Test writes beyond the quota are rejected", async () => {
+      expect(await call("putSettings", settings(false, 2))).toEqual(true);
+      await call("create", { n: 1 });
+      await call("update", ids[0], { n: 2 }, null);
+
+      await expect(call("create", { n: 3 })).rejects.toHaveProperty(
+        "name",
+        "NamespaceQuotaError"
+      );
+      await expect(
+        call("batch", [{ op: "create", data: { n: 3 } }], false)
+      ).rejects.toHaveProperty("name", "NamespaceQuotaError");
+      // Replacing, or deleting, objects is still permitted.
+      await call("update", ids[0], { n: 3 }, null);
+      await call("delete", ids[0], null);
+      await call("create", { n: 4 });
+    });
+
+    test("Test a namespace is renamed with its objects and settings", async () => {
+      const to = `${namespace}renamed`;
+      await call("update", ids[0], { n: 1 }, null);
+      await call("putSettings", settings(false, 10));
+
+      expect(await call("renameNamespace", to)).toEqual(true);
+      expect(await call("getSettings")).toBeNull();
+      expect(await call("get", ids[0])).toBeNull();
+
+      const original = namespace;
+      namespace = to;
+      expect((await call("get", ids[0])).n).toEqual(1);
+      expect(await call("getSettings")).toEqual(settings(false, 10));
+      await call("create", { n: 2 });
+
+      namespace = original;
+      expect(await call("renameNamespace", to)).toEqual(false);
+      await call("create", { n: 3 });
+      await expect(call("renameNamespace", to)).rejects.toHaveProperty(
+        "name",
+        "NamespaceExistsError"
+      );
+    });
+
+    test("Test a dropped namespace no longer exists", async () => {
+      await call("create", { n: 1 });
+      await call("putSettings", settings(true, null));
+
+      expect(await call("dropNamespace")).toEqual(true);
+      expect(await call("getSettings")).toBeNull();
+      expect((await call("read", parseQuery({}))).total).toEqual(0);
+      expect(await call("dropNamespace")).toEqual(false);
+      // The settings are dropped with the namespace.
+      await call("create", { n: 2 });
+    });
+  });
+
+  suite("Identifiers", () => {
+    const strategy = (idStrategy, idField) =>
+      call("putSettings", {
+        readOnly: false,
+        quota: null,
+        idStrategy: idStrategy,
+        idField: idField || null,
+      });
+
+    test.each([
+      ["increment", /^[1-9][0-9]*$/],
+      [
+        "uuid",
+        /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/,
+      ],
+      ["ulid", /^[0-9A-HJKMNP-TV-Z]{26}$/],
+      ["objectid", /^[0-9a-f]{24}$/],
+    ])(
+      "Test the %s strategy gives identifiers",
+      async (idStrategy, pattern) => {
+        await strategy(idStrategy);
+        const first = String(await call("create", { n: 1 }));
+        const second = String(await call("create", { n: 2 }));
+
+        expect(first).toMatch(pattern);
+        expect(second).not.toEqual(first);
+        expect((await call("get", second)).n).toEqual(2);
+      }
+    );
+
+    test("Test increment skips identifiers already in use", async () => {
+      await strategy("increment");
+      await call("update", "1", { n: 1 }, null);
+
+      expect(String(await call("create", { n: 2 }))).not.toEqual("1");
+      expect((await call("read", parseQuery({}))).total).toEqual(2);
+    });
+
+    test("Test increment never reuses the identifier of a deleted object", async () => {
+      await strategy("increment");
+      expect(String(await call("create", { n: 1 }))).toEqual("1");
+      expect(String(await call("create", { n: 2 }))).toEqual("2");
+      await call("delete", "2", null);
+
+      expect(String(await call("create", { n: 3 }))).toEqual("3");
+    });
+
+    test("Test increment only reserves identifiers for batches which are applied", async () => {
+      await strategy("increment");
+      const results = await call(
+        "batch",
+        [
+          { op: "create", data: { n: 1 } },
+          { op: "delete", id: "missing", ifMatch: null },
+        ],
+        true
+      );
+      expect(results.map((result) => result.outcome)).toEqual([
+        "rolledBack",
+        "notFound",
+      ]);
+
+      expect(String(await call("create", { n: 1 }))).toEqual("1");
+    });
+
+    test("Test any identifier addresses an object", async () => {
+      await call("update", "order-7", { n: 1 }, null);
+
+      expect((await call("get", "order-7")).n).toEqual(1);
+      expect(
+        await call("patch", "order-7", createPatch(mergePatchType, { n: 2 }), [
+          1,
+        ])
+      ).toMatchObject({ n: 2 });
+      expect(await call("delete", "order-7", [2])).toMatchObject({ n: 2 });
+    });
+
+    test("Test the natural strategy takes identifiers from a body field", async () => {
+      await strategy("natural", "sku");
+      expect(String(await call("create", { sku: "A-1" }))).toEqual("A-1");
+      expect((await call("get", "A-1")).sku).toEqual("A-1");
+
+      await expect(call("create", { sku: "A-1" })).rejects.toHaveProperty(
+        "name",
+        "IdExistsError"
+      );
+      await expect(call("create", { n: 1 })).rejects.toHaveProperty(
+        "name",
+        "IdError"
+      );
+      await expect(
+        call("update", "A-1", { sku: "B-2" }, null)
+      ).rejects.toHaveProperty("name", "IdError");
+
+      const results = await call(
+        "batch",
+        [
+          { op: "create", data: { sku: "A-1" } },
+          { op: "create", data: { n: 1 } },
+          { op: "create", data: { sku: "B-2" } },
+        ],
+        false
+      );
+      expect(results.map((result) => result.outcome)).toEqual([
+        "exists",
+        "invalid",
+        "created",
+      ]);
+      expect(String(results[2].id)).toEqual("B-2");
+    });
+  });
+});
@@ -0,0 +1,66 @@
+const { promisify } = require("../src/service/repository");
+
+describe("Test repository promise interface", () => {
+  let memory = null;
+  let repository = null;
+
+  beforeEach(() => {
+    jest.resetModules();
+    memory = require("../src/repository/memory-repository");
+    repository = promisify(memory);
+  });
+
+  test("Test operations called without a callback return a promise of their result", async () => {
+    expect(await repository.create("tasks", { title: "a" })).toEqual(1);
+    expect(await repository.get("tasks", "1")).toMatchObject({
+      title: "a",
+      _version: 1,
+    });
+    expect(
+      await repository.update("tasks", "1", { title: "b" }, null)
+    ).toMatchObject({ created: false, version: 2 });
+    expect(await repository.namespaces()).toEqual([
+      expect.objectContaining({ name: "tasks", count: 1 }),
+    ]);
+  });
+
+  test("Test operation errors reject the promise", async () => {
+    await repository.create("tasks", { title: "a" });
+
+    await expect(
+      repository.update("tasks", "1", { title: "b" }, "9")
+    ).rejects.toMatchObject({ name: "VersionMismatchError" });
+  });
+
+  test("Test operations called with a callback complete the callback", (done) => {
+    const returned = repository.create("tasks", { title: "a" }, (err, id) => {
+      expect(err).toBeNull();
+      expect(id).toEqual(1);
+      done();
+    });
+    expect(returned).toBeUndefined();
+  });
+
+  test("Test omitted arguments are passed as undefined", async () => {
+    const calls = [];
+    repository = promisify({
+      ...memory,
+      delete: (...args) => {
+        calls.push(args.length);
+        args[args.length - 1](null, null);
+      },
+    });
+
+    expect(await repository.delete("tasks", "1")).toBeNull();
+    expect(calls).toEqual([4]);
+  });
+
+  test("Test lifecycle operations a repository does not implement complete at once", async () => {
+    const { open, close, ping, ...operations } = memory;
+    repository = promisify(operations);
+
+    await expect(repository.open()).resolves.toBeUndefined();
+    await expect(repository.ping()).resolves.toBeUndefined();
+    await expect(repository.close()).resolves.toBeUndefined();
+  });
+});
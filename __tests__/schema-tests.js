@@ -0,0 +1,82 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+describe("Test namespace schema module", () => {
+  const LOADED_ENV = process.env;
+  let schemaPath = null;
+  let schema = null;
+
+  const taskSchema = {
+    type: "object",
+    required: ["title"],
+    properties: { title: { type: "string" } },
+    additionalProperties: false,
+  };
+
+  beforeEach(() => {
+    jest.resetModules();
+    schemaPath = fs.mkdtempSync(path.join(os.tmpdir(), "schemas-"));
+    process.env = { ...LOADED_ENV, SCHEMA_PATH: schemaPath };
+    schema = require("../src/service/schema");
+  });
+
+  afterEach(() => {
+    fs.rmdirSync(schemaPath, { recursive: true });
+  });
+
+  afterAll(() => {
+    process.env = LOADED_ENV;
+  });
+
+  test("Test registering and removing a schema", (done) => {
+    expect(schema.getSchema("tasks")).toBeNull();
+
+    schema.registerSchema("tasks", taskSchema, (err, created) => {
+      expect(err).toBeNull();
+      expect(created).toBe(true);
+      expect(schema.getSchema("tasks")).toEqual(taskSchema);
+
+      schema.removeSchema("tasks", (err, removed) => {
+        expect(removed).toBe(true);
+        expect(schema.getSchema("tasks")).toBeNull();
+        done();
+      });
+    });
+  });
+
+  test("Test registering an invalid schema", (done) => {
+    schema.registerSchema("tasks", { type: "unknown" }, (err) => {
+      expect(err).toBeInstanceOf(schema.SchemaValidationError);
+      expect(err.errors.length).toBeGreaterThan(0);
+      expect(schema.getSchema("tasks")).toBeNull();
+      done();
+    });
+  });
+
+  test("Test validating data objects", () => {
+    fs.writeFileSync(`${schemaPath}/tasks.json`, JSON.stringify(taskSchema));
+
+    // Identifier and version fields are ignored
+    expect(() =>
+      schema.validate("tasks", { _id: "1", _version: 2, title: "Task" })
+    ).not.toThrow();
+    // Namespaces without a schema accept any object
+    expect(() => schema.validate("other", { any: true })).not.toThrow();
+
+    try {
+      schema.validate("tasks", { title: 1, extra: true });
+      throw new Error("Expected validation to fail");
+    } catch (err) {
+      expect(err).toBeInstanceOf(schema.SchemaValidationError);
+      expect(err.errors.map((error) => error.path).sort()).toEqual([
+        "/",
+        "/title",
+      ]);
+    }
+  });
+
+  test("Test namespaces cannot address files outside the schema path", () => {
+    expect(() => schema.getSchema("../secrets")).toThrow();
+  });
+});
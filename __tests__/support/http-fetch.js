@@ -0,0 +1,40 @@
+const http = require("http");
+
+/**
+ * Minimal fetch over the http module, for the client tests, as the Jest environment does not provide fetch.
+ * Responses provide the fetch Response members the client uses: ok, status, statusText, headers.get() and json().
+ * @function httpFetch
+ * @param {string} url - Request URL
+ * @param {{method: string, headers: object, body: string}} init - Request options
+ * @returns Promise resolving the response
+ */
+const httpFetch = (url, init = {}) =>
+  new Promise((resolve, reject) => {
+    const req = http.request(
+      url,
+      { method: init.method || "GET", headers: init.headers },
+      (res) => {
+        let body = "";
+        res.setEncoding("utf8");
+        res.on("data", (chunk) => (body += chunk));
+        res.on("end", () =>
+          resolve({
+            ok: res.statusCode >= 200 && res.statusCode < 300,
+            status: res.statusCode,
+            statusText: res.statusMessage,
+            headers: {
+              get: (name) => {
+                const value = res.headers[name.toLowerCase()];
+                return value === undefined ? null : String(value);
+              },
+            },
+            json: async () => JSON.parse(body),
+          })
+        );
+      }
+    );
+    req.on("error", reject);
+    req.end(init.body);
+  });
+
+module.exports = httpFetch;
@@ -0,0 +1,300 @@
+const net = require("net");
+const { createParser } = require("../../src/repository/resp");
+
+/**
+ * In-process stand-in for a Redis server, speaking RESP over TCP, so the redis-repository is tested without a live
+ * server. Only the commands the repository uses are implemented, keeping to the Redis semantics for strings,
+ * hashes, sets and sorted sets, and MULTI/EXEC transactions guarded by WATCH.
+ */
+
+const ok = { simple: "OK" };
+const nullArray = { nullArray: true };
+const wrongType = {
+  error: "WRONGTYPE Operation against a key holding the wrong kind of value",
+};
+
+/**
+ * Encode a reply.
+ * @function encode
+ * @param {*} reply - String (bulk string), number, null, array, or an object holding a 'simple' string, an
+ *   'error' or a 'nullArray'
+ * @returns Encoded reply
+ */
+const encode = (reply) => {
+  if (reply === null) {
+    return "$-1\r\n";
+  }
+  if (typeof reply === "number") {
+    return `:${reply}\r\n`;
+  }
+  if (typeof reply === "string") {
+    return `$${Buffer.byteLength(reply)}\r\n${reply}\r\n`;
+  }
+  if (Array.isArray(reply)) {
+    return `*${reply.length}\r\n${reply.map(encode).join("")}`;
+  }
+  if (reply.nullArray) {
+    return "*-1\r\n";
+  }
+  return reply.error ? `-${reply.error}\r\n` : `+${reply.simple}\r\n`;
+};
+
+/**
+ * Create a stand-in server.
+ * @function createServer
+ * @returns Server with 'listen()' resolving its URL, 'close()' resolving once it stops and its connections are
+ *   closed, 'flush()' removing every key, and the 'keys' it holds.
+ */
+const createServer = () => {
+  // Each key holds its type and value, a string, a Map of hash fields, a Set, or a Map of sorted set scores.
+  const keys = new Map();
+  // Number of times each key was modified, for WATCH.
+  const versions = new Map();
+  const sockets = new Set();
+
+  const touch = (key) => versions.set(key, (versions.get(key) || 0) + 1);
+
+  const lookup = (key, type) => {
+    const entry = keys.get(key);
+    if (!entry) {
+      return null;
+    }
+    if (entry.type !== type) {
+      throw wrongType;
+    }
+    return entry.value;
+  };
+
+  const create = (key, type, value) => {
+    const existing = lookup(key, type);
+    if (existing) {
+      return existing;
+    }
+    keys.set(key, { type: type, value: value });
+    return value;
+  };
+
+  // Collections are removed once empty, as Redis removes them.
+  const prune = (key) => {
+    const entry = keys.get(key);
+    if (entry && entry.type !== "string" && entry.value.size === 0) {
+      keys.delete(key);
+    }
+  };
+
+  const score = (value) =>
+    value === "-inf" ? -Infinity : value === "+inf" ? Infinity : Number(value);
+
+  const commands = {
+    PING: () => ({ simple: "PONG" }),
+    AUTH: () => ok,
+    SELECT: () => ok,
+    FLUSHALL: () => {
+      [...keys.keys()].forEach(touch);
+      keys.clear();
+      return ok;
+    },
+    GET: (key) => lookup(key, "string"),
+    SET: (key, value) => {
+      keys.set(key, { type: "string", value: value });
+      touch(key);
+      return ok;
+    },
+    DEL: (...names) =>
+      names.filter((key) => {
+        touch(key);
+        return keys.delete(key);
+      }).length,
+    EXISTS: (...names) => names.filter((key) => keys.has(key)).length,
+    RENAME: (key, to) => {
+      if (!keys.has(key)) {
+        return { error: "ERR no such key" };
+      }
+      keys.set(to, keys.get(key));
+      keys.delete(key);
+      touch(key);
+      touch(to);
+      return ok;
+    },
+    HGET: (key, field) => {
+      const hash = lookup(key, "hash");
+      return hash && hash.has(field) ? hash.get(field) : null;
+    },
+    HSET: (key, ...pairs) => {
+      const hash = create(key, "hash", new Map());
+      let added = 0;
+      for (let index = 0; index < pairs.length; index += 2) {
+        added += hash.has(pairs[index]) ? 0 : 1;
+        hash.set(pairs[index], pairs[index + 1]);
+      }
+      touch(key);
+      return added;
+    },
+    HDEL: (key, ...fields) => {
+      const hash = lookup(key, "hash");
+      const removed = hash ? fields.filter((field) => hash.delete(field)) : [];
+      if (removed.length > 0) {
+        touch(key);
+        prune(key);
+      }
+      return removed.length;
+    },
+    HLEN: (key) => (lookup(key, "hash") || new Map()).size,
+    HEXISTS: (key, field) =>
+      (lookup(key, "hash") || new Map()).has(field) ? 1 : 0,
+    HGETALL: (key) => [...(lookup(key, "hash") || new Map())].flat(),
+    HVALS: (key) => [...(lookup(key, "hash") || new Map()).values()],
+    HSCAN: (key, cursor, ...options) => {
+      const count =
+        options[0] && options[0].toUpperCase() === "COUNT"
+          ? parseInt(options[1])
+          : 10;
+      const fields = [...(lookup(key, "hash") || new Map())].sort();
+      const start = parseInt(cursor);
+      const end = start + count;
+      return [
+        end >= fields.length ? "0" : String(end),
+        fields.slice(start, end).flat(),
+      ];
+    },
+    SADD: (key, ...members) => {
+      const set = create(key, "set", new Set());
+      const added = members.filter((member) => !set.has(member));
+      added.forEach((member) => set.add(member));
+      touch(key);
+      return added.length;
+    },
+    SREM: (key, ...members) => {
+      const set = lookup(key, "set");
+      const removed = set ? members.filter((member) => set.delete(member)) : [];
+      if (removed.length > 0) {
+        touch(key);
+        prune(key);
+      }
+      return removed.length;
+    },
+    SMEMBERS: (key) => [...(lookup(key, "set") || new Set())],
+    ZADD: (key, ...pairs) => {
+      const zset = create(key, "zset", new Map());
+      let added = 0;
+      for (let index = 0; index < pairs.length; index += 2) {
+        added += zset.has(pairs[index + 1]) ? 0 : 1;
+        zset.set(pairs[index + 1], score(pairs[index]));
+      }
+      touch(key);
+      return added;
+    },
+    ZREM: (key, ...members) => {
+      const zset = lookup(key, "zset");
+      const removed = zset
+        ? members.filter((member) => zset.delete(member))
+        : [];
+      if (removed.length > 0) {
+        touch(key);
+        prune(key);
+      }
+      return removed.length;
+    },
+    ZRANGEBYSCORE: (key, min, max) =>
+      [...(lookup(key, "zset") || new Map())]
+        .filter(([member, value]) => value >= score(min) && value <= score(max))
+        .sort((a, b) => a[1] - b[1])
+        .map(([member]) => member),
+  };
+
+  const execute = (name, args) => {
+    if (!commands[name]) {
+      return { error: `ERR unknown command '${name}'` };
+    }
+    try {
+      return commands[name](...args);
+    } catch (err) {
+      return err;
+    }
+  };
+
+  // Each connection tracks the keys it watches and the commands queued by MULTI.
+  const serve = (socket) => {
+    sockets.add(socket);
+    socket.on("close", () => sockets.delete(socket));
+    socket.on("error", () => {});
+    let watched = new Map();
+    let queued = null;
+    let aborted = false;
+
+    const reply = (args) => {
+      const [command, ...rest] = args;
+      const name = command.toUpperCase();
+      switch (name) {
+        case "WATCH":
+          rest.forEach((key) => watched.set(key, versions.get(key) || 0));
+          return ok;
+        case "UNWATCH":
+          watched = new Map();
+          return ok;
+        case "MULTI":
+          queued = [];
+          aborted = false;
+          return ok;
+        case "DISCARD":
+          queued = null;
+          watched = new Map();
+          return ok;
+        case "EXEC": {
+          const transaction = queued;
+          const changed = [...watched].some(
+            ([key, version]) => (versions.get(key) || 0) !== version
+          );
+          queued = null;
+          watched = new Map();
+          if (aborted) {
+            return {
+              error:
+                "EXECABORT Transaction discarded because of previous errors",
+            };
+          }
+          return changed
+            ? nullArray
+            : transaction.map(([queuedName, queuedArgs]) =>
+                execute(queuedName, queuedArgs)
+              );
+        }
+        default:
+          if (queued) {
+            if (!commands[name]) {
+              aborted = true;
+              return { error: `ERR unknown command '${name}'` };
+            }
+            queued.push([name, rest]);
+            return { simple: "QUEUED" };
+          }
+          return execute(name, rest);
+      }
+    };
+
+    const parse = createParser((args) => socket.write(encode(reply(args))));
+    socket.on("data", (chunk) => parse(chunk));
+  };
+
+  const server = net.createServer(serve);
+
+  return {
+    keys: keys,
+    listen: () =>
+      new Promise((resolve) =>
+        server.listen(0, "127.0.0.1", () =>
+          resolve(`redis://127.0.0.1:${server.address().port}`)
+        )
+      ),
+    close: () =>
+      new Promise((resolve) => {
+        sockets.forEach((socket) => socket.destroy());
+        server.close(() => resolve());
+      }),
+    flush: () => commands.FLUSHALL(),
+  };
+};
+
+module.exports = {
+  createServer: createServer,
+};
@@ -0,0 +1,198 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+describe("Test tenants", () => {
+  const LOADED_ENV = process.env;
+  let directory = null;
+  let tenants = null;
+  let repository = null;
+
+  const admin = { subject: "root", grants: { "*": "admin" }, tenant: null };
+  const writer = { subject: "app", grants: { "*": "write" }, tenant: null };
+  const bound = {
+    subject: "acme-app",
+    grants: { "*": "admin" },
+    tenant: "acme",
+  };
+
+  const request = (headers) => ({
+    get: (name) => headers[name.toLowerCase()],
+  });
+
+  // Load the tenants module with the specified environment, over a memory repository holding the tenants.
+  const load = async (env = {}) => {
+    jest.resetModules();
+    process.env = {
+      ...LOADED_ENV,
+      AUTHENTICATION: "api-key",
+      API_KEYS_FILE: path.join(directory, "keys.json"),
+      TENANT_DOMAIN: "",
+      ...env,
+    };
+    tenants = require("../src/service/tenants");
+    repository = require("../src/service/repository").promisify(
+      require("../src/repository/memory-repository")
+    );
+    await tenants.start(repository);
+  };
+
+  beforeEach(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "tenants-"));
+    fs.writeFileSync(
+      path.join(directory, "keys.json"),
+      JSON.stringify({ root: { subject: "root", grants: { "*": "admin" } } })
+    );
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(process.stdout, "write").mockImplementation(() => true);
+    await load();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmdirSync(directory, { recursive: true });
+  });
+
+  afterAll(() => {
+    process.env = LOADED_ENV;
+  });
+
+  test("Test namespaces are qualified by their tenant", () => {
+    expect(tenants.qualify(null, "tasks")).toEqual("tasks");
+    expect(tenants.qualify("acme", "tasks")).toEqual("tasks@acme");
+    expect(tenants.split("tasks@acme")).toEqual({
+      namespace: "tasks",
+      tenant: "acme",
+    });
+    expect(tenants.split("_history.tasks@acme")).toEqual({
+      namespace: "_history.tasks",
+      tenant: "acme",
+    });
+    expect(tenants.split("tasks")).toEqual({
+      namespace: "tasks",
+      tenant: null,
+    });
+  });
+
+  test("Test tenant settings are validated and completed", () => {
+    expect(tenants.parseSettings({}, null)).toEqual(tenants.defaultSettings);
+    expect(
+      tenants.parseSettings(
+        { rateLimit: 5, cors: { origins: ["https://app.example.com"] } },
+        { ...tenants.defaultSettings, namespaceMaxObjects: 10 }
+      )
+    ).toEqual({
+      namespaceMaxObjects: 10,
+      rateLimit: 5,
+      cors: { origins: ["https://app.example.com"] },
+    });
+
+    [
+      [],
+      { quota: 1 },
+      { namespaceMaxObjects: 0 },
+      { namespaceMaxObjects: 1.5 },
+      { rateLimit: "5" },
+      { cors: { origins: [] } },
+      { cors: { origins: ["https://app.example.com/path"] } },
+      { cors: { origins: ["*"], methods: ["TRACE"] } },
+      { cors: { origins: ["*"], headers: [] } },
+    ].forEach((body) =>
+      expect(() => tenants.parseSettings(body, null)).toThrow(
+        tenants.TenantError
+      )
+    );
+    expect(() => tenants.validateName("Acme")).toThrow(tenants.TenantError);
+    expect(() => tenants.validateName("-acme")).toThrow(tenants.TenantError);
+    expect(tenants.validateName("acme-2")).toEqual("acme-2");
+  });
+
+  test("Test tenants are provisioned, updated, listed and removed", async () => {
+    const created = await tenants.provision("acme", { rateLimit: 5 });
+    expect(created).toMatchObject({
+      created: true,
+      tenant: { tenant: "acme", rateLimit: 5, namespaceMaxObjects: null },
+    });
+    const updated = await tenants.provision("acme", { namespaceMaxObjects: 2 });
+    expect(updated).toEqual({
+      created: false,
+      tenant: {
+        tenant: "acme",
+        namespaceMaxObjects: 2,
+        rateLimit: 5,
+        cors: null,
+        created: created.tenant.created,
+      },
+    });
+    await tenants.provision("beta", {});
+    expect(tenants.list().map((tenant) => tenant.tenant)).toEqual([
+      "acme",
+      "beta",
+    ]);
+
+    // Tenants are loaded from the repository when the service starts
+    await tenants.start(repository);
+    expect(tenants.get("acme")).toEqual(updated.tenant);
+    expect(tenants.objectLimit("tasks@acme")).toEqual(2);
+    expect(tenants.rateLimit("acme")).toEqual(5);
+
+    expect(await tenants.remove("acme")).toBe(true);
+    expect(await tenants.remove("acme")).toBe(false);
+    expect(tenants.get("acme")).toBeNull();
+    await tenants.start(repository);
+    expect(tenants.list().map((tenant) => tenant.tenant)).toEqual(["beta"]);
+  });
+
+  test("Test the tenant of a request is resolved from its identity, header or subdomain", async () => {
+    await load({ TENANT_DOMAIN: "mydata.example.com" });
+    await tenants.provision("acme", {});
+
+    expect(tenants.identify(request({}), admin)).toBeNull();
+    expect(tenants.identify(request({}), bound)).toEqual("acme");
+    expect(tenants.identify(request({ "x-tenant-id": "acme" }), bound)).toEqual(
+      "acme"
+    );
+    expect(tenants.identify(request({ "x-tenant-id": "acme" }), admin)).toEqual(
+      "acme"
+    );
+    expect(
+      tenants.identify(request({ host: "acme.mydata.example.com:3000" }), admin)
+    ).toEqual("acme");
+    // Hosts outside the tenant domain, and the domain itself, name no tenant
+    expect(
+      tenants.identify(request({ host: "mydata.example.com" }), admin)
+    ).toBeNull();
+    expect(
+      tenants.identify(request({ host: "a.b.mydata.example.com" }), admin)
+    ).toBeNull();
+
+    const status = (headers, identity) => {
+      try {
+        tenants.identify(request(headers), identity);
+      } catch (err) {
+        return err.status;
+      }
+      return 200;
+    };
+    expect(status({ "x-tenant-id": "beta" }, bound)).toEqual(403);
+    expect(status({ host: "beta.mydata.example.com" }, bound)).toEqual(403);
+    // Only admins of every namespace may address a tenant their identity is not bound to
+    expect(status({ "x-tenant-id": "acme" }, writer)).toEqual(403);
+    expect(status({ "x-tenant-id": "acme" }, null)).toEqual(401);
+    expect(status({ "x-tenant-id": "beta" }, admin)).toEqual(404);
+    expect(status({ "x-tenant-id": "Acme" }, admin)).toEqual(400);
+  });
+
+  test("Test tenant CORS settings are provided for the tenant the request names", async () => {
+    await tenants.provision("acme", {
+      cors: { origins: ["https://app.example.com"], methods: ["GET"] },
+    });
+
+    expect(tenants.cors(request({ "x-tenant-id": "acme" }))).toEqual({
+      origins: ["https://app.example.com"],
+      methods: ["GET"],
+    });
+    expect(tenants.cors(request({}))).toBeNull();
+    expect(tenants.cors(request({ "x-tenant-id": "beta" }))).toBeNull();
+  });
+});
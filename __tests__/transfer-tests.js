@@ -0,0 +1,190 @@
+const { Readable } = require("stream");
+
+describe("Test dataset export and import", () => {
+  let transfer = null;
+
+  // Minimal repository holding the dataset as an array, providing the scan and batch operations.
+  const fakeRepository = (items) => ({
+    items: items,
+    scan: (namespace, onItem, callback) => {
+      const next = (index) =>
+        index < items.length
+          ? onItem(items[index]).then(() => next(index + 1))
+          : Promise.resolve();
+      next(0).then(() => callback(null), callback);
+    },
+    batch: (namespace, operations, atomic, callback) =>
+      callback(
+        null,
+        operations.map((operation) => {
+          const index = items.findIndex((item) => item._id === operation.id);
+          if (operation.op === "delete") {
+            items.splice(index, 1);
+            return { outcome: "deleted", id: operation.id, data: null };
+          }
+          const data = {
+            ...operation.data,
+            _id: operation.id || String(items.length + 1),
+            _version: index >= 0 ? items[index]._version + 1 : 1,
+          };
+          if (index >= 0) {
+            items[index] = data;
+          } else {
+            items.push(data);
+          }
+          return {
+            outcome: index >= 0 ? "updated" : "created",
+            id: data._id,
+            data: data,
+          };
+        })
+      ),
+  });
+
+  const exportText = (repository, format) =>
+    new Promise((resolve, reject) => {
+      let text = "";
+      transfer.exportDataset(
+        repository,
+        "tasks",
+        format,
+        async (chunk) => (text += chunk),
+        (err) => (err ? reject(err) : resolve(text))
+      );
+    });
+
+  const importText = (repository, body, options) =>
+    new Promise((resolve, reject) =>
+      transfer.importDataset(
+        repository,
+        "tasks",
+        // Split the body across chunks, so rows span chunk boundaries
+        Readable.from(body.match(/[\s\S]{1,5}/g) || []),
+        { mode: "merge", newIds: false, onPerformed: () => {}, ...options },
+        (err, report) => (err ? reject(err) : resolve(report))
+      )
+    );
+
+  beforeEach(() => {
+    jest.resetModules();
+    process.env.SCHEMA_PATH = "/nonexistent";
+    process.env.BATCH_LIMIT = "2";
+    transfer = require("../src/service/transfer");
+  });
+
+  afterAll(() => {
+    delete process.env.SCHEMA_PATH;
+    delete process.env.BATCH_LIMIT;
+  });
+
+  test("Test parsing export and import options", () => {
+    expect(transfer.parseFormat(undefined)).toEqual("json");
+    expect(transfer.parseFormat("csv")).toEqual("csv");
+    expect(() => transfer.parseFormat("xml")).toThrow(transfer.TransferError);
+    expect(transfer.parseImport({})).toEqual({ mode: "merge", newIds: false });
+    expect(transfer.parseImport({ mode: "replace", ids: "new" })).toEqual({
+      mode: "replace",
+      newIds: true,
+    });
+    expect(() => transfer.parseImport({ mode: "append" })).toThrow(
+      transfer.TransferError
+    );
+  });
+
+  test("Test exporting each format", async () => {
+    const repository = fakeRepository([
+      { title: 'a, "b"', count: 2, _id: 1, _version: 3 },
+      { _id: "2", title: "42", tags: ["x"], _version: 1 },
+    ]);
+
+    expect(await exportText(repository, "json")).toEqual(
+      '[\n{"_id":"1","title":"a, \\"b\\"","count":2,"_version":3},\n' +
+        '{"_id":"2","title":"42","tags":["x"],"_version":1}\n]\n'
+    );
+    expect(await exportText(repository, "ndjson")).toEqual(
+      '{"_id":"1","title":"a, \\"b\\"","count":2,"_version":3}\n' +
+        '{"_id":"2","title":"42","tags":["x"],"_version":1}\n'
+    );
+    expect(await exportText(repository, "csv")).toEqual(
+      "_id,title,count,tags,_version\r\n" +
+        '1,"a, ""b""",2,,3\r\n' +
+        '2,"""42""",,"[""x""]",1\r\n'
+    );
+    expect(await exportText(fakeRepository([]), "json")).toEqual("[]\n");
+  });
+
+  test("Test exported CSV imports without loss", async () => {
+    const items = [
+      { _id: "1", title: "42", empty: "", flag: false, _version: 1 },
+      { _id: "2", nested: { list: [1, "a,\nb"] }, _version: 4 },
+    ];
+    const csv = await exportText(fakeRepository(items), "csv");
+
+    const target = fakeRepository([]);
+    const report = await importText(target, csv, { format: "csv" });
+    expect(report).toEqual({ mode: "merge", imported: 2, errors: [] });
+    expect(target.items).toEqual([
+      { _id: "1", title: "42", empty: "", flag: false, _version: 1 },
+      { _id: "2", nested: { list: [1, "a,\nb"] }, _version: 1 },
+    ]);
+  });
+
+  test("Test importing reports the rows which were not imported", async () => {
+    const repository = fakeRepository([]);
+    const report = await importText(
+      repository,
+      '{"_id":"a","n":1}\n\n[1]\nnot json\n{"n":2}\n{"_id":"a","n":3}\n',
+      { format: "ndjson" }
+    );
+
+    expect(report.imported).toEqual(3);
+    expect(report.errors).toEqual([
+      { row: 2, status: 400, error: "Expecting a JSON object" },
+      { row: 3, status: 400, error: "Malformed JSON" },
+    ]);
+    expect(repository.items.map((item) => [item._id, item.n])).toEqual([
+      ["a", 3],
+      ["2", 2],
+    ]);
+
+    const malformed = await importText(repository, '[{"n":4}, {"n":', {
+      format: "json",
+    });
+    expect(malformed.error).toEqual("Unexpected end of the JSON array");
+  });
+
+  test("Test replacing the dataset", async () => {
+    const repository = fakeRepository([
+      { _id: "a", n: 1, _version: 1 },
+      { _id: "b", n: 2, _version: 1 },
+      { _id: "c", n: 3, _version: 1 },
+    ]);
+    const published = [];
+    const report = await importText(
+      repository,
+      '[{"_id":"b","n":20}, {"_id":"x","n":30,"_version":9}]',
+      {
+        format: "json",
+        mode: "replace",
+        onPerformed: (performed) => published.push(...performed),
+      }
+    );
+
+    expect(report).toEqual({
+      mode: "replace",
+      imported: 2,
+      errors: [],
+      deleted: 2,
+    });
+    expect(repository.items).toEqual([
+      { _id: "b", n: 20, _version: 2 },
+      { _id: "x", n: 30, _version: 1 },
+    ]);
+    expect(published.map((result) => result.outcome)).toEqual([
+      "updated",
+      "created",
+      "deleted",
+      "deleted",
+    ]);
+  });
+});
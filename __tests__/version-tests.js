@@ -0,0 +1,27 @@
+const {
+  parseCondition,
+  matchesVersion,
+  etag,
+} = require("../src/service/version");
+
+describe("Test data object version module", () => {
+  test("Test parsing conditional request headers", () => {
+    expect(parseCondition(undefined)).toBeNull();
+    expect(parseCondition(" * ")).toEqual("*");
+    expect(parseCondition(`${etag(2)}, ${etag(3)}`)).toEqual([2, 3]);
+    // Weak entity tags never match a version
+    expect(parseCondition('W/"2", "abc"')).toEqual([]);
+  });
+
+  test("Test matching version conditions", () => {
+    const data = { _id: "1", _version: 2 };
+
+    expect(matchesVersion(null, null)).toBe(true);
+    expect(matchesVersion("*", data)).toBe(true);
+    expect(matchesVersion("*", null)).toBe(false);
+    expect(matchesVersion([1, 2], data)).toBe(true);
+    expect(matchesVersion([1], data)).toBe(false);
+    // Objects stored without a version are version 0
+    expect(matchesVersion([0], { _id: "2" })).toBe(true);
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * @jest-environment node
+ */
+const http = require("http");
+
+describe("Test webhook deliveries", () => {
+  const LOADED_ENV = process.env;
+  let repository = null;
+  let changeFeed = null;
+  let webhooks = null;
+  let server = null;
+  let url = null;
+  // Requests received by the stand-in endpoint, and the statuses it responds with in turn (200 once exhausted).
+  let received = [];
+  let statuses = [];
+
+  const call = (operation, ...args) =>
+    new Promise((resolve, reject) =>
+      operation(...args, (err, result) => (err ? reject(err) : resolve(result)))
+    );
+
+  const waitFor = async (check) => {
+    for (let waited = 0; waited < 3000; waited += 10) {
+      const result = await check();
+      if (result) {
+        return result;
+      }
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    throw new Error("Timed out waiting for the condition");
+  };
+
+  // Load the webhook module against the repository, as a restarted service would.
+  const load = () => {
+    jest.resetModules();
+    changeFeed = require("../src/service/change-feed");
+    webhooks = require("../src/service/webhooks");
+    changeFeed.start(repository);
+    return call(webhooks.start, repository);
+  };
+
+  const settled = (namespace, webhook) =>
+    waitFor(async () => {
+      const result = await call(webhooks.deliveries, namespace, webhook, {});
+      return result.items.length > 0 && result.items[0].status !== "pending"
+        ? result.items[0]
+        : null;
+    });
+
+  beforeAll((done) => {
+    server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        received.push({ headers: req.headers, body: body });
+        res.writeHead(statuses.length > 0 ? statuses.shift() : 200);
+        res.end();
+      });
+    });
+    server.listen(0, "127.0.0.1", () => {
+      url = `http://127.0.0.1:${server.address().port}/hook`;
+      done();
+    });
+  });
+
+  beforeEach(async () => {
+    received = [];
+    statuses = [];
+    // Silence the warnings logged for failed attempts.
+    jest.spyOn(process.stdout, "write").mockImplementation(() => true);
+    process.env = {
+      ...LOADED_ENV,
+      WEBHOOK_RETRY_DELAY: "10",
+      WEBHOOK_MAX_ATTEMPTS: "3",
+    };
+    jest.resetModules();
+    repository = require("../src/repository/memory-repository");
+    await load();
+  });
+
+  afterEach(() => {
+    webhooks.stop();
+    jest.restoreAllMocks();
+  });
+
+  afterAll((done) => {
+    process.env = LOADED_ENV;
+    server.close(done);
+  });
+
+  test("Test changes are delivered to the webhooks receiving their type, signed with the secret", async () => {
+    const webhook = await call(webhooks.register, "tasks", {
+      url: url,
+      events: ["created"],
+    });
+    expect(webhook.secret).toMatch(/^[0-9a-f]{64}$/);
+    expect(
+      await call(webhooks.get, "tasks", webhook.webhook)
+    ).not.toHaveProperty("secret");
+
+    changeFeed.publish("tasks", changeFeed.changeTypes.deleted, "1", null);
+    changeFeed.publish("tasks", changeFeed.changeTypes.created, "2", { n: 2 });
+    const delivery = await settled("tasks", webhook.webhook);
+
+    expect(received.length).toEqual(1);
+    const { headers, body } = received[0];
+    expect(JSON.parse(body)).toMatchObject({
+      namespace: "tasks",
+      type: "created",
+      dataId: "2",
+      data: { n: 2 },
+    });
+    expect(headers["x-webhook-event"]).toEqual("created");
+    expect(headers["x-webhook-id"]).toEqual(delivery.delivery);
+    expect(headers["x-webhook-signature"]).toEqual(
+      webhooks.sign(webhook.secret, headers["x-webhook-timestamp"], body)
+    );
+    expect(delivery).toMatchObject({
+      status: "delivered",
+      event: "created",
+      attempts: [{ status: 200, error: null }],
+    });
+  });
+
+  test("Test failed deliveries are retried until they succeed or the attempts run out", async () => {
+    const webhook = await call(webhooks.register, "tasks", { url: url });
+
+    statuses = [500, 503];
+    changeFeed.publish("tasks", changeFeed.changeTypes.updated, "1", { n: 1 });
+    const delivered = await settled("tasks", webhook.webhook);
+    expect(delivered.status).toEqual("delivered");
+    expect(delivered.attempts.map((attempt) => attempt.status)).toEqual([
+      500, 503, 200,
+    ]);
+    expect(delivered.attempts[0].error).toEqual("Responded 500");
+    // Every attempt is the same delivery.
+    expect(
+      new Set(received.map((item) => item.headers["x-webhook-id"])).size
+    ).toEqual(1);
+
+    await call(webhooks.remove, "tasks", webhook.webhook);
+    const unreachable = await call(webhooks.register, "tasks", {
+      url: "http://127.0.0.1:1/hook",
+    });
+    changeFeed.publish("tasks", changeFeed.changeTypes.deleted, "1", null);
+    const failed = await settled("tasks", unreachable.webhook);
+    expect(failed.status).toEqual("failed");
+    expect(failed.attempts.length).toEqual(3);
+    expect(failed.nextAttempt).toBeNull();
+  });
+
+  test("Test pending deliveries are resumed when the service restarts", async () => {
+    const webhook = await call(webhooks.register, "tasks", { url: url });
+
+    statuses = [500];
+    changeFeed.publish("tasks", changeFeed.changeTypes.created, "1", { n: 1 });
+    await waitFor(() => received.length === 1);
+    webhooks.stop();
+
+    await load();
+    const delivery = await settled("tasks", webhook.webhook);
+    expect(delivery.status).toEqual("delivered");
+    expect(delivery.attempts.length).toEqual(2);
+  });
+
+  test("Test invalid webhook definitions are rejected", async () => {
+    await expect(
+      call(webhooks.register, "tasks", { url: "ftp://example.com" })
+    ).rejects.toMatchObject({ name: "WebhookError", status: 400 });
+    await expect(
+      call(webhooks.register, "tasks", { url: url, events: ["read"] })
+    ).rejects.toMatchObject({ name: "WebhookError" });
+    await expect(
+      call(webhooks.register, "tasks", { url: url, secret: "short" })
+    ).rejects.toMatchObject({ name: "WebhookError" });
+    expect(await call(webhooks.list, "tasks")).toEqual([]);
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * Types of the MyData service client library (see index.js).
+ */
+
+export interface ClientOptions {
+  /** URL of the service, i.e. 'http://localhost:3000' */
+  baseUrl: string;
+  /** API key presented with every request */
+  apiKey?: string | null;
+  /** Bearer token presented with every request, instead of an API key */
+  token?: string | null;
+  /** Headers sent with every request */
+  headers?: Record<string, string>;
+  /** Times a request is retried (default 2) */
+  retries?: number;
+  /** Milliseconds before the first retry, doubled by each retry (default 250) */
+  retryDelay?: number;
+  /** Longest wait between retries, in milliseconds (default 10000) */
+  maxRetryDelay?: number;
+  /** Fetch implementation (default the global fetch) */
+  fetch?: typeof fetch | null;
+}
+
+/** Every stored data object carries its identifier and version. */
+export type DataObject<T = Record<string, unknown>> = T & {
+  _id: string | number;
+  _version: number;
+};
+
+/** Comparison operators of a field within a dataset query. */
+export interface Comparison {
+  eq?: QueryValue;
+  ne?: QueryValue;
+  gt?: QueryValue;
+  gte?: QueryValue;
+  lt?: QueryValue;
+  lte?: QueryValue;
+  in?: QueryValue[];
+}
+
+export type QueryValue = string | number | boolean;
+
+/** Dataset query parameters, filtering on any other field by its value, any of several values or comparisons. */
+export interface DatasetQuery {
+  sort?: string | string[];
+  fields?: string | string[];
+  limit?: number;
+  offset?: number;
+  [field: string]: QueryValue | QueryValue[] | Comparison | undefined;
+}
+
+export interface DatasetPage<T> {
+  items: DataObject<T>[];
+  total: number;
+  links: { first?: string; prev?: string; next?: string; last?: string };
+}
+
+export interface WriteOptions {
+  /** Version the stored data object must have, as a number or entity tag */
+  ifMatch?: number | string;
+}
+
+/** JSON Patch operation (RFC 6902). */
+export interface JsonPatchOperation {
+  op: "add" | "remove" | "replace" | "move" | "copy" | "test";
+  path: string;
+  value?: unknown;
+  from?: string;
+}
+
+export interface RequestOptions {
+  body?: unknown;
+  contentType?: string;
+  headers?: Record<string, string>;
+}
+
+export interface Client {
+  create<T = Record<string, unknown>>(
+    namespace: string,
+    data: T
+  ): Promise<string>;
+  get<T = Record<string, unknown>>(
+    namespace: string,
+    id: string | number
+  ): Promise<DataObject<T>>;
+  update<T = Record<string, unknown>>(
+    namespace: string,
+    id: string | number,
+    data: T,
+    options?: WriteOptions
+  ): Promise<{ created: boolean; version: number | null }>;
+  patch<T = Record<string, unknown>>(
+    namespace: string,
+    id: string | number,
+    patch: Partial<T> | JsonPatchOperation[],
+    options?: WriteOptions
+  ): Promise<DataObject<T>>;
+  delete(
+    namespace: string,
+    id: string | number,
+    options?: WriteOptions
+  ): Promise<void>;
+  list<T = Record<string, unknown>>(
+    namespace: string,
+    query?: DatasetQuery
+  ): Promise<DatasetPage<T>>;
+  /** Request any other route, retried as the operations are, resolving the 2xx response. */
+  request(
+    method: string,
+    path: string,
+    options?: RequestOptions
+  ): Promise<Response>;
+}
+
+/** Problem details (RFC 7807) reported by the service. */
+export interface Problem {
+  type?: string;
+  title?: string;
+  status: number;
+  detail?: string;
+  instance?: string;
+  requestId?: string;
+  errors?: Array<{ path: string; keyword: string; message: string }>;
+}
+
+export class MyDataError extends Error {
+  constructor(message: string, problem: Problem);
+  status: number;
+  title?: string;
+  detail?: string;
+  instance?: string;
+  requestId?: string;
+  errors?: Problem["errors"];
+}
+export class ValidationError extends MyDataError {}
+export class AuthenticationError extends MyDataError {}
+export class ForbiddenError extends MyDataError {}
+export class NotFoundError extends MyDataError {}
+export class ConflictError extends MyDataError {}
+export class PreconditionFailedError extends MyDataError {}
+export class UnprocessableError extends ValidationError {}
+export class RateLimitError extends MyDataError {
+  constructor(message: string, problem: Problem, retryAfter?: number);
+  /** Seconds the service asked the client to wait */
+  retryAfter?: number;
+}
+export class UnavailableError extends MyDataError {
+  constructor(message: string, problem: Problem, retryAfter?: number);
+  /** Seconds the service asked the client to wait */
+  retryAfter?: number;
+}
+export class QuotaExceededError extends MyDataError {}
+export class NetworkError extends MyDataError {
+  constructor(message: string, cause: unknown);
+  cause: unknown;
+}
+
+export function createClient(options: ClientOptions): Client;
+export function etag(version: number | string): string;
+
+export as namespace MyDataClient;
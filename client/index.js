@@ -0,0 +1,537 @@
+/**
+ * Client library for the MyData service REST API, for Node (18 or later, or given a fetch implementation) and the
+ * browser. Loaded as a CommonJS module it exports the library, otherwise it is provided as the global
+ * 'MyDataClient'.
+ *
+ *   const { createClient, NotFoundError } = require("mydata-client");
+ *   const client = createClient({ baseUrl: "http://localhost:3000", apiKey: "..." });
+ *   const id = await client.create("tasks", { title: "Write the client" });
+ *   const { items, total } = await client.list("tasks", { done: false, sort: ["-priority"], limit: 10 });
+ *
+ * Every operation returns a promise. Responses other than 2xx are rejected with the error class of their status,
+ * each a MyDataError carrying the problem details the service reports (RFC 7807), and requests which fail to reach
+ * the service with a NetworkError. Requests rejected with 429 (Too Many Requests) are retried, as are repeatable
+ * requests rejected with 503 (Service Unavailable) or which fail to reach the service, waiting the Retry-After the
+ * service asks for, otherwise retryDelay milliseconds doubling with each attempt. A request is repeatable if its
+ * method is idempotent, or it carries an Idempotency-Key header.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.MyDataClient = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  /**
+   * Base of the errors a request is rejected with, carrying the problem details of the response.
+   */
+  class MyDataError extends Error {
+    constructor(message, problem) {
+      super(message);
+      this.name = "MyDataError";
+      this.status = problem.status;
+      this.title = problem.title;
+      this.detail = problem.detail;
+      this.instance = problem.instance;
+      this.requestId = problem.requestId;
+      this.errors = problem.errors;
+    }
+  }
+
+  /**
+   * Error rejecting a request, or the data within it, which is invalid (400).
+   */
+  class ValidationError extends MyDataError {
+    constructor(message, problem) {
+      super(message, problem);
+      this.name = "ValidationError";
+    }
+  }
+
+  /**
+   * Error rejecting a request which does not present valid credentials (401).
+   */
+  class AuthenticationError extends MyDataError {
+    constructor(message, problem) {
+      super(message, problem);
+      this.name = "AuthenticationError";
+    }
+  }
+
+  /**
+   * Error rejecting a request which is not permitted, including writes to a read-only namespace (403).
+   */
+  class ForbiddenError extends MyDataError {
+    constructor(message, problem) {
+      super(message, problem);
+      this.name = "ForbiddenError";
+    }
+  }
+
+  /**
+   * Error rejecting a request for a data object or namespace which does not exist (404).
+   */
+  class NotFoundError extends MyDataError {
+    constructor(message, problem) {
+      super(message, problem);
+      this.name = "NotFoundError";
+    }
+  }
+
+  /**
+   * Error rejecting a request which conflicts with the current state of the addressed resource (409).
+   */
+  class ConflictError extends MyDataError {
+    constructor(message, problem) {
+      super(message, problem);
+      this.name = "ConflictError";
+    }
+  }
+
+  /**
+   * Error rejecting a conditional request for a data object which has changed (412).
+   */
+  class PreconditionFailedError extends MyDataError {
+    constructor(message, problem) {
+      super(message, problem);
+      this.name = "PreconditionFailedError";
+    }
+  }
+
+  /**
+   * Error rejecting a data object which does not conform to the namespace schema, or a patch which cannot be
+   * applied (422).
+   */
+  class UnprocessableError extends ValidationError {
+    constructor(message, problem) {
+      super(message, problem);
+      this.name = "UnprocessableError";
+    }
+  }
+
+  /**
+   * Error rejecting a request which exceeds a rate limit, once it is no longer retried (429).
+   */
+  class RateLimitError extends MyDataError {
+    constructor(message, problem, retryAfter) {
+      super(message, problem);
+      this.name = "RateLimitError";
+      this.retryAfter = retryAfter;
+    }
+  }
+
+  /**
+   * Error rejecting a request whilst the service, or its repository, is unavailable, once it is no longer retried
+   * (503).
+   */
+  class UnavailableError extends MyDataError {
+    constructor(message, problem, retryAfter) {
+      super(message, problem);
+      this.name = "UnavailableError";
+      this.retryAfter = retryAfter;
+    }
+  }
+
+  /**
+   * Error rejecting a write which would take a namespace beyond its quota of data objects (507).
+   */
+  class QuotaExceededError extends MyDataError {
+    constructor(message, problem) {
+      super(message, problem);
+      this.name = "QuotaExceededError";
+    }
+  }
+
+  /**
+   * Error rejecting a request which failed to reach the service, carrying the underlying 'cause'.
+   */
+  class NetworkError extends MyDataError {
+    constructor(message, cause) {
+      super(message, { status: 0, title: "Network Error", detail: message });
+      this.name = "NetworkError";
+      this.cause = cause;
+    }
+  }
+
+  // Error class of each response status, others are rejected with a MyDataError.
+  const statusErrors = {
+    400: ValidationError,
+    401: AuthenticationError,
+    403: ForbiddenError,
+    404: NotFoundError,
+    409: ConflictError,
+    412: PreconditionFailedError,
+    422: UnprocessableError,
+    429: RateLimitError,
+    503: UnavailableError,
+    507: QuotaExceededError,
+  };
+
+  // The rate limit rejects requests before they are processed, so they are always retried.
+  const retryStatuses = [429];
+
+  // Statuses, and failures to reach the service, after which a request may have been processed, so only repeatable
+  // requests are retried.
+  const repeatableRetryStatuses = [503];
+
+  // Methods which may be repeated without changing the outcome.
+  const idempotentMethods = ["GET", "HEAD", "PUT", "DELETE"];
+
+  const defaultOptions = {
+    baseUrl: "",
+    apiKey: null,
+    token: null,
+    headers: {},
+    retries: 2,
+    retryDelay: 250,
+    maxRetryDelay: 10000,
+    fetch: null,
+  };
+
+  /**
+   * Provide the entity tag of a data object version, as a condition for a write.
+   * @function etag
+   * @param {number|string} version - Data object version, or an entity tag
+   * @returns Entity tag
+   */
+  const etag = (version) =>
+    typeof version === "string" && version.startsWith('"')
+      ? version
+      : `"${version}"`;
+
+  /**
+   * Determine the milliseconds a response asks the client to wait before retrying, from its Retry-After header.
+   * @function retryAfter
+   * @param {Response} response - Fetch response
+   * @returns Milliseconds to wait, or null if the response does not say
+   */
+  const retryAfter = (response) => {
+    const header = response.headers.get("Retry-After");
+    if (header === null) {
+      return null;
+    }
+    if (/^\d+$/.test(header.trim())) {
+      return parseInt(header, 10) * 1000;
+    }
+    const date = Date.parse(header);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+  };
+
+  /**
+   * Create the error rejecting a response other than 2xx.
+   * @function responseError
+   * @param {Response} response - Fetch response
+   * @returns Promise resolving the error, described by the problem details of the response
+   */
+  const responseError = async (response) => {
+    let problem = null;
+    try {
+      problem = await response.json();
+    } catch (err) {
+      // Responses which did not reach the service, i.e. from a proxy, may not be problem details.
+    }
+    if (!problem || typeof problem !== "object") {
+      problem = {};
+    }
+    problem = {
+      title: response.statusText,
+      requestId: response.headers.get("X-Request-Id") || undefined,
+      ...problem,
+      status: response.status,
+    };
+    const ErrorClass = statusErrors[response.status] || MyDataError;
+    const wait = retryAfter(response);
+    return new ErrorClass(
+      problem.detail || problem.title || `Request failed (${response.status})`,
+      problem,
+      wait === null ? undefined : wait / 1000
+    );
+  };
+
+  /**
+   * Write dataset query parameters. Values are written as is, arrays repeat the parameter to match any of several
+   * values, and objects give the comparison operators of a field, i.e. { priority: { gte: 2 } } is written as
+   * 'priority[gte]=2'. The 'sort' and 'fields' parameters may be arrays, written comma separated.
+   * @function queryString
+   * @param {object} query - Dataset query parameters
+   * @returns Query string, including the leading '?' unless empty
+   */
+  const queryString = (query) => {
+    const params = new URLSearchParams();
+    Object.keys(query || {}).forEach((name) => {
+      const value = query[name];
+      if (value === undefined) {
+        return;
+      }
+      if ((name === "sort" || name === "fields") && Array.isArray(value)) {
+        params.append(name, value.join(","));
+      } else if (Array.isArray(value)) {
+        value.forEach((item) => params.append(name, String(item)));
+      } else if (value !== null && typeof value === "object") {
+        Object.keys(value).forEach((op) =>
+          params.append(
+            `${name}[${op}]`,
+            Array.isArray(value[op]) ? value[op].join(",") : String(value[op])
+          )
+        );
+      } else {
+        params.append(name, String(value));
+      }
+    });
+    const text = params.toString();
+    return text ? `?${text}` : "";
+  };
+
+  /**
+   * Parse the pages of a Link header.
+   * @function parseLinks
+   * @param {string} header - Link header value
+   * @returns URL of each page by its relation ('first', 'prev', 'next' and 'last')
+   */
+  const parseLinks = (header) =>
+    (header || "").split(",").reduce((links, link) => {
+      const match = /<([^>]*)>\s*;\s*rel="([^"]*)"/.exec(link);
+      if (match) {
+        links[match[2]] = match[1];
+      }
+      return links;
+    }, {});
+
+  /**
+   * Create a client of the MyData service.
+   * @function createClient
+   * @param {object} options - Client options
+   * @param {string} options.baseUrl - URL of the service, i.e. 'http://localhost:3000'
+   * @param {string} [options.apiKey] - API key presented with every request
+   * @param {string} [options.token] - Bearer token presented with every request, instead of an API key
+   * @param {object} [options.headers] - Headers sent with every request
+   * @param {number} [options.retries] - Times a request is retried (default 2)
+   * @param {number} [options.retryDelay] - Milliseconds before the first retry, doubled by each retry (default 250)
+   * @param {number} [options.maxRetryDelay] - Longest wait between retries, in milliseconds (default 10000)
+   * @param {function} [options.fetch] - Fetch implementation (default the global fetch)
+   * @returns Client
+   */
+  const createClient = (options) => {
+    const config = { ...defaultOptions, ...options };
+    const fetcher =
+      config.fetch || (typeof fetch === "function" ? fetch : null);
+    if (!fetcher) {
+      throw new Error(
+        "No fetch implementation is available, provide the fetch option"
+      );
+    }
+    const baseUrl = config.baseUrl.replace(/\/+$/, "");
+
+    const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+    /**
+     * Send a request, retrying it should the service ask for a retry or, if repeatable, be unavailable or fail to
+     * be reached.
+     * @function send
+     * @param {string} method - HTTP method
+     * @param {string} path - Path of the route, with its parameters encoded
+     * @param {object} [request] - The JSON 'body', its 'contentType' and other 'headers'
+     * @returns Promise resolving the 2xx response
+     */
+    const send = async (method, path, request = {}) => {
+      const headers = { Accept: "application/json", ...config.headers };
+      if (config.apiKey) {
+        headers["X-API-Key"] = config.apiKey;
+      }
+      if (config.token) {
+        headers.Authorization = `Bearer ${config.token}`;
+      }
+      if (request.body !== undefined) {
+        headers["Content-Type"] = request.contentType || "application/json";
+      }
+      Object.assign(headers, request.headers);
+      const repeatable =
+        idempotentMethods.includes(method) ||
+        Object.keys(headers).some(
+          (name) => name.toLowerCase() === "idempotency-key"
+        );
+
+      for (let attempt = 0; ; attempt++) {
+        const backoff = Math.min(
+          config.retryDelay * Math.pow(2, attempt),
+          config.maxRetryDelay
+        );
+        let response = null;
+        try {
+          response = await fetcher(`${baseUrl}${path}`, {
+            method: method,
+            headers: headers,
+            body:
+              request.body === undefined
+                ? undefined
+                : JSON.stringify(request.body),
+          });
+        } catch (err) {
+          if (attempt < config.retries && repeatable) {
+            await wait(backoff);
+            continue;
+          }
+          throw new NetworkError(
+            `${method} ${path} failed: ${err.message}`,
+            err
+          );
+        }
+
+        if (response.ok) {
+          return response;
+        }
+        if (
+          attempt < config.retries &&
+          (retryStatuses.includes(response.status) ||
+            (repeatable && repeatableRetryStatuses.includes(response.status)))
+        ) {
+          const asked = retryAfter(response);
+          await wait(
+            asked === null ? backoff : Math.min(asked, config.maxRetryDelay)
+          );
+          continue;
+        }
+        throw await responseError(response);
+      }
+    };
+
+    const dataPath = (namespace, id) =>
+      `/${encodeURIComponent(namespace)}/data${
+        id === undefined ? "" : `/${encodeURIComponent(id)}`
+      }`;
+
+    const condition = (writeOptions) =>
+      writeOptions && writeOptions.ifMatch !== undefined
+        ? { "If-Match": etag(writeOptions.ifMatch) }
+        : {};
+
+    return {
+      /**
+       * Create a data object, given an identifier by the namespace.
+       * @function create
+       * @param {string} namespace - Namespace of the dataset
+       * @param {object} data - Data object to create
+       * @returns Promise resolving the identifier of the data object
+       */
+      create: async (namespace, data) => {
+        const response = await send("POST", dataPath(namespace), {
+          body: data,
+        });
+        const location = response.headers.get("Location") || "";
+        return decodeURIComponent(
+          location.slice(location.lastIndexOf("/") + 1)
+        );
+      },
+
+      /**
+       * Provide a data object.
+       * @function get
+       * @param {string} namespace - Namespace of the dataset
+       * @param {string} id - Data identifier
+       * @returns Promise resolving the data object, rejected with a NotFoundError if it does not exist
+       */
+      get: async (namespace, id) =>
+        (await send("GET", dataPath(namespace, id))).json(),
+
+      /**
+       * Create or replace the data object stored against an identifier.
+       * @function update
+       * @param {string} namespace - Namespace of the dataset
+       * @param {string} id - Data identifier
+       * @param {object} data - Data object
+       * @param {{ifMatch: (number|string)}} [writeOptions] - Version the stored data object must have, rejecting
+       *   with a PreconditionFailedError otherwise
+       * @returns Promise resolving whether the data object was 'created', and its 'version'
+       */
+      update: async (namespace, id, data, writeOptions) => {
+        const response = await send("PUT", dataPath(namespace, id), {
+          body: data,
+          headers: condition(writeOptions),
+        });
+        const tag = response.headers.get("ETag");
+        return {
+          created: response.status === 201,
+          version: tag ? parseInt(tag.replace(/"/g, ""), 10) : null,
+        };
+      },
+
+      /**
+       * Patch a data object, with a JSON Merge Patch object or a JSON Patch array of operations.
+       * @function patch
+       * @param {string} namespace - Namespace of the dataset
+       * @param {string} id - Data identifier
+       * @param {object|Array} patch - JSON Merge Patch, or JSON Patch
+       * @param {{ifMatch: (number|string)}} [writeOptions] - Version the stored data object must have
+       * @returns Promise resolving the patched data object
+       */
+      patch: async (namespace, id, patch, writeOptions) =>
+        (
+          await send("PATCH", dataPath(namespace, id), {
+            body: patch,
+            contentType: Array.isArray(patch)
+              ? "application/json-patch+json"
+              : "application/merge-patch+json",
+            headers: condition(writeOptions),
+          })
+        ).json(),
+
+      /**
+       * Delete a data object.
+       * @function delete
+       * @param {string} namespace - Namespace of the dataset
+       * @param {string} id - Data identifier
+       * @param {{ifMatch: (number|string)}} [writeOptions] - Version the stored data object must have
+       * @returns Promise resolving once deleted, rejected with a NotFoundError if it does not exist
+       */
+      delete: async (namespace, id, writeOptions) => {
+        await send("DELETE", dataPath(namespace, id), {
+          headers: condition(writeOptions),
+        });
+      },
+
+      /**
+       * Provide the data objects of a namespace matching a dataset query.
+       * @function list
+       * @param {string} namespace - Namespace of the dataset
+       * @param {object} [query] - Dataset query parameters (see queryString)
+       * @returns Promise resolving the page of data objects ('items'), the 'total' matching the query and the
+       *   'links' to the other pages of a query with a limit
+       */
+      list: async (namespace, query) => {
+        const response = await send(
+          "GET",
+          `/${encodeURIComponent(namespace)}/dataset${queryString(query)}`
+        );
+        const items = await response.json();
+        const total = response.headers.get("X-Total-Count");
+        return {
+          items: items,
+          total: total === null ? items.length : parseInt(total, 10),
+          links: parseLinks(response.headers.get("Link")),
+        };
+      },
+
+      // Any other route is requested as the operations are, resolving the fetch response.
+      request: send,
+    };
+  };
+
+  return {
+    createClient: createClient,
+    etag: etag,
+    MyDataError: MyDataError,
+    ValidationError: ValidationError,
+    AuthenticationError: AuthenticationError,
+    ForbiddenError: ForbiddenError,
+    NotFoundError: NotFoundError,
+    ConflictError: ConflictError,
+    PreconditionFailedError: PreconditionFailedError,
+    UnprocessableError: UnprocessableError,
+    RateLimitError: RateLimitError,
+    UnavailableError: UnavailableError,
+    QuotaExceededError: QuotaExceededError,
+    NetworkError: NetworkError,
+  };
+});
@@ -1,15 +1,50 @@
+// Command line arguments take precedence over the environment, so they are taken before any configuration loads.
+const layers = require("./config/layers");
+layers.useArguments(process.argv.slice(2));
+
 const serverConfig = require("./config/server");
 const repository = require(`./repository/${serverConfig.repository}`);
 const repositoryConfig = require(`./config/${serverConfig.repository}`);
 const dataService = require("./service/data-service");
+const dualWrite = require("./service/dual-write");
+const logger = require("./service/logger");
 
 /*
  * Use an Index.js to control how we launch web service.
- * This gives us the ability to accept and process args (i.e. port, archiver type etc..)
+ * Settings are taken from the command line arguments, i.e. 'npm start -- --port 4243', the environment and the
+ * configuration file (see config/layers), and the service only starts once every setting is valid.
  * Additionally, we could leverage the Node cluster mechanism to launch a web service process for each available CPU core on the host.
  * Watch this space for an implementation example...
  */
-console.log(
-  `Server starting, connecting to repository: ${serverConfig.repository}, location: ${repositoryConfig.location}`
-);
-dataService.start(repository);
+const start = () => {
+  logger.info(
+    `Server starting, connecting to repository: ${serverConfig.repository}, location: ${repositoryConfig.location}`
+  );
+
+  // During a cutover every write is mirrored to the repository being moved to (see service/dual-write).
+  const mirrorTo = serverConfig.dualWriteRepository;
+  if (mirrorTo && mirrorTo !== serverConfig.repository) {
+    logger.info(
+      `Mirroring writes to repository: ${mirrorTo}, location: ${
+        require(`./config/${mirrorTo}`).location
+      }`
+    );
+    dataService.start(
+      dualWrite.mirror(repository, require(`./repository/${mirrorTo}`))
+    );
+  } else {
+    dataService.start(repository);
+  }
+};
+
+let valid = false;
+try {
+  layers.verify();
+  valid = true;
+} catch (err) {
+  logger.error(err.message);
+  process.exitCode = 1;
+}
+if (valid) {
+  start();
+}
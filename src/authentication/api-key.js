@@ -0,0 +1,85 @@
+const fs = require("fs");
+const config = require("../config/api-key");
+
+/**
+ * Authenticator for static API keys.
+ * Keys are loaded from a JSON file which maps each key to the identity it authenticates, i.e.
+ *   { "<key>": { "subject": "reporting", "grants": { "tasks": "write", "*": "read" } } }
+ * A key may be bound to a tenant by a "tenant" field, its grants then applying to the namespaces of that tenant
+ * alone (see service/tenants).
+ * The file is reloaded whenever it changes, so keys can be issued and revoked without a restart.
+ * Clients present a key with either an 'X-API-Key' header or an 'Authorization: ApiKey <key>' header.
+ */
+
+const scheme = "ApiKey";
+
+let cache = { modified: null, keys: {} };
+
+/**
+ * Provide the API keys loaded from the keys file, the file is only read again once it has been modified.
+ * @function loadKeys
+ * @returns Object mapping API keys to identities
+ */
+const loadKeys = () => {
+  const modified = fs.statSync(config.keysFile).mtimeMs;
+  if (cache.modified !== modified) {
+    cache = {
+      modified: modified,
+      keys: JSON.parse(fs.readFileSync(config.keysFile, "UTF8")),
+    };
+  }
+  return cache.keys;
+};
+
+/**
+ * Extract the API key presented with the specified Express request.
+ * @function credentials
+ * @param {Request} req - Express request object instance
+ * @returns API key, or null if the request does not present one.
+ */
+const credentials = (req) => {
+  if (req.get("x-api-key")) {
+    return req.get("x-api-key");
+  }
+
+  const match = /^ApiKey\s+(\S+)$/i.exec(req.get("authorization") || "");
+  return match ? match[1] : null;
+};
+
+/**
+ * Determine whether API key authentication is configured.
+ * @function enabled
+ * @returns True if the keys file exists
+ */
+const enabled = () => fs.existsSync(config.keysFile);
+
+/**
+ * Authenticate the specified Express request.
+ * @function authenticate
+ * @param {Request} req - Express request object instance
+ * @returns Identity of the key holder, or null if the request does not present an API key.
+ * @throws {Error} If the presented API key is not recognised.
+ */
+const authenticate = (req) => {
+  const key = credentials(req);
+  if (!key) {
+    return null;
+  }
+
+  const keys = loadKeys();
+  if (!Object.prototype.hasOwnProperty.call(keys, key)) {
+    throw new Error("Invalid API key");
+  }
+
+  return {
+    subject: keys[key].subject || "api-key",
+    grants: keys[key].grants || {},
+    tenant: keys[key].tenant || null,
+  };
+};
+
+module.exports = {
+  scheme: scheme,
+  enabled: enabled,
+  authenticate: authenticate,
+};
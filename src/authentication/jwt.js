@@ -0,0 +1,82 @@
+const jwt = require("jsonwebtoken");
+const config = require("../config/jwt");
+
+/**
+ * Authenticator for HMAC signed JSON Web Tokens, presented as an 'Authorization: Bearer <token>' header.
+ * Tokens are verified locally against the shared secret (config/jwt), together with their expiry and, when
+ * configured, their issuer and audience.
+ * The namespace grants of the token holder are taken from either a 'grants' claim, using the same format as the
+ * API keys file, or a space separated 'scope' claim of '<namespace>:<permission>' entries, i.e. "tasks:write *:read".
+ * A 'tenant' claim binds the token to a tenant, as the field of an API key does.
+ */
+
+const scheme = "Bearer";
+const algorithms = ["HS256", "HS384", "HS512"];
+
+/**
+ * Provide the namespace grants held by the specified token claims.
+ * @function grantsClaim
+ * @param {object} claims - Verified token claims
+ * @returns Object mapping namespaces to permissions
+ */
+const grantsClaim = (claims) => {
+  if (claims.grants !== null && typeof claims.grants === "object") {
+    return claims.grants;
+  }
+
+  return (typeof claims.scope === "string" ? claims.scope.split(" ") : [])
+    .map((entry) => entry.split(":"))
+    .filter((entry) => entry.length === 2)
+    .reduce((grants, [namespace, permission]) => {
+      grants[namespace] = permission;
+      return grants;
+    }, {});
+};
+
+/**
+ * Determine whether bearer token authentication is configured.
+ * @function enabled
+ * @returns True if a token secret is configured
+ */
+const enabled = () => config.getSecret() !== null;
+
+/**
+ * Authenticate the specified Express request.
+ * @function authenticate
+ * @param {Request} req - Express request object instance
+ * @returns Identity of the token holder, or null if the request does not present a bearer token.
+ * @throws {Error} If the presented token is invalid or expired.
+ */
+const authenticate = (req) => {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get("authorization") || "");
+  if (!match) {
+    return null;
+  }
+
+  const options = { algorithms: algorithms };
+  if (config.issuer) {
+    options.issuer = config.issuer;
+  }
+  if (config.audience) {
+    options.audience = config.audience;
+  }
+
+  let claims = null;
+  try {
+    claims = jwt.verify(match[1], config.getSecret(), options);
+  } catch (err) {
+    throw new Error(`Invalid bearer token: ${err.message}`);
+  }
+
+  return {
+    subject: claims.sub || "jwt",
+    grants: grantsClaim(claims),
+    tenant: typeof claims.tenant === "string" ? claims.tenant : null,
+  };
+};
+
+module.exports = {
+  scheme: scheme,
+  enabled: enabled,
+  authenticate: authenticate,
+};
@@ -0,0 +1,9 @@
+const layers = require("./layers");
+const serverConfig = require("./server");
+
+module.exports = layers.define("api-key", (read) => ({
+  keysFile: read.string(
+    "API_KEYS_FILE",
+    `${serverConfig.configPath}/api-keys.json`
+  ),
+}));
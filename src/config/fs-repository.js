@@ -1,3 +1,6 @@
-module.exports = {
-  location: process.env.FS_LOCATION || "default",
-};
+const layers = require("./layers");
+
+module.exports = layers.define("fs-repository", (read) => ({
+  location: read.string("FS_LOCATION", "default"),
+  compactEntries: read.integer("FS_COMPACT_ENTRIES", 1000, { min: 1 }),
+}));
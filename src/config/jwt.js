@@ -0,0 +1,29 @@
+const fs = require("fs");
+const layers = require("./layers");
+const serverConfig = require("./server");
+
+module.exports = layers.define("jwt", (read) => {
+  // The secret is read whenever a token is verified, as the secret file is, so a rotated secret applies at once.
+  const secretSetting = () => read.string("JWT_SECRET", null, { secret: true });
+  secretSetting();
+
+  const secretConfig = () => {
+    const secret = secretSetting();
+    if (secret) {
+      return secret;
+    }
+
+    const secretPath = `${serverConfig.configPath}/jwt-secret`;
+    if (fs.existsSync(secretPath)) {
+      return fs.readFileSync(secretPath, "UTF8").trim();
+    }
+
+    return null;
+  };
+
+  return {
+    issuer: read.string("JWT_ISSUER", null),
+    audience: read.string("JWT_AUDIENCE", null),
+    getSecret: secretConfig,
+  };
+});
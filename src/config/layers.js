@@ -0,0 +1,482 @@
+const fs = require("fs");
+const path = require("path");
+const { isDeepStrictEqual } = require("util");
+
+/**
+ * Module layering the service configuration. Each setting is named after its environment variable, and takes its
+ * value from the first layer providing it of:
+ *  - Arguments:   Command line arguments of the service, '--<setting> <value>' or '--<setting>=<value>', the setting
+ *                 in lowercase with '-' in place of '_', i.e. '--rate-limit 5' for RATE_LIMIT.
+ *  - Environment: Environment variables, an empty variable is unset.
+ *  - File:        The JSON object of settings within CONFIG_FILE, '<CONFIG_PATH>/config.json' by default, i.e.
+ *                 '{"RATE_LIMIT": 5}'. CONFIG_PATH and CONFIG_FILE themselves are only set by the layers above.
+ *  - Defaults:    The default of the configuration module declaring the setting.
+ * Configuration modules declare their settings through the readers define provides, which validate each value.
+ * Invalid values are recorded rather than thrown, the default standing in for them, so verify() reports every
+ * problem at once when the service starts. Secret settings are redacted from view(), and never reported.
+ *
+ * Once watched, the configuration is built afresh whenever a file within the configuration directory changes (i.e.
+ * a ConfigMap update). The reloadable properties each module names are updated in place, so modules reading them
+ * where they are used see the new value, and onReload listeners are told which changed. Changes to any other
+ * property apply once the service restarts. A change leaving the configuration invalid is reported, and the current
+ * configuration kept.
+ */
+
+const defaultPath = "/etc/config";
+const redacted = "[redacted]";
+// Delay for changes to the configuration directory to settle before reloading, as an update raises several events.
+const settleDelay = 100;
+
+/**
+ * Error raised when the configuration is invalid, listing each of its problems.
+ */
+class ConfigurationError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration: ${problems.join("; ")}`);
+    this.name = "ConfigurationError";
+    this.problems = problems;
+  }
+}
+
+let args = { values: {}, problems: [] };
+// Layers and settings the current configuration was built from.
+let current = null;
+// Modules defining the configuration, with the properties they provide.
+const modules = [];
+const listeners = [];
+let watcher = null;
+let settling = null;
+
+const has = (object, name) =>
+  Object.prototype.hasOwnProperty.call(object, name);
+
+/**
+ * Take the command line arguments of the service as the arguments layer. Must be called before the configuration
+ * modules are loaded.
+ * @function useArguments
+ * @param {Array<string>} argv - Command line arguments, i.e. process.argv.slice(2)
+ */
+const useArguments = (argv) => {
+  args = { values: {}, problems: [] };
+  for (let index = 0; index < argv.length; index++) {
+    const match = /^--([a-z0-9-]+)(?:=(.*))?$/.exec(argv[index]);
+    if (!match) {
+      args.problems.push(
+        `Unexpected argument '${argv[index]}', expecting --<setting> <value>`
+      );
+    } else if (match[2] === undefined && index + 1 >= argv.length) {
+      args.problems.push(`Argument --${match[1]} requires a value`);
+    } else {
+      const name = match[1].toUpperCase().replace(/-/g, "_");
+      args.values[name] = match[2] === undefined ? argv[++index] : match[2];
+    }
+  }
+};
+
+/**
+ * Provide the value of a setting set by the arguments or environment, which the file layer cannot set.
+ * @function bootstrap
+ * @param {string} name - Setting name
+ * @returns Value, or undefined if unset.
+ */
+const bootstrap = (name) =>
+  has(args.values, name) ? args.values[name] : process.env[name] || undefined;
+
+/**
+ * Provide the layer a setting set by the arguments or environment is taken from.
+ * @function bootstrapSource
+ * @param {string} name - Setting name
+ * @returns Layer, 'arguments', 'environment' or 'default'
+ */
+const bootstrapSource = (name) =>
+  has(args.values, name)
+    ? "arguments"
+    : process.env[name]
+    ? "environment"
+    : "default";
+
+/**
+ * Provide the location of the configuration.
+ * @function location
+ * @returns {{directory: string, file: string}} Configuration directory (CONFIG_PATH), and configuration file.
+ */
+const location = () => {
+  const directory = bootstrap("CONFIG_PATH") || defaultPath;
+  return {
+    directory: directory,
+    file: bootstrap("CONFIG_FILE") || path.join(directory, "config.json"),
+  };
+};
+
+/**
+ * Read the file layer.
+ * @function readFile
+ * @returns {{path: string, values: object, problems: Array<string>}} Settings of the configuration file, and its
+ *   problems.
+ */
+const readFile = () => {
+  const file = { path: location().file, values: {}, problems: [] };
+  let content = null;
+  try {
+    content = fs.readFileSync(file.path, "UTF8");
+  } catch (err) {
+    if (err.code !== "ENOENT" || bootstrap("CONFIG_FILE")) {
+      file.problems.push(`Unable to read ${file.path}: ${err.message}`);
+    }
+    return file;
+  }
+
+  let values = null;
+  try {
+    values = JSON.parse(content);
+  } catch (err) {
+    file.problems.push(`${file.path} is not valid JSON: ${err.message}`);
+    return file;
+  }
+  if (values === null || typeof values !== "object" || Array.isArray(values)) {
+    file.problems.push(`${file.path} must hold an object of settings`);
+    return file;
+  }
+  Object.keys(values).forEach((name) => {
+    const value = values[name];
+    if (name === "CONFIG_PATH" || name === "CONFIG_FILE") {
+      file.problems.push(
+        `${name} within ${file.path} is ignored, it is only set by the arguments or environment`
+      );
+    } else if (["string", "number", "boolean"].includes(typeof value)) {
+      file.values[name] = String(value);
+    } else if (value !== null) {
+      file.problems.push(
+        `${name} within ${file.path} must be a string, number or boolean`
+      );
+    }
+  });
+  return file;
+};
+
+/**
+ * Create the context a configuration is built within.
+ * @function createContext
+ * @param {object} file - File layer
+ * @returns Context, recording the settings read, their problems, and the properties changed since the service
+ *   started which await a restart.
+ */
+const createContext = (file) => {
+  const { directory, file: filePath } = location();
+  return {
+    file: file,
+    settings: {
+      CONFIG_PATH: {
+        value: directory,
+        source: bootstrapSource("CONFIG_PATH"),
+        secret: false,
+      },
+      CONFIG_FILE: {
+        value: filePath,
+        source: bootstrapSource("CONFIG_FILE"),
+        secret: false,
+      },
+    },
+    problems: [...args.problems, ...file.problems],
+    pending: [],
+  };
+};
+
+/**
+ * Create the readers declaring the settings of a configuration module. Each reader takes the setting name, its
+ * default and options, and provides the value of the setting, or the default should the value be invalid.
+ * Every reader accepts the options:
+ *  - secret: The value is redacted from view(), and not reported when invalid.
+ * @function createReader
+ * @param {object} context - Context the configuration is built within
+ * @returns Readers string(), integer(), number() and boolean()
+ */
+const createReader = (context) => {
+  const sources = {
+    arguments: "the arguments",
+    environment: "the environment",
+    file: context.file.path,
+  };
+
+  const read = (name, fallback, options, parse) => {
+    let found = null;
+    if (has(args.values, name)) {
+      found = { raw: args.values[name], source: "arguments" };
+    } else if (process.env[name]) {
+      found = { raw: process.env[name], source: "environment" };
+    } else if (has(context.file.values, name)) {
+      found = { raw: context.file.values[name], source: "file" };
+    }
+
+    let setting = { value: fallback, source: "default" };
+    if (found) {
+      const parsed = parse(found.raw);
+      if (has(parsed, "value")) {
+        setting = { value: parsed.value, source: found.source };
+      } else {
+        context.problems.push(
+          `${name} from ${sources[found.source]} must be ${parsed.expecting}` +
+            (options.secret ? "" : `, not '${found.raw}'`)
+        );
+      }
+    }
+    context.settings[name] = { ...setting, secret: Boolean(options.secret) };
+    return setting.value;
+  };
+
+  const bounded = (value, options, kind) => {
+    const min = options.min === undefined ? null : options.min;
+    const max = options.max === undefined ? null : options.max;
+    if ((min === null || value >= min) && (max === null || value <= max)) {
+      return { value: value };
+    }
+    return {
+      expecting:
+        max === null
+          ? `${kind} of at least ${min}`
+          : `${kind} from ${min} to ${max}`,
+    };
+  };
+
+  return {
+    /**
+     * Read a string setting.
+     * @param {string} name - Setting name
+     * @param {string} fallback - Default value, or null
+     * @param {{values: Array<string>, valid: function(string):boolean, expecting: string, secret: boolean}} options
+     *   - The values permitted, or a function verifying the value, described by 'expecting'
+     */
+    string: (name, fallback, options = {}) =>
+      read(name, fallback, options, (raw) => {
+        if (options.values && !options.values.includes(raw)) {
+          return { expecting: `one of ${options.values.join(", ")}` };
+        }
+        if (options.valid && !options.valid(raw)) {
+          return { expecting: options.expecting };
+        }
+        return { value: raw };
+      }),
+    /**
+     * Read an integer setting.
+     * @param {string} name - Setting name
+     * @param {number} fallback - Default value
+     * @param {{min: number, max: number}} options - Range of the value
+     */
+    integer: (name, fallback, options = {}) =>
+      read(name, fallback, options, (raw) =>
+        /^-?\d+$/.test(raw.trim())
+          ? bounded(parseInt(raw), options, "an integer")
+          : { expecting: "an integer" }
+      ),
+    /**
+     * Read a number setting.
+     * @param {string} name - Setting name
+     * @param {number} fallback - Default value
+     * @param {{min: number, max: number}} options - Range of the value
+     */
+    number: (name, fallback, options = {}) =>
+      read(name, fallback, options, (raw) =>
+        raw.trim() !== "" && Number.isFinite(Number(raw))
+          ? bounded(Number(raw), options, "a number")
+          : { expecting: "a number" }
+      ),
+    /**
+     * Read a boolean setting, 'true' or 'false'.
+     * @param {string} name - Setting name
+     * @param {boolean} fallback - Default value
+     */
+    boolean: (name, fallback, options = {}) =>
+      read(name, fallback, options, (raw) =>
+        raw === "true" || raw === "false"
+          ? { value: raw === "true" }
+          : { expecting: "true or false" }
+      ),
+  };
+};
+
+/**
+ * Define a configuration module.
+ * @function define
+ * @param {string} name - Module name, i.e. 'limits'
+ * @param {function(object):object} build - Function building the configuration from the readers of createReader
+ * @param {{reloadable: Array<string>}} options - Properties of the configuration which may change without a restart
+ * @returns Configuration
+ */
+const define = (name, build, options = {}) => {
+  if (current === null) {
+    current = createContext(readFile());
+  }
+  const config = build(createReader(current));
+  modules.push({
+    name: name,
+    config: config,
+    build: build,
+    reloadable: options.reloadable || [],
+  });
+  return config;
+};
+
+/**
+ * Report settings of the arguments and file layers which no configuration module declares.
+ * @function undeclared
+ * @param {object} context - Context the configuration was built within
+ * @returns Problems
+ */
+const undeclared = (context) => [
+  ...Object.keys(args.values)
+    .filter((name) => !has(context.settings, name))
+    .map(
+      (name) => `Unknown argument --${name.toLowerCase().replace(/_/g, "-")}`
+    ),
+  ...Object.keys(context.file.values)
+    .filter((name) => !has(context.settings, name))
+    .map((name) => `Unknown setting ${name} within ${context.file.path}`),
+];
+
+/**
+ * Verify the configuration, once every configuration module is loaded so each setting is declared.
+ * @function verify
+ * @throws {ConfigurationError} If any setting is invalid or unknown.
+ */
+const verify = () => {
+  fs.readdirSync(__dirname)
+    .filter((file) => file.endsWith(".js"))
+    .forEach((file) => require(`./${file}`));
+  if (current === null) {
+    current = createContext(readFile());
+  }
+  const problems = [...current.problems, ...undeclared(current)];
+  if (problems.length > 0) {
+    throw new ConfigurationError(problems);
+  }
+};
+
+/**
+ * Build the configuration afresh, applying the changes to reloadable properties.
+ * @function reload
+ * @returns {{applied: Array<string>, pending: Array<string>}} Properties changed, as '<module>.<property>', and
+ *   those which only change once the service restarts.
+ * @throws {ConfigurationError} If the configuration has become invalid, in which case it is unchanged.
+ */
+const reload = () => {
+  const context = createContext(readFile());
+  const built = modules.map((module) => ({
+    module: module,
+    config: module.build(createReader(context)),
+  }));
+  const problems = [...context.problems, ...undeclared(context)];
+  if (problems.length > 0) {
+    throw new ConfigurationError(problems);
+  }
+
+  current = context;
+  const changes = { applied: [], pending: current.pending };
+  built.forEach(({ module, config }) =>
+    Object.keys(config)
+      .filter(
+        (key) =>
+          typeof config[key] !== "function" &&
+          !isDeepStrictEqual(config[key], module.config[key])
+      )
+      .forEach((key) => {
+        if (module.reloadable.includes(key)) {
+          module.config[key] = config[key];
+          changes.applied.push(`${module.name}.${key}`);
+        } else {
+          changes.pending.push(`${module.name}.${key}`);
+        }
+      })
+  );
+  if (changes.applied.length > 0) {
+    listeners.forEach((listener) => listener(changes.applied));
+  }
+  return changes;
+};
+
+/**
+ * Register a listener for the reloadable properties which change.
+ * @function onReload
+ * @param {function(Array<string>):void} listener - Called with the properties changed, as '<module>.<property>'
+ */
+const onReload = (listener) => listeners.push(listener);
+
+/**
+ * Watch the configuration directory, reloading the configuration whenever a file within it changes.
+ * @function watch
+ * @param {function(Error,{applied: Array<string>, pending: Array<string>}):void} callback - Callback with the
+ *   outcome of each reload.
+ * @throws {Error} If the configuration directory cannot be watched.
+ */
+const watch = (callback) => {
+  unwatch();
+  watcher = fs.watch(
+    path.dirname(location().file),
+    { persistent: false },
+    () => {
+      clearTimeout(settling);
+      settling = setTimeout(() => {
+        let changes = null;
+        try {
+          changes = reload();
+        } catch (err) {
+          callback(err);
+          return;
+        }
+        callback(null, changes);
+      }, settleDelay);
+      settling.unref();
+    }
+  );
+};
+
+/**
+ * Stop watching the configuration directory.
+ * @function unwatch
+ */
+const unwatch = () => {
+  clearTimeout(settling);
+  if (watcher) {
+    watcher.close();
+    watcher = null;
+  }
+};
+
+/**
+ * Provide the settings the configuration was built from, with secrets redacted.
+ * @function view
+ * @returns Configuration file, each setting with its value and the layer it was taken from, and the properties
+ *   awaiting a restart to change, as '<module>.<property>'.
+ */
+const view = () => {
+  if (current === null) {
+    current = createContext(readFile());
+  }
+  const settings = {};
+  Object.keys(current.settings)
+    .sort()
+    .forEach((name) => {
+      const { value, source, secret } = current.settings[name];
+      settings[name] = {
+        value: secret && value !== null ? redacted : value,
+        source: source,
+      };
+    });
+  return {
+    file: current.file.path,
+    settings: settings,
+    pending: current.pending,
+  };
+};
+
+module.exports = {
+  ConfigurationError: ConfigurationError,
+  useArguments: useArguments,
+  location: location,
+  define: define,
+  verify: verify,
+  reload: reload,
+  onReload: onReload,
+  watch: watch,
+  unwatch: unwatch,
+  view: view,
+};
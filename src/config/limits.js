@@ -0,0 +1,50 @@
+const layers = require("./layers");
+
+// Proxies trusted to report the client address, 'true' for any, a number of hops, or addresses and subnets.
+const trustProxy = (value) => {
+  if (value === "true" || value === "false") {
+    return value === "true";
+  }
+  return /^\d+$/.test(value) ? parseInt(value) : value;
+};
+
+module.exports = layers.define(
+  "limits",
+  (read) => {
+    const rateLimit = read.number("RATE_LIMIT", 0, { min: 0 });
+    const namespaceRateLimit = read.number("NAMESPACE_RATE_LIMIT", 0, {
+      min: 0,
+    });
+    return {
+      bodyLimit: read.string("BODY_LIMIT", "100kb", {
+        valid: (value) => /^\d+(\.\d+)?\s*(b|kb|mb|gb)?$/i.test(value),
+        expecting: "a size, i.e. '100kb'",
+      }),
+      rateLimit: rateLimit,
+      rateLimitBurst: read.integer(
+        "RATE_LIMIT_BURST",
+        Math.max(1, Math.ceil(rateLimit)),
+        { min: 1 }
+      ),
+      namespaceRateLimit: namespaceRateLimit,
+      namespaceRateLimitBurst: read.integer(
+        "NAMESPACE_RATE_LIMIT_BURST",
+        Math.max(1, Math.ceil(namespaceRateLimit)),
+        { min: 1 }
+      ),
+      namespaceMaxObjects: read.integer("NAMESPACE_MAX_OBJECTS", 0, {
+        min: 0,
+      }),
+      trustProxy: trustProxy(read.string("TRUST_PROXY", "false")),
+    };
+  },
+  {
+    reloadable: [
+      "rateLimit",
+      "rateLimitBurst",
+      "namespaceRateLimit",
+      "namespaceRateLimitBurst",
+      "namespaceMaxObjects",
+    ],
+  }
+);
@@ -0,0 +1,24 @@
+const layers = require("./layers");
+
+const levels = ["error", "warn", "info", "debug"];
+const formats = ["json", "text"];
+
+module.exports = layers.define(
+  "logging",
+  (read) => ({
+    level: read
+      .string("LOG_LEVEL", "info", {
+        valid: (value) => levels.includes(value.toLowerCase()),
+        expecting: `one of ${levels.join(", ")}`,
+      })
+      .toLowerCase(),
+    format: read
+      .string("LOG_FORMAT", "json", {
+        valid: (value) => formats.includes(value.toLowerCase()),
+        expecting: `one of ${formats.join(", ")}`,
+      })
+      .toLowerCase(),
+    accessLog: read.boolean("ACCESS_LOG", true),
+  }),
+  { reloadable: ["level", "format", "accessLog"] }
+);
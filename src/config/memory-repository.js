@@ -0,0 +1,7 @@
+const layers = require("./layers");
+
+module.exports = layers.define("memory-repository", (read) => ({
+  location: "memory",
+  maxObjects: read.integer("MEMORY_MAX_OBJECTS", 0, { min: 0 }),
+  ttl: read.integer("MEMORY_TTL", 0, { min: 0 }),
+}));
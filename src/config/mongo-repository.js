@@ -1,6 +1,51 @@
-module.exports = {
-  location: `mongodb://${process.env.MONGO_HOST || "localhost"}:${
-    process.env.MONGO_PORT || "27017"
-  }`,
-  dbName: process.env.DB_NAME || "MyData",
-};
+const layers = require("./layers");
+
+// MONGO_URI takes precedence over the host and port, to address replica sets (i.e.
+// 'mongodb://host1:27017,host2:27017/?replicaSet=rs0') or 'mongodb+srv' clusters.
+const uriPattern = /^(mongodb(?:\+srv)?:\/\/)(?:([^@/]*)@)?(.*)$/;
+
+module.exports = layers.define("mongo-repository", (read) => {
+  const host = read.string("MONGO_HOST", "localhost");
+  const port = read.integer("MONGO_PORT", 27017, { min: 1, max: 65535 });
+  const uri = uriPattern.exec(
+    read.string("MONGO_URI", null, {
+      valid: (value) => uriPattern.test(value),
+      expecting: "a mongodb:// or mongodb+srv:// connection string",
+      secret: true,
+    }) || `mongodb://${host}:${port}`
+  );
+  const user = read.string("MONGO_USER", null);
+  const password = read.string("MONGO_PASSWORD", null, { secret: true });
+
+  // Credentials are kept out of the location, so they are never logged or reported with the configuration.
+  const credentialsConfig = () => {
+    if (user) {
+      return {
+        user: user,
+        password: password || "",
+      };
+    }
+
+    if (uri[2]) {
+      const [uriUser, ...uriPassword] = uri[2].split(":");
+      return {
+        user: decodeURIComponent(uriUser),
+        password: decodeURIComponent(uriPassword.join(":")),
+      };
+    }
+
+    return null;
+  };
+
+  return {
+    location: `${uri[1]}${uri[3]}`,
+    dbName: read.string("DB_NAME", "MyData"),
+    authSource: read.string("MONGO_AUTH_SOURCE", null),
+    poolSize: read.integer("MONGO_POOL_SIZE", 10, { min: 1 }),
+    connectTimeout: read.integer("MONGO_CONNECT_TIMEOUT", 10000, { min: 0 }),
+    socketTimeout: read.integer("MONGO_SOCKET_TIMEOUT", 30000, { min: 0 }),
+    connectRetries: read.integer("MONGO_CONNECT_RETRIES", 5, { min: 0 }),
+    retryDelay: read.integer("MONGO_RETRY_DELAY", 1000, { min: 0 }),
+    getCredentials: credentialsConfig,
+  };
+});
@@ -0,0 +1,55 @@
+const layers = require("./layers");
+
+const isRedisUrl = (value) => {
+  try {
+    return ["redis:", "rediss:"].includes(new URL(value).protocol);
+  } catch (err) {
+    return false;
+  }
+};
+
+module.exports = layers.define("redis-repository", (read) => {
+  // REDIS_URL takes precedence over the host and port, i.e. 'rediss://cache.example.com:6380/2' for TLS and
+  // database 2.
+  const host = read.string("REDIS_HOST", "localhost");
+  const port = read.integer("REDIS_PORT", 6379, { min: 1, max: 65535 });
+  const url = new URL(
+    read.string("REDIS_URL", null, {
+      valid: isRedisUrl,
+      expecting: "a redis:// or rediss:// URL",
+      secret: true,
+    }) || `redis://${host}:${port}`
+  );
+  const user = read.string("REDIS_USER", "");
+  const password = read.string("REDIS_PASSWORD", null, { secret: true });
+
+  // Credentials are kept out of the location, so they are never logged or reported with the configuration.
+  const credentialsConfig = () => {
+    if (password) {
+      return {
+        user: user,
+        password: password,
+      };
+    }
+
+    if (url.password) {
+      return {
+        user: decodeURIComponent(url.username),
+        password: decodeURIComponent(url.password),
+      };
+    }
+
+    return null;
+  };
+
+  return {
+    location: `${url.protocol}//${url.host}${url.pathname}`,
+    keyPrefix: read.string("REDIS_KEY_PREFIX", "mydata"),
+    ttl: read.integer("REDIS_TTL", 0, { min: 0 }),
+    poolSize: read.integer("REDIS_POOL_SIZE", 10, { min: 1 }),
+    timeout: read.integer("REDIS_TIMEOUT", 10000, { min: 1 }),
+    connectRetries: read.integer("REDIS_CONNECT_RETRIES", 5, { min: 0 }),
+    retryDelay: read.integer("REDIS_RETRY_DELAY", 1000, { min: 0 }),
+    getCredentials: credentialsConfig,
+  };
+});
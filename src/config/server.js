@@ -1,21 +1,67 @@
-
 const fs = require("fs");
+const path = require("path");
+const layers = require("./layers");
 
-const configPath = process.env.CONFIG_PATH || "/etc/config";
+// Repositories are the modules named '<name>-repository', the others support them (i.e. the Redis protocol).
+const repositories = fs
+  .readdirSync(path.join(__dirname, "..", "repository"))
+  .filter((file) => file.endsWith("-repository.js"))
+  .map((file) => path.basename(file, ".js"));
+const authenticators = fs
+  .readdirSync(path.join(__dirname, "..", "authentication"))
+  .map((file) => path.basename(file, ".js"));
 
-const corsConfig = () => {
+// Methods permitted to cross-origin requests were configured by the 'cors' file alone, which remains their default.
+const corsFile = (configPath) => {
   const corsPath = `${configPath}/cors`;
-  if(fs.existsSync(corsPath)) {
-    return fs.readFileSync(corsPath, 'UTF8');
+  if (fs.existsSync(corsPath)) {
+    return fs.readFileSync(corsPath, "UTF8").trim();
   }
 
-  return "GET,POST,PUT,DELETE";
-}
-
-module.exports = {
-  repository: process.env.REPOSITORY || "mongo-repository",
-  host: process.env.HOST || "localhost",
-  port: process.env.PORT || 4242,
-  configPath: configPath,
-  getCors: corsConfig
+  return "GET,POST,PUT,PATCH,DELETE";
 };
+
+const serverConfig = layers.define(
+  "server",
+  (read) => {
+    const configPath = layers.location().directory;
+    return {
+      repository: read.string("REPOSITORY", "mongo-repository", {
+        values: repositories,
+      }),
+      dualWriteRepository: read.string("DUAL_WRITE_REPOSITORY", null, {
+        values: repositories,
+      }),
+      authentication: read.string("AUTHENTICATION", "api-key,jwt", {
+        valid: (value) =>
+          value
+            .split(",")
+            .map((name) => name.trim())
+            .every((name) => name === "none" || authenticators.includes(name)),
+        expecting: `'none' or a list of ${authenticators.join(", ")}`,
+      }),
+      host: read.string("HOST", "localhost"),
+      port: read.integer("PORT", 4242, { min: 0, max: 65535 }),
+      configPath: configPath,
+      schemaPath: read.string("SCHEMA_PATH", `${configPath}/schemas`),
+      changeBuffer: read.integer("CHANGE_BUFFER", 1000, { min: 1 }),
+      batchLimit: read.integer("BATCH_LIMIT", 1000, { min: 1 }),
+      shutdownTimeout: read.integer("SHUTDOWN_TIMEOUT", 10000, { min: 0 }),
+      corsMethods: read.string("CORS_METHODS", corsFile(configPath), {
+        valid: (value) => /^[A-Z]+(,[A-Z]+)*$/.test(value),
+        expecting: "a list of methods, i.e. 'GET,POST'",
+      }),
+      getCors: () => serverConfig.corsMethods,
+    };
+  },
+  {
+    reloadable: [
+      "changeBuffer",
+      "batchLimit",
+      "shutdownTimeout",
+      "corsMethods",
+    ],
+  }
+);
+
+module.exports = serverConfig;
@@ -0,0 +1,10 @@
+const layers = require("./layers");
+
+module.exports = layers.define("tenants", (read) => ({
+  header: read.string("TENANT_HEADER", "X-Tenant-Id", {
+    valid: (value) => /^[A-Za-z0-9-]+$/.test(value),
+    expecting: "a header name",
+  }),
+  // Domain the tenant subdomains are served under, i.e. 'mydata.example.com' for 'acme.mydata.example.com'.
+  domain: read.string("TENANT_DOMAIN", null),
+}));
@@ -0,0 +1,12 @@
+const layers = require("./layers");
+
+module.exports = layers.define(
+  "webhooks",
+  (read) => ({
+    maxAttempts: read.integer("WEBHOOK_MAX_ATTEMPTS", 8, { min: 1 }),
+    retryDelay: read.integer("WEBHOOK_RETRY_DELAY", 1000, { min: 0 }),
+    timeout: read.integer("WEBHOOK_TIMEOUT", 5000, { min: 1 }),
+    retention: read.integer("WEBHOOK_RETENTION", 604800000, { min: 0 }),
+  }),
+  { reloadable: ["maxAttempts", "retryDelay", "timeout", "retention"] }
+);
@@ -0,0 +1,171 @@
+const fs = require("fs");
+const path = require("path");
+
+/*
+ * Command line tool migrating namespaces between repositories (see service/migration), i.e.
+ *   npm run migrate -- --from fs-repository --to mongo-repository --namespace tasks --dry-run
+ * Each repository is configured by the environment and configuration file (see config/layers), as the service
+ * configures it, so the source and target repositories must differ. Progress is written to stderr and a line per
+ * namespace to stdout. The tool exits with status 1 should any namespace not be migrated, or not be verified.
+ */
+const usage = `Usage: node src/migrate.js --from <repository> --to <repository> [options]
+
+Options:
+  --namespace <name>  Namespace to migrate, repeated for each namespace (default every namespace)
+  --dry-run           Report what would be migrated without writing to the target repository
+  --overwrite         Replace namespaces which already exist within the target repository
+  --no-verify         Skip comparing the checksum of each namespace within both repositories`;
+
+const repositories = fs
+  .readdirSync(path.join(__dirname, "repository"))
+  .map((file) => path.basename(file, ".js"));
+
+/**
+ * Parse the command line arguments.
+ * @function parseArgs
+ * @param {Array<string>} args - Command line arguments
+ * @returns Migration options, with the 'from' and 'to' repositories
+ * @throws {Error} If the arguments are not valid.
+ */
+const parseArgs = (args) => {
+  const options = {
+    from: null,
+    to: null,
+    namespaces: [],
+    dryRun: false,
+    overwrite: false,
+    verify: true,
+  };
+  for (let index = 0; index < args.length; index++) {
+    const value = () => {
+      if (index + 1 >= args.length) {
+        throw new Error(`${args[index]} requires a value`);
+      }
+      return args[++index];
+    };
+    switch (args[index]) {
+      case "--from":
+        options.from = value();
+        break;
+      case "--to":
+        options.to = value();
+        break;
+      case "--namespace":
+        options.namespaces.push(value());
+        break;
+      case "--dry-run":
+        options.dryRun = true;
+        break;
+      case "--overwrite":
+        options.overwrite = true;
+        break;
+      case "--no-verify":
+        options.verify = false;
+        break;
+      default:
+        throw new Error(`Unknown argument ${args[index]}`);
+    }
+  }
+
+  [options.from, options.to].forEach((repository) => {
+    if (!repositories.includes(repository)) {
+      throw new Error(
+        `Both --from and --to must be one of ${repositories.join(", ")}`
+      );
+    }
+  });
+  if (options.from === options.to) {
+    throw new Error("The source and target repositories must differ");
+  }
+  return options;
+};
+
+/**
+ * Describe the outcome of migrating a namespace.
+ * @function describe
+ * @param {object} report - Namespace report
+ * @returns Description
+ */
+const describe = (report) => {
+  const outcome = {
+    migrated: () =>
+      `migrated ${report.copied} of ${report.objects} objects` +
+      (report.failed.length > 0 ? `, failed ${report.failed.join(", ")}` : "") +
+      (report.deleted > 0 ? `, deleted ${report.deleted} from the target` : ""),
+    exists: () => "skipped, exists within the target (use --overwrite)",
+    missing: () => "not found within the source",
+    migrate: () => `would migrate ${report.objects} objects`,
+    overwrite: () =>
+      `would overwrite the target with ${report.objects} objects`,
+  }[report.status]();
+  const verification =
+    report.verified === undefined
+      ? ""
+      : report.verified
+      ? `, verified checksum ${report.checksum}`
+      : `, checksum ${report.checksum} does not match the target ${report.targetChecksum}`;
+  return `${report.namespace}: ${outcome}${verification}`;
+};
+
+const succeeded = (report) =>
+  ["migrated", "migrate", "overwrite"].includes(report.status) &&
+  (report.failed || []).length === 0 &&
+  report.verified !== false;
+
+let options = null;
+try {
+  options = parseArgs(process.argv.slice(2));
+} catch (err) {
+  console.error(`${err.message}\n\n${usage}`);
+  process.exit(2);
+}
+
+// Repositories log to stdout, which is kept for the outcome of the migration.
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "warn";
+const layers = require("./config/layers");
+const { migrate } = require("./service/migration");
+const source = require(`./repository/${options.from}`);
+const target = require(`./repository/${options.to}`);
+try {
+  layers.verify();
+} catch (err) {
+  console.error(err.message);
+  process.exit(2);
+}
+
+const open = (repository) =>
+  new Promise((resolve, reject) =>
+    repository.open
+      ? repository.open((err) => (err ? reject(err) : resolve()))
+      : resolve()
+  );
+const close = (repository) =>
+  new Promise((resolve) =>
+    repository.close ? repository.close(() => resolve()) : resolve()
+  );
+
+const onProgress = (progress) =>
+  process.stderr.write(
+    `${progress.namespace}: ${progress.copied}/${progress.total} objects copied\n`
+  );
+
+Promise.all([open(source), open(target)])
+  .then(
+    () =>
+      new Promise((resolve, reject) =>
+        migrate(source, target, options, onProgress, (err, reports) =>
+          err ? reject(err) : resolve(reports)
+        )
+      )
+  )
+  .then(
+    (reports) => {
+      reports.forEach((report) => console.log(describe(report)));
+      process.exitCode = reports.every(succeeded) ? 0 : 1;
+    },
+    (err) => {
+      console.error(`Migration failed. Reason: ${err.message}`);
+      process.exitCode = 1;
+    }
+  )
+  .then(() => Promise.all([close(source), close(target)]));
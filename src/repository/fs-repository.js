@@ -3,233 +3,1158 @@ const { timeStamp } = require("console");
 const EventEmitter = require("events");
 const config = require("../config/fs-repository");
 const fs = require("fs");
+const { applyQuery } = require("../service/query");
+const {
+  versionField,
+  VersionMismatchError,
+  currentVersion,
+  matchesVersion,
+} = require("../service/version");
+const {
+  defaultSettings,
+  NamespaceError,
+  NamespaceExistsError,
+  verifyKept,
+  verifyWrite,
+} = require("../service/namespace");
+const {
+  IdExistsError,
+  generateId,
+  storedId,
+  verifyId,
+} = require("../service/ids");
+const { qualify, split } = require("../service/tenants");
+const logger = require("../service/logger");
 
 /**
  * Module to cache data objects in memory and persist to the local filesystem.
  * This implementation provides an example of how to asynchronously wrap and interface with Node's FS API.
- * The code seeks to demonstrate the use of different approaches to asynchronous operation within Node, including the
- * more traditional callback, together with 'modern' ES approaches of promises and async wait.
- * There are deliberate interval delays which print to the console to demonstrate that the event loop is not blocked
- * in relevant scenarios.
+ * Internally every asynchronous step is a promise, awaited in turn, and the exported operations complete their
+ * callback with the outcome (see respond), as the repository interface requires.
+ *
+ * Each namespace dataset is persisted as a snapshot file, '<namespace>.json', together with an append-only
+ * write-ahead log, '<namespace>.log'. Every write appends one line to the log listing the data objects it changes,
+ * and is only acknowledged once the line has been flushed to disk. After config.compactEntries log entries
+ * the dataset is compacted, writing a new snapshot to a temporary file which is renamed over the previous snapshot,
+ * before the log is truncated. A crash therefore leaves a complete snapshot and a log to replay, at worst ending
+ * with a partial line from a write which was never acknowledged. The snapshot holds the identifier cursor alongside
+ * the dataset, so the identifier of a deleted data object is never generated again. The files of the namespaces of a
+ * tenant, '<namespace>@<tenant>' (see service/tenants), are kept within a subdirectory of the location named after
+ * the tenant.
+ *
+ * Datasets are loaded, replaying their log, when first used and every namespace with files in the location is
+ * recovered when the repository is opened. Writes to a dataset are queued, so each one sees the result of the
+ * previous one. A snapshot or log which cannot be read is reported as a CorruptDatasetError, and left untouched
+ * for repair, rather than the dataset being treated as empty.
+ *
+ * The settings of a namespace are persisted as '<namespace>.settings', replaced atomically like the snapshot. A
+ * namespace exists once it holds data objects or its settings are stored. Identifiers are generated by the strategy of
+ * the namespace, incrementing by default. Renaming or dropping a namespace waits for
+ * its queued writes, and writes queued behind it are performed against the dataset loaded afresh.
  *
  * NOTE: This is a simple implementation to demonstrate using the Node FS API and to facilitate persistent storage of data objects in the absence of
  * a purpose built backend data storage resource service such as Redis, MongDb etc...
  * As a result, this implementation has the following scaling limitations:
  *  1.  Heap memory usage - all data objects are cached as a collection.
- *  2.  Use with Node Clustering and multi-process operation, performance overhead of all instances accessing the same file in the local filesystem.
+ *  2.  Use with Node Clustering and multi-process operation, writes are only serialized within a process, so a single
+ *      process must own the location.
  */
 
 const idField = "_id";
+const defaultStrategy = "increment";
+const tenantPattern = /^[a-z0-9][a-z0-9-]*$/;
+
+/**
+ * Error raised when the persisted dataset of a namespace cannot be read.
+ */
+class CorruptDatasetError extends Error {
+  constructor(namespace, reason) {
+    super(`Dataset ${namespace} is corrupt and requires repair: ${reason}`);
+    this.name = "CorruptDatasetError";
+    this.namespace = namespace;
+  }
+}
+
+// Promise of the loaded state of each namespace dataset.
+const datasets = new Map();
+
+// Result of a task queued against a dataset state closed by a rename or drop, so it is queued again.
+const reopen = Symbol("reopen");
+
+/**
+ * Provide the data object stored against the specified identifier within a dataset.
+ * @function stored
+ * @param {object} dataset - Cached dataset for namespace
+ * @param {string} id - Specified data identifier
+ * @returns Stored data object, or null if the identifier does not exist in the dataset.
+ */
+const stored = (dataset, id) =>
+  Object.prototype.hasOwnProperty.call(dataset, id) ? dataset[id] : null;
+
+/**
+ * Advance an identifier cursor past the specified identifier, should it be numeric.
+ * @function advanceCursor
+ * @param {number} idCursor - Highest numeric identifier stored so far
+ * @param {string|number} id - Data identifier being stored
+ * @returns Highest numeric identifier stored, including the specified identifier
+ */
+const advanceCursor = (idCursor, id) =>
+  /^\d+$/.test(String(id)) ? Math.max(idCursor, parseInt(id)) : idCursor;
+
+/**
+ * Apply the changes of a write to a dataset state.
+ * The identifier cursor advances past every numeric identifier stored, so deleting the highest identifier never
+ * frees it for reuse. Replaying the log therefore restores the cursor the snapshot was compacted with.
+ * @function applyChanges
+ * @param {{dataset: object, idCursor: number}} state - Dataset state
+ * @param {Array<{id: string, data: object}>} changes - Data object stored against each identifier, null to delete
+ */
+const applyChanges = (state, changes) =>
+  changes.forEach((change) => {
+    if (change.data === null) {
+      delete state.dataset[change.id];
+    } else {
+      state.dataset[change.id] = change.data;
+      state.idCursor = advanceCursor(state.idCursor, change.id);
+    }
+  });
+
+/**
+ * Replay the write-ahead log of a namespace onto its snapshot dataset.
+ * A partial last line is a write interrupted by a crash, which was never acknowledged, so is removed from the log.
+ * @function replayLog
+ * @param {string} namespace - Unique namespace of the dataset.
+ * @param {{dataset: object, idCursor: number}} snapshot - Snapshot dataset and cursor, updated with the logged changes
+ * @returns Promise resolving the number of log entries
+ * @throws {CorruptDatasetError} If a complete log entry cannot be read.
+ */
+const replayLog = async (namespace, snapshot) => {
+  const file = logFile(namespace);
+  if (!fs.existsSync(file)) {
+    return 0;
+  }
+
+  const text = (await fs.promises.readFile(file)).toString("utf8");
+  // Every entry ends with a line break, so the last line is empty unless the final write was torn.
+  const lines = text.split("\n");
+  const torn = lines.pop();
+
+  lines.forEach((line, index) => {
+    let entry = null;
+    try {
+      entry = JSON.parse(line);
+    } catch (parseError) {
+      throw new CorruptDatasetError(
+        namespace,
+        `${file} entry ${index + 1} is not valid JSON (${parseError.message})`
+      );
+    }
+    if (!entry || !Array.isArray(entry.changes)) {
+      throw new CorruptDatasetError(
+        namespace,
+        `${file} entry ${index + 1} has no changes`
+      );
+    }
+    applyChanges(snapshot, entry.changes);
+  });
+
+  if (torn !== "") {
+    logger.warn(`Discarding an incomplete write from ${file}`);
+    await fs.promises.truncate(
+      file,
+      Buffer.byteLength(text) - Buffer.byteLength(torn)
+    );
+  }
+  return lines.length;
+};
 
 /**
- * Provides a promise to load a dataset from an existing local file.
- * If there is no file then the promise resolves with an empty dataset.
- * If there is a file but it cannot be loaded, then the promise rejects with the encountered error.
+ * Provides a promise to load a dataset from its snapshot file and write-ahead log.
+ * If there are no files then the promise resolves with an empty dataset.
+ * A snapshot holds the dataset and its identifier cursor, a snapshot written before the cursor was persisted is the
+ * dataset alone, and its cursor is the highest numeric identifier it holds.
+ * If the files exist but cannot be read, then the promise rejects with the encountered error.
  * @function loadData
  * @param {string} namespace - Unique namespace of the dataset.
- * @returns Promise to load a dataset from an existing file in the local file system
- */
-const loadData = (namespace) => {
-  return new Promise((resolve, reject) => {
-    let file = archiveFile(namespace);
-    if (fs.existsSync(file)) {
-      fs.readFile(file, (err, fileData) => {
-        if (err) {
-          // The file exists but there was an OS level error reading it.
-          reject(err);
-        } else {
-          try {
-            // successfully loaded file data, attempt to parse the data buffer as JSON.
-            resolve(JSON.parse(fileData));
-          } catch (parseError) {
-            // Badly formed JSON, return the error
-            reject(parseError);
-          }
-        }
-      });
-    } else {
-      // No archive file, return an empty dataset
-      resolve({});
+ * @returns Promise to load the dataset state from the local file system
+ */
+const loadData = async (namespace) => {
+  const file = archiveFile(namespace);
+  const snapshot = { dataset: {}, idCursor: 0 };
+  if (fs.existsSync(file)) {
+    // An OS level error reading the file rejects with that error.
+    const fileData = await fs.promises.readFile(file);
+    let content = null;
+    try {
+      content = JSON.parse(fileData);
+    } catch (parseError) {
+      throw new CorruptDatasetError(
+        namespace,
+        `${file} is not valid JSON (${parseError.message})`
+      );
+    }
+    // Data objects are never numbers, so a numeric cursor distinguishes a snapshot from a bare dataset.
+    const legacy = !content || typeof content.idCursor !== "number";
+    const dataset = legacy ? content : content.dataset;
+    if (
+      dataset === null ||
+      typeof dataset !== "object" ||
+      Array.isArray(dataset)
+    ) {
+      throw new CorruptDatasetError(
+        namespace,
+        `${file} is not a dataset object`
+      );
+    }
+    snapshot.dataset = dataset;
+    snapshot.idCursor = legacy
+      ? Object.keys(dataset).reduce(advanceCursor, 0)
+      : content.idCursor;
+  }
+
+  const entries = await replayLog(namespace, snapshot);
+  return {
+    dataset: snapshot.dataset,
+    idCursor: snapshot.idCursor,
+    entries: entries,
+    settings: await loadSettings(namespace),
+    queue: Promise.resolve(),
+    closed: false,
+  };
+};
+
+/**
+ * Provides a promise to load the settings of a namespace from its settings file.
+ * @function loadSettings
+ * @param {string} namespace - Unique namespace of the dataset.
+ * @returns Promise resolving the namespace settings, or null if they have not been stored
+ * @throws {CorruptDatasetError} If the settings file cannot be read.
+ */
+const loadSettings = async (namespace) => {
+  const file = settingsFile(namespace);
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+
+  const fileData = await fs.promises.readFile(file);
+  try {
+    return { ...defaultSettings, ...JSON.parse(fileData) };
+  } catch (parseError) {
+    throw new CorruptDatasetError(
+      namespace,
+      `${file} is not valid JSON (${parseError.message})`
+    );
+  }
+};
+
+/**
+ * Determine whether the namespace of a dataset state exists.
+ * @function exists
+ * @param {object} state - Dataset state
+ * @returns True if the dataset holds data objects or its settings are stored
+ */
+const exists = (state) =>
+  state.settings !== null || Object.keys(state.dataset).length > 0;
+
+/**
+ * Provide the loaded state of the dataset stored for the specified namespace, loading it on first use.
+ * A dataset which fails to load is loaded again by the next request, so a repaired dataset is picked up.
+ * @function loadState
+ * @param {string} namespace - Unique namespace of the dataset.
+ * @returns Promise resolving the dataset state
+ */
+const loadState = (namespace) => {
+  if (!datasets.has(namespace)) {
+    const loading = loadData(namespace);
+    datasets.set(namespace, loading);
+    loading.catch(() => datasets.delete(namespace));
+  }
+  return datasets.get(namespace);
+};
+
+/**
+ * Complete the callback of an exported operation with the outcome of a promise.
+ * @function respond
+ * @param {Promise} promise - Promise of the operation result
+ * @param {function(Error,*):void} callback - Callback with the operation result.
+ */
+const respond = (promise, callback) => {
+  promise.then(
+    (result) => callback(null, result),
+    (err) => callback(err, null)
+  );
+};
+
+/**
+ * Provide the cached dataset stored for the specified namespace.
+ * @function getDataset
+ * @param {string} namespace - Unique namespace of the dataset.
+ * @returns Promise resolving the cached dataset
+ */
+const getDataset = async (namespace) => {
+  try {
+    return (await loadState(namespace)).dataset;
+  } catch (err) {
+    logger.error(`Failed to load archived dataset ${namespace}`, {
+      error: err.message,
+    });
+    throw err;
+  }
+};
+
+/**
+ * Queue a task against the specified dataset state, to run once the previously queued tasks complete.
+ * @function serialize
+ * @param {object} state - Dataset state
+ * @param {function():Promise} task - Task to run
+ * @returns Promise resolving the task result
+ */
+const serialize = (state, task) => {
+  const queued = state.queue.then(task);
+  // A failed task does not prevent the tasks queued behind it from running.
+  state.queue = queued.catch(() => {});
+  return queued;
+};
+
+/**
+ * Queue a task against the dataset state of the specified namespace.
+ * A task reaching a state closed by a rename or drop is queued again, against the dataset loaded afresh.
+ * @function perform
+ * @param {string} namespace - Unique namespace of the dataset.
+ * @param {function(object):Promise} task - Task to run with the dataset state
+ * @returns Promise resolving the task result
+ */
+const perform = async (namespace, task) => {
+  const state = await loadState(namespace);
+  const result = await serialize(state, () =>
+    state.closed ? reopen : task(state)
+  );
+  return result === reopen ? perform(namespace, task) : result;
+};
+
+/**
+ * Queue a task which closes the dataset state of the specified namespace, once the previously queued tasks
+ * complete. The dataset is loaded afresh by the next request, whether or not the task succeeds.
+ * @function exclusive
+ * @param {string} namespace - Unique namespace of the dataset.
+ * @param {function(object):Promise} task - Task to run with the dataset state
+ * @returns Promise resolving the task result
+ */
+const exclusive = (namespace, task) =>
+  perform(namespace, async (state) => {
+    try {
+      return await task(state);
+    } finally {
+      state.closed = true;
+      datasets.delete(namespace);
+    }
+  });
+
+/**
+ * Determine the number of data objects a write adds to a dataset, less those it deletes.
+ * @function growth
+ * @param {object} dataset - Cached dataset for namespace
+ * @param {Array<{id: string, data: object}>} changes - Changes made by the write
+ * @returns Net number of data objects added
+ */
+const growth = (dataset, changes) => {
+  // Only the last change to each identifier determines whether it is stored after the write.
+  const final = new Map(
+    changes.map((change) => [String(change.id), change.data])
+  );
+  return [...final].reduce(
+    (added, [id, data]) =>
+      added + (data !== null ? 1 : 0) - (stored(dataset, id) !== null ? 1 : 0),
+    0
+  );
+};
+
+/**
+ * Perform a write to the specified namespace dataset.
+ * The operation determines the changes to make from the current dataset, without modifying it. The changes are
+ * verified against the namespace settings, appended to the write-ahead log and then applied to the cached dataset,
+ * and the promise resolves the operation result once they are durable.
+ * @function write
+ * @param {string} namespace - Unique namespace of the dataset.
+ * @param {function(object,object,number):{changes: Array, result: *}} operation - Determines the changes and result of the write from the dataset, namespace settings and identifier cursor, or throws to reject it
+ * @returns Promise resolving the operation result
+ */
+const write = (namespace, operation) =>
+  perform(namespace, async (state) => {
+    const settings = state.settings || defaultSettings;
+    const { changes, result } = operation(
+      state.dataset,
+      settings,
+      state.idCursor
+    );
+    if (changes.length > 0) {
+      verifyWrite(
+        namespace,
+        settings,
+        Object.keys(state.dataset).length,
+        growth(state.dataset, changes)
+      );
+      await appendLog(namespace, changes);
+      applyChanges(state, changes);
+      state.entries++;
+      if (state.entries >= config.compactEntries) {
+        // The write is already durable, so a failed compaction is retried by the next write.
+        await compact(namespace, state).catch((err) =>
+          logger.warn(`Compaction of ${namespace} failed`, {
+            error: err.message,
+          })
+        );
+      }
     }
+    return result;
   });
+
+/**
+ * Append an entry listing the changes of a write to the write-ahead log of a namespace, and flush it to disk.
+ * Should the append fail, the log is truncated back to its previous length so no partial entry remains.
+ * @function appendLog
+ * @param {string} namespace - Unique namespace of the dataset.
+ * @param {Array<{id: string, data: object}>} changes - Changes made by the write
+ */
+const appendLog = async (namespace, changes) => {
+  const handle = await fs.promises.open(logFile(namespace), "a");
+  try {
+    const { size } = await handle.stat();
+    try {
+      await handle.write(`${JSON.stringify({ changes: changes })}\n`);
+      await handle.sync();
+    } catch (err) {
+      await handle.truncate(size).catch(() => {});
+      throw err;
+    }
+  } finally {
+    await handle.close();
+  }
 };
 
 /**
- * Cache the dataset stored for the specified namespace.
+ * Flush the directory entries of the directory holding a namespace to disk, so a rename survives a crash.
+ * Not every platform supports flushing a directory, in which case this does nothing.
+ * @function syncLocation
  * @param {string} namespace - Unique namespace of the dataset.
- * @returns
  */
-const getDataset = async (namespace, callback) => {
+const syncLocation = async (namespace) => {
   try {
-    let dataset = await loadData(namespace);
-    callback(dataset);
+    const handle = await fs.promises.open(
+      directory(split(namespace).tenant),
+      "r"
+    );
+    try {
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
   } catch (err) {
-    console.log(`Failed to load archived dataset: ${err}`);
-    console.log("Loading with an empty dataset!");
-    callback(dataset);
+    // Flushing the directory is best effort.
+  }
+};
+
+/**
+ * Compact the write-ahead log of a namespace into a new snapshot of its dataset.
+ * This is an example of an async wait approach to untilise a promise.
+ * The snapshot is written to a temporary file which atomically replaces the previous snapshot, so a crash leaves
+ * either snapshot intact. The log is truncated last, replaying entries already within the new snapshot is harmless.
+ * The start of each compaction is logged with the entries it folds in, and its end with the time it took.
+ * @function compact
+ * @param {string} namespace - Unique namespace of the dataset.
+ * @param {object} state - Dataset state
+ */
+const compact = async (namespace, state) => {
+  const file = archiveFile(namespace);
+  const temporary = `${file}.tmp`;
+
+  const started = Date.now();
+  logger.info(`Compacting dataset ${namespace}`, { entries: state.entries });
+
+  const handle = await fs.promises.open(temporary, "w");
+  try {
+    await handle.writeFile(
+      JSON.stringify({ idCursor: state.idCursor, dataset: state.dataset })
+    );
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  await fs.promises.rename(temporary, file);
+  await syncLocation(namespace);
+  if (fs.existsSync(logFile(namespace))) {
+    await fs.promises.truncate(logFile(namespace), 0);
   }
+  state.entries = 0;
+  logger.info(`Compacted dataset ${namespace}`, {
+    duration: Date.now() - started,
+  });
 };
 
 /**
- * Provide the cached dataset object to the specified callback function.
- * The callback receives an error object if the dataset is still initialising.
+ * Open the repository, recovering every namespace dataset persisted within the location, and those of its tenants.
+ * Logged writes are compacted into the snapshot of each dataset. Corrupt datasets are reported, and left untouched,
+ * whilst the remaining datasets are recovered.
+ * @function open
+ * @param {function(Error):void} callback - Callback once recovery completes.
+ */
+const open = (callback) => {
+  const namespaces = new Set();
+  try {
+    locationFiles().forEach((file) => {
+      const match = /^(.+)\.(json|log|settings|json\.tmp|settings\.tmp)$/.exec(
+        file.name
+      );
+      if (!match) {
+        return;
+      }
+      if (match[2].endsWith(".tmp")) {
+        // A snapshot or settings never renamed into place, the previous files are still complete.
+        fs.unlinkSync(file.path);
+      } else {
+        namespaces.add(qualify(file.tenant, match[1]));
+      }
+    });
+  } catch (err) {
+    callback(err);
+    return;
+  }
+
+  const recovered = [...namespaces].map((namespace) =>
+    loadState(namespace)
+      .then((state) =>
+        state.entries > 0
+          ? serialize(state, () => compact(namespace, state))
+          : null
+      )
+      .then(
+        () => true,
+        (err) => {
+          logger.error(`Unable to recover dataset ${namespace}`, {
+            error: err.message,
+          });
+          return false;
+        }
+      )
+  );
+
+  Promise.all(recovered).then((results) => {
+    const failed = results.filter((result) => !result).length;
+    logger.info(
+      `Recovered ${results.length - failed} datasets${
+        failed > 0 ? `, ${failed} require repair` : ""
+      }`
+    );
+    callback(null);
+  });
+};
+
+/**
+ * Check the location is writable, so the repository can persist writes.
+ * @function ping
+ * @param {function(Error):void} callback - Callback once the location is verified, or with the error preventing writes.
+ */
+const ping = (callback) => {
+  try {
+    fs.access(location(), fs.constants.W_OK, (err) => callback(err));
+  } catch (err) {
+    // The location is missing and could not be created.
+    callback(err);
+  }
+};
+
+/**
+ * Provide the data objects matching the specified dataset query to the specified callback function.
+ * The query is evaluated in memory against the cached dataset.
  * @function list
  * @param {string} namespace - Unique namespace of the dataset.
- * @param {function(Error,object):void} callback - Synchronous callback
+ * @param {object} query - Parsed dataset query, see service/query
+ * @param {function(Error,{items: Array, total: number}):void} callback - Callback with the page of data objects and total match count
+ */
+const list = (namespace, query, callback) => {
+  respond(
+    getDataset(namespace).then((dataset) =>
+      applyQuery(Object.values(dataset), query)
+    ),
+    callback
+  );
+};
+
+/**
+ * Provide each data object of the specified namespace dataset to the specified function, one at a time.
+ * The next data object is only provided once the promise returned for the previous one resolves.
+ * @function scan
+ * @param {string} namespace - Unique namespace of the dataset.
+ * @param {function(object):Promise} onItem - Receives each data object
+ * @param {function(Error):void} callback - Callback once every data object has been provided.
+ */
+const scan = (namespace, onItem, callback) => {
+  const provide = async () => {
+    for (const data of Object.values(await getDataset(namespace))) {
+      await onItem(data);
+    }
+  };
+  provide().then(() => callback(null), callback);
+};
+
+/**
+ * Provide the data object stored against the specified identifier.
+ * The callback receives a null data object if the identifier does not exist in the dataset.
+ * @function get
+ * @param {string} namespace - Unique namespace of the dataset.
+ * @param {string} id - Specified data identifier
+ * @param {function(Error,object):void} callback - Asynchronous callback with the located data object.
  */
-const list = (namespace, callback) => {
-  getDataset(namespace, (dataset) => callback(null, Object.values(dataset)));
+const get = (namespace, id, callback) => {
+  respond(
+    getDataset(namespace).then((dataset) => stored(dataset, id)),
+    callback
+  );
 };
 
 /**
  * Create a dataset entry from the specified data object.  The object will be given a
- * unique id property and inserted into the dataset.  The complete dataset will then be
- * persisted to a file in the local file system.
+ * unique id property and inserted into the dataset.  The write is then persisted to the
+ * write-ahead log in the local file system.
  * @function create
  * @param {string} namespace - Unique namespace of the dataset.
  * @param {object} data - Data to be added to the dataset
  * @param {function(Error,object):void} callback - Asynchronous callback to signal when the operation completes.
  */
 const create = (namespace, data, callback) => {
-  getDataset(namespace, (dataset) => {
-    let idCursor = parseInt(
-      Object.keys(dataset).reduce((acc, cur) => {
-        if (cur > acc) {
-          acc = cur;
-        }
-        return acc;
-      }, "0")
-    );
-    insert(namespace, dataset, ++idCursor, data, (err, created) =>
-      callback(err, idCursor)
-    );
-  });
+  respond(
+    write(namespace, (dataset, settings, idCursor) => {
+      // The identifier is determined within the queued write, so concurrent creates never share one.
+      const id = createId(dataset, idCursor, settings, data);
+      return { changes: [assign(dataset, id, data)], result: id };
+    }),
+    callback
+  );
+};
+
+/**
+ * Generate the identifier of a data object created within the specified dataset.
+ * Incrementing identifiers follow the cursor, which has passed every numeric identifier ever stored in the dataset.
+ * @function createId
+ * @param {object} dataset - Cached dataset for namespace
+ * @param {number} idCursor - Highest numeric identifier stored in the dataset
+ * @param {object} settings - Namespace settings
+ * @param {object} data - Data object being created
+ * @returns Data identifier
+ * @throws {IdError|IdExistsError} If the data object lacks its natural key, or the identifier is in use.
+ */
+const createId = (dataset, idCursor, settings, data) => {
+  const id = generateId(settings, defaultStrategy, data, () => idCursor + 1);
+  if (stored(dataset, id) !== null) {
+    throw new IdExistsError(id);
+  }
+  return id;
 };
 
 /**
  * Update the specified identifier with the specified data object within the
  * specified namespace dataset.
+ * The callback receives a VersionMismatchError if the stored data object does not satisfy the version condition.
  *
  * @param {string} namespace - Unique namespace of the dataset.
  * @param {string} id - Specified data identifier
  * @param {object} data - Specified data object
- * @param {function(Error,object):void} callback - Callback with operation result.
+ * @param {string|Array} ifMatch - Version condition (see service/version), null to update unconditionally
+ * @param {function(Error,{created: boolean, version: number, previous: object}):void} callback - Callback with operation result, including the data object replaced (null if created).
  */
-const update = (namespace, id, data, callback) => {
-  getDataset(namespace, (dataset) =>
-    insert(namespace, dataset, id, data, callback)
+const update = (namespace, id, data, ifMatch, callback) => {
+  respond(
+    write(namespace, (dataset, settings) => {
+      const current = stored(dataset, id);
+      if (!matchesVersion(ifMatch, current)) {
+        throw new VersionMismatchError(id);
+      }
+      verifyId(settings, id, data);
+
+      return {
+        changes: [assign(dataset, id, data)],
+        result: {
+          created: current === null,
+          version: data[versionField],
+          previous: current,
+        },
+      };
+    }),
+    callback
   );
 };
 
 /**
- * Insert the specified data object into the dataset against the specified data identifier
- * @function insert
+ * Apply a partial update to the data object stored against the specified identifier.
+ * The callback receives a null data object if the identifier does not exist in the dataset, and a
+ * VersionMismatchError if the stored data object does not satisfy the version condition.
+ * @function patch
  * @param {string} namespace - Unique namespace of the dataset.
+ * @param {string} id - Specified data identifier
+ * @param {function(object):object} applyPatch - Returns the patched copy of the stored data object
+ * @param {string|Array} ifMatch - Version condition (see service/version), null to patch unconditionally
+ * @param {function(Error,object):void} callback - Callback with the patched data object.
+ */
+const patch = (namespace, id, applyPatch, ifMatch, callback) => {
+  respond(
+    write(namespace, (dataset, settings) => {
+      const current = stored(dataset, id);
+      if (!current) {
+        return { changes: [], result: null };
+      }
+      if (!matchesVersion(ifMatch, current)) {
+        throw new VersionMismatchError(id);
+      }
+
+      const data = applyPatch(current);
+      verifyId(settings, id, data);
+      return { changes: [assign(dataset, id, data)], result: data };
+    }),
+    callback
+  );
+};
+
+/**
+ * Prepare the specified data object to be stored against the specified data identifier within the dataset.
+ * @function assign
  * @param {object} dataset - Cached dataset for namespace
  * @param {string} id - Specified data identifier
  * @param {object} data - Specified data object
- * @param {function(Error,object):void} callback - Callback with operation result.
+ * @returns Change storing the data object against the identifier
  */
-const insert = (namespace, dataset, id, data, callback) => {
-  let created = dataset.hasOwnProperty(id) == false;
+const assign = (dataset, id, data) => {
   // Add the id to the data object, this provides exposure of the id to the calling client module.
-  data[idField] = id;
-  dataset[id] = data;
-
-  // Save is async wait method, so this is an asynchronous save which doesn't block the event loop.
-  save(namespace, dataset, (saveErr) => callback(saveErr, created));
+  data[idField] = storedId(id);
+  // Every write increments the version of the data object, a new data object starts at version 1.
+  data[versionField] = currentVersion(stored(dataset, id)) + 1;
+  return { id: id, data: data };
 };
 
 /**
- * Perform an asynchronous save operation, persisting cached dataset to a file in the local file system.
- * This is an example of an async wait approach to untilise a promise.
+ * Perform a batch of create, update and delete operations against the specified namespace dataset.
+ * Operations are applied in order to a copy of the cached dataset, and the changes are then persisted with a
+ * single log entry. In atomic mode nothing is persisted unless every operation succeeds, otherwise the successful
+ * operations are reported as rolled back.
+ * @function batch
  * @param {string} namespace - Unique namespace of the dataset.
- * @param {object} dataset - Cached dataset for namespace
- * @param {function(Error):void} callback - Callback with operation result.
- */
-const save = async (namespace, dataset, callback) => {
-  // Function which returns a promise
-  const saveFile = () => {
-    return new Promise((resolve, reject) => {
-      fs.writeFile(
-        archiveFile(namespace),
-        JSON.stringify(dataset),
-        (err, data) => {
-          if (err) {
-            reject(err);
-          } else {
-            // Simulate async save delay, this is just to demonstrate that event loop is not blocked.
-            setTimeout(() => {
-              resolve(data);
-            }, Math.random() * 1000);
+ * @param {Array<{op: string, id: string, data: object, ifMatch: (string|Array)}>} operations - Batch operations
+ * @param {boolean} atomic - Whether every operation must succeed for any to be applied
+ * @param {function(Error,Array):void} callback - Callback with the outcome of each operation, applied operations
+ * include the data object after ('data') and before ('previous') the operation.
+ */
+const batch = (namespace, operations, atomic, callback) => {
+  respond(
+    write(namespace, (dataset, settings, idCursor) => {
+      // Later operations see the result of earlier ones, without modifying the cached dataset.
+      const working = { ...dataset };
+      let workingCursor = idCursor;
+
+      const results = operations.map((operation) => {
+        const current =
+          operation.op === "create" ? null : stored(working, operation.id);
+
+        switch (operation.op) {
+          case "create": {
+            let id = null;
+            try {
+              id = createId(working, workingCursor, settings, operation.data);
+            } catch (err) {
+              return err instanceof IdExistsError
+                ? { outcome: "exists", id: err.id }
+                : { outcome: "invalid" };
+            }
+            const change = assign(working, id, operation.data);
+            working[change.id] = change.data;
+            workingCursor = advanceCursor(workingCursor, change.id);
+            return {
+              outcome: "created",
+              id: change.id,
+              data: change.data,
+              previous: null,
+            };
+          }
+          case "update": {
+            if (!matchesVersion(operation.ifMatch, current)) {
+              return { outcome: "mismatch", id: operation.id };
+            }
+            try {
+              verifyId(settings, operation.id, operation.data);
+            } catch (err) {
+              return { outcome: "invalid", id: operation.id };
+            }
+            const change = assign(working, operation.id, operation.data);
+            working[change.id] = change.data;
+            workingCursor = advanceCursor(workingCursor, change.id);
+            return {
+              outcome: current ? "updated" : "created",
+              id: operation.id,
+              data: change.data,
+              previous: current,
+            };
+          }
+          default: {
+            if (!matchesVersion(operation.ifMatch, current)) {
+              return { outcome: "mismatch", id: operation.id };
+            }
+            if (!current) {
+              return { outcome: "notFound", id: operation.id };
+            }
+            delete working[operation.id];
+            return {
+              outcome: "deleted",
+              id: operation.id,
+              data: null,
+              previous: current,
+            };
           }
         }
-      );
-    });
-  };
+      });
 
-  try {
-    // Wait for promise - This doesn't block the event loop
-    console.log("Saving dataset");
-    let intervalId = setInterval(() => {
-      // Output directly to process output, this is to differentiate progress feedback to
-      // service state we want to push as log output.
-      process.stdout.write("* ");
-    }, 100);
-    await saveFile();
-    console.log("Save successful");
-    clearInterval(intervalId);
-    callback(null);
-  } catch (err) {
-    console.log(`Save failed with error: ${err}`);
-    callback(err);
-  }
+      const applied = results.filter((result) => result.data !== undefined);
+      if (atomic && applied.length < results.length) {
+        return {
+          changes: [],
+          result: results.map((result) =>
+            result.data !== undefined
+              ? { outcome: "rolledBack", id: result.id }
+              : result
+          ),
+        };
+      }
+      return {
+        changes: applied.map((result) => ({
+          id: result.id,
+          data: result.data,
+        })),
+        result: results,
+      };
+    }),
+    callback
+  );
 };
 
 /**
- * Determine whether specified data identifier exists in the cached dataset.
+ * Remove the specified data identifier from the dataset, if it exists.
+ * The callback receives a VersionMismatchError if the stored data object does not satisfy the version condition.
  * @function remove
  * @param {string} namespace - Unique namespace of the dataset.
  * @param {string} dataId - Specified data identifier
- * @param {function(Error,object):void} callback - Asynchronous callback when operation completes
- */
-const remove = (namespace, dataId, callback) => {
-  getDataset(namespace, (dataset) => {
-    if (dataId in dataset) {
-      // cache a function scope copy of the data object (in-case we need to restore it)
-      let data = dataset.dataId;
-      delete dataset[dataId];
-
-      // Asynchronous attempt to persist the new dataset cache with the removed data object.
-      save(namespace, dataset, (err) => {
-        callback(err, !err ? true : false);
-      });
-    } else {
-      callback(null, false);
+ * @param {string|Array} ifMatch - Version condition (see service/version), null to delete unconditionally
+ * @param {function(Error,object):void} callback - Callback with the deleted data object, or null if it did not exist.
+ */
+const remove = (namespace, dataId, ifMatch, callback) => {
+  respond(
+    write(namespace, (dataset) => {
+      const current = stored(dataset, dataId);
+      if (!matchesVersion(ifMatch, current)) {
+        throw new VersionMismatchError(dataId);
+      }
+
+      return {
+        changes: current ? [{ id: dataId, data: null }] : [],
+        result: current,
+      };
+    }),
+    callback
+  );
+};
+
+/**
+ * Resolves the location of the dataset files within the local filesystem, creating it if required.
+ * @function location
+ * @returns location directory
+ */
+const location = () => {
+  let path =
+    config.location == "default" ? `/${__dirname}/../../data` : config.location;
+
+  if (!fs.existsSync(path)) {
+    fs.mkdirSync(path);
+  }
+
+  return path;
+};
+
+/**
+ * Resolves the directory holding the dataset files of the specified tenant, creating it if required.
+ * @function directory
+ * @param {string} tenant - Tenant name, or null for the default tenant
+ * @returns tenant directory
+ */
+const directory = (tenant) => {
+  if (!tenant) {
+    return location();
+  }
+
+  const path = `${location()}/${tenant}`;
+  if (!fs.existsSync(path)) {
+    fs.mkdirSync(path);
+  }
+
+  return path;
+};
+
+/**
+ * Provide every file within the location and the directories of its tenants.
+ * @function locationFiles
+ * @returns {Array<{path: string, name: string, tenant: string}>} Files, with the tenant whose directory holds them,
+ *   null for the location itself.
+ */
+const locationFiles = () => {
+  const root = location();
+  return fs.readdirSync(root, { withFileTypes: true }).flatMap((entry) => {
+    if (!entry.isDirectory()) {
+      return [
+        { path: `${root}/${entry.name}`, name: entry.name, tenant: null },
+      ];
     }
+    return tenantPattern.test(entry.name)
+      ? fs.readdirSync(`${root}/${entry.name}`).map((name) => ({
+          path: `${root}/${entry.name}/${name}`,
+          name: name,
+          tenant: entry.name,
+        }))
+      : [];
   });
 };
 
 /**
  * Resolves the specified namespace into a physical file within the local filesystem.
+ * The namespace must not address a file outside the location, whichever route it arrived by.
+ * @param {string} namespace - unique name for the dataset, qualified by its tenant
+ * @param {string} extension - file extension
+ * @returns namespace file
+ * @throws {NamespaceError} If the namespace is not a safe file name.
+ */
+const namespaceFile = (namespace, extension) => {
+  if (
+    typeof namespace !== "string" ||
+    !/^[A-Za-z0-9_][A-Za-z0-9_.-]*(@[a-z0-9][a-z0-9-]*)?$/.test(namespace) ||
+    namespace.includes("..")
+  ) {
+    throw new NamespaceError(`Invalid namespace '${namespace}'`);
+  }
+  const { namespace: name, tenant } = split(namespace);
+  return `${directory(tenant)}/${name}.${extension}`;
+};
+
+/**
+ * Resolves the specified namespace into a physical snapshot file within the local filesystem.
  * @param {string} namespace - unique name for the dataset
  * @returns archive file
  */
-const archiveFile = (namespace) => {
-  let path =
-    config.location == "default" ? `/${__dirname}/../../data` : config.location;
+const archiveFile = (namespace) => namespaceFile(namespace, "json");
 
-  if (!fs.existsSync(path)) {
-    fs.mkdirSync(path);
+/**
+ * Resolves the specified namespace into a physical write-ahead log file within the local filesystem.
+ * @param {string} namespace - unique name for the dataset
+ * @returns log file
+ */
+const logFile = (namespace) => namespaceFile(namespace, "log");
+
+/**
+ * Resolves the specified namespace into a physical settings file within the local filesystem.
+ * @param {string} namespace - unique name for the dataset
+ * @returns settings file
+ */
+const settingsFile = (namespace) => namespaceFile(namespace, "settings");
+
+/**
+ * Provide every file persisting the specified namespace, which exist within the local filesystem.
+ * @param {string} namespace - unique name for the dataset
+ * @returns namespace files
+ */
+const namespaceFiles = (namespace) =>
+  [archiveFile(namespace), logFile(namespace), settingsFile(namespace)].filter(
+    (file) => fs.existsSync(file)
+  );
+
+/**
+ * Provide every namespace with its object count, size in bytes on disk and settings.
+ * Datasets which cannot be loaded are reported and omitted.
+ * @function namespaces
+ * @param {function(Error,Array<{name: string, count: number, size: number, settings: object}>):void} callback - Callback with the namespaces.
+ */
+const namespaces = (callback) => {
+  let names = null;
+  try {
+    names = new Set(
+      locationFiles()
+        .map((file) => ({
+          match: /^(.+)\.(json|log|settings)$/.exec(file.name),
+          tenant: file.tenant,
+        }))
+        .filter((file) => file.match)
+        .map((file) => qualify(file.tenant, file.match[1]))
+    );
+  } catch (err) {
+    callback(err, null);
+    return;
   }
 
-  return `${path}/${namespace}.json`;
+  const listing = Promise.all(
+    [...names].sort().map((namespace) =>
+      loadState(namespace).then(
+        (state) =>
+          exists(state)
+            ? {
+                name: namespace,
+                count: Object.keys(state.dataset).length,
+                size: namespaceFiles(namespace).reduce(
+                  (size, file) => size + fs.statSync(file).size,
+                  0
+                ),
+                settings: state.settings || defaultSettings,
+              }
+            : null,
+        (err) => {
+          logger.warn(`Unable to list dataset ${namespace}`, {
+            error: err.message,
+          });
+          return null;
+        }
+      )
+    )
+  );
+  respond(
+    listing.then((listed) => listed.filter((entry) => entry)),
+    callback
+  );
+};
+
+/**
+ * Provide the settings of the specified namespace.
+ * @function getSettings
+ * @param {string} namespace - Unique namespace of the dataset.
+ * @param {function(Error,object):void} callback - Callback with the settings, or null if the namespace does not exist.
+ */
+const getSettings = (namespace, callback) => {
+  respond(
+    loadState(namespace).then((state) =>
+      exists(state) ? state.settings || defaultSettings : null
+    ),
+    callback
+  );
+};
+
+/**
+ * Store the settings of the specified namespace, creating the namespace if it does not exist.
+ * The settings are written to a temporary file which atomically replaces the previous settings file. Data objects are
+ * never expired, so the callback receives a NamespaceError if the settings give them a ttl.
+ * @function putSettings
+ * @param {string} namespace - Unique namespace of the dataset.
+ * @param {object} settings - Namespace settings
+ * @param {function(Error,boolean):void} callback - Callback with whether the namespace was created.
+ */
+const putSettings = (namespace, settings, callback) => {
+  respond(
+    perform(namespace, async (state) => {
+      verifyKept(settings);
+      const created = !exists(state);
+      const file = settingsFile(namespace);
+      const temporary = `${file}.tmp`;
+      const handle = await fs.promises.open(temporary, "w");
+      try {
+        await handle.writeFile(JSON.stringify(settings));
+        await handle.sync();
+      } finally {
+        await handle.close();
+      }
+      await fs.promises.rename(temporary, file);
+      await syncLocation(namespace);
+      state.settings = settings;
+      return created;
+    }),
+    callback
+  );
+};
+
+/**
+ * Rename the specified namespace, together with its data objects and settings.
+ * The callback receives a NamespaceExistsError if the new namespace already exists.
+ * @function renameNamespace
+ * @param {string} namespace - Unique namespace of the dataset.
+ * @param {string} to - New namespace
+ * @param {function(Error,boolean):void} callback - Callback with whether the namespace existed to be renamed.
+ */
+const renameNamespace = (namespace, to, callback) => {
+  if (namespace === to) {
+    getSettings(namespace, (err, settings) =>
+      callback(err || (settings ? new NamespaceExistsError(to) : null), false)
+    );
+    return;
+  }
+
+  // Both datasets are closed in name order, so opposing renames cannot wait on each other.
+  const [first, second] = [namespace, to].sort();
+  const renaming = exclusive(first, (firstState) =>
+    exclusive(second, async (secondState) => {
+      const [source, target] =
+        first === namespace
+          ? [firstState, secondState]
+          : [secondState, firstState];
+      if (!exists(source)) {
+        return false;
+      }
+      if (exists(target)) {
+        throw new NamespaceExistsError(to);
+      }
+
+      // Files remaining from a target emptied of data objects are replaced.
+      for (const file of namespaceFiles(to)) {
+        await fs.promises.unlink(file);
+      }
+      for (const [from, into] of [
+        [archiveFile(namespace), archiveFile(to)],
+        [logFile(namespace), logFile(to)],
+        [settingsFile(namespace), settingsFile(to)],
+      ]) {
+        if (fs.existsSync(from)) {
+          await fs.promises.rename(from, into);
+        }
+      }
+      await syncLocation(to);
+      return true;
+    })
+  );
+  respond(renaming, callback);
+};
+
+/**
+ * Remove the specified namespace, together with its data objects and settings.
+ * @function dropNamespace
+ * @param {string} namespace - Unique namespace of the dataset.
+ * @param {function(Error,boolean):void} callback - Callback with whether the namespace existed to be dropped.
+ */
+const dropNamespace = (namespace, callback) => {
+  const dropping = exclusive(namespace, async (state) => {
+    const dropped = exists(state);
+    for (const file of namespaceFiles(namespace)) {
+      await fs.promises.unlink(file);
+    }
+    await syncLocation(namespace);
+    return dropped;
+  });
+  respond(dropping, callback);
 };
 
 module.exports = {
+  CorruptDatasetError: CorruptDatasetError,
+  open: open,
+  ping: ping,
+  // Export namespace operations
+  namespaces: namespaces,
+  getSettings: getSettings,
+  putSettings: putSettings,
+  renameNamespace: renameNamespace,
+  dropNamespace: dropNamespace,
   // Export CRUD operations
   create: create,
   read: list,
+  get: get,
   update: update,
+  patch: patch,
   delete: remove,
+  batch: batch,
+  scan: scan,
 };
@@ -0,0 +1,553 @@
+const config = require("../config/memory-repository");
+const { applyQuery } = require("../service/query");
+const {
+  versionField,
+  VersionMismatchError,
+  currentVersion,
+  matchesVersion,
+} = require("../service/version");
+const {
+  defaultSettings,
+  NamespaceExistsError,
+  timeToLive,
+  verifyWrite,
+} = require("../service/namespace");
+const {
+  IdExistsError,
+  generateId,
+  storedId,
+  verifyId,
+} = require("../service/ids");
+
+/**
+ * Module to hold data objects in memory only, for tests and ephemeral deployments where nothing needs to survive a
+ * restart. The repository fulfils the same contract as the filesystem and MongoDB repositories.
+ *
+ * Each namespace dataset is a Map of data identifier to data object, ordered by the time each object was last
+ * written. Two optional limits bound the memory used:
+ *  1.  config.maxObjects - Once a dataset holds more objects, the least recently written objects are evicted.
+ *  2.  config.ttl - Objects expire the specified number of seconds after they were last written, unless the ttl
+ *      setting of their namespace specifies otherwise. Expired objects are evicted when their dataset is next used.
+ * Zero disables either limit.
+ *
+ * A namespace exists once it holds data objects or its settings are stored. Identifiers are generated by the
+ * strategy of the namespace, incrementing by default. The namespaces of a tenant are held by their qualified name,
+ * '<namespace>@<tenant>' (see service/tenants).
+ */
+
+const idField = "_id";
+const defaultStrategy = "increment";
+
+const datasets = new Map();
+
+/**
+ * Provide the dataset of the specified namespace, evicting any expired data objects.
+ * @function getDataset
+ * @param {string} namespace - Unique namespace of the dataset.
+ * @returns {{entries: Map, idCursor: number, settings: object}} Dataset state, settings are null until stored
+ */
+const getDataset = (namespace) => {
+  if (!datasets.has(namespace)) {
+    datasets.set(namespace, {
+      entries: new Map(),
+      idCursor: 0,
+      settings: null,
+    });
+  }
+
+  const dataset = datasets.get(namespace);
+  const ttl = timeToLive(dataset.settings, config.ttl);
+  if (ttl > 0) {
+    // Entries are ordered by write time, so the expired entries are first.
+    const written = Date.now() - ttl * 1000;
+    for (const [id, entry] of dataset.entries) {
+      if (entry.written > written) {
+        break;
+      }
+      dataset.entries.delete(id);
+    }
+  }
+  return dataset;
+};
+
+/**
+ * Provide the data object stored against the specified identifier.
+ * @function stored
+ * @param {Map} entries - Dataset entries
+ * @param {string} id - Specified data identifier
+ * @returns Stored data object, or null if the identifier does not exist in the dataset.
+ */
+const stored = (entries, id) =>
+  entries.has(String(id)) ? entries.get(String(id)).data : null;
+
+/**
+ * Store the specified data object against the specified identifier, evicting the least recently written objects
+ * should the dataset exceed config.maxObjects.
+ * @function store
+ * @param {Map} entries - Dataset entries
+ * @param {string} id - Specified data identifier
+ * @param {object} data - Specified data object
+ */
+const store = (entries, id, data) => {
+  const key = String(id);
+  const current = stored(entries, key);
+  data[idField] = storedId(id);
+  // Every write increments the version of the data object, a new data object starts at version 1.
+  data[versionField] = currentVersion(current) + 1;
+
+  // Re-inserting the entry moves it to the end of the write order.
+  entries.delete(key);
+  entries.set(key, { data: data, written: Date.now() });
+  while (config.maxObjects > 0 && entries.size > config.maxObjects) {
+    entries.delete(entries.keys().next().value);
+  }
+};
+
+/**
+ * Provide the next unused identifier of the specified dataset.
+ * @function nextId
+ * @param {object} dataset - Dataset state
+ * @param {Map} entries - Dataset entries, which may differ from the dataset state within a batch
+ * @returns Numeric data identifier, as the filesystem repository provides
+ */
+const nextId = (dataset, entries) => {
+  do {
+    dataset.idCursor++;
+  } while (entries.has(String(dataset.idCursor)));
+  return dataset.idCursor;
+};
+
+/**
+ * Generate the identifier of a data object created within the specified dataset.
+ * @function createId
+ * @param {object} dataset - Dataset state
+ * @param {Map} entries - Dataset entries, which may differ from the dataset state within a batch
+ * @param {object} data - Data object being created
+ * @returns Data identifier
+ * @throws {IdError|IdExistsError} If the data object lacks its natural key, or the identifier is in use.
+ */
+const createId = (dataset, entries, data) => {
+  const id = generateId(settingsOf(dataset), defaultStrategy, data, () =>
+    nextId(dataset, entries)
+  );
+  if (entries.has(String(id))) {
+    throw new IdExistsError(id);
+  }
+  return id;
+};
+
+/**
+ * Provide the settings of the specified dataset.
+ * @function settingsOf
+ * @param {object} dataset - Dataset state
+ * @returns Namespace settings
+ */
+const settingsOf = (dataset) => dataset.settings || defaultSettings;
+
+/**
+ * Determine whether the dataset of a namespace exists.
+ * @function exists
+ * @param {object} dataset - Dataset state
+ * @returns True if the dataset holds data objects or its settings are stored
+ */
+const exists = (dataset) =>
+  dataset.entries.size > 0 || dataset.settings !== null;
+
+/**
+ * Verify the settings of a namespace permit a write.
+ * @function checkWrite
+ * @param {string} namespace - Unique namespace of the dataset.
+ * @param {object} dataset - Dataset state
+ * @param {number} added - Number of data objects the write adds, less those it deletes
+ * @throws {ReadOnlyNamespaceError|NamespaceQuotaError} If the settings do not permit the write.
+ */
+const checkWrite = (namespace, dataset, added) =>
+  verifyWrite(namespace, settingsOf(dataset), dataset.entries.size, added);
+
+/**
+ * Invoke a callback asynchronously, as the other repositories do.
+ * @function respond
+ * @param {function} callback - Operation callback
+ * @param {Error} err - Operation error
+ * @param {*} result - Operation result
+ */
+const respond = (callback, err, result) =>
+  setImmediate(() => callback(err, result));
+
+/**
+ * Create a dataset entry from the specified data object, which is given a unique id property.
+ * @function create
+ * @param {string} namespace - Unique namespace of the dataset.
+ * @param {object} data - Data to be added to the dataset
+ * @param {function(Error,*):void} callback - Callback with the identifier of the created data object.
+ */
+const create = (namespace, data, callback) => {
+  const dataset = getDataset(namespace);
+  let id = null;
+  try {
+    checkWrite(namespace, dataset, 1);
+    id = createId(dataset, dataset.entries, data);
+  } catch (err) {
+    respond(callback, err, null);
+    return;
+  }
+
+  store(dataset.entries, id, data);
+  respond(callback, null, id);
+};
+
+/**
+ * Provide the data objects matching the specified dataset query.
+ * @function list
+ * @param {string} namespace - Unique namespace of the dataset.
+ * @param {object} query - Parsed dataset query, see service/query
+ * @param {function(Error,{items: Array, total: number}):void} callback - Callback with the page of data objects and total match count
+ */
+const list = (namespace, query, callback) => {
+  const items = [...getDataset(namespace).entries.values()].map(
+    (entry) => entry.data
+  );
+  respond(callback, null, applyQuery(items, query));
+};
+
+/**
+ * Provide each data object of the specified namespace dataset to the specified function, one at a time.
+ * The next data object is only provided once the promise returned for the previous one resolves.
+ * @function scan
+ * @param {string} namespace - Unique namespace of the dataset.
+ * @param {function(object):Promise} onItem - Receives each data object
+ * @param {function(Error):void} callback - Callback once every data object has been provided.
+ */
+const scan = (namespace, onItem, callback) => {
+  const items = [...getDataset(namespace).entries.values()].map(
+    (entry) => entry.data
+  );
+  const next = async () => {
+    for (const data of items) {
+      await onItem(data);
+    }
+  };
+  next().then(
+    () => callback(null),
+    (err) => callback(err)
+  );
+};
+
+/**
+ * Provide the data object stored against the specified identifier.
+ * The callback receives a null data object if the identifier does not exist in the dataset.
+ * @function get
+ * @param {string} namespace - Unique namespace of the dataset.
+ * @param {string} id - Specified data identifier
+ * @param {function(Error,object):void} callback - Callback with the located data object.
+ */
+const get = (namespace, id, callback) => {
+  respond(callback, null, stored(getDataset(namespace).entries, id));
+};
+
+/**
+ * Update the specified identifier with the specified data object, creating it if it does not exist.
+ * The callback receives a VersionMismatchError if the stored data object does not satisfy the version condition.
+ * @function update
+ * @param {string} namespace - Unique namespace of the dataset.
+ * @param {string} id - Specified data identifier
+ * @param {object} data - Specified data object
+ * @param {string|Array} ifMatch - Version condition (see service/version), null to update unconditionally
+ * @param {function(Error,{created: boolean, version: number, previous: object}):void} callback - Callback with operation result, including the data object replaced (null if created).
+ */
+const update = (namespace, id, data, ifMatch, callback) => {
+  const dataset = getDataset(namespace);
+  const entries = dataset.entries;
+  const current = stored(entries, id);
+  if (!matchesVersion(ifMatch, current)) {
+    respond(callback, new VersionMismatchError(id), null);
+    return;
+  }
+  try {
+    checkWrite(namespace, dataset, current ? 0 : 1);
+    verifyId(settingsOf(dataset), id, data);
+  } catch (err) {
+    respond(callback, err, null);
+    return;
+  }
+
+  store(entries, id, data);
+  respond(callback, null, {
+    created: current === null,
+    version: data[versionField],
+    previous: current,
+  });
+};
+
+/**
+ * Apply a partial update to the data object stored against the specified identifier.
+ * The callback receives a null data object if the identifier does not exist in the dataset, and a
+ * VersionMismatchError if the stored data object does not satisfy the version condition.
+ * @function patch
+ * @param {string} namespace - Unique namespace of the dataset.
+ * @param {string} id - Specified data identifier
+ * @param {function(object):object} applyPatch - Returns the patched copy of the stored data object
+ * @param {string|Array} ifMatch - Version condition (see service/version), null to patch unconditionally
+ * @param {function(Error,object):void} callback - Callback with the patched data object.
+ */
+const patch = (namespace, id, applyPatch, ifMatch, callback) => {
+  const dataset = getDataset(namespace);
+  const entries = dataset.entries;
+  const current = stored(entries, id);
+  if (!current) {
+    respond(callback, null, null);
+    return;
+  }
+  if (!matchesVersion(ifMatch, current)) {
+    respond(callback, new VersionMismatchError(id), null);
+    return;
+  }
+
+  let data = null;
+  try {
+    checkWrite(namespace, dataset, 0);
+    data = applyPatch(current);
+    verifyId(settingsOf(dataset), id, data);
+  } catch (err) {
+    respond(callback, err, null);
+    return;
+  }
+  store(entries, id, data);
+  respond(callback, null, data);
+};
+
+/**
+ * Remove the specified data identifier from the dataset, if it exists.
+ * The callback receives a VersionMismatchError if the stored data object does not satisfy the version condition.
+ * @function remove
+ * @param {string} namespace - Unique namespace of the dataset.
+ * @param {string} id - Specified data identifier
+ * @param {string|Array} ifMatch - Version condition (see service/version), null to delete unconditionally
+ * @param {function(Error,object):void} callback - Callback with the deleted data object, or null if it did not exist.
+ */
+const remove = (namespace, id, ifMatch, callback) => {
+  const dataset = getDataset(namespace);
+  const entries = dataset.entries;
+  const current = stored(entries, id);
+  if (!matchesVersion(ifMatch, current)) {
+    respond(callback, new VersionMismatchError(id), null);
+    return;
+  }
+  if (current) {
+    try {
+      checkWrite(namespace, dataset, -1);
+    } catch (err) {
+      respond(callback, err, null);
+      return;
+    }
+  }
+
+  entries.delete(String(id));
+  respond(callback, null, current);
+};
+
+/**
+ * Perform a batch of create, update and delete operations against the specified namespace dataset.
+ * Operations are applied in order to a copy of the dataset entries and identifier cursor, which replace those of
+ * the dataset unless an atomic batch fails, in which case the successful operations are reported as rolled back.
+ * @function batch
+ * @param {string} namespace - Unique namespace of the dataset.
+ * @param {Array<{op: string, id: string, data: object, ifMatch: (string|Array)}>} operations - Batch operations
+ * @param {boolean} atomic - Whether every operation must succeed for any to be applied
+ * @param {function(Error,Array):void} callback - Callback with the outcome of each operation, applied operations
+ * include the data object after ('data') and before ('previous') the operation.
+ */
+const batch = (namespace, operations, atomic, callback) => {
+  const dataset = getDataset(namespace);
+  const working = new Map(dataset.entries);
+  // Identifiers are taken from a copy of the dataset state, so only a batch which is applied reserves them.
+  const pending = { ...dataset, entries: working };
+
+  const results = operations.map((operation) => {
+    const current =
+      operation.op === "create" ? null : stored(working, operation.id);
+
+    switch (operation.op) {
+      case "create": {
+        let id = null;
+        try {
+          id = createId(pending, working, operation.data);
+        } catch (err) {
+          return err instanceof IdExistsError
+            ? { outcome: "exists", id: err.id }
+            : { outcome: "invalid" };
+        }
+        store(working, id, operation.data);
+        return {
+          outcome: "created",
+          id: id,
+          data: operation.data,
+          previous: null,
+        };
+      }
+      case "update": {
+        if (!matchesVersion(operation.ifMatch, current)) {
+          return { outcome: "mismatch", id: operation.id };
+        }
+        try {
+          verifyId(settingsOf(dataset), operation.id, operation.data);
+        } catch (err) {
+          return { outcome: "invalid", id: operation.id };
+        }
+        store(working, operation.id, operation.data);
+        return {
+          outcome: current ? "updated" : "created",
+          id: operation.id,
+          data: operation.data,
+          previous: current,
+        };
+      }
+      default: {
+        if (!matchesVersion(operation.ifMatch, current)) {
+          return { outcome: "mismatch", id: operation.id };
+        }
+        if (!current) {
+          return { outcome: "notFound", id: operation.id };
+        }
+        working.delete(String(operation.id));
+        return {
+          outcome: "deleted",
+          id: operation.id,
+          data: null,
+          previous: current,
+        };
+      }
+    }
+  });
+
+  const applied = results.filter((result) => result.data !== undefined);
+  if (atomic && applied.length < results.length) {
+    respond(
+      callback,
+      null,
+      results.map((result) =>
+        result.data !== undefined
+          ? { outcome: "rolledBack", id: result.id }
+          : result
+      )
+    );
+    return;
+  }
+
+  if (applied.length > 0) {
+    try {
+      checkWrite(namespace, dataset, working.size - dataset.entries.size);
+    } catch (err) {
+      respond(callback, err, null);
+      return;
+    }
+  }
+  dataset.entries = working;
+  dataset.idCursor = pending.idCursor;
+  respond(callback, null, results);
+};
+
+/**
+ * Provide every namespace with its object count, approximate size in bytes and settings.
+ * @function namespaces
+ * @param {function(Error,Array<{name: string, count: number, size: number, settings: object}>):void} callback - Callback with the namespaces.
+ */
+const namespaces = (callback) => {
+  const listed = [...datasets.keys()]
+    .sort()
+    .map((namespace) => [namespace, getDataset(namespace)])
+    .filter(([namespace, dataset]) => exists(dataset))
+    .map(([namespace, dataset]) => ({
+      name: namespace,
+      count: dataset.entries.size,
+      size: [...dataset.entries.values()].reduce(
+        (size, entry) => size + Buffer.byteLength(JSON.stringify(entry.data)),
+        0
+      ),
+      settings: dataset.settings || defaultSettings,
+    }));
+  respond(callback, null, listed);
+};
+
+/**
+ * Provide the settings of the specified namespace.
+ * @function getSettings
+ * @param {string} namespace - Unique namespace of the dataset.
+ * @param {function(Error,object):void} callback - Callback with the settings, or null if the namespace does not exist.
+ */
+const getSettings = (namespace, callback) => {
+  const dataset = getDataset(namespace);
+  respond(
+    callback,
+    null,
+    exists(dataset) ? dataset.settings || defaultSettings : null
+  );
+};
+
+/**
+ * Store the settings of the specified namespace, creating the namespace if it does not exist.
+ * @function putSettings
+ * @param {string} namespace - Unique namespace of the dataset.
+ * @param {object} settings - Namespace settings
+ * @param {function(Error,boolean):void} callback - Callback with whether the namespace was created.
+ */
+const putSettings = (namespace, settings, callback) => {
+  const dataset = getDataset(namespace);
+  const created = !exists(dataset);
+  dataset.settings = settings;
+  respond(callback, null, created);
+};
+
+/**
+ * Rename the specified namespace, together with its data objects and settings.
+ * The callback receives a NamespaceExistsError if the new namespace already exists.
+ * @function renameNamespace
+ * @param {string} namespace - Unique namespace of the dataset.
+ * @param {string} to - New namespace
+ * @param {function(Error,boolean):void} callback - Callback with whether the namespace existed to be renamed.
+ */
+const renameNamespace = (namespace, to, callback) => {
+  const dataset = getDataset(namespace);
+  if (!exists(dataset)) {
+    respond(callback, null, false);
+    return;
+  }
+  if (exists(getDataset(to))) {
+    respond(callback, new NamespaceExistsError(to), false);
+    return;
+  }
+
+  datasets.set(to, dataset);
+  datasets.delete(namespace);
+  respond(callback, null, true);
+};
+
+/**
+ * Remove the specified namespace, together with its data objects and settings.
+ * @function dropNamespace
+ * @param {string} namespace - Unique namespace of the dataset.
+ * @param {function(Error,boolean):void} callback - Callback with whether the namespace existed to be dropped.
+ */
+const dropNamespace = (namespace, callback) => {
+  const dropped = exists(getDataset(namespace));
+  datasets.delete(namespace);
+  respond(callback, null, dropped);
+};
+
+module.exports = {
+  // Export namespace operations
+  namespaces: namespaces,
+  getSettings: getSettings,
+  putSettings: putSettings,
+  renameNamespace: renameNamespace,
+  dropNamespace: dropNamespace,
+  // Export CRUD operations
+  create: create,
+  read: list,
+  get: get,
+  update: update,
+  patch: patch,
+  delete: remove,
+  batch: batch,
+  scan: scan,
+};
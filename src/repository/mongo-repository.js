@@ -1,60 +1,415 @@
 const { MongoClient, ObjectID } = require("mongodb");
 const config = require("../config/mongo-repository");
+const { ServiceError, UnavailableError } = require("../service/errors");
+const {
+  versionField,
+  VersionMismatchError,
+  currentVersion,
+  matchesVersion,
+} = require("../service/version");
+const {
+  defaultSettings,
+  NamespaceExistsError,
+  objectLimit,
+  verifyKept,
+  verifyWrite,
+} = require("../service/namespace");
+const {
+  IdError,
+  IdExistsError,
+  idStrategy,
+  generateId,
+  storedId,
+  verifyId,
+} = require("../service/ids");
+const { qualify, split } = require("../service/tenants");
+const logger = require("../service/logger");
+
+// Namespaces of a tenant, '<namespace>@<tenant>' (see service/tenants), are held by the '<dbName>-<tenant>' database,
+// each database holding its own settings and sequences collections.
+
+// Collection holding the settings of each namespace, a document per namespace identified by its name.
+const settingsCollection = "_namespaces";
+// Collection holding the last identifier given by the 'increment' strategy within each namespace.
+const sequencesCollection = "_sequences";
+const internalCollections = [settingsCollection, sequencesCollection];
+
+// Documents are given ObjectIDs by default, assigned by the driver.
+const defaultStrategy = "objectid";
+
+// Driver errors raised when the server cannot be reached.
+const unavailableErrors = [
+  "MongoNetworkError",
+  "MongoServerSelectionError",
+  "MongoTimeoutError",
+];
+
+// Promise of the MongoDb client shared by every operation, null until the first operation connects.
+let connecting = null;
 
 /**
- * Perform the specified action on the specified collection through a MongoDb client.
+ * Provide the options of the shared MongoDb client, including its connection pool and credentials.
+ * @function clientOptions
+ * @returns MongoClient options
+ */
+const clientOptions = () => {
+  const options = {
+    useUnifiedTopology: true,
+    poolSize: config.poolSize,
+    connectTimeoutMS: config.connectTimeout,
+    serverSelectionTimeoutMS: config.connectTimeout,
+    socketTimeoutMS: config.socketTimeout,
+  };
+  const credentials = config.getCredentials();
+  if (credentials) {
+    options.auth = credentials;
+  }
+  if (config.authSource) {
+    options.authSource = config.authSource;
+  }
+  return options;
+};
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Provide the database holding the specified namespace, the database of its tenant.
+ * @function database
+ * @param {MongoClient} client - Connected MongoDB client
+ * @param {string} collection - Addressed Mongo DB collection, qualified by its tenant.
+ * @returns Mongo DB database
+ */
+const database = (client, collection) => {
+  const { tenant } = split(collection);
+  return client.db(tenant ? `${config.dbName}-${tenant}` : config.dbName);
+};
+
+/**
+ * Provide the name of the collection holding the specified namespace within the database of its tenant.
+ * @function collectionName
+ * @param {string} collection - Addressed Mongo DB collection, qualified by its tenant.
+ * @returns Collection name
+ */
+const collectionName = (collection) => split(collection).namespace;
+
+/**
+ * Provide the shared MongoDb client, connecting it on first use.
+ * A failed connection is retried with an exponential backoff, up to config.connectRetries times. Should every
+ * attempt fail, the next operation attempts to connect afresh.
+ * @function connect
+ * @returns Promise resolving the connected MongoClient
+ */
+const connect = () => {
+  if (!connecting) {
+    connecting = (async () => {
+      for (let attempt = 0; ; attempt++) {
+        const client = new MongoClient(config.location, clientOptions());
+        try {
+          await client.connect();
+          return client;
+        } catch (err) {
+          client.close().catch(() => {});
+          if (attempt >= config.connectRetries) {
+            throw err;
+          }
+
+          const wait = config.retryDelay * 2 ** attempt;
+          logger.warn(
+            `Failed connect to mongodb url: ${config.location}, retrying in ${wait}ms`,
+            { error: err.message }
+          );
+          await delay(wait);
+        }
+      }
+    })();
+    connecting.catch(() => (connecting = null));
+  }
+
+  return connecting;
+};
+
+/**
+ * Perform the specified action on the specified collection through the shared MongoDb client.
  *
  * @param {string} collection - Target Mongo DB collection.
- * @param {function(Collection):void} operation - Operation to logic to perform against the provided db Collection
+ * @param {function(Collection,MongoClient):void} operation - Operation to logic to perform against the provided db Collection
  * @param {function(Error,object):void} callback - Asynchronous callback once the perform operation completes.
  */
 const perform = async (collection, operation, callback) => {
-  const client = new MongoClient(config.location);
   let result = null;
   let error = null;
 
   try {
-    await client.connect();
-    const db = client.db(config.dbName);
+    const client = await connect();
+    const db = database(client, collection);
 
     try {
-      result = await operation(db.collection(collection));
+      result = await operation(
+        db.collection(collectionName(collection)),
+        client
+      );
     } catch (err) {
-      console.log(err);
+      logger.debug(`Operation on collection ${collection} failed`, {
+        error: err.message,
+      });
       error = err;
     }
   } catch (err) {
-    console.log(
-      `Failed connect to mongodb url: ${config.location}, db: ${config.dbName}, collection: ${namespace}`
+    logger.error(
+      `Failed connect to mongodb url: ${config.location}, db: ${config.dbName}, collection: ${collection}`,
+      { error: err.message }
+    );
+    error = new UnavailableError(
+      `Failed to connect to the repository. Reason: ${err.message}`
     );
-    error = err;
-  } finally {
-    // final action within the try statement is to close the MongoDb client.
-    client.close();
   }
 
   // Asynchronous callback.
   callback(error, result);
 };
 
+/**
+ * Check the MongoDb server is reachable through the shared client.
+ * @function ping
+ * @param {function(Error):void} callback - Callback once the server responds, or with the error preventing it.
+ */
+const ping = (callback) => {
+  connect()
+    .then((client) => client.db(config.dbName).command({ ping: 1 }))
+    .then(
+      () => callback(null),
+      (err) => callback(err)
+    );
+};
+
+/**
+ * Close the shared MongoDb client, once the operations in progress complete.
+ * @function close
+ * @param {function(Error):void} callback - Callback once the client is closed.
+ */
+const close = (callback) => {
+  const closing = connecting;
+  connecting = null;
+  if (!closing) {
+    callback(null);
+    return;
+  }
+
+  closing
+    .then(
+      (client) => client.close(),
+      // The client never connected, so there is nothing to close.
+      () => null
+    )
+    .then(
+      () => callback(null),
+      (err) => callback(err)
+    );
+};
+
+/**
+ * Errors which signal an expected outcome to the service are passed through untouched, any other error is
+ * wrapped with a description of the failed operation. Errors raised because the server cannot be reached are
+ * reported as the repository being unavailable.
+ * @function operationError
+ * @param {Error} err - Error raised by the operation
+ * @param {string} description - Description of the failed operation
+ * @returns Error to reject the operation with
+ */
+const operationError = (err, description) => {
+  if (err instanceof ServiceError) {
+    return err;
+  }
+  const reason = `${description}. Reason: ${err.message}`;
+  return unavailableErrors.includes(err.name)
+    ? new UnavailableError(reason)
+    : new Error(reason);
+};
+
+/**
+ * Provide the stored settings of the specified namespace.
+ * @function loadSettings
+ * @param {MongoClient} client - Connected MongoDB client
+ * @param {string} collection - Addressed Mongo DB collection.
+ * @returns Promise resolving the namespace settings, or null if they have not been stored
+ */
+const loadSettings = async (client, collection) => {
+  const document = await database(client, collection)
+    .collection(settingsCollection)
+    .findOne({ _id: collectionName(collection) });
+  if (!document) {
+    return null;
+  }
+  const { _id, ...settings } = document;
+  return { ...defaultSettings, ...settings };
+};
+
+/**
+ * Determine whether the specified namespace exists, holding documents or stored settings.
+ * @function namespaceExists
+ * @param {MongoClient} client - Connected MongoDB client
+ * @param {string} collection - Addressed Mongo DB collection.
+ * @returns Promise resolving true if the namespace exists
+ */
+const namespaceExists = async (client, collection) =>
+  (await loadSettings(client, collection)) !== null ||
+  (await database(client, collection)
+    .collection(collectionName(collection))
+    .estimatedDocumentCount()) > 0;
+
+/**
+ * Determine whether the specified collection exists, whether or not it holds documents.
+ * @function collectionExists
+ * @param {MongoClient} client - Connected MongoDB client
+ * @param {string} collection - Addressed Mongo DB collection.
+ * @returns Promise resolving true if the collection exists
+ */
+const collectionExists = async (client, collection) =>
+  (
+    await database(client, collection)
+      .listCollections({ name: collectionName(collection) }, { nameOnly: true })
+      .toArray()
+  ).length > 0;
+
+/**
+ * Provide the settings of the specified namespace, the defaults if none are stored.
+ * @function namespaceSettings
+ * @param {MongoClient} client - Connected MongoDB client
+ * @param {string} collection - Addressed Mongo DB collection.
+ * @returns Promise resolving the namespace settings
+ */
+const namespaceSettings = async (client, collection) =>
+  (await loadSettings(client, collection)) || defaultSettings;
+
+/**
+ * Verify the settings of a namespace permit a write.
+ * The object limit is evaluated before the write, so concurrent writes may together exceed it.
+ * @function checkWrite
+ * @param {object} settings - Namespace settings
+ * @param {string} collection - Addressed Mongo DB collection.
+ * @param {Collection} dbCollection - Mongo DB collection of the namespace
+ * @param {number|function():Promise<number>} added - Number of documents the write adds less those it deletes, or
+ * a function resolving it, only called when the namespace has an object limit
+ * @throws {ReadOnlyNamespaceError|NamespaceQuotaError} If the settings do not permit the write.
+ */
+const checkWrite = async (settings, collection, dbCollection, added) => {
+  if (objectLimit(settings, collection) === null) {
+    verifyWrite(collection, settings, 0, 0);
+    return;
+  }
+  verifyWrite(
+    collection,
+    settings,
+    await dbCollection.countDocuments({}),
+    typeof added === "function" ? await added() : added
+  );
+};
+
+/**
+ * Convert a data identifier into the document identifier it is stored as.
+ * ObjectID hex strings are stored as ObjectIDs, and integers as numbers, as the 'objectid' and 'increment'
+ * strategies give them, so each identifier has a single stored form whichever route addresses it.
+ * @function toMongoId
+ * @param {string|number} id - Specified data identifier
+ * @returns Document identifier
+ */
+const toMongoId = (id) => {
+  if (typeof id === "string" && /^[0-9a-fA-F]{24}$/.test(id)) {
+    return ObjectID(id);
+  }
+  return storedId(id);
+};
+
+/**
+ * Reserve identifiers from the 'increment' sequence of the specified namespace.
+ * @function nextSequence
+ * @param {MongoClient} client - Connected MongoDB client
+ * @param {string} collection - Addressed Mongo DB collection.
+ * @param {number} count - Number of identifiers to reserve
+ * @returns Promise resolving the first reserved identifier
+ */
+const nextSequence = async (client, collection, count) => {
+  const result = await database(client, collection)
+    .collection(sequencesCollection)
+    .findOneAndUpdate(
+      { _id: collectionName(collection) },
+      { $inc: { value: count } },
+      { upsert: true, returnOriginal: false }
+    );
+  return result.value.value - count + 1;
+};
+
+/**
+ * Determine whether an error reports a write colliding with an existing document identifier.
+ * @function isDuplicateKey
+ * @param {Error} err - Error raised by the write
+ * @returns True if the identifier is already in use
+ */
+const isDuplicateKey = (err) => err.code === 11000;
+
+/**
+ * Build the query document addressing the specified identifier, restricted to the versions of a version condition.
+ * @function versionQuery
+ * @param {string} id - Specified document identifier
+ * @param {string|Array} ifMatch - Version condition, see service/version
+ * @returns MongoDB query document
+ */
+const versionQuery = (id, ifMatch) => {
+  const query = { _id: toMongoId(id) };
+  if (Array.isArray(ifMatch)) {
+    // Documents stored before versioning have no version field, a null $in value matches the missing field.
+    query[versionField] = {
+      $in: ifMatch.includes(0) ? [...ifMatch, null] : ifMatch,
+    };
+  }
+  return query;
+};
+
 /**
  * Create a document from the specified data object, into the specified collection.  The document will be given a
- * unique id property when inserted into the collection.
+ * unique id property, by the strategy of the namespace, when inserted into the collection. Identifiers given by the
+ * 'increment' strategy skip those already in use.
  * @function create
  * @param {string} collection - Target Mongo DB collection.
  * @param {object} data - Data to be added to the collection
  * @param {function(Error,object):void} callback - Asynchronous callback to signal when the operation completes.
  */
 const create = (collection, data, callback) => {
-  const operation = (dbCollection) => {
+  const operation = (dbCollection, client) => {
     return new Promise(async (resolve, reject) => {
       try {
-        const item = await dbCollection.insertOne(data);
-        resolve(item.ops[0]._id);
+        const settings = await namespaceSettings(client, collection);
+        await checkWrite(settings, collection, dbCollection, 1);
+        data[versionField] = 1;
+        const strategy = idStrategy(settings, defaultStrategy);
+        while (true) {
+          if (strategy !== defaultStrategy) {
+            data._id = toMongoId(
+              await generateId(settings, defaultStrategy, data, () =>
+                nextSequence(client, collection, 1)
+              )
+            );
+          } else {
+            // The driver assigns the ObjectID, never an identifier the data object carries.
+            delete data._id;
+          }
+          try {
+            const item = await dbCollection.insertOne(data);
+            resolve(item.ops[0]._id);
+            return;
+          } catch (err) {
+            if (!isDuplicateKey(err)) {
+              throw err;
+            } else if (strategy !== "increment") {
+              throw new IdExistsError(String(data._id));
+            }
+          }
+        }
       } catch (err) {
         reject(
-          new Error(
-            `Failed to create a document in collection: ${collection}. Reason: ${err.message}`
+          operationError(
+            err,
+            `Failed to create a document in collection: ${collection}`
           )
         );
       }
@@ -65,21 +420,76 @@ const create = (collection, data, callback) => {
 };
 
 /**
- * Provide complete list of documents within the specified collection.
+ * Translate the filter conditions of a dataset query into a MongoDB query document.
+ * String values of the identifier field are matched as ObjectIDs as well.
+ * @function toMongoFilter
+ * @param {Array} conditions - Dataset query filter conditions
+ * @returns MongoDB query document
+ */
+const toMongoFilter = (conditions) => {
+  const clauses = conditions.map((condition) => {
+    let values = condition.values;
+    if (condition.field === "_id") {
+      values = values.concat(
+        values
+          .filter((value) => /^[0-9a-fA-F]{24}$/.test(value))
+          .map((value) => ObjectID(value))
+      );
+    }
+
+    switch (condition.op) {
+      case "eq":
+      case "in":
+        return { [condition.field]: { $in: values } };
+      case "ne":
+        return { [condition.field]: { $nin: values } };
+      default:
+        return { [condition.field]: { [`$${condition.op}`]: values[0] } };
+    }
+  });
+
+  return clauses.length > 0 ? { $and: clauses } : {};
+};
+
+/**
+ * Provide the documents within the specified collection matching the specified dataset query.
+ * Filtering, sorting, projection and pagination are all performed by the MongoDB server.
  * @function list
  * @param {string} collection - Addressed Mongo DB collection.
- * @param {function(Error,object):void} callback - Asynchronous callback
+ * @param {object} query - Parsed dataset query, see service/query
+ * @param {function(Error,{items: Array, total: number}):void} callback - Asynchronous callback with the page of documents and total match count
  */
-const list = (collection, callback) => {
+const list = (collection, query, callback) => {
   const operation = (dbCollection) => {
     return new Promise(async (resolve, reject) => {
       try {
-        const items = await dbCollection.find();
-        resolve(await items.toArray());
+        const filter = toMongoFilter(query.filter);
+        const options = { skip: query.offset };
+        if (query.limit !== null) {
+          options.limit = query.limit;
+        }
+        if (query.sort.length > 0) {
+          options.sort = query.sort.map((item) => [item.field, item.direction]);
+        }
+        if (query.fields.length > 0) {
+          options.projection = query.fields.reduce(
+            (projection, field) => ({ ...projection, [field]: 1 }),
+            {}
+          );
+        }
+
+        // A zero limit is treated as unlimited by MongoDB, so an empty page is resolved without a find.
+        const items =
+          query.limit === 0
+            ? []
+            : await dbCollection.find(filter, options).toArray();
+        const total = await dbCollection.countDocuments(filter);
+        resolve({ items: items, total: total });
       } catch (err) {
         reject(
-          new Error(
-            `Failed to find all documents within in collection: ${collection}. Reason: ${err.message}`
+          operationError(
+            err,
+            `Failed to query documents within collection: ${collection}`
           )
         );
       }
@@ -90,29 +500,201 @@ const list = (collection, callback) => {
 };
 
 /**
- * Update the document correlating to the specified identifier with the specified data object within the
- * specified collection.
+ * Provide each document within the specified collection, in identifier order, to the specified function.
+ * Documents are read through a cursor, and the next document is only provided once the promise returned for the
+ * previous one resolves, so the collection is never held in memory.
+ * @function scan
+ * @param {string} collection - Addressed Mongo DB collection.
+ * @param {function(object):Promise} onItem - Receives each document
+ * @param {function(Error):void} callback - Callback once every document has been provided.
+ */
+const scan = (collection, onItem, callback) => {
+  const operation = (dbCollection) => {
+    return new Promise(async (resolve, reject) => {
+      try {
+        const cursor = dbCollection.find({}).sort({ _id: 1 });
+        while (await cursor.hasNext()) {
+          await onItem(await cursor.next());
+        }
+        resolve(null);
+      } catch (err) {
+        reject(
+          operationError(
+            err,
+            `Failed to scan documents within collection: ${collection}`
+          )
+        );
+      }
+    });
+  };
+
+  perform(collection, operation, callback);
+};
+
+/**
+ * Provide the document correlating to the specified identifier within the specified collection.
+ * The callback receives a null document if the identifier does not exist in the collection.
+ * @function get
+ * @param {string} collection - Addressed Mongo DB collection.
+ * @param {string} id - Specified document identifier
+ * @param {function(Error,object):void} callback - Asynchronous callback with the located document.
+ */
+const get = (collection, id, callback) => {
+  const operation = (dbCollection) => {
+    return new Promise(async (resolve, reject) => {
+      try {
+        resolve(await dbCollection.findOne({ _id: toMongoId(id) }));
+      } catch (err) {
+        reject(
+          operationError(
+            err,
+            `Failed to find document id: ${id} within collection: ${collection}`
+          )
+        );
+      }
+    });
+  };
+
+  perform(collection, operation, callback);
+};
+
+/**
+ * Replace the document correlating to the specified identifier with the specified data object within the
+ * specified collection, so fields the data object omits are removed as the other repositories remove them.
+ * The callback receives a VersionMismatchError if the stored document does not satisfy the version condition.
  *
  * @param {string} collection - Addressed Mongo DB collection.
  * @param {string} id - Specified document identifier
  * @param {object} data - Updated document object
- * @param {function(Error,object):void} callback - Callback with operation result.
+ * @param {string|Array} ifMatch - Version condition (see service/version), null to update unconditionally
+ * @param {function(Error,{created: boolean, version: number, previous: object}):void} callback - Callback with operation result, including the document replaced (null if created).
  */
-const update = async (collection, id, data, callback) => {
-  const operation = (dbCollection) => {
+const update = async (collection, id, data, ifMatch, callback) => {
+  const operation = (dbCollection, client) => {
+    return new Promise(async (resolve, reject) => {
+      try {
+        const settings = await namespaceSettings(client, collection);
+        verifyId(settings, id, data);
+        // Only an unconditional update can add a document.
+        await checkWrite(settings, collection, dbCollection, async () =>
+          ifMatch === null &&
+          (await dbCollection.countDocuments({ _id: toMongoId(id) })) === 0
+            ? 1
+            : 0
+        );
+        // The identifier and version are maintained by the repository, not the client.
+        const { _id, [versionField]: version, ...fields } = data;
+        while (true) {
+          const item = await dbCollection.findOne({ _id: toMongoId(id) });
+          if (!matchesVersion(ifMatch, item)) {
+            throw new VersionMismatchError(id);
+          }
+          const replacement = {
+            ...fields,
+            [versionField]: currentVersion(item) + 1,
+          };
+          if (item) {
+            // Only replace the version which was read, so a concurrent write is never overwritten.
+            const result = await dbCollection.replaceOne(
+              versionQuery(id, [currentVersion(item)]),
+              replacement
+            );
+            if (result.matchedCount === 1) {
+              resolve({
+                created: false,
+                version: replacement[versionField],
+                previous: item,
+              });
+              return;
+            }
+          } else {
+            // Only an unconditional update reaches here without a document, and adds it.
+            try {
+              await dbCollection.insertOne({
+                _id: toMongoId(id),
+                ...replacement,
+              });
+              resolve({
+                created: true,
+                version: replacement[versionField],
+                previous: null,
+              });
+              return;
+            } catch (err) {
+              if (!isDuplicateKey(err)) {
+                throw err;
+              }
+            }
+          }
+          // The document changed after it was read, a conditional update fails, otherwise replace the new version.
+          if (ifMatch !== null) {
+            throw new VersionMismatchError(id);
+          }
+        }
+      } catch (err) {
+        reject(
+          operationError(
+            err,
+            `Failed to update id: ${id} within collection: ${collection}`
+          )
+        );
+      }
+    });
+  };
+
+  perform(collection, operation, callback);
+};
+
+/**
+ * Apply a partial update to the document correlating to the specified identifier within the specified collection.
+ * The callback receives a null document if the identifier does not exist in the collection, and a
+ * VersionMismatchError if the stored document does not satisfy the version condition.
+ * @function patch
+ * @param {string} collection - Addressed Mongo DB collection.
+ * @param {string} id - Specified document identifier
+ * @param {function(object):object} applyPatch - Returns the patched copy of the stored document
+ * @param {string|Array} ifMatch - Version condition (see service/version), null to patch unconditionally
+ * @param {function(Error,object):void} callback - Callback with the patched document.
+ */
+const patch = (collection, id, applyPatch, ifMatch, callback) => {
+  const operation = (dbCollection, client) => {
     return new Promise(async (resolve, reject) => {
       try {
-        const query = { _id: ObjectID(id) };
-        const update = { $set: data };
-        // Add the document if the specified id doesn't exist.
-        const options = { upsert: true, returnOriginal: false };
-        const item = await dbCollection.updateOne(query, update, options);
-        // return true (created) if the modified count is 0
-        resolve(item.modifiedCount === 0);
+        while (true) {
+          const item = await dbCollection.findOne({ _id: toMongoId(id) });
+          if (!item) {
+            resolve(null);
+            return;
+          }
+          if (!matchesVersion(ifMatch, item)) {
+            throw new VersionMismatchError(id);
+          }
+          const settings = await namespaceSettings(client, collection);
+          await checkWrite(settings, collection, dbCollection, 0);
+
+          // The document identifier is immutable, so it is excluded from the replacement document.
+          const { _id, ...data } = applyPatch(item);
+          verifyId(settings, id, data);
+          data[versionField] = currentVersion(item) + 1;
+          // Only replace the version which was read, so a concurrent write is never overwritten.
+          const result = await dbCollection.replaceOne(
+            versionQuery(id, [currentVersion(item)]),
+            data
+          );
+          if (result.matchedCount === 1) {
+            resolve({ ...data, _id: item._id });
+            return;
+          }
+          // The document changed after it was read, a conditional patch fails, otherwise patch the new version.
+          if (ifMatch !== null) {
+            throw new VersionMismatchError(id);
+          }
+        }
       } catch (err) {
         reject(
-          new Error(
-            `Failed to update id: ${id} within collection: ${collection}. Reason: ${err.message}`
+          operationError(
+            err,
+            `Failed to patch id: ${id} within collection: ${collection}`
           )
         );
       }
@@ -124,21 +706,261 @@ const update = async (collection, id, data, callback) => {
 
 /**
  * Attempt to remove document against the specified identifier from the specified MongoDB collection.
+ * The callback receives a VersionMismatchError if the stored document does not satisfy the version condition.
  * @function remove
  * @param {string} collection - Addressed Mongo DB collection.
  * @param {string} id - Specified document identifier
- * @param {function(Error,object):void} callback - Asynchronous callback when operation completes
+ * @param {string|Array} ifMatch - Version condition (see service/version), null to delete unconditionally
+ * @param {function(Error,object):void} callback - Callback with the deleted document, or null if it did not exist.
  */
-const remove = async (collection, id, callback) => {
-  const operation = (dbCollection) => {
+const remove = async (collection, id, ifMatch, callback) => {
+  const operation = (dbCollection, client) => {
     return new Promise(async (resolve, reject) => {
       try {
-        const result = await dbCollection.deleteOne({ _id: ObjectID(id) });
-        resolve(result.deletedCount === 1);
+        await checkWrite(
+          await namespaceSettings(client, collection),
+          collection,
+          dbCollection,
+          -1
+        );
+        const result = await dbCollection.findOneAndDelete(
+          versionQuery(id, ifMatch)
+        );
+        if (!result.value && ifMatch !== null) {
+          // A conditional delete fails when the document is missing or holds another version.
+          throw new VersionMismatchError(id);
+        }
+        resolve(result.value);
+      } catch (err) {
+        reject(
+          operationError(
+            err,
+            `Failed to delete document id: ${id} within collection: ${collection}`
+          )
+        );
+      }
+    });
+  };
+
+  perform(collection, operation, callback);
+};
+
+/**
+ * Determine whether the connected deployment supports transactions and change streams.
+ * Both are only available from replica sets and sharded clusters.
+ * @function isReplicated
+ * @param {MongoClient} client - Connected MongoDB client
+ * @returns Promise resolving true if the deployment is a replica set or sharded cluster
+ */
+const isReplicated = async (client) => {
+  const info = await client.db("admin").command({ isMaster: 1 });
+  return !!info.setName || info.msg === "isdbgrid";
+};
+
+/**
+ * Perform a batch of create, update and delete operations against the specified collection with a single bulkWrite.
+ * The addressed documents are read beforehand, as bulkWrite only reports aggregate counts, to determine the
+ * outcome of each operation and evaluate version conditions.
+ * In atomic mode nothing is written unless every operation can succeed, and the bulkWrite runs within a
+ * transaction when the deployment supports them (otherwise a write error can still leave earlier operations applied).
+ * @function batch
+ * @param {string} collection - Addressed Mongo DB collection.
+ * @param {Array<{op: string, id: string, data: object, ifMatch: (string|Array)}>} operations - Batch operations
+ * @param {boolean} atomic - Whether every operation must succeed for any to be applied
+ * @param {function(Error,Array):void} callback - Callback with the outcome of each operation, applied operations
+ * include the document after ('data') and before ('previous') the operation.
+ */
+const batch = (collection, operations, atomic, callback) => {
+  const operation = (dbCollection, client) => {
+    return new Promise(async (resolve, reject) => {
+      try {
+        const settings = await namespaceSettings(client, collection);
+        const strategy = idStrategy(settings, defaultStrategy);
+        let sequence =
+          strategy === "increment"
+            ? await nextSequence(
+                client,
+                collection,
+                operations.filter((item) => item.op === "create").length
+              )
+            : null;
+        // Identifiers are given to created documents up front, so they are checked against those in use. Null
+        // leaves the driver to assign an ObjectID, and undefined marks a created document lacking its natural key.
+        const given = operations.map((item) => {
+          if (item.op !== "create") {
+            return toMongoId(item.id);
+          } else if (strategy === defaultStrategy) {
+            return null;
+          }
+          try {
+            return toMongoId(
+              generateId(settings, defaultStrategy, item.data, () => sequence++)
+            );
+          } catch (err) {
+            if (err instanceof IdError) {
+              return undefined;
+            }
+            throw err;
+          }
+        });
+        const ids = given.filter((id) => id !== null && id !== undefined);
+        const stored = await dbCollection.find({ _id: { $in: ids } }).toArray();
+        const documents = new Map(stored.map((item) => [String(item._id), item]));
+
+        const writes = [];
+        const results = operations.map((item, index) => {
+          const id = given[index];
+          if (id === undefined) {
+            return { outcome: "invalid" };
+          }
+
+          const current =
+            id === null ? null : documents.get(String(id)) || null;
+          if (item.op === "create") {
+            if (current) {
+              return { outcome: "exists", id: id };
+            }
+            if (id !== null) {
+              item.data._id = id;
+            } else {
+              delete item.data._id;
+            }
+            item.data[versionField] = 1;
+            writes.push({ insertOne: { document: item.data } });
+            return { outcome: "created", data: item.data, previous: null };
+          }
+          if (!matchesVersion(item.ifMatch, current)) {
+            return { outcome: "mismatch", id: item.id };
+          }
+
+          switch (item.op) {
+            case "update": {
+              try {
+                verifyId(settings, item.id, item.data);
+              } catch (err) {
+                return { outcome: "invalid", id: item.id };
+              }
+              const { _id, [versionField]: version, ...fields } = item.data;
+              // The object is replaced, so fields the data omits are removed. The filter includes the version which
+              // was read, so should the document change before the write the upsert collides with the existing
+              // identifier and the operation fails rather than overwriting it.
+              writes.push({
+                replaceOne: {
+                  filter: current
+                    ? versionQuery(item.id, [currentVersion(current)])
+                    : { _id: id },
+                  replacement: {
+                    ...fields,
+                    [versionField]: currentVersion(current) + 1,
+                  },
+                  upsert: true,
+                },
+              });
+              return {
+                outcome: current ? "updated" : "created",
+                id: item.id,
+                data: {
+                  ...fields,
+                  _id: id,
+                  [versionField]: currentVersion(current) + 1,
+                },
+                previous: current,
+              };
+            }
+            default: {
+              if (!current) {
+                return { outcome: "notFound", id: item.id };
+              }
+              writes.push({
+                deleteOne: {
+                  filter: versionQuery(item.id, [currentVersion(current)]),
+                },
+              });
+              return {
+                outcome: "deleted",
+                id: item.id,
+                data: null,
+                previous: current,
+              };
+            }
+          }
+        });
+
+        // Correlate each write with the index of its operation.
+        const writeIndex = results
+          .map((result, index) => (result.data !== undefined ? index : -1))
+          .filter((index) => index >= 0);
+
+        if (atomic && writeIndex.length < results.length) {
+          resolve(
+            results.map((result) =>
+              result.data !== undefined
+                ? { outcome: "rolledBack", id: result.id }
+                : result
+            )
+          );
+          return;
+        }
+
+        if (writes.length > 0) {
+          await checkWrite(
+            settings,
+            collection,
+            dbCollection,
+            results.filter((result) => result.outcome === "created").length -
+              results.filter((result) => result.outcome === "deleted").length
+          );
+        }
+
+        if (writes.length > 0) {
+          let transactional = false;
+          try {
+            if (atomic && (await isReplicated(client))) {
+              transactional = true;
+              const session = client.startSession();
+              try {
+                await session.withTransaction(() =>
+                  dbCollection.bulkWrite(writes, { ordered: true, session: session })
+                );
+              } finally {
+                session.endSession();
+              }
+            } else {
+              await dbCollection.bulkWrite(writes, { ordered: atomic });
+            }
+          } catch (err) {
+            if (err.name !== "BulkWriteError" || !err.result) {
+              throw err;
+            }
+
+            const failed = err.result
+              .getWriteErrors()
+              .map((writeError) => writeError.index);
+            // An ordered bulkWrite stops at its first error, and a transaction discards every write.
+            const firstFailure = Math.min(...failed);
+            writeIndex.forEach((index, position) => {
+              if (failed.includes(position)) {
+                results[index] = { outcome: "conflict", id: results[index].id };
+              } else if (transactional || (atomic && position > firstFailure)) {
+                results[index] = { outcome: "rolledBack", id: results[index].id };
+              }
+            });
+          }
+        }
+
+        // Identifiers of inserted documents are assigned by the driver during the bulkWrite, unless given up front.
+        resolve(
+          results.map((result) =>
+            result.outcome === "created" && result.id === undefined
+              ? { ...result, id: result.data._id }
+              : result
+          )
+        );
       } catch (err) {
         reject(
-          new Error(
-            `Failed to delete document id: ${id} within collection: ${collection}. Reason: ${err.message}`
+          operationError(
+            err,
+            `Failed to perform batch within collection: ${collection}`
           )
         );
       }
@@ -148,10 +970,320 @@ const remove = async (collection, id, callback) => {
   perform(collection, operation, callback);
 };
 
+/**
+ * Provide the namespaces held by the database of the specified tenant.
+ * @function listNamespaces
+ * @param {MongoClient} client - Connected MongoDB client
+ * @param {string} tenant - Tenant name, or null for the default tenant
+ * @returns Promise resolving the namespaces, qualified by the tenant, in name order
+ */
+const listNamespaces = async (client, tenant) => {
+  const db = database(client, qualify(tenant, settingsCollection));
+  const collections = await db
+    .listCollections({}, { nameOnly: true })
+    .toArray();
+  const settings = new Map(
+    (await db.collection(settingsCollection).find({}).toArray()).map(
+      ({ _id, ...stored }) => [_id, { ...defaultSettings, ...stored }]
+    )
+  );
+  const names = new Set([
+    ...collections
+      .map((item) => item.name)
+      .filter(
+        (name) =>
+          !internalCollections.includes(name) && !name.startsWith("system.")
+      ),
+    ...settings.keys(),
+  ]);
+
+  const listed = [];
+  for (const name of [...names].sort()) {
+    const count = await db.collection(name).estimatedDocumentCount();
+    if (count === 0 && !settings.has(name)) {
+      continue;
+    }
+    listed.push({
+      name: qualify(tenant, name),
+      count: count,
+      size: count > 0 ? (await db.command({ collStats: name })).size : 0,
+      settings: settings.get(name) || defaultSettings,
+    });
+  }
+  return listed;
+};
+
+/**
+ * Provide every namespace with its document count, size in bytes and settings, those of every tenant database
+ * following the default database.
+ * Counts are estimated from the collection metadata.
+ * @function namespaces
+ * @param {function(Error,Array<{name: string, count: number, size: number, settings: object}>):void} callback - Callback with the namespaces.
+ */
+const namespaces = (callback) => {
+  const operation = (dbCollection, client) => {
+    return new Promise(async (resolve, reject) => {
+      try {
+        const prefix = `${config.dbName}-`;
+        const { databases } = await client
+          .db("admin")
+          .admin()
+          .listDatabases({ nameOnly: true });
+        const tenants = databases
+          .map((item) => item.name)
+          .filter((name) => name.startsWith(prefix))
+          .map((name) => name.slice(prefix.length))
+          .sort();
+
+        const listed = [];
+        for (const tenant of [null, ...tenants]) {
+          listed.push(...(await listNamespaces(client, tenant)));
+        }
+        resolve(listed);
+      } catch (err) {
+        reject(operationError(err, "Failed to list namespaces"));
+      }
+    });
+  };
+
+  perform(settingsCollection, operation, callback);
+};
+
+/**
+ * Provide the settings of the specified namespace.
+ * @function getSettings
+ * @param {string} collection - Addressed Mongo DB collection.
+ * @param {function(Error,object):void} callback - Callback with the settings, or null if the namespace does not exist.
+ */
+const getSettings = (collection, callback) => {
+  const operation = (dbCollection, client) => {
+    return new Promise(async (resolve, reject) => {
+      try {
+        const settings = await loadSettings(client, collection);
+        resolve(
+          settings ||
+            ((await dbCollection.estimatedDocumentCount()) > 0
+              ? defaultSettings
+              : null)
+        );
+      } catch (err) {
+        reject(
+          operationError(
+            err,
+            `Failed to read the settings of collection: ${collection}`
+          )
+        );
+      }
+    });
+  };
+
+  perform(collection, operation, callback);
+};
+
+/**
+ * Store the settings of the specified namespace, creating the namespace if it does not exist.
+ * Documents are never expired, so the callback receives a NamespaceError if the settings give them a ttl.
+ * @function putSettings
+ * @param {string} collection - Addressed Mongo DB collection.
+ * @param {object} settings - Namespace settings
+ * @param {function(Error,boolean):void} callback - Callback with whether the namespace was created.
+ */
+const putSettings = (collection, settings, callback) => {
+  const operation = (dbCollection, client) => {
+    return new Promise(async (resolve, reject) => {
+      try {
+        verifyKept(settings);
+        const created = !(await namespaceExists(client, collection));
+        await database(client, collection)
+          .collection(settingsCollection)
+          .replaceOne({ _id: collectionName(collection) }, settings, {
+            upsert: true,
+          });
+        resolve(created);
+      } catch (err) {
+        reject(
+          operationError(
+            err,
+            `Failed to store the settings of collection: ${collection}`
+          )
+        );
+      }
+    });
+  };
+
+  perform(collection, operation, callback);
+};
+
+/**
+ * Rename the specified namespace, together with its documents and settings.
+ * The callback receives a NamespaceExistsError if the new namespace already exists.
+ * @function renameNamespace
+ * @param {string} collection - Addressed Mongo DB collection.
+ * @param {string} to - New namespace
+ * @param {function(Error,boolean):void} callback - Callback with whether the namespace existed to be renamed.
+ */
+const renameNamespace = (collection, to, callback) => {
+  const operation = (dbCollection, client) => {
+    return new Promise(async (resolve, reject) => {
+      try {
+        if (!(await namespaceExists(client, collection))) {
+          resolve(false);
+          return;
+        }
+        if (await namespaceExists(client, to)) {
+          throw new NamespaceExistsError(to);
+        }
+
+        if (await collectionExists(client, collection)) {
+          // An empty collection remaining for the target is replaced.
+          await dbCollection.rename(collectionName(to), { dropTarget: true });
+        }
+        // The settings and sequence documents of the namespace move with it, namespaces are only renamed within
+        // their tenant.
+        const [from, into] = [collectionName(collection), collectionName(to)];
+        for (const name of internalCollections) {
+          const stored = database(client, collection).collection(name);
+          const document = await stored.findOne({ _id: from });
+          if (document) {
+            await stored.replaceOne(
+              { _id: into },
+              { ...document, _id: into },
+              { upsert: true }
+            );
+            await stored.deleteOne({ _id: from });
+          }
+        }
+        resolve(true);
+      } catch (err) {
+        reject(
+          operationError(
+            err,
+            `Failed to rename collection: ${collection} to: ${to}`
+          )
+        );
+      }
+    });
+  };
+
+  perform(collection, operation, callback);
+};
+
+/**
+ * Remove the specified namespace, together with its documents and settings.
+ * @function dropNamespace
+ * @param {string} collection - Addressed Mongo DB collection.
+ * @param {function(Error,boolean):void} callback - Callback with whether the namespace existed to be dropped.
+ */
+const dropNamespace = (collection, callback) => {
+  const operation = (dbCollection, client) => {
+    return new Promise(async (resolve, reject) => {
+      try {
+        const dropped = await namespaceExists(client, collection);
+        if (await collectionExists(client, collection)) {
+          await dbCollection.drop();
+        }
+        for (const name of internalCollections) {
+          await database(client, collection)
+            .collection(name)
+            .deleteOne({ _id: collectionName(collection) });
+        }
+        resolve(dropped);
+      } catch (err) {
+        reject(operationError(err, `Failed to drop collection: ${collection}`));
+      }
+    });
+  };
+
+  perform(collection, operation, callback);
+};
+
+/**
+ * Change stream operation types mapped to change feed types.
+ */
+const changeTypes = {
+  insert: "created",
+  update: "updated",
+  replace: "updated",
+  delete: "deleted",
+};
+
+/**
+ * Watch the specified collection for changes through a MongoDB change stream.
+ * Change streams are only available from replica sets and sharded clusters, so the callback receives an error
+ * when connected to a standalone server. The watch holds a connection of the shared client until it is stopped.
+ * @function watch
+ * @param {string} collection - Addressed Mongo DB collection.
+ * @param {function(Error,{type: string, id: string, data: object}):void} onChange - Receives each change, or an error once the change stream ends.
+ * @param {function(Error,function():void):void} callback - Callback with a function to stop watching, once the change stream is open.
+ */
+const watch = (collection, onChange, callback) => {
+  let stream = null;
+  let stopped = false;
+
+  const stop = () => {
+    if (!stopped) {
+      stopped = true;
+      if (stream) {
+        stream.close();
+      }
+    }
+  };
+
+  const open = async () => {
+    const client = await connect();
+    if (!(await isReplicated(client))) {
+      throw new Error(
+        "Change streams require a replica set or sharded cluster"
+      );
+    }
+
+    stream = database(client, collection)
+      .collection(collectionName(collection))
+      .watch([], { fullDocument: "updateLookup" });
+    stream.on("change", (change) => {
+      if (changeTypes[change.operationType]) {
+        onChange(null, {
+          type: changeTypes[change.operationType],
+          id: String(change.documentKey._id),
+          data: change.fullDocument || null,
+        });
+      } else if (change.operationType === "invalidate") {
+        // The collection was dropped or renamed.
+        stop();
+        onChange(new Error(`Collection ${collection} was invalidated`), null);
+      }
+    });
+    stream.on("error", (err) => {
+      stop();
+      onChange(err, null);
+    });
+  };
+
+  open()
+    .then(() => callback(null, stop))
+    .catch((err) => {
+      stop();
+      callback(err, null);
+    });
+};
+
 module.exports = {
+  ping: ping,
+  close: close,
+  // Export namespace operations
+  namespaces: namespaces,
+  getSettings: getSettings,
+  putSettings: putSettings,
+  renameNamespace: renameNamespace,
+  dropNamespace: dropNamespace,
   // Export CRUD operations
   create: create,
   read: list,
+  get: get,
   update: update,
+  patch: patch,
   delete: remove,
+  batch: batch,
+  scan: scan,
+  watch: watch,
 };
@@ -0,0 +1,1013 @@
+const config = require("../config/redis-repository");
+const { applyQuery } = require("../service/query");
+const { ConflictError, UnavailableError } = require("../service/errors");
+const {
+  versionField,
+  VersionMismatchError,
+  currentVersion,
+  matchesVersion,
+} = require("../service/version");
+const {
+  defaultSettings,
+  NamespaceExistsError,
+  timeToLive,
+  verifyWrite,
+} = require("../service/namespace");
+const {
+  IdExistsError,
+  generateId,
+  storedId,
+  verifyId,
+} = require("../service/ids");
+const { RespError, RespConnectionError, connect } = require("./resp");
+const logger = require("../service/logger");
+
+/**
+ * Module to store data objects within Redis, or any server speaking its protocol (see repository/resp). The repository
+ * fulfils the same contract as the filesystem and MongoDB repositories.
+ *
+ * Each namespace is stored under keys prefixed by config.keyPrefix:
+ *  - <prefix>:data:<namespace>      Hash of data identifier to the data object as JSON.
+ *  - <prefix>:settings:<namespace>  Namespace settings as JSON.
+ *  - <prefix>:sequence:<namespace>  Last identifier given by the 'increment' strategy.
+ *  - <prefix>:written:<namespace>   Sorted set of data identifiers by the time they were last written.
+ * together with the set of namespace names, <prefix>:namespaces. A namespace exists once it holds data objects or
+ * its settings are stored. The namespaces of a tenant are keyed by their qualified name, '<namespace>@<tenant>'
+ * (see service/tenants).
+ *
+ * Objects expire config.ttl seconds after they were last written, unless the ttl setting of their namespace
+ * specifies otherwise, zero disables expiry. Hash fields cannot expire on their own, so expired objects are evicted
+ * when their namespace is next used. The time each object was written is kept whether or not it expires, so a ttl
+ * set later applies to the objects already stored.
+ *
+ * Writes read what they depend on (the stored objects, settings and object count) under WATCH and apply their
+ * changes within a MULTI/EXEC transaction, which is retried should another client write the namespace in between.
+ * Transactions hold a connection, so operations take connections from a pool of up to config.poolSize.
+ */
+
+const idField = "_id";
+const defaultStrategy = "increment";
+const namespacesKey = `${config.keyPrefix}:namespaces`;
+// Attempts made at a transaction whose watched keys keep changing, before the write is rejected.
+const transactionAttempts = 50;
+
+// Connections which are open and not in use, and the operations waiting for a connection once the pool is full.
+const idle = [];
+const waiting = [];
+let opened = 0;
+let closing = false;
+
+/**
+ * Provide the keys holding the specified namespace.
+ * @function keys
+ * @param {string} namespace - Unique namespace of the dataset.
+ * @returns {{data: string, settings: string, sequence: string, written: string}} Namespace keys
+ */
+const keys = (namespace) => ({
+  data: `${config.keyPrefix}:data:${namespace}`,
+  settings: `${config.keyPrefix}:settings:${namespace}`,
+  sequence: `${config.keyPrefix}:sequence:${namespace}`,
+  written: `${config.keyPrefix}:written:${namespace}`,
+});
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Open a connection to the server.
+ * A failed connection is retried with an exponential backoff, up to config.connectRetries times.
+ * @function openConnection
+ * @returns Promise resolving the connection
+ */
+const openConnection = async () => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await connect(
+        config.location,
+        config.getCredentials(),
+        config.timeout
+      );
+    } catch (err) {
+      if (attempt >= config.connectRetries) {
+        throw err;
+      }
+
+      const wait = config.retryDelay * 2 ** attempt;
+      logger.warn(
+        `Failed connect to redis url: ${config.location}, retrying in ${wait}ms`,
+        { error: err.message }
+      );
+      await delay(wait);
+    }
+  }
+};
+
+/**
+ * Take a connection from the pool, opening one while the pool is not full, otherwise waiting for one to be released.
+ * @function acquire
+ * @returns Promise resolving the connection
+ */
+const acquire = () => {
+  closing = false;
+  while (idle.length > 0) {
+    const connection = idle.pop();
+    if (!connection.closed) {
+      return Promise.resolve(connection);
+    }
+    opened--;
+  }
+  if (opened < config.poolSize) {
+    opened++;
+    return openConnection().catch((err) => {
+      opened--;
+      throw err;
+    });
+  }
+  return new Promise((resolve, reject) =>
+    waiting.push({ resolve: resolve, reject: reject })
+  );
+};
+
+/**
+ * Return a connection to the pool, handing it to the next waiting operation. Failed connections are discarded, and
+ * connections released whilst the repository closes are closed.
+ * @function release
+ * @param {object} connection - Connection taken from the pool
+ */
+const release = (connection) => {
+  if (connection.closed || closing) {
+    opened--;
+    connection.close();
+    const waiter = waiting.shift();
+    if (waiter) {
+      acquire().then(waiter.resolve, waiter.reject);
+    }
+    return;
+  }
+
+  const waiter = waiting.shift();
+  if (waiter) {
+    waiter.resolve(connection);
+  } else {
+    idle.push(connection);
+  }
+};
+
+/**
+ * Errors raised by the server, or the connection to it, are wrapped with a description of the failed operation,
+ * and those raised because the server cannot be reached are reported as the repository being unavailable. Any other
+ * error, such as those signalling an expected outcome to the service or raised by a patch, is passed through
+ * untouched.
+ * @function operationError
+ * @param {Error} err - Error raised by the operation
+ * @param {string} description - Description of the failed operation
+ * @returns Error to reject the operation with
+ */
+const operationError = (err, description) => {
+  const reason = `${description}. Reason: ${err.message}`;
+  if (err instanceof RespConnectionError) {
+    return new UnavailableError(reason);
+  }
+  return err instanceof RespError ? new Error(reason) : err;
+};
+
+/**
+ * Run a transaction on a connection. The prepare function reads what the writes depend on whilst the specified keys
+ * are watched, and provides the commands to apply, which are executed atomically unless a watched key changed in
+ * the meantime, in which case the transaction is prepared afresh.
+ * @function transaction
+ * @param {object} connection - Connection taken from the pool
+ * @param {Array<string>} watched - Keys the writes depend on
+ * @param {function():Promise<{commands: Array<Array>, result: *}>} prepare - Provides the commands and the result
+ *   of the transaction, or throws to abandon it
+ * @returns Promise resolving the result of the transaction
+ * @throws {ConflictError} If the watched keys keep changing.
+ */
+const transaction = async (connection, watched, prepare) => {
+  for (let attempt = 0; attempt < transactionAttempts; attempt++) {
+    await connection.command("WATCH", ...watched);
+    let prepared = null;
+    try {
+      prepared = await prepare();
+    } catch (err) {
+      // The error may follow from reads made as another client wrote the namespace, which an empty transaction
+      // reveals by aborting, in which case the transaction is prepared afresh.
+      const [, executed] = await Promise.all([
+        connection.command("MULTI"),
+        connection.command("EXEC"),
+      ]);
+      if (executed === null) {
+        continue;
+      }
+      throw err;
+    }
+    if (prepared.commands.length === 0) {
+      await connection.command("UNWATCH");
+      return prepared.result;
+    }
+
+    // The transaction is pipelined, so nothing else is sent on the connection between MULTI and EXEC.
+    const replies = await Promise.all([
+      connection.command("MULTI"),
+      ...prepared.commands.map((command) => connection.command(...command)),
+      connection.command("EXEC"),
+    ]);
+    const executed = replies[replies.length - 1];
+    if (executed !== null) {
+      const failed = executed.find((reply) => reply instanceof Error);
+      if (failed) {
+        throw failed;
+      }
+      return prepared.result;
+    }
+  }
+
+  throw new ConflictError(
+    "Too many concurrent writes to the namespace, retry the request"
+  );
+};
+
+/**
+ * Perform the specified operation with a connection from the pool.
+ * @function perform
+ * @param {string} description - Description of the operation, reported should it fail
+ * @param {function(object):Promise} operation - Operation to perform, provided a connection with 'command(...args)'
+ *   and 'transaction(watched, prepare)' functions
+ * @param {function(Error,*):void} callback - Callback with the operation result.
+ */
+const perform = async (description, operation, callback) => {
+  let connection = null;
+  try {
+    connection = await acquire();
+  } catch (err) {
+    logger.error(`Failed connect to redis url: ${config.location}`, {
+      error: err.message,
+    });
+    callback(
+      new UnavailableError(
+        `Failed to connect to the repository. Reason: ${err.message}`
+      ),
+      null
+    );
+    return;
+  }
+
+  let result = null;
+  let error = null;
+  try {
+    result = await operation({
+      command: (...args) => connection.command(...args),
+      transaction: (watched, prepare) =>
+        transaction(connection, watched, prepare),
+    });
+  } catch (err) {
+    logger.debug(description, { error: err.message });
+    error = operationError(err, description);
+  }
+  release(connection);
+
+  // Asynchronous callback.
+  callback(error, result);
+};
+
+/**
+ * Parse a stored data object.
+ * @function parseObject
+ * @param {string} value - Data object as JSON, or null
+ * @returns Data object, or null
+ */
+const parseObject = (value) => (value === null ? null : JSON.parse(value));
+
+/**
+ * Parse the fields and values of a hash, as HGETALL and HSCAN provide them.
+ * @function parseObjects
+ * @param {Array<string>} reply - Alternating fields and values
+ * @returns Data objects
+ */
+const parseObjects = (reply) =>
+  reply.filter((value, index) => index % 2 === 1).map(parseObject);
+
+/**
+ * Evict the expired data objects of the specified namespace.
+ * @function evict
+ * @param {object} redis - Connection provided by perform
+ * @param {string} namespace - Unique namespace of the dataset.
+ */
+const evict = async (redis, namespace) => {
+  const ttl = timeToLive(await loadSettings(redis, namespace), config.ttl);
+  if (ttl <= 0) {
+    return;
+  }
+  const key = keys(namespace);
+  await redis.transaction([key.data, key.written], async () => {
+    const expired = await redis.command(
+      "ZRANGEBYSCORE",
+      key.written,
+      "-inf",
+      Date.now() - ttl * 1000
+    );
+    return {
+      commands:
+        expired.length > 0
+          ? [
+              ["HDEL", key.data, ...expired],
+              ["ZREM", key.written, ...expired],
+            ]
+          : [],
+      result: null,
+    };
+  });
+};
+
+/**
+ * Provide the stored settings of the specified namespace.
+ * @function loadSettings
+ * @param {object} redis - Connection provided by perform
+ * @param {string} namespace - Unique namespace of the dataset.
+ * @returns Promise resolving the namespace settings, or null if they have not been stored
+ */
+const loadSettings = async (redis, namespace) => {
+  const settings = parseObject(
+    await redis.command("GET", keys(namespace).settings)
+  );
+  return settings ? { ...defaultSettings, ...settings } : null;
+};
+
+/**
+ * Determine whether the specified namespace exists, holding data objects or stored settings.
+ * @function namespaceExists
+ * @param {object} redis - Connection provided by perform
+ * @param {string} namespace - Unique namespace of the dataset.
+ * @returns Promise resolving true if the namespace exists
+ */
+const namespaceExists = async (redis, namespace) => {
+  const key = keys(namespace);
+  return (await redis.command("EXISTS", key.data, key.settings)) > 0;
+};
+
+/**
+ * Provide the commands storing a data object against the specified identifier, giving it its identifier and the
+ * version following that of the data object it replaces.
+ * @function storeCommands
+ * @param {string} namespace - Unique namespace of the dataset.
+ * @param {string} id - Specified data identifier
+ * @param {object} data - Specified data object
+ * @param {object} current - Data object replaced, null if created
+ * @returns Commands storing the data object
+ */
+const storeCommands = (namespace, id, data, current) => {
+  const key = keys(namespace);
+  data[idField] = storedId(id);
+  // Every write increments the version of the data object, a new data object starts at version 1.
+  data[versionField] = currentVersion(current) + 1;
+  return [
+    ["HSET", key.data, String(id), JSON.stringify(data)],
+    ["ZADD", key.written, Date.now(), String(id)],
+    ["SADD", namespacesKey, namespace],
+  ];
+};
+
+/**
+ * Provide the commands removing the data object stored against the specified identifier.
+ * @function removeCommands
+ * @param {string} namespace - Unique namespace of the dataset.
+ * @param {string} id - Specified data identifier
+ * @returns Commands removing the data object
+ */
+const removeCommands = (namespace, id) => {
+  const key = keys(namespace);
+  return [
+    ["HDEL", key.data, String(id)],
+    ["ZREM", key.written, String(id)],
+  ];
+};
+
+/**
+ * Create a generator of the identifiers of data objects created within a namespace, which tracks the 'increment'
+ * sequence so it can be stored with the writes.
+ * @function identifiers
+ * @param {object} redis - Connection provided by perform
+ * @param {string} namespace - Unique namespace of the dataset.
+ * @param {object} settings - Namespace settings
+ * @param {function(string):Promise<boolean>} inUse - Determines whether an identifier is in use
+ * @returns Identifier generator, with a 'create(data)' function resolving the identifier of a data object, which
+ *   throws an IdError or IdExistsError as generateId does, and a 'commands()' function providing the commands
+ *   storing the sequence.
+ */
+const identifiers = async (redis, namespace, settings, inUse) => {
+  const key = keys(namespace);
+  const stored = parseInt((await redis.command("GET", key.sequence)) || "0");
+  let sequence = stored;
+
+  const increment = async () => {
+    do {
+      sequence++;
+    } while (await inUse(String(sequence)));
+    return sequence;
+  };
+
+  return {
+    create: async (data) => {
+      const id = await generateId(settings, defaultStrategy, data, increment);
+      if (await inUse(String(id))) {
+        throw new IdExistsError(id);
+      }
+      return id;
+    },
+    commands: () =>
+      sequence !== stored ? [["SET", key.sequence, sequence]] : [],
+  };
+};
+
+/**
+ * Verify the server can be reached.
+ * @function ping
+ * @param {function(Error):void} callback - Callback once the server replies.
+ */
+const ping = (callback) => {
+  perform(
+    `Failed to ping redis url: ${config.location}`,
+    (redis) => redis.command("PING"),
+    (err) => callback(err)
+  );
+};
+
+/**
+ * Close the pooled connections, those in use are closed once their operations complete.
+ * @function close
+ * @param {function(Error):void} callback - Callback once the idle connections are closed.
+ */
+const close = (callback) => {
+  closing = true;
+  const closed = idle.splice(0);
+  opened -= closed.length;
+  Promise.all(closed.map((connection) => connection.close())).then(
+    () => callback(null),
+    (err) => callback(err)
+  );
+};
+
+/**
+ * Create a dataset entry from the specified data object, which is given a unique id property.
+ * @function create
+ * @param {string} namespace - Unique namespace of the dataset.
+ * @param {object} data - Data to be added to the dataset
+ * @param {function(Error,*):void} callback - Callback with the identifier of the created data object.
+ */
+const create = (namespace, data, callback) => {
+  const key = keys(namespace);
+  perform(
+    `Failed to create an object within namespace: ${namespace}`,
+    async (redis) => {
+      await evict(redis, namespace);
+      return redis.transaction(
+        [key.data, key.settings, key.sequence],
+        async () => {
+          const settings =
+            (await loadSettings(redis, namespace)) || defaultSettings;
+          verifyWrite(
+            namespace,
+            settings,
+            await redis.command("HLEN", key.data),
+            1
+          );
+          const generator = await identifiers(
+            redis,
+            namespace,
+            settings,
+            async (id) => (await redis.command("HEXISTS", key.data, id)) === 1
+          );
+          const id = await generator.create(data);
+          return {
+            commands: [
+              ...storeCommands(namespace, id, data, null),
+              ...generator.commands(),
+            ],
+            result: id,
+          };
+        }
+      );
+    },
+    callback
+  );
+};
+
+/**
+ * Provide the data objects matching the specified dataset query.
+ * @function list
+ * @param {string} namespace - Unique namespace of the dataset.
+ * @param {object} query - Parsed dataset query, see service/query
+ * @param {function(Error,{items: Array, total: number}):void} callback - Callback with the page of data objects and total match count
+ */
+const list = (namespace, query, callback) => {
+  perform(
+    `Failed to read the objects of namespace: ${namespace}`,
+    async (redis) => {
+      await evict(redis, namespace);
+      const items = parseObjects(
+        await redis.command("HGETALL", keys(namespace).data)
+      );
+      return applyQuery(items, query);
+    },
+    callback
+  );
+};
+
+/**
+ * Provide each data object of the specified namespace dataset to the specified function, one at a time.
+ * The next data object is only provided once the promise returned for the previous one resolves. Objects are read
+ * a page at a time with HSCAN, so an object written during the scan may or may not be provided.
+ * @function scan
+ * @param {string} namespace - Unique namespace of the dataset.
+ * @param {function(object):Promise} onItem - Receives each data object
+ * @param {function(Error):void} callback - Callback once every data object has been provided.
+ */
+const scan = (namespace, onItem, callback) => {
+  perform(
+    `Failed to scan the objects of namespace: ${namespace}`,
+    async (redis) => {
+      await evict(redis, namespace);
+      let cursor = "0";
+      do {
+        const [next, page] = await redis.command(
+          "HSCAN",
+          keys(namespace).data,
+          cursor,
+          "COUNT",
+          100
+        );
+        for (const data of parseObjects(page)) {
+          await onItem(data);
+        }
+        cursor = next;
+      } while (cursor !== "0");
+    },
+    (err) => callback(err)
+  );
+};
+
+/**
+ * Provide the data object stored against the specified identifier.
+ * The callback receives a null data object if the identifier does not exist in the dataset.
+ * @function get
+ * @param {string} namespace - Unique namespace of the dataset.
+ * @param {string} id - Specified data identifier
+ * @param {function(Error,object):void} callback - Callback with the located data object.
+ */
+const get = (namespace, id, callback) => {
+  perform(
+    `Failed to find object id: ${id} within namespace: ${namespace}`,
+    async (redis) => {
+      await evict(redis, namespace);
+      return parseObject(
+        await redis.command("HGET", keys(namespace).data, String(id))
+      );
+    },
+    callback
+  );
+};
+
+/**
+ * Update the specified identifier with the specified data object, creating it if it does not exist.
+ * The callback receives a VersionMismatchError if the stored data object does not satisfy the version condition.
+ * @function update
+ * @param {string} namespace - Unique namespace of the dataset.
+ * @param {string} id - Specified data identifier
+ * @param {object} data - Specified data object
+ * @param {string|Array} ifMatch - Version condition (see service/version), null to update unconditionally
+ * @param {function(Error,{created: boolean, version: number, previous: object}):void} callback - Callback with operation result, including the data object replaced (null if created).
+ */
+const update = (namespace, id, data, ifMatch, callback) => {
+  const key = keys(namespace);
+  perform(
+    `Failed to update object id: ${id} within namespace: ${namespace}`,
+    async (redis) => {
+      await evict(redis, namespace);
+      return redis.transaction([key.data, key.settings], async () => {
+        const current = parseObject(
+          await redis.command("HGET", key.data, String(id))
+        );
+        if (!matchesVersion(ifMatch, current)) {
+          throw new VersionMismatchError(id);
+        }
+        const settings =
+          (await loadSettings(redis, namespace)) || defaultSettings;
+        verifyWrite(
+          namespace,
+          settings,
+          await redis.command("HLEN", key.data),
+          current ? 0 : 1
+        );
+        verifyId(settings, id, data);
+
+        return {
+          commands: storeCommands(namespace, id, data, current),
+          result: {
+            created: current === null,
+            version: data[versionField],
+            previous: current,
+          },
+        };
+      });
+    },
+    callback
+  );
+};
+
+/**
+ * Apply a partial update to the data object stored against the specified identifier.
+ * The callback receives a null data object if the identifier does not exist in the dataset, and a
+ * VersionMismatchError if the stored data object does not satisfy the version condition.
+ * @function patch
+ * @param {string} namespace - Unique namespace of the dataset.
+ * @param {string} id - Specified data identifier
+ * @param {function(object):object} applyPatch - Returns the patched copy of the stored data object
+ * @param {string|Array} ifMatch - Version condition (see service/version), null to patch unconditionally
+ * @param {function(Error,object):void} callback - Callback with the patched data object.
+ */
+const patch = (namespace, id, applyPatch, ifMatch, callback) => {
+  const key = keys(namespace);
+  perform(
+    `Failed to patch object id: ${id} within namespace: ${namespace}`,
+    async (redis) => {
+      await evict(redis, namespace);
+      return redis.transaction([key.data, key.settings], async () => {
+        const current = parseObject(
+          await redis.command("HGET", key.data, String(id))
+        );
+        if (!current) {
+          return { commands: [], result: null };
+        }
+        if (!matchesVersion(ifMatch, current)) {
+          throw new VersionMismatchError(id);
+        }
+        const settings =
+          (await loadSettings(redis, namespace)) || defaultSettings;
+        verifyWrite(namespace, settings, 0, 0);
+        const data = applyPatch(current);
+        verifyId(settings, id, data);
+
+        return {
+          commands: storeCommands(namespace, id, data, current),
+          result: data,
+        };
+      });
+    },
+    callback
+  );
+};
+
+/**
+ * Remove the specified data identifier from the dataset, if it exists.
+ * The callback receives a VersionMismatchError if the stored data object does not satisfy the version condition.
+ * @function remove
+ * @param {string} namespace - Unique namespace of the dataset.
+ * @param {string} id - Specified data identifier
+ * @param {string|Array} ifMatch - Version condition (see service/version), null to delete unconditionally
+ * @param {function(Error,object):void} callback - Callback with the deleted data object, or null if it did not exist.
+ */
+const remove = (namespace, id, ifMatch, callback) => {
+  const key = keys(namespace);
+  perform(
+    `Failed to delete object id: ${id} within namespace: ${namespace}`,
+    async (redis) => {
+      await evict(redis, namespace);
+      return redis.transaction([key.data, key.settings], async () => {
+        const current = parseObject(
+          await redis.command("HGET", key.data, String(id))
+        );
+        if (!matchesVersion(ifMatch, current)) {
+          throw new VersionMismatchError(id);
+        }
+        if (!current) {
+          return { commands: [], result: null };
+        }
+        const settings =
+          (await loadSettings(redis, namespace)) || defaultSettings;
+        verifyWrite(namespace, settings, 0, -1);
+
+        return { commands: removeCommands(namespace, id), result: current };
+      });
+    },
+    callback
+  );
+};
+
+/**
+ * Perform a batch of create, update and delete operations against the specified namespace dataset.
+ * Operations are applied in order over the stored data objects, and the changes they make are written within a
+ * single transaction unless an atomic batch fails, in which case the successful operations are reported as rolled
+ * back.
+ * @function batch
+ * @param {string} namespace - Unique namespace of the dataset.
+ * @param {Array<{op: string, id: string, data: object, ifMatch: (string|Array)}>} operations - Batch operations
+ * @param {boolean} atomic - Whether every operation must succeed for any to be applied
+ * @param {function(Error,Array):void} callback - Callback with the outcome of each operation, applied operations
+ * include the data object after ('data') and before ('previous') the operation.
+ */
+const batch = (namespace, operations, atomic, callback) => {
+  const key = keys(namespace);
+  perform(
+    `Failed to perform a batch within namespace: ${namespace}`,
+    async (redis) => {
+      await evict(redis, namespace);
+      return redis.transaction(
+        [key.data, key.settings, key.sequence],
+        async () => {
+          const settings =
+            (await loadSettings(redis, namespace)) || defaultSettings;
+          // Data objects written by the batch so far, null once deleted, over the stored data objects.
+          const working = new Map();
+          const stored = async (id) =>
+            working.has(String(id))
+              ? working.get(String(id))
+              : parseObject(await redis.command("HGET", key.data, String(id)));
+          const generator = await identifiers(
+            redis,
+            namespace,
+            settings,
+            async (id) => (await stored(id)) !== null
+          );
+          const commands = [];
+          let added = 0;
+
+          const results = [];
+          for (const operation of operations) {
+            const current =
+              operation.op === "create" ? null : await stored(operation.id);
+
+            switch (operation.op) {
+              case "create": {
+                let id = null;
+                try {
+                  id = await generator.create(operation.data);
+                } catch (err) {
+                  results.push(
+                    err instanceof IdExistsError
+                      ? { outcome: "exists", id: err.id }
+                      : { outcome: "invalid" }
+                  );
+                  break;
+                }
+                commands.push(
+                  ...storeCommands(namespace, id, operation.data, null)
+                );
+                working.set(String(id), operation.data);
+                added++;
+                results.push({
+                  outcome: "created",
+                  id: id,
+                  data: operation.data,
+                  previous: null,
+                });
+                break;
+              }
+              case "update": {
+                if (!matchesVersion(operation.ifMatch, current)) {
+                  results.push({ outcome: "mismatch", id: operation.id });
+                  break;
+                }
+                try {
+                  verifyId(settings, operation.id, operation.data);
+                } catch (err) {
+                  results.push({ outcome: "invalid", id: operation.id });
+                  break;
+                }
+                commands.push(
+                  ...storeCommands(
+                    namespace,
+                    operation.id,
+                    operation.data,
+                    current
+                  )
+                );
+                working.set(String(operation.id), operation.data);
+                added += current ? 0 : 1;
+                results.push({
+                  outcome: current ? "updated" : "created",
+                  id: operation.id,
+                  data: operation.data,
+                  previous: current,
+                });
+                break;
+              }
+              default: {
+                if (!matchesVersion(operation.ifMatch, current)) {
+                  results.push({ outcome: "mismatch", id: operation.id });
+                  break;
+                }
+                if (!current) {
+                  results.push({ outcome: "notFound", id: operation.id });
+                  break;
+                }
+                commands.push(...removeCommands(namespace, operation.id));
+                working.set(String(operation.id), null);
+                added--;
+                results.push({
+                  outcome: "deleted",
+                  id: operation.id,
+                  data: null,
+                  previous: current,
+                });
+              }
+            }
+          }
+
+          const applied = results.filter((result) => result.data !== undefined);
+          if (atomic && applied.length < results.length) {
+            return {
+              commands: [],
+              result: results.map((result) =>
+                result.data !== undefined
+                  ? { outcome: "rolledBack", id: result.id }
+                  : result
+              ),
+            };
+          }
+          if (applied.length > 0) {
+            verifyWrite(
+              namespace,
+              settings,
+              await redis.command("HLEN", key.data),
+              added
+            );
+          }
+          return {
+            commands:
+              commands.length > 0 ? [...commands, ...generator.commands()] : [],
+            result: results,
+          };
+        }
+      );
+    },
+    callback
+  );
+};
+
+/**
+ * Provide every namespace with its object count, approximate size in bytes and settings.
+ * @function namespaces
+ * @param {function(Error,Array<{name: string, count: number, size: number, settings: object}>):void} callback - Callback with the namespaces.
+ */
+const namespaces = (callback) => {
+  perform(
+    "Failed to list the namespaces",
+    async (redis) => {
+      const listed = [];
+      for (const namespace of (
+        await redis.command("SMEMBERS", namespacesKey)
+      ).sort()) {
+        await evict(redis, namespace);
+        // Namespaces whose data objects were all deleted, and which have no settings, no longer exist.
+        if (!(await namespaceExists(redis, namespace))) {
+          continue;
+        }
+        const values = await redis.command("HVALS", keys(namespace).data);
+        listed.push({
+          name: namespace,
+          count: values.length,
+          size: values.reduce(
+            (size, value) => size + Buffer.byteLength(value),
+            0
+          ),
+          settings: (await loadSettings(redis, namespace)) || defaultSettings,
+        });
+      }
+      return listed;
+    },
+    callback
+  );
+};
+
+/**
+ * Provide the settings of the specified namespace.
+ * @function getSettings
+ * @param {string} namespace - Unique namespace of the dataset.
+ * @param {function(Error,object):void} callback - Callback with the settings, or null if the namespace does not exist.
+ */
+const getSettings = (namespace, callback) => {
+  perform(
+    `Failed to read the settings of namespace: ${namespace}`,
+    async (redis) => {
+      await evict(redis, namespace);
+      if (!(await namespaceExists(redis, namespace))) {
+        return null;
+      }
+      return (await loadSettings(redis, namespace)) || defaultSettings;
+    },
+    callback
+  );
+};
+
+/**
+ * Store the settings of the specified namespace, creating the namespace if it does not exist.
+ * @function putSettings
+ * @param {string} namespace - Unique namespace of the dataset.
+ * @param {object} settings - Namespace settings
+ * @param {function(Error,boolean):void} callback - Callback with whether the namespace was created.
+ */
+const putSettings = (namespace, settings, callback) => {
+  const key = keys(namespace);
+  perform(
+    `Failed to store the settings of namespace: ${namespace}`,
+    async (redis) => {
+      await evict(redis, namespace);
+      return redis.transaction([key.data, key.settings], async () => ({
+        commands: [
+          ["SET", key.settings, JSON.stringify(settings)],
+          ["SADD", namespacesKey, namespace],
+        ],
+        result: !(await namespaceExists(redis, namespace)),
+      }));
+    },
+    callback
+  );
+};
+
+/**
+ * Rename the specified namespace, together with its data objects and settings.
+ * The callback receives a NamespaceExistsError if the new namespace already exists.
+ * @function renameNamespace
+ * @param {string} namespace - Unique namespace of the dataset.
+ * @param {string} to - New namespace
+ * @param {function(Error,boolean):void} callback - Callback with whether the namespace existed to be renamed.
+ */
+const renameNamespace = (namespace, to, callback) => {
+  const from = keys(namespace);
+  const target = keys(to);
+  perform(
+    `Failed to rename namespace: ${namespace} to: ${to}`,
+    async (redis) => {
+      await evict(redis, namespace);
+      await evict(redis, to);
+      return redis.transaction(
+        [...Object.values(from), ...Object.values(target)],
+        async () => {
+          if (!(await namespaceExists(redis, namespace))) {
+            return { commands: [], result: false };
+          }
+          if (await namespaceExists(redis, to)) {
+            throw new NamespaceExistsError(to);
+          }
+
+          // Keys left by the target namespace, i.e. its identifier sequence, are replaced.
+          const commands = [["DEL", ...Object.values(target)]];
+          for (const name of Object.keys(from)) {
+            if ((await redis.command("EXISTS", from[name])) > 0) {
+              commands.push(["RENAME", from[name], target[name]]);
+            }
+          }
+          commands.push(
+            ["SREM", namespacesKey, namespace],
+            ["SADD", namespacesKey, to]
+          );
+          return { commands: commands, result: true };
+        }
+      );
+    },
+    callback
+  );
+};
+
+/**
+ * Remove the specified namespace, together with its data objects and settings.
+ * @function dropNamespace
+ * @param {string} namespace - Unique namespace of the dataset.
+ * @param {function(Error,boolean):void} callback - Callback with whether the namespace existed to be dropped.
+ */
+const dropNamespace = (namespace, callback) => {
+  const key = keys(namespace);
+  perform(
+    `Failed to drop namespace: ${namespace}`,
+    async (redis) => {
+      await evict(redis, namespace);
+      return redis.transaction([key.data, key.settings], async () => ({
+        commands: [
+          ["DEL", ...Object.values(key)],
+          ["SREM", namespacesKey, namespace],
+        ],
+        result: await namespaceExists(redis, namespace),
+      }));
+    },
+    callback
+  );
+};
+
+module.exports = {
+  ping: ping,
+  close: close,
+  // Export namespace operations
+  namespaces: namespaces,
+  getSettings: getSettings,
+  putSettings: putSettings,
+  renameNamespace: renameNamespace,
+  dropNamespace: dropNamespace,
+  // Export CRUD operations
+  create: create,
+  read: list,
+  get: get,
+  update: update,
+  patch: patch,
+  delete: remove,
+  batch: batch,
+  scan: scan,
+};
@@ -0,0 +1,259 @@
+const net = require("net");
+const tls = require("tls");
+
+/**
+ * Module speaking RESP (the REdis Serialization Protocol, version 2) to Redis compatible servers.
+ * A connection sends each command as an array of bulk strings and resolves the replies in the order the commands
+ * were sent, so commands may be pipelined. Replies are provided as:
+ *  - Simple strings and bulk strings: Strings, or null for a null bulk string.
+ *  - Integers: Numbers.
+ *  - Arrays: Arrays of replies, or null for a null array (i.e. an aborted transaction).
+ *  - Errors: Reject the command with a RespError.
+ * A connection which fails or closes rejects its outstanding commands with a RespConnectionError.
+ */
+
+const crlf = "\r\n";
+
+/**
+ * Error replied by the server to a command.
+ */
+class RespError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "RespError";
+  }
+}
+
+/**
+ * Error raised when the server cannot be reached, or the connection to it fails.
+ */
+class RespConnectionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "RespConnectionError";
+  }
+}
+
+/**
+ * Encode a command as a RESP array of bulk strings.
+ * @function encodeCommand
+ * @param {Array} args - Command name and arguments, each converted to a string
+ * @returns Buffer holding the encoded command
+ */
+const encodeCommand = (args) =>
+  Buffer.concat([
+    Buffer.from(`*${args.length}${crlf}`),
+    ...args.map((arg) => {
+      const value = Buffer.isBuffer(arg) ? arg : Buffer.from(String(arg));
+      return Buffer.concat([
+        Buffer.from(`$${value.length}${crlf}`),
+        value,
+        Buffer.from(crlf),
+      ]);
+    }),
+  ]);
+
+/**
+ * Parse the value starting at the specified offset of a buffer.
+ * @function parseValue
+ * @param {Buffer} buffer - Received data
+ * @param {number} offset - Offset of the value
+ * @returns The parsed 'value' and the 'offset' following it, or null when the buffer does not yet hold the value.
+ * @throws {RespError} If the data is not RESP.
+ */
+const parseValue = (buffer, offset) => {
+  const end = buffer.indexOf(crlf, offset);
+  if (end === -1) {
+    return null;
+  }
+  const line = buffer.toString("utf8", offset + 1, end);
+  const next = end + crlf.length;
+
+  switch (String.fromCharCode(buffer[offset])) {
+    case "+":
+      return { value: line, offset: next };
+    case "-":
+      return { value: new RespError(line), offset: next };
+    case ":":
+      return { value: Number(line), offset: next };
+    case "$": {
+      const length = parseInt(line);
+      if (length < 0) {
+        return { value: null, offset: next };
+      }
+      if (buffer.length < next + length + crlf.length) {
+        return null;
+      }
+      return {
+        value: buffer.toString("utf8", next, next + length),
+        offset: next + length + crlf.length,
+      };
+    }
+    case "*": {
+      const length = parseInt(line);
+      if (length < 0) {
+        return { value: null, offset: next };
+      }
+      const values = [];
+      let position = next;
+      for (let index = 0; index < length; index++) {
+        const parsed = parseValue(buffer, position);
+        if (!parsed) {
+          return null;
+        }
+        values.push(parsed.value);
+        position = parsed.offset;
+      }
+      return { value: values, offset: position };
+    }
+    default:
+      throw new RespError(`Unexpected RESP type '${line[0]}'`);
+  }
+};
+
+/**
+ * Create a parser of a RESP stream, which may split values between chunks.
+ * @function createParser
+ * @param {function(*):void} onValue - Receives each complete value
+ * @returns Function receiving each chunk of the stream
+ * @throws {RespError} If the stream is not RESP.
+ */
+const createParser = (onValue) => {
+  let buffer = Buffer.alloc(0);
+  return (chunk) => {
+    buffer = buffer.length > 0 ? Buffer.concat([buffer, chunk]) : chunk;
+    let offset = 0;
+    while (offset < buffer.length) {
+      const parsed = parseValue(buffer, offset);
+      if (!parsed) {
+        break;
+      }
+      offset = parsed.offset;
+      onValue(parsed.value);
+    }
+    buffer = buffer.subarray(offset);
+  };
+};
+
+/**
+ * Open a connection to the server addressed by a URL, 'redis://[[user]:password@]host[:port][/db]', or 'rediss://'
+ * for TLS. The connection authenticates and selects the database before it is provided.
+ * @function connect
+ * @param {string} url - Server URL
+ * @param {object} credentials - Optional 'user' and 'password', which take precedence over those of the URL
+ * @param {number} timeout - Milliseconds to wait for the connection, and for each reply
+ * @returns Promise resolving the connection, with a 'command(...args)' function resolving each reply, a 'close()'
+ *   function resolving once the connection is closed, and whether it is 'closed'.
+ */
+const connect = (url, credentials, timeout) =>
+  new Promise((resolve, reject) => {
+    const address = new URL(url);
+    const secure = address.protocol === "rediss:";
+    const options = {
+      host: address.hostname || "localhost",
+      port: parseInt(address.port || "6379"),
+    };
+    const socket = secure
+      ? tls.connect({ ...options, servername: options.host })
+      : net.connect(options);
+    // Commands are small and awaited, so they are sent without delay.
+    socket.setNoDelay(true);
+
+    const pending = [];
+    let ready = false;
+    let failure = null;
+    const connection = {
+      closed: false,
+      command: (...args) =>
+        new Promise((resolveReply, rejectReply) => {
+          if (connection.closed) {
+            rejectReply(failure);
+            return;
+          }
+          pending.push({ resolve: resolveReply, reject: rejectReply });
+          socket.write(encodeCommand(args));
+        }),
+      close: () =>
+        new Promise((resolveClose) => {
+          if (connection.closed) {
+            resolveClose();
+            return;
+          }
+          socket.once("close", () => resolveClose());
+          socket.end();
+        }),
+    };
+
+    const fail = (err) => {
+      if (!connection.closed) {
+        connection.closed = true;
+        failure = new RespConnectionError(
+          `Connection to ${options.host}:${options.port} failed. Reason: ${err.message}`
+        );
+        pending.splice(0).forEach((request) => request.reject(failure));
+        socket.destroy();
+        reject(failure);
+      }
+    };
+
+    const parse = createParser((value) => {
+      const request = pending.shift();
+      if (!request) {
+        return;
+      }
+      if (value instanceof RespError) {
+        request.reject(value);
+      } else {
+        request.resolve(value);
+      }
+    });
+
+    socket.setTimeout(timeout);
+    socket.on("timeout", () => {
+      // An idle connection without outstanding commands is healthy.
+      if (pending.length > 0 || !ready) {
+        fail(new Error(`No response within ${timeout}ms`));
+      }
+    });
+    socket.on("data", (chunk) => {
+      try {
+        parse(chunk);
+      } catch (err) {
+        fail(err);
+      }
+    });
+    socket.on("error", fail);
+    socket.on("close", () => fail(new Error("Connection closed")));
+    socket.once(secure ? "secureConnect" : "connect", async () => {
+      try {
+        const user =
+          (credentials && credentials.user) ||
+          decodeURIComponent(address.username);
+        const password =
+          (credentials && credentials.password) ||
+          decodeURIComponent(address.password);
+        if (password) {
+          await (user
+            ? connection.command("AUTH", user, password)
+            : connection.command("AUTH", password));
+        }
+        const db = address.pathname.slice(1);
+        if (db) {
+          await connection.command("SELECT", db);
+        }
+        ready = true;
+        resolve(connection);
+      } catch (err) {
+        socket.destroy();
+        reject(err);
+      }
+    });
+  });
+
+module.exports = {
+  RespError: RespError,
+  RespConnectionError: RespConnectionError,
+  encodeCommand: encodeCommand,
+  createParser: createParser,
+  connect: connect,
+};
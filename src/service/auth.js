@@ -0,0 +1,217 @@
+const serverConfig = require("../config/server");
+const { AuthenticationError, ForbiddenError } = require("./errors");
+
+/**
+ * Module providing the authentication and authorization Express middleware.
+ * Authentication is pluggable, the authenticators listed by serverConfig.authentication are loaded from the
+ * authentication directory in the same way the repository is loaded. Each authenticator exposes:
+ *  - scheme: Name of the credential scheme, advertised within the WWW-Authenticate header.
+ *  - enabled(): Whether the authenticator is configured.
+ *  - authenticate(req): The identity presented by the request, null if it carries no credentials for the scheme,
+ *    or throws if the credentials are invalid.
+ * An identity is a subject together with the permission granted for each namespace, where '*' grants a permission
+ * to every namespace:
+ *   { subject: "reporting", grants: { tasks: "write", "*": "read" }, tenant: null }
+ * An identity bound to a tenant holds its grants within that tenant alone (see service/tenants).
+ * Permissions are ordered, each one implying those before it. When no authenticator is configured every request
+ * is permitted.
+ */
+
+const permissions = ["read", "write", "admin"];
+const namespaceParam = "namespace";
+const realm = "MyData";
+
+const authenticators = serverConfig.authentication
+  .split(",")
+  .map((name) => name.trim())
+  .filter((name) => name !== "" && name !== "none")
+  .map((name) => require(`../authentication/${name}`));
+
+/**
+ * Determine whether any authenticator is configured.
+ * @function enabled
+ * @returns True if requests must be authenticated
+ */
+const enabled = () =>
+  authenticators.some((authenticator) => authenticator.enabled());
+
+/**
+ * Provide the WWW-Authenticate header value advertising the accepted credential schemes.
+ * @function challenge
+ * @returns WWW-Authenticate header value
+ */
+const challenge = () =>
+  authenticators
+    .filter((authenticator) => authenticator.enabled())
+    .map((authenticator) => `${authenticator.scheme} realm="${realm}"`)
+    .join(", ");
+
+/**
+ * Reject a request with 401 (Unauthorized), advertising the accepted credential schemes.
+ * @function unauthorized
+ * @param {Response} res - Express response object instance
+ * @param {function} next - Invoke the error handling middleware
+ * @param {string} message - Reason the request is unauthorized
+ */
+const unauthorized = (res, next, message) => {
+  res.set("WWW-Authenticate", challenge());
+  next(new AuthenticationError(message));
+};
+
+/**
+ * Determine whether the specified identity holds a permission.
+ * A grant for the addressed namespace takes precedence over the '*' grant.
+ * @function permitted
+ * @param {object} identity - Authenticated identity
+ * @param {string} namespace - Addressed namespace, undefined for service level routes which only '*' grants cover
+ * @param {string} permission - Required permission
+ * @returns True if the permission is granted
+ */
+const permitted = (identity, namespace, permission) => {
+  const grants = identity.grants || {};
+  const granted =
+    namespace !== undefined &&
+    Object.prototype.hasOwnProperty.call(grants, namespace)
+      ? grants[namespace]
+      : grants["*"];
+
+  return permissions.indexOf(granted) >= permissions.indexOf(permission);
+};
+
+/**
+ * Identify the holder of the credentials presented by a request.
+ * @function identify
+ * @param {Request} req - Request providing a 'get(header)' function
+ * @returns Authenticated identity, or null for anonymous requests.
+ * @throws {Error} If the presented credentials are invalid.
+ */
+const identify = (req) => {
+  for (const authenticator of authenticators) {
+    if (authenticator.enabled()) {
+      const identity = authenticator.authenticate(req);
+      if (identity) {
+        return identity;
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Determine whether an identity is authorized to perform an operation requiring the specified permission.
+ * @function authorization
+ * @param {object} identity - Authenticated identity, or null for anonymous requests
+ * @param {string} namespace - Addressed namespace, undefined for service level routes
+ * @param {string} permission - Required permission
+ * @returns Null if authorized, otherwise the AuthenticationError or ForbiddenError to reject the request with.
+ */
+const authorization = (identity, namespace, permission) => {
+  if (!enabled()) {
+    return null;
+  }
+  if (!identity) {
+    return new AuthenticationError("Authentication required");
+  }
+  if (!permitted(identity, namespace, permission)) {
+    return new ForbiddenError(
+      namespace === undefined
+        ? `Permission '${permission}' required`
+        : `Permission '${permission}' required on namespace '${namespace}'`
+    );
+  }
+
+  return null;
+};
+
+/**
+ * Express middleware to authenticate the credentials presented by a request.
+ * The authenticated identity is attached to the request as 'req.identity', or null for anonymous requests.
+ * Requests presenting invalid credentials are rejected with 401 (Unauthorized).
+ * @function authenticate
+ * @param {Request} req - Express request object instance
+ * @param {Response} res - Express response object instance
+ * @param {function} next - Invoke the next middleware
+ */
+const authenticate = (req, res, next) => {
+  try {
+    req.identity = identify(req);
+  } catch (err) {
+    unauthorized(res, next, err.message);
+    return;
+  }
+
+  next();
+};
+
+/**
+ * Express route middleware identifying the holder of the credentials presented by a request as authenticate does,
+ * but treating invalid credentials as anonymous, for routes open to every client which tailor their response to
+ * the identity.
+ * @function authenticateOptionally
+ * @param {Request} req - Express request object instance
+ * @param {Response} res - Express response object instance
+ * @param {function} next - Invoke the next middleware
+ */
+const authenticateOptionally = (req, res, next) => {
+  try {
+    req.identity = identify(req);
+  } catch (err) {
+    req.identity = null;
+  }
+
+  next();
+};
+
+/**
+ * Create Express route middleware which requires the specified permission on the namespace route parameter.
+ * Anonymous requests are rejected with 401 (Unauthorized), and identities without the permission with 403 (Forbidden).
+ * @function authorize
+ * @param {string} permission - Required permission, one of 'read', 'write' or 'admin'
+ * @returns Express middleware
+ */
+const authorize = (permission) => (req, res, next) => {
+  const denied = authorization(
+    req.identity,
+    req.params[namespaceParam],
+    permission
+  );
+
+  if (!denied) {
+    next();
+  } else if (denied instanceof AuthenticationError) {
+    unauthorized(res, next, denied.message);
+  } else {
+    next(denied);
+  }
+};
+
+/**
+ * Express route middleware which requires an authenticated identity, for service level routes which authorize each
+ * namespace they present separately. Anonymous requests are rejected with 401 (Unauthorized).
+ * @function authenticated
+ * @param {Request} req - Express request object instance
+ * @param {Response} res - Express response object instance
+ * @param {function} next - Invoke the next middleware
+ */
+const authenticated = (req, res, next) => {
+  if (enabled() && !req.identity) {
+    unauthorized(res, next, "Authentication required");
+  } else {
+    next();
+  }
+};
+
+module.exports = {
+  authenticated: authenticated,
+  read: authorize("read"),
+  write: authorize("write"),
+  admin: authorize("admin"),
+  enabled: enabled,
+  permitted: permitted,
+  challenge: challenge,
+  identify: identify,
+  authorization: authorization,
+  authenticate: authenticate,
+  authenticateOptionally: authenticateOptionally,
+};
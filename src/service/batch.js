@@ -0,0 +1,203 @@
+const serverConfig = require("../config/server");
+const schema = require("./schema");
+const { versionField, etag, parseCondition } = require("./version");
+const { ValidationError } = require("./errors");
+
+/**
+ * Module to parse batch requests and report the outcome of each batch operation.
+ * A batch request body lists the operations to perform in order, optionally all-or-nothing:
+ *   {
+ *     "atomic": true,
+ *     "operations": [
+ *       { "op": "create", "data": { ... } },
+ *       { "op": "update", "id": "1", "data": { ... }, "ifMatch": "\"2\"" },
+ *       { "op": "delete", "id": 2 }
+ *     ]
+ *   }
+ * Identifiers are strings, or integers which are taken as their decimal string, as the :dataId route parameter is.
+ * Repositories perform the operations and report an outcome for each one, which is mapped to an HTTP status.
+ */
+
+const operationTypes = ["create", "update", "delete"];
+
+const outcomes = {
+  created: { status: 201 },
+  updated: { status: 200 },
+  deleted: { status: 200 },
+  invalid: { status: 400, error: "Invalid object identifier" },
+  notFound: { status: 404, error: "Object not found" },
+  exists: { status: 409, error: "Object already exists" },
+  conflict: { status: 409, error: "Object changed during the batch" },
+  mismatch: { status: 412, error: "Object does not match the ifMatch version" },
+  rolledBack: {
+    status: 424,
+    error: "Operation not applied as the batch failed",
+  },
+};
+
+/**
+ * Error raised when a batch request body is malformed.
+ */
+class BatchError extends ValidationError {
+  constructor(message) {
+    super(message);
+    this.name = "BatchError";
+  }
+}
+
+const isObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Normalise the object identifier of a batch operation to the string form the :dataId route parameter takes.
+ * @function normaliseId
+ * @param {*} id - Object identifier from the batch operation
+ * @returns Decimal string of an integer identifier, otherwise the identifier unchanged.
+ */
+const normaliseId = (id) => (Number.isInteger(id) ? String(id) : id);
+
+/**
+ * Parse a single batch operation, validating the data against the namespace schema.
+ * @function parseOperation
+ * @param {string} namespace - Unique namespace of the dataset
+ * @param {object} operation - Batch operation from the request body
+ * @returns Repository operation, or a rejection with the status and error to report for the operation.
+ */
+const parseOperation = (namespace, operation) => {
+  const id = isObject(operation) ? normaliseId(operation.id) : undefined;
+  const reject = (status, error, errors) => ({
+    op:
+      isObject(operation) && typeof operation.op === "string"
+        ? operation.op
+        : null,
+    id: typeof id === "string" ? id : null,
+    rejected: { status: status, error: error, errors: errors },
+  });
+
+  if (!isObject(operation) || !operationTypes.includes(operation.op)) {
+    return reject(
+      400,
+      `Operation must have an op of ${operationTypes.join(", ")}`
+    );
+  }
+  if (operation.op !== "create" && (typeof id !== "string" || id === "")) {
+    return reject(400, `A ${operation.op} operation requires an id`);
+  }
+  if (
+    operation.ifMatch !== undefined &&
+    typeof operation.ifMatch !== "string"
+  ) {
+    return reject(400, "An operation ifMatch must be an entity tag string");
+  }
+  if (operation.op !== "delete") {
+    if (!isObject(operation.data)) {
+      return reject(400, `A ${operation.op} operation requires a data object`);
+    }
+    try {
+      schema.validate(namespace, operation.data);
+    } catch (err) {
+      if (err instanceof schema.SchemaValidationError) {
+        return reject(422, err.message, err.errors);
+      }
+      throw err;
+    }
+  }
+
+  return {
+    op: operation.op,
+    id: id,
+    data: operation.data,
+    ifMatch: parseCondition(operation.ifMatch),
+  };
+};
+
+/**
+ * Parse a batch request body.
+ * @function parseBatch
+ * @param {string} namespace - Unique namespace of the dataset
+ * @param {object} body - Batch request body
+ * @returns {{atomic: boolean, operations: Array}} Parsed operations, in request order
+ * @throws {BatchError} If the body is not a batch of operations.
+ */
+const parseBatch = (namespace, body) => {
+  if (!isObject(body) || !Array.isArray(body.operations)) {
+    throw new BatchError("Expecting an object with an array of operations");
+  }
+  if (
+    body.operations.length === 0 ||
+    body.operations.length > serverConfig.batchLimit
+  ) {
+    throw new BatchError(
+      `A batch must contain between 1 and ${serverConfig.batchLimit} operations`
+    );
+  }
+
+  return {
+    atomic: body.atomic === true,
+    operations: body.operations.map((operation) =>
+      parseOperation(namespace, operation)
+    ),
+  };
+};
+
+/**
+ * Convert a repository outcome into the result reported to the client for an operation.
+ * @function operationResult
+ * @param {object} operation - Parsed batch operation
+ * @param {object} result - Repository outcome of the operation
+ * @returns Operation result
+ */
+const operationResult = (operation, result) => {
+  const outcome = outcomes[result.outcome];
+  const report = {
+    op: operation.op,
+    id: result.id === undefined ? null : String(result.id),
+    status: outcome.status,
+  };
+
+  if (outcome.error) {
+    report.error = outcome.error;
+  } else if (result.data) {
+    report.etag = etag(result.data[versionField]);
+  }
+  return report;
+};
+
+/**
+ * Combine the parsed operations with the repository outcomes of the operations which were performed.
+ * @function batchResults
+ * @param {Array} operations - Parsed batch operations
+ * @param {Array} performed - Repository outcomes, in order, of the operations which were not rejected, or null
+ * if the batch was abandoned before reaching the repository
+ * @returns Operation results in request order
+ */
+const batchResults = (operations, performed) => {
+  let next = 0;
+  return operations.map((operation) => {
+    if (operation.rejected) {
+      return { op: operation.op, id: operation.id, ...operation.rejected };
+    }
+
+    return operationResult(
+      operation,
+      performed
+        ? performed[next++]
+        : { outcome: "rolledBack", id: operation.id }
+    );
+  });
+};
+
+/**
+ * Determine whether every operation of a batch succeeded.
+ * @function succeeded
+ * @param {Array} results - Operation results
+ * @returns True if every operation has a successful status
+ */
+const succeeded = (results) => results.every((result) => result.status < 300);
+
+module.exports = {
+  BatchError: BatchError,
+  parseBatch: parseBatch,
+  batchResults: batchResults,
+  succeeded: succeeded,
+};
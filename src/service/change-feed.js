@@ -0,0 +1,218 @@
+const EventEmitter = require("events");
+const serverConfig = require("../config/server");
+const { split } = require("./tenants");
+const logger = require("./logger");
+
+/**
+ * Module providing an in-process event bus of the changes made to each namespace.
+ * Changes are published by the service as it writes to the repository. When the repository can report changes
+ * itself (i.e. MongoDB change streams), the namespace is watched while it has subscribers, so changes written
+ * directly to the backend are included and the service's own publications are ignored to avoid duplicates.
+ *
+ * Every event is given a sequence number within its namespace, and an id of '<epoch>-<sequence>' where the epoch
+ * identifies this process. The most recent events of each namespace are buffered (serverConfig.changeBuffer), so a
+ * subscriber can resume from the id of the last event it received. When events cannot be resumed, because they
+ * were evicted from the buffer or published by a previous process, the subscriber receives a 'reset' event and
+ * should reload the dataset. Namespaces of a tenant are fed by their qualified name (see service/tenants), whilst
+ * their events name the namespace as its clients address it.
+ */
+
+const changeTypes = {
+  created: "created",
+  updated: "updated",
+  deleted: "deleted",
+};
+const resetType = "reset";
+const epoch = Date.now().toString(36);
+
+const bus = new EventEmitter();
+// Each subscriber is a listener, so there is no meaningful listener limit.
+bus.setMaxListeners(0);
+
+const feeds = new Map();
+let repository = null;
+
+/**
+ * Provide the feed state of the specified namespace, creating it on first use.
+ * @function feed
+ * @param {string} namespace - Unique namespace of the dataset
+ * @returns Feed state
+ */
+const feed = (namespace) => {
+  if (!feeds.has(namespace)) {
+    feeds.set(namespace, {
+      sequence: 0,
+      events: [],
+      subscribers: 0,
+      watching: false,
+      stopWatch: null,
+    });
+  }
+  return feeds.get(namespace);
+};
+
+/**
+ * Append a change to the namespace feed and notify its subscribers.
+ * @function append
+ * @param {string} namespace - Unique namespace of the dataset
+ * @param {string} type - Change type, one of changeTypes
+ * @param {string} id - Changed data identifier
+ * @param {object} data - Data object after the change, null for deletions
+ */
+const append = (namespace, type, id, data) => {
+  const state = feed(namespace);
+  state.sequence++;
+  const event = {
+    id: `${epoch}-${state.sequence}`,
+    sequence: state.sequence,
+    namespace: split(namespace).namespace,
+    type: type,
+    dataId: id,
+    data: data,
+    timestamp: new Date().toISOString(),
+  };
+
+  state.events.push(event);
+  if (state.events.length > serverConfig.changeBuffer) {
+    state.events.shift();
+  }
+  bus.emit(namespace, event);
+};
+
+/**
+ * Publish a change made through the service.
+ * @function publish
+ * @param {string} namespace - Unique namespace of the dataset
+ * @param {string} type - Change type, one of changeTypes
+ * @param {string} id - Changed data identifier
+ * @param {object} data - Data object after the change, null for deletions
+ */
+const publish = (namespace, type, id, data) => {
+  if (!feed(namespace).watching) {
+    append(namespace, type, id, data);
+  }
+};
+
+/**
+ * Start watching the repository for changes to the specified namespace, if the repository supports it.
+ * Should the watch fail, or end, the feed falls back to the changes published by the service.
+ * @function startWatch
+ * @param {string} namespace - Unique namespace of the dataset
+ */
+const startWatch = (namespace) => {
+  if (!repository || typeof repository.watch !== "function") {
+    return;
+  }
+
+  const state = feed(namespace);
+  const onChange = (err, change) => {
+    if (err) {
+      logger.warn(`Stopped watching ${namespace} for changes`, {
+        error: err.message,
+      });
+      state.watching = false;
+      state.stopWatch = null;
+    } else {
+      append(namespace, change.type, change.id, change.data);
+    }
+  };
+
+  repository.watch(namespace, onChange, (err, stop) => {
+    if (err) {
+      logger.warn(`Unable to watch ${namespace} for changes`, {
+        error: err.message,
+      });
+    } else if (state.subscribers === 0) {
+      // Every subscriber left while the watch was being established.
+      stop();
+    } else {
+      state.watching = true;
+      state.stopWatch = stop;
+    }
+  });
+};
+
+/**
+ * Determine the buffered events following the specified event id.
+ * @function resume
+ * @param {object} state - Feed state
+ * @param {string} lastEventId - Id of the last event received by the subscriber
+ * @returns Events to replay, or null if the events cannot be resumed.
+ */
+const resume = (state, lastEventId) => {
+  const match = /^([0-9a-z]+)-(\d+)$/.exec(lastEventId);
+  if (!match || match[1] !== epoch) {
+    return null;
+  }
+
+  const sequence = parseInt(match[2]);
+  const first = state.events.length > 0 ? state.events[0].sequence : state.sequence + 1;
+  if (sequence > state.sequence || sequence < first - 1) {
+    return null;
+  }
+  return state.events.filter((event) => event.sequence > sequence);
+};
+
+/**
+ * Subscribe to the changes of the specified namespace.
+ * @function subscribe
+ * @param {string} namespace - Unique namespace of the dataset
+ * @param {string} lastEventId - Id of the last event received, to replay the events which followed it, or null
+ * @param {function(object):void} listener - Receives each change event
+ * @returns {function():void} Function to unsubscribe the listener
+ */
+const subscribe = (namespace, lastEventId, listener) => {
+  const state = feed(namespace);
+
+  if (lastEventId) {
+    const events = resume(state, lastEventId);
+    if (events) {
+      events.forEach(listener);
+    } else {
+      listener({
+        id: `${epoch}-${state.sequence}`,
+        sequence: state.sequence,
+        namespace: split(namespace).namespace,
+        type: resetType,
+        timestamp: new Date().toISOString(),
+      });
+    }
+  }
+
+  bus.on(namespace, listener);
+  state.subscribers++;
+  if (state.subscribers === 1 && !state.watching) {
+    startWatch(namespace);
+  }
+
+  let subscribed = true;
+  return () => {
+    if (!subscribed) {
+      return;
+    }
+    subscribed = false;
+    bus.removeListener(namespace, listener);
+    state.subscribers--;
+    if (state.subscribers === 0 && state.stopWatch) {
+      state.stopWatch();
+      state.watching = false;
+      state.stopWatch = null;
+    }
+  };
+};
+
+/**
+ * Start the change feed for the specified repository.
+ * @function start
+ * @param {object} useRepository - Repository providing an optional watch operation
+ */
+const start = (useRepository) => {
+  repository = useRepository;
+};
+
+module.exports = {
+  changeTypes: changeTypes,
+  start: start,
+  publish: publish,
+  subscribe: subscribe,
+};
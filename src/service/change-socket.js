@@ -0,0 +1,152 @@
+const http = require("http");
+const WebSocket = require("ws");
+const auth = require("./auth");
+const changeFeed = require("./change-feed");
+const tenants = require("./tenants");
+const { validateName } = require("./namespace");
+
+/**
+ * Module serving the namespace change feed over WebSocket connections.
+ * Clients connect to 'ws://<host>:<port>/<namespace>/changes', presenting the same credentials as any other request,
+ * and receive each change event as a JSON text message, from the namespace of the tenant they address (see
+ * service/tenants). A 'lastEventId' query parameter resumes the feed from the last event the client received.
+ *
+ * Browsers cannot set headers on a WebSocket connection, so credentials may instead be presented by the 'apiKey' or
+ * 'access_token' query parameters, in place of the X-API-Key and 'Authorization: Bearer' headers.
+ */
+
+const changesPath = /^\/([^\/]+)\/changes\/?$/;
+// Query parameters presenting credentials, and the request headers they stand in for.
+const credentialParams = {
+  apiKey: (value) => ({ "x-api-key": value }),
+  access_token: (value) => ({ authorization: `Bearer ${value}` }),
+};
+const heartbeatInterval = 30000;
+
+const socketServer = new WebSocket.Server({ noServer: true });
+
+/**
+ * Reject an upgrade request by writing a plain HTTP response to the socket.
+ * @function reject
+ * @param {Socket} socket - Network socket of the upgrade request
+ * @param {number} status - HTTP status code
+ * @param {string} message - Response body
+ */
+const reject = (socket, status, message) => {
+  const headers = [
+    `HTTP/1.1 ${status} ${http.STATUS_CODES[status]}`,
+    "Connection: close",
+    "Content-Type: text/plain; charset=utf-8",
+    `Content-Length: ${Buffer.byteLength(message)}`,
+  ];
+  if (status === 401) {
+    headers.push(`WWW-Authenticate: ${auth.challenge()}`);
+  }
+
+  socket.end(`${headers.join("\r\n")}\r\n\r\n${message}`, () =>
+    socket.destroy()
+  );
+};
+
+/**
+ * Serve a WebSocket connection with the change feed of the specified namespace.
+ * @function serve
+ * @param {WebSocket} ws - Connected WebSocket
+ * @param {string} namespace - Unique namespace of the dataset
+ * @param {string} lastEventId - Id of the last event received by the client, or null
+ */
+const serve = (ws, namespace, lastEventId) => {
+  const unsubscribe = changeFeed.subscribe(namespace, lastEventId, (event) => {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(event));
+    }
+  });
+
+  // Ping the client periodically, so idle connections are not dropped by proxies.
+  const heartbeat = setInterval(() => ws.ping(), heartbeatInterval);
+  ws.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+};
+
+/**
+ * Attach the change feed WebSocket endpoint to the specified HTTP server.
+ * @function attach
+ * @param {Server} server - HTTP server the Express application is listening on
+ */
+const attach = (server) => {
+  server.on("upgrade", (req, socket, head) => {
+    // Malformed request URLs and hosts are rejected, as any error thrown here would end the process.
+    let url = null;
+    let namespace = null;
+    try {
+      url = new URL(req.url, `http://${req.headers.host || "localhost"}`);
+      const match = changesPath.exec(url.pathname);
+      if (!match) {
+        reject(socket, 404, "Not Found");
+        return;
+      }
+      namespace = validateName(decodeURIComponent(match[1]));
+    } catch (err) {
+      reject(socket, 400, err.message);
+      return;
+    }
+
+    // Credentials presented as query parameters stand in for the headers a browser cannot set.
+    const presented = Object.keys(credentialParams)
+      .filter((name) => url.searchParams.has(name))
+      .reduce(
+        (headers, name) => ({
+          ...headers,
+          ...credentialParams[name](url.searchParams.get(name)),
+        }),
+        {}
+      );
+    const headers = { ...presented, ...req.headers };
+    // Authenticators read headers through the Express request interface.
+    req.get = (name) => headers[name.toLowerCase()];
+
+    let identity = null;
+    try {
+      identity = auth.identify(req);
+    } catch (err) {
+      reject(socket, 401, err.message);
+      return;
+    }
+
+    let tenant = null;
+    try {
+      tenant = tenants.identify(req, identity);
+    } catch (err) {
+      reject(socket, err.status, err.message);
+      return;
+    }
+
+    const denied = auth.authorization(identity, namespace, "read");
+    if (denied) {
+      reject(socket, denied.status, denied.message);
+      return;
+    }
+
+    socketServer.handleUpgrade(req, socket, head, (ws) =>
+      serve(
+        ws,
+        tenants.qualify(tenant, namespace),
+        url.searchParams.get("lastEventId")
+      )
+    );
+  });
+};
+
+/**
+ * Close every WebSocket connection, i.e. when the service shuts down.
+ * @function close
+ */
+const close = () =>
+  socketServer.clients.forEach((ws) => ws.close(1001, "Service shutting down"));
+
+module.exports = {
+  attach: attach,
+  close: close,
+};
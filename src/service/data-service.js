@@ -1,87 +1,1187 @@
 const serverConfig = require("../config/server");
-const mongoConfig = require("../config/mongo-repository")
+const limitsConfig = require("../config/limits");
+const apiKeyConfig = require("../config/api-key");
+const layers = require("../config/layers");
 const e = require("express");
 const express = require("express");
 const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { createPatch } = require("./patch");
+const { parseQuery } = require("./query");
+const schema = require("./schema");
+const auth = require("./auth");
+const changeFeed = require("./change-feed");
+const changeSocket = require("./change-socket");
+const { parseBatch, batchResults, succeeded } = require("./batch");
+const { promisify } = require("./repository");
+const { storedId } = require("./ids");
+const transfer = require("./transfer");
+const metrics = require("./metrics");
+const history = require("./history");
+const webhooks = require("./webhooks");
+const limits = require("./limits");
+const tenants = require("./tenants");
+const api = require("./openapi");
+const logger = require("./logger");
+const {
+  ServiceError,
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  UnavailableError,
+  errorStatus,
+  problem,
+  problemContentType,
+} = require("./errors");
+const { namePattern, validateName, parseSettings } = require("./namespace");
+const {
+  versionField,
+  currentVersion,
+  etag,
+  parseCondition,
+  matchesVersion,
+} = require("./version");
 
 const dataIdParam = "dataId";
 const namespaceParam = "namespace";
 const configParam = "config";
+const configFilePattern = /^[\w.-]+$/;
+const revisionParam = "revision";
+const webhookParam = "webhookId";
+const tenantParam = "tenant";
+const requestIdHeader = "X-Request-Id";
+const requestIdPattern = /^[\w.:-]{1,128}$/;
 
 const webServer = express();
-webServer.use(express.json()); // for parsing application/json
+// Behind trusted proxies the client address, which anonymous clients are rate limited by, is forwarded by them.
+webServer.set("trust proxy", limitsConfig.trustProxy);
+
+// Requests in progress, so the service can drain them before shutting down, and the open change streams which
+// only end when the client disconnects.
+let inFlight = 0;
+let draining = false;
+const changeStreams = new Set();
+
+metrics.gauge(
+  "mydata_http_requests_in_flight",
+  "HTTP requests in progress",
+  () => inFlight
+);
+
+// Every request is identified for correlation, by the X-Request-Id of the client or proxy when it provides a usable
+// one. The id is echoed in the response, reported with any problem and carried by the log entries of the request.
+webServer.use((req, res, next) => {
+  const provided = req.get(requestIdHeader);
+  req.id =
+    provided && requestIdPattern.test(provided)
+      ? provided
+      : crypto.randomUUID();
+  res.set(requestIdHeader, req.id);
+  next();
+});
+
+webServer.use(logger.accessLog(namespaceParam));
+
+webServer.use((req, res, next) => {
+  inFlight++;
+  res.on("close", () => inFlight--);
+  if (draining) {
+    // Ask keep-alive clients to reconnect, as the service will not accept further connections.
+    res.set("Connection", "close");
+  }
+  next();
+});
+
+// for parsing application/json, including the +json suffixed patch document types. Import bodies are streamed
+// by the import handler rather than parsed up front.
+const importPath = /^\/[^\/]+\/import\/?$/;
+webServer.use(
+  express.json({
+    limit: limitsConfig.bodyLimit,
+    type: (req) =>
+      !importPath.test(req.path) &&
+      Boolean(req.is(["application/json", "application/*+json"])),
+  })
+);
+webServer.use(logger.context);
 /* vv Register Express route handlers vv */
 
+// Tenants with CORS settings permit the origins they list, echoing the origin of the request, any other request is
+// permitted from every origin.
 webServer.use((req, res, next) => {
-  res.append("Access-Control-Allow-Origin", "*");
-  res.append("Access-Control-Allow-Methods", serverConfig.getCors());
+  const cors = tenants.cors(req);
+  if (cors === null || cors.origins.includes("*")) {
+    res.append("Access-Control-Allow-Origin", "*");
+  } else {
+    res.append("Vary", "Origin");
+    if (cors.origins.includes(req.get("origin"))) {
+      res.append("Access-Control-Allow-Origin", req.get("origin"));
+    }
+  }
+  res.append(
+    "Access-Control-Allow-Methods",
+    cors && cors.methods ? cors.methods.join(",") : serverConfig.getCors()
+  );
   res.append(
     "Access-Control-Allow-Headers",
-    "content-type,access-control-allow-origin"
+    "content-type,access-control-allow-origin,if-match,if-none-match,authorization,x-api-key,x-request-id,x-tenant-id"
+  );
+  res.append(
+    "Access-Control-Expose-Headers",
+    "location,link,x-total-count,etag,x-request-id,ratelimit-limit,ratelimit-remaining,ratelimit-reset,retry-after"
   );
   next();
 });
 
-webServer.get('/config', (req,res) => {
-    response(null, {...serverConfig,...mongoConfig}, res);
+// CORS preflight requests carry no credentials, so they are answered with the headers above before authentication,
+// rate limiting and routing.
+webServer.use((req, res, next) =>
+  req.method === "OPTIONS" ? res.sendStatus(204) : next()
+);
+
+webServer.use(metrics.requestMetrics(namespaceParam));
+
+// Namespace names address files and collections within the repository, so every route validates them up front.
+webServer.param(namespaceParam, (req, res, next, name) => {
+  try {
+    validateName(name);
+  } catch (err) {
+    next(err);
+    return;
+  }
+  limits.namespace(req, res, next, name);
 });
 
-webServer.get(`/etc/config/:${configParam}`, (req,res) => {
-  fs.readFile(`${serverConfig.configPath}/${req.params[configParam]}`, 'UTF8', (err, fileData) => {
-    if(err) {
-      response(err, null, res);
-    }
-    else {
-      var config = {};
-      config[req.params[configParam]] = fileData.split(',');
-      response(null, config, res);
+// The OpenAPI document describing the routes below, and the interactive documentation rendering it, are registered
+// ahead of authentication so clients can discover the API. Only namespaces the identity may read are described, and
+// invalid credentials are described as anonymous.
+webServer.get(
+  "/openapi.json",
+  auth.authenticateOptionally,
+  tenants.resolve,
+  api.operation({
+    operationId: "getOpenApi",
+    summary: "OpenAPI document describing the service",
+    tags: ["Service"],
+    responses: { 200: api.content("OpenAPI 3.1 document", { type: "object" }) },
+  }),
+  (req, res, next) => getOpenApi(req, res, next)
+);
+
+webServer.get(
+  "/docs",
+  api.operation({
+    operationId: "getDocs",
+    summary: "Interactive documentation of the service",
+    tags: ["Service"],
+    responses: { 200: api.content("HTML page", null, ["text/html"]) },
+  }),
+  (req, res) => res.sendFile(api.docsPage)
+);
+
+// Liveness and readiness probes are registered ahead of authentication, so an orchestrator reaches them whichever
+// credentials it presents.
+webServer.get(
+  "/healthz",
+  api.operation({
+    operationId: "getHealth",
+    summary: "Liveness probe",
+    tags: ["Service"],
+    responses: { 200: "Service is running" },
+  }),
+  (req, res) => res.send("OK")
+);
+
+webServer.get(
+  "/readyz",
+  api.operation({
+    operationId: "getReady",
+    summary: "Readiness probe",
+    tags: ["Service"],
+    responses: {
+      200: "Service is ready",
+      503: "Repository unavailable, or the service is shutting down",
+    },
+  }),
+  (req, res, next) => getReady(req, res, next)
+);
+
+// Requests are authenticated and rate limited from here on, the probes and API documentation above are not.
+webServer.use(auth.authenticate);
+webServer.use(tenants.resolve);
+webServer.use(limits.client);
+
+// Prometheus metrics, restricted like the service configuration as they name the namespaces.
+webServer.get(
+  "/metrics",
+  auth.admin,
+  api.operation({
+    operationId: "getMetrics",
+    summary: "Prometheus metrics",
+    tags: ["Service"],
+    responses: {
+      200: api.content("Metrics", { type: "string" }, ["text/plain"]),
+    },
+  }),
+  (req, res) => res.type(metrics.contentType).send(metrics.render())
+);
+
+// Service configuration is restricted to identities with the admin permission on every namespace, and reported
+// with its secrets redacted.
+webServer.get(
+  "/config",
+  auth.admin,
+  api.operation({
+    operationId: "getConfig",
+    summary: "Service configuration settings, with secrets redacted",
+    tags: ["Service"],
+    responses: {
+      200: api.content("Configuration", {
+        type: "object",
+        properties: {
+          file: { type: "string" },
+          settings: {
+            type: "object",
+            additionalProperties: {
+              type: "object",
+              properties: {
+                value: {},
+                source: {
+                  type: "string",
+                  enum: ["arguments", "environment", "file", "default"],
+                },
+              },
+            },
+          },
+          pending: { type: "array", items: { type: "string" } },
+        },
+      }),
+    },
+  }),
+  (req, res) => res.json(layers.view())
+);
+
+// Files holding settings or credentials are not served, as /config redacts their secrets.
+const protectedFiles = () =>
+  [
+    layers.location().file,
+    apiKeyConfig.keysFile,
+    `${serverConfig.configPath}/jwt-secret`,
+  ].map((file) => path.resolve(file));
+
+webServer.get(
+  `/etc/config/:${configParam}`,
+  auth.admin,
+  api.operation({
+    operationId: "getConfigFile",
+    summary: "Comma separated values of a configuration file",
+    tags: ["Service"],
+    responses: {
+      200: api.content("Configuration file values, keyed by the file name", {
+        type: "object",
+        additionalProperties: { type: "array", items: { type: "string" } },
+      }),
+      404: "Configuration file not found",
+    },
+  }),
+  (req, res, next) => {
+    const name = req.params[configParam];
+    const missing = new NotFoundError(`Configuration file '${name}' not found`);
+    // Only files directly within the configuration directory may be read.
+    if (
+      !configFilePattern.test(name) ||
+      name === "." ||
+      name === ".." ||
+      protectedFiles().includes(
+        path.resolve(`${serverConfig.configPath}/${name}`)
+      )
+    ) {
+      next(missing);
+      return;
     }
-  })  
-});
+    fs.readFile(
+      `${serverConfig.configPath}/${name}`,
+      "UTF8",
+      (err, fileData) => {
+        if (err) {
+          next(err.code === "ENOENT" ? missing : err);
+        } else {
+          var config = {};
+          config[name] = fileData.split(",");
+          res.json(config);
+        }
+      }
+    );
+  }
+);
+
+// Tenants are administered by identities with the admin permission on every namespace of the default tenant.
+webServer.get(
+  "/tenants",
+  auth.admin,
+  tenants.operator,
+  api.operation({
+    operationId: "getTenants",
+    summary: "List the provisioned tenants",
+    tags: ["Tenants"],
+    responses: {
+      200: api.content("Tenants, in name order", {
+        type: "array",
+        items: { $ref: "#/components/schemas/Tenant" },
+      }),
+    },
+  }),
+  (req, res) => res.json(tenants.list())
+);
+
+webServer.get(
+  `/tenants/:${tenantParam}`,
+  auth.admin,
+  tenants.operator,
+  api.operation({
+    operationId: "getTenant",
+    summary: "Read a tenant",
+    tags: ["Tenants"],
+    responses: {
+      200: api.content("Tenant", "Tenant"),
+      404: "Tenant not found",
+    },
+  }),
+  (req, res, next) => getTenant(req, res, next)
+);
+
+// Provision a tenant, or replace its settings.
+webServer.put(
+  `/tenants/:${tenantParam}`,
+  auth.admin,
+  tenants.operator,
+  api.operation({
+    operationId: "putTenant",
+    summary: "Provision a tenant, or update its settings",
+    description: "Settings missing from the body keep their current value.",
+    tags: ["Tenants"],
+    requestBody: api.content("Tenant settings", "TenantSettings"),
+    responses: {
+      200: api.content("Settings updated", "Tenant"),
+      201: api.content("Tenant provisioned", "Tenant"),
+    },
+  }),
+  (req, res, next) => putTenant(req, res, next)
+);
+
+webServer.delete(
+  `/tenants/:${tenantParam}`,
+  auth.admin,
+  tenants.operator,
+  api.operation({
+    operationId: "deleteTenant",
+    summary: "Remove a tenant",
+    description:
+      "A tenant holding namespaces is only removed when they are purged, dropping them together with their history, webhooks and schemas.",
+    tags: ["Tenants"],
+    query: {
+      purge: {
+        description: "Drop the namespaces of the tenant",
+        schema: { type: "boolean", default: false },
+      },
+    },
+    responses: {
+      200: "Tenant removed",
+      404: "Tenant not found",
+      409: "Tenant holds namespaces, and they are not purged",
+    },
+  }),
+  (req, res, next) => deleteTenant(req, res, next)
+);
+
+// Namespaces visible to the identity, with their object counts, sizes and settings.
+webServer.get(
+  "/namespaces",
+  auth.authenticated,
+  api.operation({
+    operationId: "getNamespaces",
+    summary: "List the namespaces the identity may read",
+    tags: ["Namespaces"],
+    responses: {
+      200: api.content("Namespaces", {
+        type: "array",
+        items: { $ref: "#/components/schemas/Namespace" },
+      }),
+    },
+  }),
+  (req, res, next) => getNamespaces(req, res, next)
+);
+
+webServer.get(
+  `/namespaces/:${namespaceParam}`,
+  auth.read,
+  api.operation({
+    operationId: "getNamespace",
+    summary: "Read a namespace",
+    tags: ["Namespaces"],
+    responses: {
+      200: api.content("Namespace", "Namespace"),
+      404: "Namespace not found",
+    },
+  }),
+  (req, res, next) => getNamespace(req, res, next)
+);
+
+// Create a namespace explicitly, or replace its settings.
+webServer.put(
+  `/namespaces/:${namespaceParam}`,
+  auth.admin,
+  api.operation({
+    operationId: "putNamespace",
+    summary: "Create a namespace, or update its settings",
+    description: "Settings missing from the body keep their current value.",
+    tags: ["Namespaces"],
+    requestBody: api.content("Namespace settings", "NamespaceSettings"),
+    responses: {
+      200: api.content("Settings updated", "NamespaceSettings"),
+      201: api.content("Namespace created", "NamespaceSettings"),
+    },
+  }),
+  (req, res, next) => putNamespace(req, res, next)
+);
+
+// Rename a namespace, together with its history and schema, which requires the admin permission on both names.
+webServer.post(
+  `/namespaces/:${namespaceParam}/rename`,
+  auth.admin,
+  api.operation({
+    operationId: "postRename",
+    summary:
+      "Rename a namespace, together with its objects, settings, history and schema",
+    description: "Requires the admin permission on both names.",
+    tags: ["Namespaces"],
+    requestBody: api.content("New namespace name", "Rename"),
+    responses: {
+      200: api.content("Namespace renamed", "Rename"),
+      404: "Namespace not found",
+      409: "New namespace already exists",
+    },
+  }),
+  (req, res, next) => postRename(req, res, next)
+);
+
+// Drop a namespace, together with its history and schema.
+webServer.delete(
+  `/namespaces/:${namespaceParam}`,
+  auth.admin,
+  api.operation({
+    operationId: "deleteNamespace",
+    summary:
+      "Drop a namespace, together with its objects, settings, history and schema",
+    tags: ["Namespaces"],
+    responses: { 200: "Namespace dropped", 404: "Namespace not found" },
+  }),
+  (req, res, next) => deleteNamespace(req, res, next)
+);
+
+webServer.get(
+  `/:${namespaceParam}/dataset`,
+  auth.read,
+  api.operation({
+    operationId: "getDataset",
+    summary: "Read the data objects matching the query",
+    tags: ["Data"],
+    query: api.datasetQuery,
+    responses: {
+      200: api.content(
+        "Data objects, with the total matched in the X-Total-Count header",
+        {
+          type: "array",
+          items: { $ref: "#/components/schemas/DataObject" },
+        }
+      ),
+    },
+  }),
+  (req, res, next) => getDataset(req, res, next)
+);
 
-webServer.get(`/:${namespaceParam}/dataset`, (req, res) =>
-  getDataset(req, res)
+webServer.get(
+  `/:${namespaceParam}/data/:${dataIdParam}`,
+  auth.read,
+  api.operation({
+    operationId: "getData",
+    summary: "Read a data object",
+    tags: ["Data"],
+    headers: ["If-None-Match"],
+    responses: {
+      200: api.content(
+        "Data object, with its version in the ETag header",
+        "DataObject"
+      ),
+      304: "Data object matches the If-None-Match header",
+      404: "Object not found",
+    },
+  }),
+  (req, res, next) => getData(req, res, next)
 );
 
 // We use post here as we only know the url of the factory which will create the task (rather than url of the specific task to create.)
-webServer.post(`/:${namespaceParam}/data`, (req, res) => postData(req, res));
+webServer.post(
+  `/:${namespaceParam}/data`,
+  auth.write,
+  api.operation({
+    operationId: "postData",
+    summary:
+      "Create a data object, given an identifier by the namespace idStrategy",
+    tags: ["Data"],
+    requestBody: api.content("Data object", "DataObject"),
+    responses: {
+      201: "Object created, its URL is given by the Location header",
+      409: "Object identifier already in use",
+      422: "Object does not conform to the namespace schema",
+    },
+  }),
+  (req, res, next) => postData(req, res, next)
+);
 
 // Using put here to enforce idempotency, this will either create or update the data object with the specified
 // data identifier.
-webServer.put(`/:${namespaceParam}/data/:${dataIdParam}`, (req, res) =>
-  putData(req, res)
+webServer.put(
+  `/:${namespaceParam}/data/:${dataIdParam}`,
+  auth.write,
+  api.operation({
+    operationId: "putData",
+    summary: "Create or replace a data object",
+    tags: ["Data"],
+    headers: ["If-Match"],
+    requestBody: api.content("Data object", "DataObject"),
+    responses: {
+      200: "Object replaced",
+      201: "Object created",
+      412: "Object does not match the If-Match header",
+      422: "Object does not conform to the namespace schema",
+    },
+  }),
+  (req, res, next) => putData(req, res, next)
+);
+
+// Partial update of an existing data object, either a JSON Merge Patch or JSON Patch document.
+webServer.patch(
+  `/:${namespaceParam}/data/:${dataIdParam}`,
+  auth.write,
+  api.operation({
+    operationId: "patchData",
+    summary: "Partially update a data object",
+    tags: ["Data"],
+    headers: ["If-Match"],
+    requestBody: {
+      description:
+        "JSON Merge Patch (RFC 7396) object, or JSON Patch (RFC 6902) array",
+      content: {
+        "application/merge-patch+json": { schema: { type: "object" } },
+        "application/json": { schema: { type: "object" } },
+        "application/json-patch+json": {
+          schema: { $ref: "#/components/schemas/JsonPatch" },
+        },
+      },
+    },
+    responses: {
+      200: api.content("Patched data object", "DataObject"),
+      404: "Object not found",
+      412: "Object does not match the If-Match header",
+      422: "Patch cannot be applied, or the patched object does not conform to the namespace schema",
+    },
+  }),
+  (req, res, next) => patchData(req, res, next)
 );
 
 // Explicitly address a data object resource to delete
-webServer.delete(`/:${namespaceParam}/data/:${dataIdParam}`, (req, res) =>
-  deleteData(req, res)
+webServer.delete(
+  `/:${namespaceParam}/data/:${dataIdParam}`,
+  auth.write,
+  api.operation({
+    operationId: "deleteData",
+    summary: "Delete a data object",
+    tags: ["Data"],
+    headers: ["If-Match"],
+    responses: {
+      200: "Object deleted",
+      404: "Object not found",
+      412: "Object does not match the If-Match header",
+    },
+  }),
+  (req, res, next) => deleteData(req, res, next)
+);
+
+// Revisions of a data object, recorded for every change made to it through the service.
+webServer.get(
+  `/:${namespaceParam}/data/:${dataIdParam}/history`,
+  auth.read,
+  api.operation({
+    operationId: "getHistory",
+    summary: "List the revisions of a data object",
+    tags: ["History"],
+    query: api.historyQuery,
+    responses: {
+      200: api.content("Revisions, in the order they were made", {
+        type: "array",
+        items: { $ref: "#/components/schemas/Revision" },
+      }),
+    },
+  }),
+  (req, res, next) => getHistory(req, res, next)
+);
+
+webServer.get(
+  `/:${namespaceParam}/data/:${dataIdParam}/history/:${revisionParam}`,
+  auth.read,
+  api.operation({
+    operationId: "getRevision",
+    summary: "Read a revision of a data object",
+    tags: ["History"],
+    responses: {
+      200: api.content("Revision", "Revision"),
+      404: "Revision of the object not found",
+    },
+  }),
+  (req, res, next) => getRevision(req, res, next)
+);
+
+// Return a data object to its state after the addressed revision, recreating it if it has since been deleted.
+webServer.post(
+  `/:${namespaceParam}/data/:${dataIdParam}/history/:${revisionParam}/restore`,
+  auth.write,
+  api.operation({
+    operationId: "postRestore",
+    summary: "Restore a data object to its state after a revision",
+    tags: ["History"],
+    headers: ["If-Match"],
+    responses: {
+      200: api.content("Object restored, or deleted", "DataObject"),
+      201: api.content("Object recreated", "DataObject"),
+      404: "Revision of the object not found",
+      412: "Object does not match the If-Match header",
+      422: "Restored object does not conform to the namespace schema",
+    },
+  }),
+  (req, res, next) => postRestore(req, res, next)
+);
+
+// Audit log of every revision made within the namespace, which names the identities making the changes.
+webServer.get(
+  `/:${namespaceParam}/audit`,
+  auth.admin,
+  api.operation({
+    operationId: "getAudit",
+    summary: "List the revisions of every data object within the namespace",
+    tags: ["History"],
+    query: api.historyQuery,
+    responses: {
+      200: api.content("Revisions, in the order they were made", {
+        type: "array",
+        items: { $ref: "#/components/schemas/Revision" },
+      }),
+    },
+  }),
+  (req, res, next) => getAudit(req, res, next)
+);
+
+// Perform a list of create, update and delete operations with a single request.
+webServer.post(
+  `/:${namespaceParam}/batch`,
+  auth.write,
+  api.operation({
+    operationId: "postBatch",
+    summary: "Perform a list of create, update and delete operations",
+    tags: ["Data"],
+    requestBody: api.content("Batch operations", "BatchRequest"),
+    responses: {
+      200: api.content(
+        "Batch performed, see the status of each operation",
+        "BatchResults"
+      ),
+      409: api.content(
+        "Atomic batch not applied as an operation failed",
+        "BatchResults"
+      ),
+    },
+  }),
+  (req, res, next) => postBatch(req, res, next)
+);
+
+// Export, or import, the whole dataset as JSON, NDJSON or CSV.
+webServer.get(
+  `/:${namespaceParam}/export`,
+  auth.read,
+  api.operation({
+    operationId: "getExport",
+    summary: "Export every data object within the namespace",
+    tags: ["Data"],
+    query: {
+      format: {
+        description: "Export format",
+        schema: {
+          type: "string",
+          enum: Object.keys(transfer.formats),
+          default: "json",
+        },
+      },
+    },
+    responses: {
+      200: {
+        description:
+          "Data objects, as a JSON array, one JSON object per line, or CSV with a header record",
+        content: {
+          "application/json": {
+            schema: {
+              type: "array",
+              items: { $ref: "#/components/schemas/DataObject" },
+            },
+          },
+          "application/x-ndjson": {},
+          "text/csv": {},
+        },
+      },
+    },
+  }),
+  (req, res, next) => getExport(req, res, next)
+);
+
+webServer.post(
+  `/:${namespaceParam}/import`,
+  auth.write,
+  api.operation({
+    operationId: "postImport",
+    summary: "Import data objects into the namespace",
+    description:
+      "Data objects with an '_id' replace, or create, that data object and those without one are created. In replace mode the data objects which are not imported are then deleted.",
+    tags: ["Data"],
+    query: {
+      format: {
+        description: "Body format, in place of the content type",
+        schema: { type: "string", enum: Object.keys(transfer.formats) },
+      },
+      mode: {
+        schema: {
+          type: "string",
+          enum: ["merge", "replace"],
+          default: "merge",
+        },
+      },
+      ids: {
+        description:
+          "Keep the imported identifiers, or create every data object with a new one",
+        schema: { type: "string", enum: ["keep", "new"], default: "keep" },
+      },
+    },
+    requestBody: {
+      description:
+        "JSON array of data objects, one JSON object per line, or CSV with a header record",
+      content: {
+        "application/json": {},
+        "application/x-ndjson": {},
+        "text/csv": {},
+      },
+    },
+    responses: {
+      200: api.content(
+        "Import complete, see the report for the rows which were not imported",
+        "ImportReport"
+      ),
+      400: api.content("Unsupported option, or malformed body", "ImportReport"),
+      415: "Unsupported content type",
+    },
+  }),
+  (req, res, next) => postImport(req, res, next)
+);
+
+// Server-Sent Events stream of the changes made to the namespace, WebSocket clients connect to the same path.
+webServer.get(
+  `/:${namespaceParam}/changes`,
+  auth.read,
+  api.operation({
+    operationId: "getChanges",
+    summary: "Stream the changes made to the namespace",
+    description:
+      "WebSocket clients connect to the same path, receiving each change as a JSON text message.",
+    tags: ["Data"],
+    headers: ["Last-Event-ID"],
+    query: {
+      lastEventId: {
+        description:
+          "Identifier of the last change event received, in place of the Last-Event-ID header",
+        schema: { type: "string" },
+      },
+    },
+    responses: {
+      200: api.content("Server-Sent Events", null, ["text/event-stream"]),
+    },
+  }),
+  (req, res) => getChanges(req, res)
+);
+
+// Webhooks deliver the changes made to the namespace to other services. Registering one directs requests from the
+// service to any URL, so webhooks require the admin permission on the namespace.
+webServer.get(
+  `/:${namespaceParam}/webhooks`,
+  auth.admin,
+  api.operation({
+    operationId: "getWebhooks",
+    summary: "List the webhooks registered against the namespace",
+    tags: ["Webhooks"],
+    responses: {
+      200: api.content("Webhooks, in the order they were registered", {
+        type: "array",
+        items: { $ref: "#/components/schemas/Webhook" },
+      }),
+    },
+  }),
+  (req, res, next) => getWebhooks(req, res, next)
+);
+
+webServer.post(
+  `/:${namespaceParam}/webhooks`,
+  auth.admin,
+  api.operation({
+    operationId: "postWebhook",
+    summary: "Register a webhook receiving the changes made to the namespace",
+    tags: ["Webhooks"],
+    requestBody: api.content("Webhook definition", "WebhookDefinition"),
+    responses: {
+      201: api.content(
+        "Webhook registered, its URL is given by the Location header. The secret is only provided here",
+        "Webhook"
+      ),
+    },
+  }),
+  (req, res, next) => postWebhook(req, res, next)
+);
+
+webServer.get(
+  `/:${namespaceParam}/webhooks/:${webhookParam}`,
+  auth.admin,
+  api.operation({
+    operationId: "getWebhook",
+    summary: "Read a webhook",
+    tags: ["Webhooks"],
+    responses: {
+      200: api.content("Webhook", "Webhook"),
+      404: "Webhook not found",
+    },
+  }),
+  (req, res, next) => getWebhook(req, res, next)
+);
+
+webServer.delete(
+  `/:${namespaceParam}/webhooks/:${webhookParam}`,
+  auth.admin,
+  api.operation({
+    operationId: "deleteWebhook",
+    summary: "Remove a webhook, cancelling its pending deliveries",
+    tags: ["Webhooks"],
+    responses: { 200: "Webhook removed", 404: "Webhook not found" },
+  }),
+  (req, res, next) => deleteWebhook(req, res, next)
+);
+
+webServer.get(
+  `/:${namespaceParam}/webhooks/:${webhookParam}/deliveries`,
+  auth.admin,
+  api.operation({
+    operationId: "getDeliveries",
+    summary: "List the deliveries made to a webhook, the most recent first",
+    tags: ["Webhooks"],
+    query: api.datasetQuery,
+    responses: {
+      200: api.content(
+        "Deliveries with their attempts, with the total matched in the X-Total-Count header",
+        { type: "array", items: { $ref: "#/components/schemas/Delivery" } }
+      ),
+      404: "Webhook not found",
+    },
+  }),
+  (req, res, next) => getDeliveries(req, res, next)
+);
+
+webServer.get(
+  `/:${namespaceParam}/schema`,
+  auth.read,
+  api.operation({
+    operationId: "getSchema",
+    summary: "Read the JSON Schema registered for the namespace",
+    tags: ["Schema"],
+    responses: {
+      200: api.content("JSON Schema", "JsonSchema"),
+      404: "No schema registered",
+    },
+  }),
+  (req, res, next) => getSchema(req, res, next)
+);
+
+// Register, or replace, the JSON Schema which data objects within the namespace are validated against.
+webServer.put(
+  `/:${namespaceParam}/schema`,
+  auth.admin,
+  api.operation({
+    operationId: "putSchema",
+    summary:
+      "Register, or replace, the JSON Schema data objects are validated against",
+    tags: ["Schema"],
+    requestBody: api.content("JSON Schema", "JsonSchema"),
+    responses: {
+      200: "Schema replaced",
+      201: "Schema registered",
+    },
+  }),
+  (req, res, next) => putSchema(req, res, next)
+);
+
+webServer.delete(
+  `/:${namespaceParam}/schema`,
+  auth.admin,
+  api.operation({
+    operationId: "deleteSchema",
+    summary: "Remove the JSON Schema registered for the namespace",
+    tags: ["Schema"],
+    responses: { 200: "Schema removed", 404: "No schema registered" },
+  }),
+  (req, res, next) => deleteSchema(req, res, next)
+);
+
+/* ^^ Register Express route handlers ^^ */
+
+webServer.use((req, res, next) =>
+  next(new NotFoundError(`No route for ${req.method} ${req.path}`))
 );
 
+// Every error raised processing a request is reported here, as problem details (RFC 7807). Internal errors are
+// logged with the request id, their message is not reported as it may reveal server internals.
+webServer.use((err, req, res, next) => {
+  const status = errorStatus(err);
+  if (status >= 500) {
+    logger.error("Request failed", {
+      requestId: req.id,
+      status: status,
+      error: err.stack || err.message,
+    });
+  }
+  if (res.headersSent) {
+    // Part of the response is already sent, i.e. a streamed export, so the client can only learn of the error
+    // from the connection closing.
+    res.destroy();
+    return;
+  }
+  res.status(status).type(problemContentType).json(problem(err, req));
+});
+
+// The repository, with the promise interface of service/repository.
 let repository = null;
 
 /**
- * Process a request to get all data and response using the specified Express response instance.
+ * Report whether the service is ready to handle requests, which requires the repository to be reachable.
+ * Responds with 503 (Service Unavailable) when the repository cannot be reached or the service is shutting down.
+ * @function getReady
+ * @param {Request} req - Express request object instance
+ * @param {Response} res - Express response object instance
+ * @param {function} next - Invoke the error handling middleware
+ */
+const getReady = async (req, res, next) => {
+  if (draining) {
+    next(new UnavailableError("Shutting down"));
+    return;
+  }
+
+  try {
+    await repository.ping();
+  } catch (err) {
+    logger.warn("Repository unavailable", { error: err.message });
+    next(new UnavailableError("Repository unavailable"));
+    return;
+  }
+  res.send("OK");
+};
+
+/**
+ * Respond with the OpenAPI document describing the service routes. Namespaces with a registered schema which the
+ * identity may read are described by paths of their own.
+ * @function getOpenApi
+ * @param {Request} req - Express request object instance
+ * @param {Response} res - Express response object instance
+ * @param {function} next - Invoke the error handling middleware
+ */
+const getOpenApi = (req, res, next) => {
+  schema.listSchemas((err, namespaces) => {
+    if (err) {
+      next(err);
+      return;
+    }
+
+    const schemas = {};
+    try {
+      namespaces
+        .map(tenants.split)
+        .filter(
+          ({ namespace, tenant }) =>
+            tenant === req.tenant &&
+            namePattern.test(namespace) &&
+            auth.authorization(req.identity, namespace, "read") === null
+        )
+        .forEach(
+          ({ namespace, tenant }) =>
+            (schemas[namespace] = schema.getSchema(
+              tenants.qualify(tenant, namespace)
+            ))
+        );
+    } catch (err) {
+      next(err);
+      return;
+    }
+    res.json(
+      api.document(webServer, {
+        server: `${req.protocol}://${req.get("host")}`,
+        schemas: schemas,
+      })
+    );
+  });
+};
+
+/**
+ * Provide the namespace addressed by a request, as the repository addresses it within the tenant of the request.
+ * @function storedNamespace
+ * @param {Request} req - Express request object instance
+ * @returns Qualified namespace, see service/tenants
+ */
+const storedNamespace = (req) =>
+  tenants.qualify(req.tenant, req.params[namespaceParam]);
+
+/**
+ * Build the RFC 8288 Link header value with first, prev, next and last page URLs for a paginated dataset request.
+ * @function pageLinks
+ * @param {Request} req - Express request object instance
+ * @param {object} query - Parsed dataset query
+ * @param {number} total - Total number of data objects matching the query
+ * @returns Link header value
+ */
+const pageLinks = (req, query, total) => {
+  const link = (offset, rel) => {
+    const url = new URL(req.originalUrl, `${req.protocol}://${req.get("host")}`);
+    url.searchParams.set("offset", offset);
+    return `<${url.href}>; rel="${rel}"`;
+  };
+
+  const links = [link(0, "first")];
+  if (query.offset > 0) {
+    links.push(link(Math.max(0, query.offset - query.limit), "prev"));
+  }
+  if (query.offset + query.limit < total) {
+    links.push(link(query.offset + query.limit, "next"));
+  }
+  if (total > 0) {
+    links.push(link(Math.floor((total - 1) / query.limit) * query.limit, "last"));
+  }
+  return links.join(", ");
+};
+
+/**
+ * Process a request to get the data objects matching the request query parameters, and respond using the
+ * specified Express response instance. The total number of matching data objects is returned in the
+ * X-Total-Count header, and paginated requests are given a Link header to navigate the pages.
  * @function getDataset
  * @param {Request} req - Express request object instance
  * @param {Response} res - Express response object instanc
+ * @param {function} next - Invoke the error handling middleware
+ */
+const getDataset = async (req, res, next) => {
+  logger.debug(`Getting data objects ${req.params[namespaceParam]}...`);
+
+  let query = null;
+  try {
+    query = parseQuery(req.query);
+  } catch (err) {
+    next(err);
+    return;
+  }
+
+  try {
+    const result = await repository.read(storedNamespace(req), query);
+    res.set("X-Total-Count", result.total);
+    if (query.limit) {
+      res.set("Link", pageLinks(req, query, result.total));
+    }
+    res.json(result.items);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Process a request to get a single data object and respond using the specified Express response instance.
+ * @function getData
+ * @param {Request} req - Express request object instance
+ * @param {Response} res - Express response object instance
+ * @param {function} next - Invoke the error handling middleware
  */
-const getDataset = (req, res) => {
-  console.log(`Getting all data objects ${req.params[namespaceParam]}...`);
-  repository.read(req.params[namespaceParam], (err, dataset) =>
-    response(err, dataset, res)
+const getData = async (req, res, next) => {
+  logger.debug(
+    `Getting data object with id:${req.params[dataIdParam]} in dataset ${req.params[namespaceParam]}`
   );
+  try {
+    const data = await repository.get(
+      storedNamespace(req),
+      req.params[dataIdParam]
+    );
+    if (!data) {
+      objectNotFound(req, next);
+      return;
+    }
+
+    const ifNoneMatch = parseCondition(req.get("if-none-match"));
+    res.set("ETag", etag(currentVersion(data)));
+    if (ifNoneMatch !== null && matchesVersion(ifNoneMatch, data)) {
+      // The client already holds the current version of the data object.
+      res.sendStatus(304);
+    } else {
+      res.json(data);
+    }
+  } catch (err) {
+    next(err);
+  }
 };
 
+/**
+ * Reject a request addressing a data object which does not exist with 404 (Not Found).
+ * @function objectNotFound
+ * @param {Request} req - Express request object instance
+ * @param {function} next - Invoke the error handling middleware
+ */
+const objectNotFound = (req, next) =>
+  next(new NotFoundError(`Object '${req.params[dataIdParam]}' not found`));
+
 /**
  * Verifies whether the content type of the specified Express request is set to JSON.
  * @function verifyJsonRequest
  * @param {Request} req - Express request object instance
- * @param {Response} res - Express response object instance
+ * @param {function} next - Invoke the error handling middleware, should the request not be JSON
  * @returns True if request contains a JSON content type, otherwise False
  */
-const verifyJsonRequest = (req, res) => {
-  if (!req.is("json")) {
-    res.status(400).send("Expecting JSON content type");
+const verifyJsonRequest = (req, next) => {
+  if (!req.is(["json", "+json"])) {
+    next(new ValidationError("Expecting JSON content type"));
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * Verifies whether the body of the specified Express request conforms to the schema registered for the namespace.
+ * Bodies which do not conform are rejected with 422 (Unprocessable Entity) and the list of schema validation errors.
+ * @function verifySchema
+ * @param {Request} req - Express request object instance
+ * @param {function} next - Invoke the error handling middleware, should the body not conform
+ * @returns True if there is no schema or the body conforms to it, otherwise False
+ */
+const verifySchema = (req, next) => {
+  try {
+    schema.validate(storedNamespace(req), req.body);
+  } catch (err) {
+    next(err);
     return false;
   }
 
@@ -93,115 +1193,1354 @@ const verifyJsonRequest = (req, res) => {
  * @function postData
  * @param {Request} req - Express request object instance
  * @param {Response} res - Express response object instance
+ * @param {function} next - Invoke the error handling middleware
  */
-const postData = (req, res) => {
-  if (verifyJsonRequest(req, res)) {
+const postData = async (req, res, next) => {
+  if (verifyJsonRequest(req, next) && verifySchema(req, next)) {
     // request is of the expected type 'application/json'
-    console.log(
+    logger.debug(
       `Creating new data object within dataset ${req.params[namespaceParam]}...`
     );
-    repository.create(
-      req.params[namespaceParam],
-      req.body,
-      (err, identifier) => {
-        if (err) {
-          res.status(500).send(err.message);
-        } else {
-          // We have created the resource, add the Location URI header.
-          res.append(
-            "Location",
-            `http://${serverConfig.host}/data/${identifier}`
-          );
-          // Status is 201 (Created)
-          res.sendStatus(201);
-        }
-      }
-    );
+    try {
+      const identifier = await repository.create(
+        storedNamespace(req),
+        req.body
+      );
+      // We have created the resource, add the Location URI header.
+      res.append(
+        "Location",
+        `${req.protocol}://${req.get("host")}/${req.params[namespaceParam]}/data/${identifier}`
+      );
+      // A new data object always starts at version 1.
+      res.set("ETag", etag(1));
+      changeFeed.publish(
+        storedNamespace(req),
+        changeFeed.changeTypes.created,
+        identifier,
+        req.body
+      );
+      await recordHistory(req, [
+        {
+          dataId: identifier,
+          action: history.actions.created,
+          before: null,
+          after: req.body,
+        },
+      ]);
+      // Status is 201 (Created)
+      res.sendStatus(201);
+    } catch (err) {
+      next(err);
+    }
   }
 };
 
 /**
  * Create or update an addressed data object with the specified Express object request.
+ * An If-Match header makes the update conditional on the current version of the data object.
  * @function putData
  * @param {Request} req - Express request object instance
  * @param {Response} res - Express response object instance
+ * @param {function} next - Invoke the error handling middleware
  */
-const putData = (req, res) => {
-  if (verifyJsonRequest(req, res)) {
-    console.log(`Updating the ${req.params[namespaceParam]} dataset...`);
-    repository.update(
-      req.params[namespaceParam],
-      req.params[dataIdParam],
-      req.body,
-      (err, created) => {
-        if (err) {
-          res.status(500).send(err.message);
-        } else {
-          // In accordance with the HTTP Put spec, return 201 (Created) or 200 (modified)
-          res.sendStatus(created ? 201 : 200);
-        }
-      }
+const putData = async (req, res, next) => {
+  if (verifyJsonRequest(req, next) && verifySchema(req, next)) {
+    logger.debug(`Updating the ${req.params[namespaceParam]} dataset...`);
+    try {
+      // A version mismatch is reported with 412 (Precondition Failed).
+      const result = await repository.update(
+        storedNamespace(req),
+        req.params[dataIdParam],
+        req.body,
+        parseCondition(req.get("if-match"))
+      );
+      const data = {
+        ...req.body,
+        _id: storedId(req.params[dataIdParam]),
+        [versionField]: result.version,
+      };
+      res.set("ETag", etag(result.version));
+      changeFeed.publish(
+        storedNamespace(req),
+        result.created
+          ? changeFeed.changeTypes.created
+          : changeFeed.changeTypes.updated,
+        storedId(req.params[dataIdParam]),
+        data
+      );
+      await recordHistory(req, [
+        {
+          dataId: storedId(req.params[dataIdParam]),
+          action: result.created
+            ? history.actions.created
+            : history.actions.updated,
+          before: result.previous,
+          after: data,
+        },
+      ]);
+      // In accordance with the HTTP Put spec, return 201 (Created) or 200 (modified)
+      res.sendStatus(result.created ? 201 : 200);
+    } catch (err) {
+      next(err);
+    }
+  }
+};
+
+/**
+ * Apply the patch document within the specified Express request to an addressed data object.
+ * A 'application/json-patch+json' content type is applied as a JSON Patch, any other JSON content type
+ * is applied as a JSON Merge Patch. An If-Match header makes the patch conditional on the current version of the
+ * data object. The patched data object must conform to the schema registered for the namespace.
+ * @function patchData
+ * @param {Request} req - Express request object instance
+ * @param {Response} res - Express response object instance
+ * @param {function} next - Invoke the error handling middleware
+ */
+const patchData = async (req, res, next) => {
+  if (verifyJsonRequest(req, next)) {
+    logger.debug(
+      `Patching data object with id:${req.params[dataIdParam]} in dataset ${req.params[namespaceParam]}`
     );
+
+    let applyPatch = null;
+    try {
+      const contentType = req.get("content-type").split(";")[0];
+      applyPatch = createPatch(contentType.trim().toLowerCase(), req.body);
+    } catch (err) {
+      // The patch document is malformed, rather than one which cannot be applied to the addressed object.
+      next(new ValidationError(err.message));
+      return;
+    }
+
+    // The repository may apply the patch again should the data object change concurrently, the last applied wins.
+    let before = null;
+    try {
+      // A patch which cannot be applied, or a patched object which does not conform to the schema, is reported
+      // with 422 (Unprocessable Entity).
+      const data = await repository.patch(
+        storedNamespace(req),
+        req.params[dataIdParam],
+        (data) => {
+          before = data;
+          const patched = applyPatch(data);
+          schema.validate(storedNamespace(req), patched);
+          return patched;
+        },
+        parseCondition(req.get("if-match"))
+      );
+      if (!data) {
+        objectNotFound(req, next);
+        return;
+      }
+
+      res.set("ETag", etag(currentVersion(data)));
+      changeFeed.publish(
+        storedNamespace(req),
+        changeFeed.changeTypes.updated,
+        storedId(req.params[dataIdParam]),
+        data
+      );
+      await recordHistory(req, [
+        {
+          dataId: storedId(req.params[dataIdParam]),
+          action: history.actions.updated,
+          before: before,
+          after: data,
+        },
+      ]);
+      res.json(data);
+    } catch (err) {
+      next(err);
+    }
   }
 };
 
 /**
- * Process an Express routed request to delete a data object
+ * Process an Express routed request to delete a data object.
+ * An If-Match header makes the delete conditional on the current version of the data object.
  * @function deleteData
  * @param {Request} req - Express request object instance
  * @param {Response} res - Express response object instance
+ * @param {function} next - Invoke the error handling middleware
  */
-const deleteData = (req, res) => {
-  console.log(
+const deleteData = async (req, res, next) => {
+  logger.debug(
     `Delete data object with id:${req.params[dataIdParam]} in dataset ${req.params[namespaceParam]}`
   );
-  // Note the check is performed synchronously here
-  repository.delete(
-    req.params[namespaceParam],
-    req.params[dataIdParam],
-    (err, deleted) => {
-      if (err) {
-        res.status(500).send(err.message);
-      } else if (!deleted) {
-        // If deleted is false without an error, then the specified data id was not found.
-        res.status(404).send(`Object '${req.params[dataIdParam]}' not found`);
-      } else {
-        res.sendStatus(200);
-      }
+  try {
+    // The deleted data object is provided, or null if it did not exist.
+    const deleted = await repository.delete(
+      storedNamespace(req),
+      req.params[dataIdParam],
+      parseCondition(req.get("if-match"))
+    );
+    if (!deleted) {
+      // If deleted is null without an error, then the specified data id was not found.
+      objectNotFound(req, next);
+      return;
     }
-  );
+
+    changeFeed.publish(
+      storedNamespace(req),
+      changeFeed.changeTypes.deleted,
+      storedId(req.params[dataIdParam]),
+      null
+    );
+    await recordHistory(req, [
+      {
+        dataId: storedId(req.params[dataIdParam]),
+        action: history.actions.deleted,
+        before: deleted,
+        after: null,
+      },
+    ]);
+    res.sendStatus(200);
+  } catch (err) {
+    next(err);
+  }
 };
 
 /**
- * Utilise the specified Express response instance to send a 'application/json' response back to the client.
- * @function response
- * @param {Error} err - Error instances generated when processing the Express request object
+ * Perform the batch of operations within the specified Express request, responding with the result of each operation.
+ * An atomic batch is only applied if every operation succeeds, otherwise the response status is 409 (Conflict).
+ * @function postBatch
  * @param {Request} req - Express request object instance
  * @param {Response} res - Express response object instance
+ * @param {function} next - Invoke the error handling middleware
  */
-const response = (err, data, res) => {
-  if (err) {
-    // Sets the http status code to 500 and returns the error message within the response body
-    res.statusText = err.message;
-    res.status(500).send(err.message);
-  } else {
-    // Sends a JSON response, with the correct content type (application/json).
-    // The object parameter is converted to a JSON string using JSON.stringify()
-    res.json(data);
+const postBatch = async (req, res, next) => {
+  if (!verifyJsonRequest(req, next)) {
+    return;
+  }
+
+  let parsed = null;
+  try {
+    parsed = parseBatch(storedNamespace(req), req.body);
+  } catch (err) {
+    next(err);
+    return;
+  }
+
+  logger.debug(
+    `Performing a batch of ${parsed.operations.length} operations within dataset ${req.params[namespaceParam]}...`
+  );
+  const respond = (results) =>
+    res
+      .status(parsed.atomic && !succeeded(results) ? 409 : 200)
+      .json({ atomic: parsed.atomic, results: results });
+
+  const accepted = parsed.operations.filter((operation) => !operation.rejected);
+  if (accepted.length === 0 || (parsed.atomic && accepted.length < parsed.operations.length)) {
+    // Nothing to perform, or an atomic batch already failed validation.
+    respond(batchResults(parsed.operations, null));
+    return;
+  }
+
+  try {
+    const performed = await repository.batch(
+      storedNamespace(req),
+      accepted,
+      parsed.atomic
+    );
+    await publishBatch(req, performed);
+    respond(batchResults(parsed.operations, performed));
+  } catch (err) {
+    next(err);
   }
 };
 
 /**
- * Start the data web service on the specified port.
- * @function start
- * @param {object} useRepository - Repository object to use for persistence storage
- * @param {number} port - Specified service port
+ * Record the changes made by a request within the history of the namespace, before continuing with the response.
+ * The changes are already made, so should the history fail to record them the failure is only logged.
+ * @function recordHistory
+ * @param {Request} req - Express request object instance
+ * @param {Array} changes - Changes made by the request, see history.record
+ * @returns Promise resolving once the history is recorded
  */
-module.exports.start = (useRepository) => {
-  repository = useRepository;
-  webServer.listen(serverConfig.port, () => {
-    console.log(
-      `MyData service instance is running on port ${serverConfig.port}.....`
-    );
-  });
+const recordHistory = (req, changes) =>
+  new Promise((resolve) =>
+    history.record(
+      repository,
+      storedNamespace(req),
+      req.identity,
+      changes,
+      (err) => {
+        if (err) {
+          logger.warn(
+            `Failed to record the history of ${req.params[namespaceParam]}`,
+            { error: err.message }
+          );
+        }
+        resolve();
+      }
+    )
+  );
+
+/**
+ * Publish, and record the history of, the changes made by the operations of a batch which were applied.
+ * @function publishBatch
+ * @param {Request} req - Express request object instance
+ * @param {Array} performed - Repository outcomes of the batch operations
+ * @returns Promise resolving once the history is recorded
+ */
+const publishBatch = (req, performed) => {
+  const applied = performed.filter((result) => result.data !== undefined);
+  applied.forEach((result) =>
+    changeFeed.publish(
+      storedNamespace(req),
+      changeFeed.changeTypes[result.outcome],
+      result.id,
+      result.data
+    )
+  );
+  return recordHistory(
+    req,
+    applied.map((result) => ({
+      dataId: result.id,
+      action: history.actions[result.outcome],
+      before: result.previous,
+      after: result.data,
+    }))
+  );
+};
+
+/**
+ * Stream the dataset of a namespace in the format of the 'format' query parameter, JSON by default.
+ * The export is written as the repository reads the dataset, pausing whilst the client catches up.
+ * @function getExport
+ * @param {Request} req - Express request object instance
+ * @param {Response} res - Express response object instance
+ * @param {function} next - Invoke the error handling middleware
+ */
+const getExport = (req, res, next) => {
+  let format = null;
+  try {
+    format = transfer.parseFormat(req.query.format);
+  } catch (err) {
+    next(err);
+    return;
+  }
+
+  let closed = false;
+  res.on("close", () => (closed = true));
+  const write = (chunk) =>
+    new Promise((resolve, reject) => {
+      if (closed) {
+        reject(new Error("Client closed the export"));
+      } else if (res.write(chunk)) {
+        resolve();
+      } else {
+        const resume = () => {
+          res.removeListener("drain", resume);
+          res.removeListener("close", resume);
+          closed ? reject(new Error("Client closed the export")) : resolve();
+        };
+        res.on("drain", resume);
+        res.on("close", resume);
+      }
+    });
+
+  logger.debug(`Exporting ${req.params[namespaceParam]} as ${format}...`);
+  res.set({
+    "Content-Type": transfer.formats[format].contentType,
+    "Content-Disposition": `attachment; filename="${req.params[namespaceParam]}.${format}"`,
+  });
+  transfer.exportDataset(
+    repository,
+    storedNamespace(req),
+    format,
+    write,
+    (err, count) => {
+      if (!err) {
+        logger.debug(`Exported ${count} data objects`);
+        res.end();
+      } else if (!res.headersSent) {
+        res.removeHeader("Content-Disposition");
+        next(err);
+      } else {
+        // The export is incomplete, so the response is aborted rather than ended.
+        logger.warn("Export failed", { error: err.message });
+        res.destroy();
+      }
+    }
+  );
+};
+
+/**
+ * Import the dataset of a namespace from the request body, responding with a report of the rows imported.
+ * The format is taken from the 'format' query parameter, or the request content type.
+ * @function postImport
+ * @param {Request} req - Express request object instance
+ * @param {Response} res - Express response object instance
+ * @param {function} next - Invoke the error handling middleware
+ */
+const postImport = (req, res, next) => {
+  let options = null;
+  try {
+    const format =
+      req.query.format ||
+      Object.keys(transfer.formats).find((name) =>
+        req.is(transfer.formats[name].mediaTypes)
+      );
+    if (!format) {
+      // Unsupported Media Type
+      next(
+        new ServiceError(
+          "Expecting a JSON, NDJSON or CSV request body, or a format parameter",
+          415
+        )
+      );
+      return;
+    }
+    options = {
+      format: transfer.parseFormat(format),
+      ...transfer.parseImport(req.query),
+    };
+  } catch (err) {
+    next(err);
+    return;
+  }
+
+  logger.debug(
+    `Importing ${req.params[namespaceParam]} from ${options.format} in ${options.mode} mode...`
+  );
+  options.onPerformed = (performed) => publishBatch(req, performed);
+  transfer.importDataset(
+    repository,
+    storedNamespace(req),
+    req,
+    options,
+    (err, report) => {
+      if (err) {
+        next(err);
+      } else {
+        // A malformed body stops the import, the report lists what was imported before it.
+        res.status(report.error ? 400 : 200).json(report);
+      }
+    }
+  );
+};
+
+/**
+ * Respond with the revisions matching the request query parameters, which are paginated like a dataset.
+ * @function listRevisions
+ * @param {Request} req - Express request object instance
+ * @param {Response} res - Express response object instance
+ * @param {function} next - Invoke the error handling middleware
+ * @param {string} dataId - Data identifier to list the revisions of, or null for every data object
+ */
+const listRevisions = (req, res, next, dataId) => {
+  let query = null;
+  try {
+    query = history.parseHistoryQuery(req.query, dataId);
+  } catch (err) {
+    next(err);
+    return;
+  }
+
+  history.read(repository, storedNamespace(req), query, (err, result) => {
+    if (!err) {
+      res.set("X-Total-Count", result.total);
+      if (query.limit) {
+        res.set("Link", pageLinks(req, query, result.total));
+      }
+    }
+    response(err, err ? null : result.items, res, next);
+  });
+};
+
+/**
+ * Process a request to list the revisions of a data object, in the order they were made.
+ * @function getHistory
+ * @param {Request} req - Express request object instance
+ * @param {Response} res - Express response object instance
+ * @param {function} next - Invoke the error handling middleware
+ */
+const getHistory = (req, res, next) => {
+  logger.debug(
+    `Getting the history of data object with id:${req.params[dataIdParam]} in dataset ${req.params[namespaceParam]}`
+  );
+  listRevisions(req, res, next, req.params[dataIdParam]);
+};
+
+/**
+ * Process a request to list the revisions made within a namespace, optionally within a 'from' and 'to' time range.
+ * @function getAudit
+ * @param {Request} req - Express request object instance
+ * @param {Response} res - Express response object instance
+ * @param {function} next - Invoke the error handling middleware
+ */
+const getAudit = (req, res, next) => {
+  logger.debug(`Getting the audit log of ${req.params[namespaceParam]}...`);
+  listRevisions(req, res, next, null);
+};
+
+/**
+ * Process a request to get a single revision of a data object.
+ * @function getRevision
+ * @param {Request} req - Express request object instance
+ * @param {Response} res - Express response object instance
+ * @param {function} next - Invoke the error handling middleware
+ */
+const getRevision = (req, res, next) => {
+  history.get(
+    repository,
+    storedNamespace(req),
+    req.params[dataIdParam],
+    req.params[revisionParam],
+    (err, revision) => {
+      if (!err && !revision) {
+        revisionNotFound(req, next);
+      } else {
+        response(err, revision, res, next);
+      }
+    }
+  );
+};
+
+/**
+ * Reject a request with 404 (Not Found) when the addressed revision is not a revision of the addressed data object.
+ * @function revisionNotFound
+ * @param {Request} req - Express request object instance
+ * @param {function} next - Invoke the error handling middleware
+ */
+const revisionNotFound = (req, next) =>
+  next(
+    new NotFoundError(
+      `Revision '${req.params[revisionParam]}' of object '${req.params[dataIdParam]}' not found`
+    )
+  );
+
+/**
+ * Return a data object to its state after the addressed revision. A revision which deleted the data object deletes
+ * it again, any other revision replaces the data object, recreating it if it has since been deleted. The restored
+ * data object must conform to the schema currently registered for the namespace. An If-Match header makes the
+ * restore conditional on the current version of the data object.
+ * @function postRestore
+ * @param {Request} req - Express request object instance
+ * @param {Response} res - Express response object instance
+ * @param {function} next - Invoke the error handling middleware
+ */
+const postRestore = (req, res, next) => {
+  const namespace = storedNamespace(req);
+  const dataId = storedId(req.params[dataIdParam]);
+  const ifMatch = parseCondition(req.get("if-match"));
+
+  history.get(
+    repository,
+    namespace,
+    dataId,
+    req.params[revisionParam],
+    async (err, revision) => {
+      if (err) {
+        next(err);
+        return;
+      }
+      if (!revision) {
+        revisionNotFound(req, next);
+        return;
+      }
+      logger.debug(
+        `Restoring data object with id:${dataId} in dataset ${namespace} to revision ${revision.revision}`
+      );
+
+      try {
+        if (revision.after === null) {
+          const deleted = await repository.delete(namespace, dataId, ifMatch);
+          if (deleted) {
+            changeFeed.publish(
+              namespace,
+              changeFeed.changeTypes.deleted,
+              dataId,
+              null
+            );
+            await recordHistory(req, [
+              {
+                dataId: dataId,
+                action: history.actions.restored,
+                before: deleted,
+                after: null,
+                restoredRevision: revision.revision,
+              },
+            ]);
+          }
+          // Otherwise the data object is already deleted, as it was after the revision.
+          res.sendStatus(200);
+          return;
+        }
+
+        // The identifier and version are maintained by the repository.
+        const { _id, [versionField]: version, ...restored } = revision.after;
+        schema.validate(namespace, restored);
+        const result = await repository.update(
+          namespace,
+          dataId,
+          restored,
+          ifMatch
+        );
+
+        const data = {
+          ...restored,
+          _id: dataId,
+          [versionField]: result.version,
+        };
+        res.set("ETag", etag(result.version));
+        changeFeed.publish(
+          namespace,
+          result.created
+            ? changeFeed.changeTypes.created
+            : changeFeed.changeTypes.updated,
+          dataId,
+          data
+        );
+        await recordHistory(req, [
+          {
+            dataId: dataId,
+            action: history.actions.restored,
+            before: result.previous,
+            after: data,
+            restoredRevision: revision.revision,
+          },
+        ]);
+        res.status(result.created ? 201 : 200).json(data);
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+};
+
+/**
+ * Stream the changes made to a namespace as Server-Sent Events. Each event is named after its change type and
+ * carries the change as JSON data. The stream resumes from the standard Last-Event-ID header, or a 'lastEventId'
+ * query parameter for clients which cannot set headers.
+ * @function getChanges
+ * @param {Request} req - Express request object instance
+ * @param {Response} res - Express response object instance
+ */
+const getChanges = (req, res) => {
+  logger.debug(`Streaming changes to ${req.params[namespaceParam]}...`);
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.flushHeaders();
+
+  const unsubscribe = changeFeed.subscribe(
+    storedNamespace(req),
+    req.get("last-event-id") || req.query.lastEventId || null,
+    (event) =>
+      res.write(
+        `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`
+      )
+  );
+
+  // Comment lines keep idle connections from being dropped by proxies.
+  const heartbeat = setInterval(() => res.write(": heartbeat\n\n"), 15000);
+  changeStreams.add(res);
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    changeStreams.delete(res);
+  });
+};
+
+/**
+ * Respond with the webhooks registered against the addressed namespace.
+ * @function getWebhooks
+ * @param {Request} req - Express request object instance
+ * @param {Response} res - Express response object instance
+ * @param {function} next - Invoke the error handling middleware
+ */
+const getWebhooks = (req, res, next) => {
+  webhooks.list(storedNamespace(req), (err, registered) =>
+    response(err, registered, res, next)
+  );
+};
+
+/**
+ * Register the webhook within the specified Express request against the addressed namespace.
+ * @function postWebhook
+ * @param {Request} req - Express request object instance
+ * @param {Response} res - Express response object instance
+ * @param {function} next - Invoke the error handling middleware
+ */
+const postWebhook = (req, res, next) => {
+  if (!verifyJsonRequest(req, next)) {
+    return;
+  }
+
+  const namespace = req.params[namespaceParam];
+  webhooks.register(storedNamespace(req), req.body, (err, webhook) => {
+    if (err) {
+      next(err);
+      return;
+    }
+    logger.info(`Registered webhook ${webhook.webhook} of ${namespace}`, {
+      url: webhook.url,
+    });
+    res
+      .status(201)
+      .location(
+        `${req.protocol}://${req.get("host")}/${namespace}/webhooks/${
+          webhook.webhook
+        }`
+      )
+      .json(webhook);
+  });
+};
+
+/**
+ * Reject a request with 404 (Not Found) when the addressed webhook is not registered.
+ * @function webhookNotFound
+ * @param {Request} req - Express request object instance
+ * @param {function} next - Invoke the error handling middleware
+ */
+const webhookNotFound = (req, next) =>
+  next(new NotFoundError(`Webhook '${req.params[webhookParam]}' not found`));
+
+/**
+ * Respond with the addressed webhook.
+ * @function getWebhook
+ * @param {Request} req - Express request object instance
+ * @param {Response} res - Express response object instance
+ * @param {function} next - Invoke the error handling middleware
+ */
+const getWebhook = (req, res, next) => {
+  webhooks.get(
+    storedNamespace(req),
+    req.params[webhookParam],
+    (err, webhook) => {
+      if (!err && !webhook) {
+        webhookNotFound(req, next);
+      } else {
+        response(err, webhook, res, next);
+      }
+    }
+  );
+};
+
+/**
+ * Remove the addressed webhook.
+ * @function deleteWebhook
+ * @param {Request} req - Express request object instance
+ * @param {Response} res - Express response object instance
+ * @param {function} next - Invoke the error handling middleware
+ */
+const deleteWebhook = (req, res, next) => {
+  const namespace = storedNamespace(req);
+  logger.info(`Removing webhook ${req.params[webhookParam]} of ${namespace}`);
+  webhooks.remove(namespace, req.params[webhookParam], (err, removed) => {
+    if (err) {
+      next(err);
+    } else if (!removed) {
+      webhookNotFound(req, next);
+    } else {
+      res.sendStatus(200);
+    }
+  });
+};
+
+/**
+ * Respond with the deliveries made to the addressed webhook, with the attempts made for each one.
+ * The total number of matching deliveries is provided by the X-Total-Count header.
+ * @function getDeliveries
+ * @param {Request} req - Express request object instance
+ * @param {Response} res - Express response object instance
+ * @param {function} next - Invoke the error handling middleware
+ */
+const getDeliveries = (req, res, next) => {
+  const namespace = storedNamespace(req);
+  const id = req.params[webhookParam];
+  webhooks.get(namespace, id, (err, webhook) => {
+    if (err) {
+      next(err);
+      return;
+    }
+    if (!webhook) {
+      webhookNotFound(req, next);
+      return;
+    }
+
+    webhooks.deliveries(namespace, id, req.query, (err, result) => {
+      if (!err) {
+        res.set("X-Total-Count", result.total);
+      }
+      response(err, err ? null : result.items, res, next);
+    });
+  });
+};
+
+/**
+ * Provide the namespaces of a tenant, named as its clients address them.
+ * @function tenantNamespaces
+ * @param {string} tenant - Tenant name, or null for the default tenant
+ * @param {boolean} internal - Whether to include the datasets the service keeps for itself (i.e. object history)
+ * @returns Promise resolving the namespaces, with their object counts, sizes and settings
+ */
+const tenantNamespaces = async (tenant, internal) =>
+  (await repository.namespaces())
+    .map((namespace) => ({
+      ...namespace,
+      ...tenants.split(namespace.name),
+    }))
+    .filter(
+      (namespace) =>
+        namespace.tenant === tenant &&
+        (internal || !namespace.namespace.startsWith("_"))
+    )
+    .map(({ namespace, tenant, ...listed }) => ({
+      ...listed,
+      name: namespace,
+    }));
+
+/**
+ * Respond with the namespaces of the request tenant the identity may read, with their object counts, sizes and
+ * settings. Datasets the service keeps for itself (i.e. object history) are not listed.
+ * @function getNamespaces
+ * @param {Request} req - Express request object instance
+ * @param {Response} res - Express response object instance
+ * @param {function} next - Invoke the error handling middleware
+ */
+const getNamespaces = async (req, res, next) => {
+  try {
+    const namespaces = await tenantNamespaces(req.tenant, false);
+    res.json(
+      namespaces.filter(
+        (namespace) =>
+          auth.authorization(req.identity, namespace.name, "read") === null
+      )
+    );
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Reject a request with 404 (Not Found) when the addressed namespace does not exist.
+ * @function namespaceNotFound
+ * @param {Request} req - Express request object instance
+ * @param {function} next - Invoke the error handling middleware
+ */
+const namespaceNotFound = (req, next) =>
+  next(
+    new NotFoundError(`Namespace '${req.params[namespaceParam]}' not found`)
+  );
+
+/**
+ * Respond with the object count, size and settings of the addressed namespace.
+ * @function getNamespace
+ * @param {Request} req - Express request object instance
+ * @param {Response} res - Express response object instance
+ * @param {function} next - Invoke the error handling middleware
+ */
+const getNamespace = async (req, res, next) => {
+  try {
+    const found = (await tenantNamespaces(req.tenant, false)).find(
+      (namespace) => namespace.name === req.params[namespaceParam]
+    );
+    if (found) {
+      res.json(found);
+    } else {
+      namespaceNotFound(req, next);
+    }
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Create the addressed namespace, or update its settings, with the settings within the specified Express request.
+ * Settings missing from the request keep their current value.
+ * @function putNamespace
+ * @param {Request} req - Express request object instance
+ * @param {Response} res - Express response object instance
+ * @param {function} next - Invoke the error handling middleware
+ */
+const putNamespace = async (req, res, next) => {
+  if (!verifyJsonRequest(req, next)) {
+    return;
+  }
+
+  try {
+    const settings = parseSettings(
+      req.body,
+      await repository.getSettings(storedNamespace(req))
+    );
+    logger.debug(
+      `Storing settings of namespace ${req.params[namespaceParam]}...`
+    );
+    const created = await repository.putSettings(
+      storedNamespace(req),
+      settings
+    );
+    res.status(created ? 201 : 200).json(settings);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Rename the addressed namespace to the name within the specified Express request, '{"name": "<namespace>"}'.
+ * The history, webhooks and schema of the namespace move with it. Responds with 409 (Conflict) if the new namespace exists.
+ * @function postRename
+ * @param {Request} req - Express request object instance
+ * @param {Response} res - Express response object instance
+ * @param {function} next - Invoke the error handling middleware
+ */
+const postRename = async (req, res, next) => {
+  if (!verifyJsonRequest(req, next)) {
+    return;
+  }
+
+  const namespace = req.params[namespaceParam];
+  const to = req.body && req.body.name;
+  try {
+    validateName(to);
+  } catch (err) {
+    next(err);
+    return;
+  }
+  const denied = auth.authorization(req.identity, to, "admin");
+  if (denied) {
+    next(denied);
+    return;
+  }
+
+  logger.info(`Renaming namespace ${namespace} to ${to}...`);
+  // Namespaces are renamed within the tenant of the request.
+  const [source, target] = [
+    storedNamespace(req),
+    tenants.qualify(req.tenant, to),
+  ];
+  try {
+    if (!(await repository.renameNamespace(source, target))) {
+      namespaceNotFound(req, next);
+      return;
+    }
+  } catch (err) {
+    next(err);
+    return;
+  }
+
+  // The namespace is renamed, so failing to move its history, webhooks or schema is only logged.
+  const logFailure = (what) => (err) => {
+    if (err) {
+      logger.warn(`Failed to move the ${what} of ${namespace}`, {
+        error: err.message,
+      });
+    }
+  };
+  webhooks.forget(source);
+  const targets = internalDatasets(target);
+  for (const [index, dataset] of internalDatasets(source).entries()) {
+    // Datasets remaining from a previous namespace of the same name do not belong to the renamed namespace.
+    await repository.dropNamespace(targets[index]).catch(() => {});
+    await repository
+      .renameNamespace(dataset, targets[index])
+      .catch(logFailure(`dataset ${dataset}`));
+  }
+  schema.moveSchema(source, target, (err) => {
+    logFailure("schema")(err);
+    webhooks.load(target, (err) => {
+      logFailure("webhooks")(err);
+      res.json({ name: to });
+    });
+  });
+};
+
+/**
+ * Drop the addressed namespace, together with its data objects, settings, history, webhooks and schema.
+ * @function deleteNamespace
+ * @param {Request} req - Express request object instance
+ * @param {Response} res - Express response object instance
+ * @param {function} next - Invoke the error handling middleware
+ */
+const deleteNamespace = async (req, res, next) => {
+  const namespace = storedNamespace(req);
+  logger.info(`Dropping namespace ${namespace}...`);
+  try {
+    if (!(await repository.dropNamespace(namespace))) {
+      namespaceNotFound(req, next);
+      return;
+    }
+  } catch (err) {
+    next(err);
+    return;
+  }
+
+  await dropInternal(namespace);
+  res.sendStatus(200);
+};
+
+/**
+ * Drop the history, webhooks and schema of a dropped namespace. The namespace is already dropped, so failing to
+ * drop them is only logged.
+ * @function dropInternal
+ * @param {string} namespace - Unique namespace of the dataset
+ * @returns Promise resolving once they are dropped
+ */
+const dropInternal = async (namespace) => {
+  webhooks.forget(namespace);
+  for (const dataset of internalDatasets(namespace)) {
+    await repository.dropNamespace(dataset).catch((err) =>
+      logger.warn(`Failed to drop the dataset ${dataset}`, {
+        error: err.message,
+      })
+    );
+  }
+  await new Promise((resolve) =>
+    schema.removeSchema(namespace, (err) => {
+      if (err) {
+        logger.warn(`Failed to remove the schema of ${namespace}`, {
+          error: err.message,
+        });
+      }
+      resolve();
+    })
+  );
+};
+
+/**
+ * Provide the datasets the service keeps for a namespace, its history, webhooks and their deliveries, which are
+ * renamed and dropped with the namespace.
+ * @function internalDatasets
+ * @param {string} namespace - Unique namespace of the dataset
+ * @returns Namespaces of the datasets
+ */
+const internalDatasets = (namespace) => [
+  history.historyNamespace(namespace),
+  ...webhooks.datasets(namespace),
+];
+
+/**
+ * Reject a request with 404 (Not Found) when the addressed tenant is not provisioned.
+ * @function tenantNotFound
+ * @param {Request} req - Express request object instance
+ * @param {function} next - Invoke the error handling middleware
+ */
+const tenantNotFound = (req, next) =>
+  next(new NotFoundError(`Tenant '${req.params[tenantParam]}' not found`));
+
+/**
+ * Respond with the addressed tenant and its settings.
+ * @function getTenant
+ * @param {Request} req - Express request object instance
+ * @param {Response} res - Express response object instance
+ * @param {function} next - Invoke the error handling middleware
+ */
+const getTenant = (req, res, next) => {
+  const tenant = tenants.get(req.params[tenantParam]);
+  if (tenant) {
+    res.json(tenant);
+  } else {
+    tenantNotFound(req, next);
+  }
+};
+
+/**
+ * Provision the addressed tenant, or update its settings, with the settings within the specified Express request.
+ * Settings missing from the request keep their current value.
+ * @function putTenant
+ * @param {Request} req - Express request object instance
+ * @param {Response} res - Express response object instance
+ * @param {function} next - Invoke the error handling middleware
+ */
+const putTenant = async (req, res, next) => {
+  if (!verifyJsonRequest(req, next)) {
+    return;
+  }
+
+  try {
+    logger.info(`Provisioning tenant ${req.params[tenantParam]}...`);
+    const { tenant, created } = await tenants.provision(
+      req.params[tenantParam],
+      req.body
+    );
+    res.status(created ? 201 : 200).json(tenant);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Remove the addressed tenant. A tenant holding namespaces is rejected with 409 (Conflict), unless the 'purge'
+ * query parameter is 'true' in which case its namespaces are dropped, together with their history, webhooks and
+ * schemas.
+ * @function deleteTenant
+ * @param {Request} req - Express request object instance
+ * @param {Response} res - Express response object instance
+ * @param {function} next - Invoke the error handling middleware
+ */
+const deleteTenant = async (req, res, next) => {
+  const tenant = req.params[tenantParam];
+  if (!tenants.get(tenant)) {
+    tenantNotFound(req, next);
+    return;
+  }
+
+  try {
+    const held = await tenantNamespaces(tenant, true);
+    const namespaces = held.filter(({ name }) => !name.startsWith("_"));
+    if (namespaces.length > 0 && req.query.purge !== "true") {
+      next(
+        new ConflictError(
+          `Tenant '${tenant}' holds ${namespaces.length} namespaces, which are only dropped with purge=true`
+        )
+      );
+      return;
+    }
+
+    logger.info(`Removing tenant ${tenant}...`);
+    for (const namespace of namespaces) {
+      const qualified = tenants.qualify(tenant, namespace.name);
+      await repository.dropNamespace(qualified);
+      await dropInternal(qualified);
+    }
+    // Datasets the service kept for namespaces dropped before, i.e. the deliveries of their webhooks.
+    for (const dataset of held.filter(({ name }) => name.startsWith("_"))) {
+      await repository.dropNamespace(tenants.qualify(tenant, dataset.name));
+    }
+    // Schemas may be registered against namespaces which hold nothing.
+    const schemas = await new Promise((resolve, reject) =>
+      schema.listSchemas((err, names) => (err ? reject(err) : resolve(names)))
+    );
+    for (const registered of schemas.filter(
+      (name) => tenants.split(name).tenant === tenant
+    )) {
+      await new Promise((resolve, reject) =>
+        schema.removeSchema(registered, (err) =>
+          err ? reject(err) : resolve()
+        )
+      );
+    }
+    await tenants.remove(tenant);
+    res.sendStatus(200);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Process a request to get the JSON Schema registered for a namespace.
+ * @function getSchema
+ * @param {Request} req - Express request object instance
+ * @param {Response} res - Express response object instance
+ * @param {function} next - Invoke the error handling middleware
+ */
+const getSchema = (req, res, next) => {
+  let registered = null;
+  try {
+    registered = schema.getSchema(storedNamespace(req));
+  } catch (err) {
+    next(err);
+    return;
+  }
+
+  if (registered) {
+    res.json(registered);
+  } else {
+    schemaNotFound(req, next);
+  }
+};
+
+/**
+ * Register the JSON Schema within the specified Express request against a namespace.
+ * @function putSchema
+ * @param {Request} req - Express request object instance
+ * @param {Response} res - Express response object instance
+ * @param {function} next - Invoke the error handling middleware
+ */
+const putSchema = (req, res, next) => {
+  if (verifyJsonRequest(req, next)) {
+    logger.info(`Registering schema for ${req.params[namespaceParam]}...`);
+    schema.registerSchema(storedNamespace(req), req.body, (err, created) => {
+      if (err instanceof schema.SchemaValidationError) {
+        // The schema itself is not a valid JSON Schema, so the request is invalid rather than unprocessable.
+        next(new ValidationError(err.message, err.errors));
+      } else if (err) {
+        next(err);
+      } else {
+        res.sendStatus(created ? 201 : 200);
+      }
+    });
+  }
+};
+
+/**
+ * Remove the JSON Schema registered against a namespace.
+ * @function deleteSchema
+ * @param {Request} req - Express request object instance
+ * @param {Response} res - Express response object instance
+ * @param {function} next - Invoke the error handling middleware
+ */
+const deleteSchema = (req, res, next) => {
+  logger.info(`Removing schema for ${req.params[namespaceParam]}...`);
+  schema.removeSchema(storedNamespace(req), (err, removed) => {
+    if (err) {
+      next(err);
+    } else if (!removed) {
+      schemaNotFound(req, next);
+    } else {
+      res.sendStatus(200);
+    }
+  });
+};
+
+/**
+ * Reject a request with 404 (Not Found) when no schema is registered against the addressed namespace.
+ * @function schemaNotFound
+ * @param {Request} req - Express request object instance
+ * @param {function} next - Invoke the error handling middleware
+ */
+const schemaNotFound = (req, next) =>
+  next(
+    new NotFoundError(
+      `No schema registered for '${req.params[namespaceParam]}'`
+    )
+  );
+
+/**
+ * Utilise the specified Express response instance to send a 'application/json' response back to the client, or pass
+ * the error raised processing the request on to the error handling middleware.
+ * @function response
+ * @param {Error} err - Error instances generated when processing the Express request object
+ * @param {*} data - Data to send within the response body
+ * @param {Response} res - Express response object instance
+ * @param {function} next - Invoke the error handling middleware
+ */
+const response = (err, data, res, next) => {
+  if (err) {
+    next(err);
+  } else {
+    // Sends a JSON response, with the correct content type (application/json).
+    // The object parameter is converted to a JSON string using JSON.stringify()
+    res.json(data);
+  }
+};
+
+/**
+ * Shut the service down gracefully. The server stops accepting connections, change streams are ended, and the
+ * requests in progress are drained before the repository is closed and the process exits. Should the requests not
+ * drain within serverConfig.shutdownTimeout, the process exits regardless.
+ * @function shutdown
+ * @param {Server} server - HTTP server the Express application is listening on
+ * @param {string} signal - Signal requesting the shutdown
+ */
+const shutdown = (server, signal) => {
+  if (draining) {
+    return;
+  }
+  draining = true;
+  logger.info(
+    `${signal} received, draining ${inFlight} requests before shutting down...`
+  );
+
+  server.close();
+  layers.unwatch();
+  changeSocket.close();
+  changeStreams.forEach((res) => res.end());
+  webhooks.stop();
+
+  const started = Date.now();
+  const drain = setInterval(() => {
+    const timedOut = Date.now() - started >= serverConfig.shutdownTimeout;
+    if (inFlight > 0 && !timedOut) {
+      return;
+    }
+
+    clearInterval(drain);
+    if (timedOut) {
+      logger.warn(`Shutting down with ${inFlight} requests in progress`);
+    }
+    repository
+      .close()
+      .catch((err) => {
+        logger.error("Failed to close the repository", { error: err.message });
+        return err;
+      })
+      .then((err) => {
+        logger.info("MyData service instance has shut down");
+        process.exit(err || timedOut ? 1 : 0);
+      });
+  }, 100);
+};
+
+/**
+ * Watch the configuration directory, logging each reload of the configuration (see config/layers).
+ * @function watchConfiguration
+ */
+const watchConfiguration = () => {
+  try {
+    layers.watch((err, changes) => {
+      if (err) {
+        logger.error("Configuration not reloaded", { error: err.message });
+        return;
+      }
+      if (changes.applied.length > 0) {
+        logger.info(`Configuration reloaded: ${changes.applied.join(", ")}`);
+      }
+      if (changes.pending.length > 0) {
+        logger.warn(
+          `Configuration changes apply once the service restarts: ${changes.pending.join(
+            ", "
+          )}`
+        );
+      }
+    });
+  } catch (err) {
+    logger.info("Configuration changes are not watched", {
+      error: err.message,
+    });
+  }
+};
+
+/**
+ * Start the data web service on the specified port.
+ * Repositories which require it (i.e. to recover persisted data) are opened before the service starts listening.
+ * @function start
+ * @param {object} useRepository - Repository object to use for persistence storage
+ * @param {number} port - Specified service port
+ * @returns Promise resolving the HTTP server, or null if the service could not start
+ */
+module.exports.start = async (useRepository) => {
+  repository = promisify(metrics.instrument(useRepository));
+
+  try {
+    await repository.open();
+  } catch (err) {
+    logger.error("Failed to open the repository", { error: err.message });
+    process.exitCode = 1;
+    return null;
+  }
+
+  try {
+    await tenants.start(repository);
+  } catch (err) {
+    logger.error("Failed to load the tenants", { error: err.message });
+    process.exitCode = 1;
+    return null;
+  }
+
+  changeFeed.start(repository);
+  webhooks.start(repository, (err) => {
+    if (err) {
+      logger.error("Unable to load the webhooks", { error: err.message });
+    }
+  });
+  if (!auth.enabled()) {
+    logger.warn("No authentication is configured, all requests are permitted");
+  }
+  watchConfiguration();
+  const server = webServer.listen(serverConfig.port, () => {
+    logger.info(
+      `MyData service instance is running on port ${serverConfig.port}.....`
+    );
+  });
+  changeSocket.attach(server);
+
+  process.once("SIGTERM", () => shutdown(server, "SIGTERM"));
+  process.once("SIGINT", () => shutdown(server, "SIGINT"));
+  return server;
 };
@@ -0,0 +1,172 @@
+const logger = require("./logger");
+
+/**
+ * Module mirroring the writes made to a primary repository onto a secondary repository, i.e. whilst cutting over
+ * from one repository to another. Every operation is performed by the primary repository, which alone determines
+ * its outcome, and the data objects written by create, update, patch, delete and batch operations are then copied
+ * from the primary to the secondary repository, as are namespace settings, renames and drops.
+ *
+ * Rather than repeating each write, the secondary repository is given the data object the primary repository holds
+ * once the write completes (or has it deleted), with writes to a namespace mirrored one at a time in the order they
+ * completed. Concurrent writes to a data object therefore leave the secondary repository holding what the primary
+ * holds, whatever order they complete in. The data object is given as a batch update, which replaces it within
+ * every repository, so fields removed by the primary are removed by the secondary too. The secondary repository
+ * gives each data object its own version.
+ *
+ * An operation completes once its writes are mirrored. Should mirroring fail the operation still succeeds, as the
+ * primary repository holds its writes, and the failure is logged. A migration (see service/migration) run with the
+ * 'overwrite' option reconciles the secondary repository with the primary.
+ */
+
+// Outcomes of the secondary batch operations which mirror the primary repository.
+const mirroredOutcomes = ["created", "updated", "deleted", "notFound"];
+
+/**
+ * Invoke a repository operation.
+ * @function call
+ * @param {function} operation - Repository operation, taking a callback last
+ * @param {...*} args - Operation arguments, preceding the callback
+ * @returns Promise resolving the operation result
+ */
+const call = (operation, ...args) =>
+  new Promise((resolve, reject) =>
+    operation(...args, (err, result) => (err ? reject(err) : resolve(result)))
+  );
+
+/**
+ * Wrap a primary repository so its writes are mirrored to a secondary repository.
+ * @function mirror
+ * @param {object} primary - Repository performing every operation
+ * @param {object} secondary - Repository receiving a copy of every write
+ * @returns Repository fulfilling the repository contract of the primary repository
+ */
+const mirror = (primary, secondary) => {
+  // Mirroring in progress per namespace, which the next write to the namespace waits for.
+  const queues = new Map();
+
+  const enqueue = (namespace, task) => {
+    const mirrored = (queues.get(namespace) || Promise.resolve()).then(task);
+    const settled = mirrored.catch(() => {});
+    queues.set(namespace, settled);
+    settled.then(() => {
+      if (queues.get(namespace) === settled) {
+        queues.delete(namespace);
+      }
+    });
+    return mirrored;
+  };
+
+  // Mirror a write, then complete the operation with the outcome the primary repository provided.
+  const complete = (description, namespace, task, callback, result) => {
+    enqueue(namespace, task)
+      .catch((err) =>
+        logger.error(
+          `Failed to mirror ${description} to the secondary repository`,
+          { namespace: namespace, error: err.message }
+        )
+      )
+      .then(() => callback(null, result));
+  };
+
+  // Copy the data objects the primary repository holds against the specified identifiers.
+  const copy = (namespace, ids) => async () => {
+    const operations = [];
+    for (const id of new Map(ids.map((id) => [String(id), id])).values()) {
+      const data = await call(primary.get, namespace, id);
+      operations.push(
+        data
+          ? {
+              op: "update",
+              id: data._id,
+              data: JSON.parse(JSON.stringify(data)),
+              ifMatch: null,
+            }
+          : { op: "delete", id: id, ifMatch: null }
+      );
+    }
+    const results = await call(secondary.batch, namespace, operations, false);
+    const failed = results.filter(
+      (result) => !mirroredOutcomes.includes(result.outcome)
+    );
+    if (failed.length > 0) {
+      throw new Error(
+        `Objects ${failed
+          .map((result) => result.id)
+          .join(", ")} were not written, outcome: ${failed[0].outcome}`
+      );
+    }
+  };
+
+  // Perform a write on the primary repository, then mirror the identifiers it wrote.
+  const write =
+    (operation, written) =>
+    (namespace, ...args) => {
+      const callback = args.pop();
+      primary[operation](namespace, ...args, (err, result) => {
+        const ids = err ? [] : written(result, ...args);
+        if (ids.length === 0) {
+          callback(err, result);
+          return;
+        }
+        complete(
+          `${operation} of ${ids.join(", ")}`,
+          namespace,
+          copy(namespace, ids),
+          callback,
+          result
+        );
+      });
+    };
+
+  // Perform a namespace operation on the primary repository, then on the secondary repository.
+  const namespaceWrite =
+    (operation, performed) =>
+    (namespace, ...args) => {
+      const callback = args.pop();
+      primary[operation](namespace, ...args, (err, result) => {
+        if (err || !performed(result)) {
+          callback(err, result);
+          return;
+        }
+        complete(
+          operation,
+          namespace,
+          () => call(secondary[operation], namespace, ...args),
+          callback,
+          result
+        );
+      });
+    };
+
+  return {
+    ...primary,
+    open: (callback) => {
+      const open = (repository, next) =>
+        repository.open ? repository.open(next) : next(null);
+      open(primary, (err) => (err ? callback(err) : open(secondary, callback)));
+    },
+    close: (callback) => {
+      const close = (repository, next) =>
+        repository.close ? repository.close(next) : next(null);
+      close(primary, (err) =>
+        close(secondary, (secondaryErr) => callback(err || secondaryErr))
+      );
+    },
+    create: write("create", (id) => [id]),
+    update: write("update", (result, id) => [id]),
+    patch: write("patch", (data, id) => (data ? [id] : [])),
+    delete: write("delete", (previous, id) => (previous ? [id] : [])),
+    batch: write("batch", (results) =>
+      results
+        .filter((result) => result.data !== undefined)
+        .map((result) => result.id)
+    ),
+    putSettings: namespaceWrite("putSettings", () => true),
+    renameNamespace: namespaceWrite("renameNamespace", (renamed) => renamed),
+    dropNamespace: namespaceWrite("dropNamespace", (dropped) => dropped),
+  };
+};
+
+module.exports = {
+  mirror: mirror,
+};
@@ -0,0 +1,146 @@
+const http = require("http");
+
+/**
+ * Module defining the errors the service and the repositories raise for outcomes a client can act on, each carrying
+ * the HTTP status it is reported with. Errors are reported as RFC 7807 problem details, 'application/problem+json':
+ *   {
+ *     "type": "about:blank",
+ *     "title": "Not Found",
+ *     "status": 404,
+ *     "detail": "Object '42' not found",
+ *     "instance": "/tasks/data/42",
+ *     "requestId": "5f0c6d3e-..."
+ *   }
+ * together with the list of 'errors' for validation failures. Any other error is an internal error, reported with
+ * status 500 and without its message, which may reveal server internals such as file paths.
+ */
+
+const problemContentType = "application/problem+json";
+const internalDetail =
+  "The request could not be processed, quote the requestId when reporting the problem";
+
+/**
+ * Base of the errors reported with a specific HTTP status.
+ */
+class ServiceError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = "ServiceError";
+    this.status = status;
+  }
+}
+
+/**
+ * Error raised when a request, or the data within it, is invalid.
+ */
+class ValidationError extends ServiceError {
+  constructor(message, errors) {
+    super(message, 400);
+    this.name = "ValidationError";
+    this.errors = errors;
+  }
+}
+
+/**
+ * Error raised when a request does not present valid credentials.
+ */
+class AuthenticationError extends ServiceError {
+  constructor(message) {
+    super(message, 401);
+    this.name = "AuthenticationError";
+  }
+}
+
+/**
+ * Error raised when a request is not permitted.
+ */
+class ForbiddenError extends ServiceError {
+  constructor(message) {
+    super(message, 403);
+    this.name = "ForbiddenError";
+  }
+}
+
+/**
+ * Error raised when the addressed resource does not exist.
+ */
+class NotFoundError extends ServiceError {
+  constructor(message) {
+    super(message, 404);
+    this.name = "NotFoundError";
+  }
+}
+
+/**
+ * Error raised when a request conflicts with the current state of the addressed resource.
+ */
+class ConflictError extends ServiceError {
+  constructor(message) {
+    super(message, 409);
+    this.name = "ConflictError";
+  }
+}
+
+/**
+ * Error raised when the repository backend cannot be reached, which the client may retry.
+ */
+class UnavailableError extends ServiceError {
+  constructor(message) {
+    super(message, 503);
+    this.name = "UnavailableError";
+  }
+}
+
+/**
+ * Determine the HTTP status to report the specified error with.
+ * Errors raised by Express middleware, i.e. a malformed JSON body, carry their own status and whether their
+ * message may be exposed.
+ * @function errorStatus
+ * @param {Error} err - Error raised processing a request
+ * @returns HTTP status code
+ */
+const errorStatus = (err) => {
+  if (err instanceof ServiceError) {
+    return err.status;
+  }
+  if (err && err.expose && Number.isInteger(err.status)) {
+    return err.status;
+  }
+  return 500;
+};
+
+/**
+ * Describe the specified error as RFC 7807 problem details.
+ * @function problem
+ * @param {Error} err - Error raised processing a request
+ * @param {Request} req - Express request object instance, providing the request id
+ * @returns Problem details
+ */
+const problem = (err, req) => {
+  const status = errorStatus(err);
+  const details = {
+    type: "about:blank",
+    title: http.STATUS_CODES[status] || "Error",
+    status: status,
+    detail: status === 500 ? internalDetail : err.message,
+    instance: req.originalUrl,
+    requestId: req.id,
+  };
+  if (status !== 500 && Array.isArray(err.errors)) {
+    details.errors = err.errors;
+  }
+  return details;
+};
+
+module.exports = {
+  problemContentType: problemContentType,
+  ServiceError: ServiceError,
+  ValidationError: ValidationError,
+  AuthenticationError: AuthenticationError,
+  ForbiddenError: ForbiddenError,
+  NotFoundError: NotFoundError,
+  ConflictError: ConflictError,
+  UnavailableError: UnavailableError,
+  errorStatus: errorStatus,
+  problem: problem,
+};
@@ -0,0 +1,190 @@
+const { parseQuery } = require("./query");
+const { versionField } = require("./version");
+const { ValidationError } = require("./errors");
+
+/**
+ * Module recording the history of the changes made to each data object through the service.
+ * Every change is recorded as a revision holding the data object before and after the change, when it was made
+ * and by whom. Revisions are stored through the configured repository within a history dataset alongside the
+ * namespace, so the history is as durable as the data itself. A revision is addressed by the identifier the
+ * repository gives it.
+ *
+ * Revisions are listed per data object, or for the whole namespace as an audit log filtered by time range, with
+ * the same query parameters as a dataset (see service/query) together with:
+ *  - from=<timestamp>           Revisions made at or after the ISO 8601 timestamp.
+ *  - to=<timestamp>             Revisions made before the ISO 8601 timestamp.
+ */
+
+const timeParams = ["from", "to"];
+
+const actions = {
+  created: "created",
+  updated: "updated",
+  deleted: "deleted",
+  restored: "restored",
+};
+
+/**
+ * Error raised when a history query is invalid.
+ */
+class HistoryError extends ValidationError {
+  constructor(message) {
+    super(message);
+    this.name = "HistoryError";
+  }
+}
+
+/**
+ * Provide the namespace of the dataset holding the history of the specified namespace.
+ * @function historyNamespace
+ * @param {string} namespace - Unique namespace of the dataset
+ * @returns History namespace
+ */
+const historyNamespace = (namespace) => `_history.${namespace}`;
+
+/**
+ * Record the revisions made by a single request.
+ * @function record
+ * @param {object} repository - Repository storing the history
+ * @param {string} namespace - Unique namespace of the changed dataset
+ * @param {object} identity - Authenticated identity which made the changes, or null for anonymous requests
+ * @param {Array<{dataId: string, action: string, before: object, after: object}>} changes - Changes made, the
+ * data object before (null if created) and after (null if deleted) each change
+ * @param {function(Error):void} callback - Callback once the revisions are stored.
+ */
+const record = (repository, namespace, identity, changes, callback) => {
+  if (changes.length === 0) {
+    callback(null);
+    return;
+  }
+
+  const timestamp = new Date().toISOString();
+  const operations = changes.map((change) => ({
+    op: "create",
+    data: {
+      ...change,
+      dataId: String(change.dataId),
+      timestamp: timestamp,
+      identity: identity ? identity.subject : null,
+    },
+  }));
+  repository.batch(historyNamespace(namespace), operations, false, (err) =>
+    callback(err)
+  );
+};
+
+/**
+ * Present a stored revision, addressed by its identifier.
+ * @function present
+ * @param {object} stored - Stored revision
+ * @returns Revision
+ */
+const present = (stored) => {
+  const { _id, [versionField]: version, ...revision } = stored;
+  return { revision: String(_id), ...revision };
+};
+
+/**
+ * Parse an ISO 8601 timestamp query parameter.
+ * @function parseTime
+ * @param {string} name - Query parameter name
+ * @param {string} raw - Raw query parameter value
+ * @returns Normalised timestamp, comparable with those of the stored revisions
+ */
+const parseTime = (name, raw) => {
+  if (typeof raw !== "string" || isNaN(Date.parse(raw))) {
+    throw new HistoryError(
+      `Query parameter '${name}' must be an ISO 8601 timestamp`
+    );
+  }
+  return new Date(raw).toISOString();
+};
+
+/**
+ * Parse Express request query parameters into a query of the history dataset.
+ * Revisions are listed in the order they were made unless another sort order is specified.
+ * @function parseHistoryQuery
+ * @param {object} params - Express request query parameters
+ * @param {string} dataId - Data identifier to list the revisions of, or null for every data object
+ * @returns Dataset query
+ */
+const parseHistoryQuery = (params, dataId) => {
+  const rest = { ...params };
+  timeParams.forEach((name) => delete rest[name]);
+  if (dataId !== null) {
+    delete rest.dataId;
+  }
+
+  const query = parseQuery(rest);
+  if (params.from !== undefined) {
+    query.filter.push({
+      field: "timestamp",
+      op: "gte",
+      values: [parseTime("from", params.from)],
+    });
+  }
+  if (params.to !== undefined) {
+    query.filter.push({
+      field: "timestamp",
+      op: "lt",
+      values: [parseTime("to", params.to)],
+    });
+  }
+  if (dataId !== null) {
+    query.filter.push({ field: "dataId", op: "eq", values: [String(dataId)] });
+  }
+  if (query.sort.length === 0) {
+    query.sort = [
+      { field: "timestamp", direction: 1 },
+      { field: "_id", direction: 1 },
+    ];
+  }
+  return query;
+};
+
+/**
+ * Provide the revisions of a namespace matching the specified query.
+ * @function read
+ * @param {object} repository - Repository storing the history
+ * @param {string} namespace - Unique namespace of the dataset
+ * @param {object} query - History query, see parseHistoryQuery
+ * @param {function(Error,{items: Array, total: number}):void} callback - Callback with the page of revisions and total match count
+ */
+const read = (repository, namespace, query, callback) => {
+  repository.read(historyNamespace(namespace), query, (err, result) =>
+    callback(
+      err,
+      err ? null : { items: result.items.map(present), total: result.total }
+    )
+  );
+};
+
+/**
+ * Provide a single revision of a data object.
+ * The callback receives a null revision if the revision does not exist or is not a revision of the data object.
+ * @function get
+ * @param {object} repository - Repository storing the history
+ * @param {string} namespace - Unique namespace of the dataset
+ * @param {string} dataId - Data identifier
+ * @param {string} revision - Revision identifier
+ * @param {function(Error,object):void} callback - Callback with the revision.
+ */
+const get = (repository, namespace, dataId, revision, callback) => {
+  // The history dataset is queried rather than addressed by identifier, as not every repository accepts any
+  // identifier (i.e. MongoDB only accepts ObjectIDs).
+  const query = parseQuery({ _id: revision });
+  query.filter.push({ field: "dataId", op: "eq", values: [String(dataId)] });
+  read(repository, namespace, query, (err, result) =>
+    callback(err, err || result.items.length === 0 ? null : result.items[0])
+  );
+};
+
+module.exports = {
+  actions: actions,
+  HistoryError: HistoryError,
+  historyNamespace: historyNamespace,
+  record: record,
+  parseHistoryQuery: parseHistoryQuery,
+  read: read,
+  get: get,
+};
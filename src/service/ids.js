@@ -0,0 +1,178 @@
+const crypto = require("crypto");
+const { ValidationError, ConflictError } = require("./errors");
+
+/**
+ * Module defining how the identifiers of data objects created within a namespace are generated, shared by the
+ * repositories so every route creating data objects (create, batch and import) gives the same identifiers.
+ * The strategy is a namespace setting (see service/namespace), each repository falling back to its own default:
+ *  - increment: Sequential integers, starting at 1 and never reusing an identifier in use.
+ *  - uuid:      Random RFC 4122 version 4 UUIDs.
+ *  - ulid:      ULIDs, 26 character identifiers which sort by creation time to the millisecond.
+ *  - objectid:  24 hex digit MongoDB ObjectIDs, which sort by creation time to the second.
+ *  - natural:   A natural key taken from the body field named by the 'idField' setting, which must hold a string or
+ *               number. The field of a data object must then always match its identifier.
+ *
+ * Data objects may be created or replaced against any identifier through PUT, whichever the strategy.
+ */
+
+const strategies = ["increment", "uuid", "ulid", "objectid", "natural"];
+
+const ulidAlphabet = "0123456789ABCDEFGHJKMNPQRSTVWXYZ";
+
+// ObjectIDs are unique per process through a random process value and an incrementing counter.
+const processValue = crypto.randomBytes(5).toString("hex");
+let objectIdCounter = crypto.randomBytes(3).readUIntBE(0, 3);
+
+/**
+ * Error raised when a data object does not hold a valid identifier for the strategy of its namespace.
+ */
+class IdError extends ValidationError {
+  constructor(message) {
+    super(message);
+    this.name = "IdError";
+  }
+}
+
+/**
+ * Error raised by a repository when creating a data object with an identifier which is already in use.
+ */
+class IdExistsError extends ConflictError {
+  constructor(id) {
+    super(`Object '${id}' already exists`);
+    this.name = "IdExistsError";
+    this.id = id;
+  }
+}
+
+/**
+ * Provide the identifier strategy of a namespace.
+ * @function idStrategy
+ * @param {object} settings - Namespace settings
+ * @param {string} fallback - Strategy of the repository, used when the namespace does not set one
+ * @returns Identifier strategy
+ */
+const idStrategy = (settings, fallback) =>
+  (settings && settings.idStrategy) || fallback;
+
+/**
+ * Generate a ULID for the specified time.
+ * @function ulid
+ * @param {number} time - Milliseconds since the epoch
+ * @returns ULID
+ */
+const ulid = (time) => {
+  let encoded = "";
+  for (let remaining = time, i = 0; i < 10; i++) {
+    encoded = ulidAlphabet[remaining % 32] + encoded;
+    remaining = Math.floor(remaining / 32);
+  }
+  // 256 is a multiple of 32, so each random character is uniformly distributed.
+  for (const byte of crypto.randomBytes(16)) {
+    encoded += ulidAlphabet[byte % 32];
+  }
+  return encoded;
+};
+
+/**
+ * Generate an ObjectID hex string for the specified time.
+ * @function objectId
+ * @param {number} time - Milliseconds since the epoch
+ * @returns ObjectID hex string
+ */
+const objectId = (time) => {
+  objectIdCounter = (objectIdCounter + 1) % 0x1000000;
+  return (
+    Math.floor(time / 1000)
+      .toString(16)
+      .padStart(8, "0") +
+    processValue +
+    objectIdCounter.toString(16).padStart(6, "0")
+  );
+};
+
+/**
+ * Provide the natural key held by a data object.
+ * @function naturalKey
+ * @param {object} settings - Namespace settings
+ * @param {object} data - Data object
+ * @returns Data identifier
+ * @throws {IdError} If the data object does not hold a natural key.
+ */
+const naturalKey = (settings, data) => {
+  const value = data[settings.idField];
+  if ((typeof value !== "string" || value === "") && !Number.isFinite(value)) {
+    throw new IdError(
+      `Field '${settings.idField}' must hold the object identifier`
+    );
+  }
+  return String(value);
+};
+
+/**
+ * Generate the identifier of a data object created within a namespace.
+ * @function generateId
+ * @param {object} settings - Namespace settings
+ * @param {string} fallback - Strategy of the repository, used when the namespace does not set one
+ * @param {object} data - Data object being created
+ * @param {function():*} increment - Provides the next sequential identifier, as only the repository can
+ * @returns Data identifier, or whatever the increment function returns
+ * @throws {IdError} If the data object does not hold a natural key.
+ */
+const generateId = (settings, fallback, data, increment) => {
+  switch (idStrategy(settings, fallback)) {
+    case "increment":
+      return increment();
+    case "uuid":
+      return crypto.randomUUID();
+    case "ulid":
+      return ulid(Date.now());
+    case "objectid":
+      return objectId(Date.now());
+    default:
+      return naturalKey(settings, data);
+  }
+};
+
+/**
+ * Provide the identifier a data object is stored with. Identifiers arrive as strings from request paths but as
+ * numbers from the 'increment' strategy, so integers of up to 15 digits are stored as numbers whichever route writes
+ * them, and sorting or filtering on the identifier compares one type.
+ * @function storedId
+ * @param {string|number} id - Data identifier
+ * @returns Numeric identifier for an integer, otherwise the identifier as given
+ */
+const storedId = (id) =>
+  typeof id === "string" && /^(0|[1-9]\d{0,14})$/.test(id) ? Number(id) : id;
+
+/**
+ * Verify a data object written against the specified identifier is consistent with the strategy of its namespace.
+ * The natural key of a data object, when present, must match its identifier.
+ * @function verifyId
+ * @param {object} settings - Namespace settings
+ * @param {string} id - Data identifier
+ * @param {object} data - Data object
+ * @throws {IdError} If the natural key does not match the identifier.
+ */
+const verifyId = (settings, id, data) => {
+  if (
+    idStrategy(settings, null) === "natural" &&
+    data[settings.idField] !== undefined &&
+    String(data[settings.idField]) !== String(id)
+  ) {
+    throw new IdError(
+      `Field '${settings.idField}' must match the object identifier '${id}'`
+    );
+  }
+};
+
+module.exports = {
+  strategies: strategies,
+  IdError: IdError,
+  IdExistsError: IdExistsError,
+  idStrategy: idStrategy,
+  ulid: ulid,
+  objectId: objectId,
+  generateId: generateId,
+  storedId: storedId,
+  verifyId: verifyId,
+};
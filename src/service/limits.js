@@ -0,0 +1,250 @@
+const config = require("../config/limits");
+const layers = require("../config/layers");
+const auth = require("./auth");
+const tenants = require("./tenants");
+const { ServiceError } = require("./errors");
+
+/**
+ * Module limiting the rate of requests, each limit being a token bucket per key. A bucket holds up to its burst of
+ * tokens and refills at the configured rate per second, each request taking a token. Requests finding the bucket
+ * empty are rejected with a RateLimitError (429 Too Many Requests). Three limits apply:
+ *  - Tenant: Every request addressing a tenant, shared by its clients, at the rateLimit setting of the tenant (see
+ *    service/tenants) requests per second.
+ *  - Client: Every request of a client, keyed by the subject of its authenticated identity (i.e. its API key) within
+ *    its tenant, or the client address for anonymous requests. config.rateLimit requests per second.
+ *  - Namespace: Writes to a namespace, shared by every client, as each write costs the repository (the fs-repository
+ *    rewrites the dataset). config.namespaceRateLimit writes per second.
+ * A limit with a rate of 0 is disabled. Limited responses carry the RateLimit-Limit, RateLimit-Remaining and
+ * RateLimit-Reset headers of the limit closest to rejecting the request, and rejections a Retry-After header.
+ * The client and namespace limits are created afresh, with empty buckets, when their configuration is reloaded.
+ */
+
+// Interval between sweeps discarding the buckets which have refilled, as they are identical to new buckets.
+const sweepInterval = 60000;
+const readMethods = ["GET", "HEAD", "OPTIONS"];
+
+/**
+ * Error raised when a request exceeds a rate limit.
+ */
+class RateLimitError extends ServiceError {
+  constructor(message, retryAfter) {
+    super(message, 429);
+    this.name = "RateLimitError";
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Create a rate limit.
+ * @function createLimit
+ * @param {string} name - Name of the limit, reported when a request exceeds it
+ * @param {number} rate - Tokens added to each bucket per second, 0 to disable the limit
+ * @param {number} burst - Tokens each bucket holds
+ * @returns Rate limit, or null when disabled.
+ */
+const createLimit = (name, rate, burst) =>
+  rate > 0
+    ? {
+        name: name,
+        rate: rate,
+        burst: Math.max(1, burst),
+        buckets: new Map(),
+        swept: Date.now(),
+      }
+    : null;
+
+const limits = {
+  client: createLimit("Client", config.rateLimit, config.rateLimitBurst),
+  namespace: createLimit(
+    "Namespace",
+    config.namespaceRateLimit,
+    config.namespaceRateLimitBurst
+  ),
+};
+layers.onReload((changed) => {
+  if (changed.some((property) => /^limits\.rateLimit/.test(property))) {
+    limits.client = createLimit(
+      "Client",
+      config.rateLimit,
+      config.rateLimitBurst
+    );
+  }
+  if (
+    changed.some((property) => /^limits\.namespaceRateLimit/.test(property))
+  ) {
+    limits.namespace = createLimit(
+      "Namespace",
+      config.namespaceRateLimit,
+      config.namespaceRateLimitBurst
+    );
+  }
+});
+// Limit of each tenant with a rate limit setting, created afresh when the setting changes.
+const tenantLimits = new Map();
+
+/**
+ * Provide the rate limit of a tenant.
+ * @function tenantLimit
+ * @param {string} tenant - Tenant name, or null for the default tenant
+ * @returns Rate limit, or null when the tenant has none.
+ */
+const tenantLimit = (tenant) => {
+  const rate = tenant ? tenants.rateLimit(tenant) : null;
+  if (!rate) {
+    tenantLimits.delete(tenant);
+    return null;
+  }
+  if (!tenantLimits.has(tenant) || tenantLimits.get(tenant).rate !== rate) {
+    tenantLimits.set(
+      tenant,
+      createLimit("Tenant", rate, Math.max(1, Math.ceil(rate)))
+    );
+  }
+  return tenantLimits.get(tenant);
+};
+
+/**
+ * Provide the tokens held by a bucket, refilled for the time elapsed since it was last used.
+ * @function refill
+ * @param {object} limit - Rate limit
+ * @param {object} bucket - Token bucket
+ * @param {number} now - Current time in milliseconds
+ * @returns Tokens held
+ */
+const refill = (limit, bucket, now) =>
+  Math.min(
+    limit.burst,
+    bucket.tokens + ((now - bucket.updated) / 1000) * limit.rate
+  );
+
+/**
+ * Take a token from the bucket of the specified key.
+ * @function take
+ * @param {object} limit - Rate limit
+ * @param {string} key - Bucket key
+ * @returns State of the bucket, the 'limit' (burst), whether the request is 'allowed', the tokens 'remaining', and
+ *   the seconds until the bucket is full ('reset') and until a token is available ('retryAfter').
+ */
+const take = (limit, key) => {
+  const now = Date.now();
+  if (now - limit.swept >= sweepInterval) {
+    limit.buckets.forEach((bucket, bucketKey) => {
+      if (refill(limit, bucket, now) >= limit.burst) {
+        limit.buckets.delete(bucketKey);
+      }
+    });
+    limit.swept = now;
+  }
+
+  const bucket = limit.buckets.get(key) || {
+    tokens: limit.burst,
+    updated: now,
+  };
+  bucket.tokens = refill(limit, bucket, now);
+  bucket.updated = now;
+  const allowed = bucket.tokens >= 1;
+  if (allowed) {
+    bucket.tokens -= 1;
+  }
+  limit.buckets.set(key, bucket);
+
+  return {
+    limit: limit.burst,
+    allowed: allowed,
+    remaining: Math.floor(bucket.tokens),
+    reset: Math.ceil((limit.burst - bucket.tokens) / limit.rate),
+    retryAfter: allowed ? 0 : Math.ceil((1 - bucket.tokens) / limit.rate),
+  };
+};
+
+/**
+ * Take a token for a request, reporting the state of the bucket within the response headers unless another limit
+ * already reported a bucket with fewer tokens remaining.
+ * @function limitRequest
+ * @param {object} limit - Rate limit
+ * @param {string} key - Bucket key
+ * @param {Response} res - Express response object instance
+ * @param {function} next - Invoke the next middleware, or the error handling middleware
+ */
+const limitRequest = (limit, key, res, next) => {
+  const state = take(limit, key);
+  const reported = res.get("RateLimit-Remaining");
+  if (reported === undefined || state.remaining < parseInt(reported)) {
+    res.set({
+      "RateLimit-Limit": state.limit,
+      "RateLimit-Remaining": state.remaining,
+      "RateLimit-Reset": state.reset,
+    });
+  }
+
+  if (!state.allowed) {
+    res.set("Retry-After", state.retryAfter);
+    next(
+      new RateLimitError(
+        `${limit.name} rate limit exceeded, retry after ${state.retryAfter} seconds`,
+        state.retryAfter
+      )
+    );
+    return;
+  }
+  next();
+};
+
+/**
+ * Express middleware limiting the rate of requests of each tenant, then of each client. Follows authentication and
+ * the tenant resolution, as authenticated clients are identified by their subject within their tenant.
+ * @function client
+ * @param {Request} req - Express request object instance
+ * @param {Response} res - Express response object instance
+ * @param {function} next - Invoke the next middleware
+ */
+const client = (req, res, next) => {
+  const limitClient = (err) => {
+    if (err || !limits.client) {
+      next(err);
+      return;
+    }
+    limitRequest(
+      limits.client,
+      req.identity
+        ? `subject:${tenants.qualify(req.tenant, req.identity.subject)}`
+        : `address:${req.ip}`,
+      res,
+      next
+    );
+  };
+
+  const limit = tenantLimit(req.tenant);
+  if (limit) {
+    limitRequest(limit, req.tenant, res, limitClient);
+  } else {
+    limitClient();
+  }
+};
+
+/**
+ * Express parameter middleware limiting the rate of writes to the addressed namespace. Only writes the identity is
+ * permitted to make are counted, so clients without the permission cannot exhaust the limit for others.
+ * @function namespace
+ * @param {Request} req - Express request object instance
+ * @param {Response} res - Express response object instance
+ * @param {function} next - Invoke the next middleware
+ * @param {string} name - Addressed namespace
+ */
+const namespace = (req, res, next, name) => {
+  if (
+    !limits.namespace ||
+    readMethods.includes(req.method) ||
+    auth.authorization(req.identity, name, "write")
+  ) {
+    next();
+    return;
+  }
+  limitRequest(limits.namespace, tenants.qualify(req.tenant, name), res, next);
+};
+
+module.exports = {
+  RateLimitError: RateLimitError,
+  client: client,
+  namespace: namespace,
+};
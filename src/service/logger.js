@@ -0,0 +1,112 @@
+const { AsyncLocalStorage } = require("async_hooks");
+const config = require("../config/logging");
+
+/**
+ * Module writing the service log, a line per entry to stdout. Entries are JSON objects by default:
+ *   {"time":"2021-03-01T09:00:00.000Z","level":"info","message":"Compacting dataset tasks","requestId":"5f0c6d3e-..."}
+ * or readable text lines with LOG_FORMAT=text. Entries below LOG_LEVEL (error, warn, info or debug) are discarded.
+ * Entries written whilst a request is handled carry its request id, including those written by the repository
+ * callbacks the request leads to, as the id follows the asynchronous operations the request starts.
+ */
+
+const levels = { error: 0, warn: 1, info: 2, debug: 3 };
+
+// Context of the request being handled, available to every asynchronous operation it starts.
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Format an entry as a line of the configured format.
+ * @function format
+ * @param {object} entry - Log entry, with its time, level and message
+ * @returns Log line
+ */
+const format = (entry) => {
+  if (config.format !== "text") {
+    return JSON.stringify(entry);
+  }
+  const { time, level, message, requestId, ...fields } = entry;
+  const values = Object.keys(fields).map(
+    (name) => `${name}=${JSON.stringify(fields[name])}`
+  );
+  return [
+    time,
+    level.toUpperCase().padEnd(5),
+    requestId ? `[${requestId}]` : null,
+    message,
+    ...values,
+  ]
+    .filter((part) => part !== null)
+    .join(" ");
+};
+
+/**
+ * Write an entry to the log, if its level is enabled.
+ * @function log
+ * @param {string} level - Entry level, one of error, warn, info or debug
+ * @param {string} message - Entry message
+ * @param {object} fields - Further properties of the entry
+ */
+const log = (level, message, fields = {}) => {
+  // The level is read for each entry, as it changes when the configuration is reloaded.
+  const threshold = config.level in levels ? levels[config.level] : levels.info;
+  if (levels[level] > threshold) {
+    return;
+  }
+  const context = requestContext.getStore();
+  const entry = {
+    time: new Date().toISOString(),
+    level: level,
+    message: message,
+    ...(context ? { requestId: context.requestId } : {}),
+    ...fields,
+  };
+  process.stdout.write(`${format(entry)}\n`);
+};
+
+/**
+ * Express middleware running the rest of the request within its context, so log entries carry its request id.
+ * Requires req.id to be set beforehand. The context does not follow stream events, so the middleware follows body
+ * parsing.
+ * @function context
+ */
+const context = (req, res, next) =>
+  requestContext.run({ requestId: req.id }, next);
+
+/**
+ * Create Express middleware writing an access log entry once each request completes, with the method, the path of
+ * the route which handled it, the namespace, the status and the duration in milliseconds.
+ * @function accessLog
+ * @param {string} namespaceParam - Name of the namespace route parameter
+ * @returns Express middleware
+ */
+const accessLog = (namespaceParam) => (req, res, next) => {
+  if (!config.accessLog) {
+    next();
+    return;
+  }
+  const started = process.hrtime.bigint();
+  res.on("close", () =>
+    // The response closes outside the request context, so the request id is given explicitly.
+    log("info", `${req.method} ${req.path} ${res.statusCode}`, {
+      type: "access",
+      requestId: req.id,
+      method: req.method,
+      route: req.route ? req.route.path : "unmatched",
+      namespace: (req.route && req.params[namespaceParam]) || "",
+      status: res.statusCode,
+      // A response closed before it completed was aborted, i.e. the client disconnected.
+      aborted: !res.writableFinished,
+      duration: Number(process.hrtime.bigint() - started) / 1e6,
+    })
+  );
+  next();
+};
+
+module.exports = {
+  error: (message, fields) => log("error", message, fields),
+  warn: (message, fields) => log("warn", message, fields),
+  info: (message, fields) => log("info", message, fields),
+  debug: (message, fields) => log("debug", message, fields),
+  context: context,
+  accessLog: accessLog,
+};
@@ -0,0 +1,249 @@
+/**
+ * Module collecting service metrics, rendered in the Prometheus text exposition format.
+ * Requests are counted and timed per route and namespace, and repository operations are timed and their errors
+ * counted per operation and namespace. Gauges are registered with a function providing their current value.
+ */
+
+const contentType = "text/plain; version=0.0.4; charset=utf-8";
+
+// Latency histogram bucket upper bounds, in seconds.
+const durationBuckets = [
+  0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10,
+];
+
+// Repository operations which are instrumented, each taking the namespace first and a callback last.
+const repositoryOperations = [
+  "create",
+  "read",
+  "get",
+  "update",
+  "patch",
+  "delete",
+  "batch",
+  "scan",
+];
+
+const registry = new Map();
+
+/**
+ * Register a metric.
+ * @function register
+ * @param {string} name - Metric name
+ * @param {string} help - Description of the metric
+ * @param {string} type - Metric type, one of 'counter', 'gauge' or 'histogram'
+ * @param {object} options - Histogram 'buckets', or gauge 'collect' function
+ * @returns Metric
+ */
+const register = (name, help, type, options) => {
+  const metric = {
+    name: name,
+    help: help,
+    type: type,
+    series: new Map(),
+    ...options,
+  };
+  registry.set(name, metric);
+  return metric;
+};
+
+const counter = (name, help) => register(name, help, "counter", {});
+
+const histogram = (name, help) =>
+  register(name, help, "histogram", { buckets: durationBuckets });
+
+/**
+ * Register a gauge, whose value is collected when the metrics are rendered.
+ * @function gauge
+ * @param {string} name - Metric name
+ * @param {string} help - Description of the metric
+ * @param {function():number} collect - Provides the current value
+ */
+const gauge = (name, help, collect) => {
+  register(name, help, "gauge", { collect: collect });
+};
+
+const requests = counter(
+  "mydata_http_requests_total",
+  "HTTP requests handled, by method, route, namespace and status"
+);
+const requestDuration = histogram(
+  "mydata_http_request_duration_seconds",
+  "HTTP request latency, by method, route and namespace"
+);
+const operationDuration = histogram(
+  "mydata_repository_operation_duration_seconds",
+  "Repository operation latency, by operation and namespace"
+);
+const operationErrors = counter(
+  "mydata_repository_errors_total",
+  "Repository operations failing with an error, by operation, namespace and error"
+);
+
+/**
+ * Provide the series of a metric with the specified label values, creating it on first use.
+ * @function series
+ * @param {object} metric - Registered metric
+ * @param {object} labels - Label values
+ * @returns Metric series
+ */
+const series = (metric, labels) => {
+  const key = JSON.stringify(labels);
+  if (!metric.series.has(key)) {
+    metric.series.set(key, {
+      labels: labels,
+      value: 0,
+      buckets: metric.buckets ? metric.buckets.map(() => 0) : null,
+      sum: 0,
+    });
+  }
+  return metric.series.get(key);
+};
+
+const increment = (metric, labels) => {
+  series(metric, labels).value++;
+};
+
+/**
+ * Record an observation of a histogram.
+ * @function observe
+ * @param {object} metric - Registered histogram
+ * @param {object} labels - Label values
+ * @param {number} value - Observed value
+ */
+const observe = (metric, labels, value) => {
+  const observed = series(metric, labels);
+  metric.buckets.forEach((bound, index) => {
+    if (value <= bound) {
+      observed.buckets[index]++;
+    }
+  });
+  observed.sum += value;
+  observed.value++;
+};
+
+/**
+ * Measure the time elapsed since the specified start time.
+ * @function elapsed
+ * @param {bigint} started - Start time from process.hrtime.bigint()
+ * @returns Elapsed time in seconds
+ */
+const elapsed = (started) => Number(process.hrtime.bigint() - started) / 1e9;
+
+/**
+ * Create Express middleware to count and time each request.
+ * Requests are labelled with the path of the route which handled them, rather than the requested URL, so the
+ * number of series is bounded by the routes and namespaces.
+ * @function requestMetrics
+ * @param {string} namespaceParam - Name of the namespace route parameter
+ * @returns Express middleware
+ */
+const requestMetrics = (namespaceParam) => (req, res, next) => {
+  const started = process.hrtime.bigint();
+  res.on("close", () => {
+    const labels = {
+      method: req.method,
+      route: req.route ? req.route.path : "unmatched",
+      namespace: (req.route && req.params[namespaceParam]) || "",
+    };
+    observe(requestDuration, labels, elapsed(started));
+    increment(requests, { ...labels, status: String(res.statusCode) });
+  });
+  next();
+};
+
+/**
+ * Wrap the operations of a repository, so each one is timed and its errors counted.
+ * @function instrument
+ * @param {object} repository - Repository to instrument
+ * @returns Repository with instrumented operations
+ */
+const instrument = (repository) => {
+  const instrumented = { ...repository };
+  repositoryOperations
+    .filter((operation) => typeof repository[operation] === "function")
+    .forEach((operation) => {
+      instrumented[operation] = (namespace, ...args) => {
+        const callback = args.pop();
+        const started = process.hrtime.bigint();
+        repository[operation](namespace, ...args, (err, ...results) => {
+          const labels = { operation: operation, namespace: namespace };
+          observe(operationDuration, labels, elapsed(started));
+          if (err) {
+            increment(operationErrors, { ...labels, error: err.name });
+          }
+          callback(err, ...results);
+        });
+      };
+    });
+  return instrumented;
+};
+
+/**
+ * Format label values, escaping them as the exposition format requires.
+ * @function formatLabels
+ * @param {object} labels - Label values
+ * @returns Formatted labels
+ */
+const formatLabels = (labels) => {
+  const pairs = Object.keys(labels).map(
+    (name) =>
+      `${name}="${String(labels[name])
+        .replace(/\\/g, "\\\\")
+        .replace(/"/g, '\\"')
+        .replace(/\n/g, "\\n")}"`
+  );
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+};
+
+/**
+ * Render the lines of a metric.
+ * @function renderMetric
+ * @param {object} metric - Registered metric
+ * @returns Metric lines
+ */
+const renderMetric = (metric) => {
+  const lines = [
+    `# HELP ${metric.name} ${metric.help}`,
+    `# TYPE ${metric.name} ${metric.type}`,
+  ];
+
+  if (metric.collect) {
+    lines.push(`${metric.name} ${metric.collect()}`);
+  }
+  metric.series.forEach((observed) => {
+    if (!metric.buckets) {
+      lines.push(
+        `${metric.name}${formatLabels(observed.labels)} ${observed.value}`
+      );
+      return;
+    }
+
+    metric.buckets.forEach((bound, index) =>
+      lines.push(
+        `${metric.name}_bucket${formatLabels({ ...observed.labels, le: bound })} ${observed.buckets[index]}`
+      )
+    );
+    lines.push(
+      `${metric.name}_bucket${formatLabels({ ...observed.labels, le: "+Inf" })} ${observed.value}`,
+      `${metric.name}_sum${formatLabels(observed.labels)} ${observed.sum}`,
+      `${metric.name}_count${formatLabels(observed.labels)} ${observed.value}`
+    );
+  });
+  return lines;
+};
+
+/**
+ * Render every registered metric in the Prometheus text exposition format.
+ * @function render
+ * @returns Metrics text
+ */
+const render = () =>
+  `${[...registry.values()].map((metric) => renderMetric(metric).join("\n")).join("\n")}\n`;
+
+module.exports = {
+  contentType: contentType,
+  gauge: gauge,
+  requestMetrics: requestMetrics,
+  instrument: instrument,
+  render: render,
+};
@@ -0,0 +1,285 @@
+const crypto = require("crypto");
+const serverConfig = require("../config/server");
+const { versionField } = require("./version");
+
+/**
+ * Module migrating namespaces, with their settings and data objects, from a source repository to a target
+ * repository. Data objects are copied as the source repository scans each namespace, and written to the target
+ * repository in batches of serverConfig.batchLimit update operations, so they keep their identifiers and a dataset
+ * is never held in memory. Every repository versions the data objects it stores, so migrated data objects start
+ * again at version 1.
+ *
+ * A namespace which already exists within the target repository is skipped, unless the migration overwrites it,
+ * in which case the data objects which are not within the source repository are deleted from the target. An update
+ * replaces the data object within every repository, so an overwritten data object keeps no field the source lacks.
+ *
+ * Each namespace is verified by comparing its settings, object count and checksum within both repositories. The
+ * checksum combines a SHA-256 digest of each data object, as JSON with its keys sorted and a string identifier
+ * and without its version, independently of the order the repository scans them in.
+ */
+
+// Batch outcomes of the data objects written to the target repository.
+const writtenOutcomes = ["created", "updated", "deleted"];
+
+/**
+ * Invoke a repository operation.
+ * @function call
+ * @param {function} operation - Repository operation, taking a callback last
+ * @param {...*} args - Operation arguments, preceding the callback
+ * @returns Promise resolving the operation result
+ */
+const call = (operation, ...args) =>
+  new Promise((resolve, reject) =>
+    operation(...args, (err, result) => (err ? reject(err) : resolve(result)))
+  );
+
+/**
+ * Write a value as JSON with the keys of every object sorted, so equal values are written identically.
+ * @function canonical
+ * @param {*} value - JSON value
+ * @returns JSON text
+ */
+const canonical = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonical).join(",")}]`;
+  }
+  if (value !== null && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${canonical(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * Compute the checksum of the data objects within a namespace.
+ * @function checksum
+ * @param {object} repository - Repository holding the namespace
+ * @param {string} namespace - Unique namespace of the dataset
+ * @returns Promise resolving the object 'count' and the 'checksum' as hexadecimal
+ */
+const checksum = async (repository, namespace) => {
+  const combined = Buffer.alloc(32);
+  let count = 0;
+  await call(repository.scan, namespace, async (data) => {
+    const { [versionField]: version, ...fields } = data;
+    const digest = crypto
+      .createHash("sha256")
+      .update(canonical({ ...fields, _id: String(data._id) }))
+      .digest();
+    digest.forEach((byte, index) => (combined[index] ^= byte));
+    count++;
+  });
+  return {
+    count: count,
+    checksum: crypto
+      .createHash("sha256")
+      .update(`${count}:`)
+      .update(combined)
+      .digest("hex"),
+  };
+};
+
+/**
+ * Copy the data objects of a namespace to the target repository.
+ * @function copy
+ * @param {object} source - Repository to migrate from
+ * @param {object} target - Repository to migrate to
+ * @param {string} namespace - Unique namespace of the dataset
+ * @param {function(number):void} onCopied - Receives the number of data objects copied so far
+ * @returns Promise resolving the identifiers copied, as strings, and the identifiers which 'failed' to be written
+ */
+const copy = async (source, target, namespace, onCopied) => {
+  const copied = new Set();
+  const failed = [];
+  let operations = [];
+
+  const flush = async () => {
+    const results = await call(target.batch, namespace, operations, false);
+    results.forEach((result, index) =>
+      writtenOutcomes.includes(result.outcome)
+        ? copied.add(String(operations[index].id))
+        : failed.push(operations[index].id)
+    );
+    operations = [];
+    onCopied(copied.size);
+  };
+
+  await call(source.scan, namespace, async (data) => {
+    operations.push({
+      op: "update",
+      id: data._id,
+      // The target repository gives the data object its own version, which must not change the source.
+      data: JSON.parse(JSON.stringify(data)),
+      ifMatch: null,
+    });
+    if (operations.length >= serverConfig.batchLimit) {
+      await flush();
+    }
+  });
+  if (operations.length > 0) {
+    await flush();
+  }
+  return { copied: copied, failed: failed };
+};
+
+/**
+ * Delete the data objects of a namespace within the target repository which were not copied.
+ * @function prune
+ * @param {object} target - Repository migrated to
+ * @param {string} namespace - Unique namespace of the dataset
+ * @param {Set<string>} copied - Identifiers copied
+ * @returns Promise resolving the number of data objects deleted
+ */
+const prune = async (target, namespace, copied) => {
+  const extra = [];
+  await call(target.scan, namespace, async (data) => {
+    if (!copied.has(String(data._id))) {
+      extra.push(data._id);
+    }
+  });
+  let deleted = 0;
+  for (let start = 0; start < extra.length; start += serverConfig.batchLimit) {
+    const results = await call(
+      target.batch,
+      namespace,
+      extra
+        .slice(start, start + serverConfig.batchLimit)
+        .map((id) => ({ op: "delete", id: id, ifMatch: null })),
+      false
+    );
+    deleted += results.filter((result) => result.outcome === "deleted").length;
+  }
+  return deleted;
+};
+
+/**
+ * Compare a namespace within both repositories.
+ * @function verify
+ * @param {object} source - Repository to migrate from
+ * @param {object} target - Repository to migrate to
+ * @param {string} namespace - Unique namespace of the dataset
+ * @returns Promise resolving the 'source' and 'target' checksums, and whether the namespace is 'verified'
+ */
+const verify = async (source, target, namespace) => {
+  const sourceSum = await checksum(source, namespace);
+  const targetSum = await checksum(target, namespace);
+  const sourceSettings = await call(source.getSettings, namespace);
+  const targetSettings = await call(target.getSettings, namespace);
+  return {
+    source: sourceSum,
+    target: targetSum,
+    verified:
+      sourceSum.checksum === targetSum.checksum &&
+      canonical(sourceSettings) === canonical(targetSettings),
+  };
+};
+
+/**
+ * Migrate a namespace.
+ * @function migrateNamespace
+ * @param {object} source - Repository to migrate from
+ * @param {object} target - Repository to migrate to
+ * @param {{name: string, count: number}} namespace - Namespace, as the source repository lists it
+ * @param {{dryRun: boolean, overwrite: boolean, verify: boolean}} options - Migration options
+ * @param {function(object):void} onProgress - Receives the 'namespace', the number of objects 'copied' and the
+ *   'total' to copy as the migration progresses
+ * @returns Promise resolving the namespace report
+ */
+const migrateNamespace = async (
+  source,
+  target,
+  namespace,
+  options,
+  onProgress
+) => {
+  const name = namespace.name;
+  const report = { namespace: name, objects: namespace.count };
+  const exists = (await call(target.getSettings, name)) !== null;
+
+  if (exists && !options.overwrite) {
+    report.status = "exists";
+  } else if (options.dryRun) {
+    report.status = exists ? "overwrite" : "migrate";
+  } else {
+    const settings = await call(source.getSettings, name);
+    // The namespace is only made read-only, if it is, once its data objects are copied.
+    await call(target.putSettings, name, { ...settings, readOnly: false });
+    const { copied, failed } = await copy(source, target, name, (count) =>
+      onProgress({ namespace: name, copied: count, total: namespace.count })
+    );
+    report.copied = copied.size;
+    report.failed = failed;
+    report.deleted = exists ? await prune(target, name, copied) : 0;
+    await call(target.putSettings, name, settings);
+    report.status = "migrated";
+  }
+
+  if (options.verify && (exists || !options.dryRun)) {
+    const verification = await verify(source, target, name);
+    report.checksum = verification.source.checksum;
+    report.targetChecksum = verification.target.checksum;
+    report.verified = verification.verified;
+  }
+  return report;
+};
+
+/**
+ * Migrate namespaces from a source repository to a target repository, one namespace at a time.
+ * A dry run reports what would be migrated without writing to the target repository, and, when verifying, whether
+ * the namespaces which already exist within it match the source repository.
+ * @function migrate
+ * @param {object} source - Repository to migrate from
+ * @param {object} target - Repository to migrate to
+ * @param {{namespaces: Array<string>, dryRun: boolean, overwrite: boolean, verify: boolean}} options - The
+ *   namespaces to migrate, every namespace when empty, and the migration options
+ * @param {function(object):void} onProgress - Receives the progress of each namespace as it is migrated
+ * @param {function(Error,Array<object>):void} callback - Callback with a report of each namespace, giving its
+ *   'status' ('migrated', 'exists' when skipped, 'missing' from the source, or 'migrate' and 'overwrite' for a dry
+ *   run), its 'objects' within the source, and the number 'copied', the identifiers which 'failed' to be written
+ *   and the number 'deleted' from the target once migrated, and the 'checksum', 'targetChecksum' and whether it is
+ *   'verified' when verifying.
+ */
+const migrate = (source, target, options, onProgress, callback) => {
+  const run = async () => {
+    const listed = await call(source.namespaces);
+    const selected =
+      options.namespaces.length > 0
+        ? options.namespaces.map(
+            (name) =>
+              listed.find((namespace) => namespace.name === name) || {
+                name: name,
+                missing: true,
+              }
+          )
+        : listed;
+
+    const reports = [];
+    for (const namespace of selected) {
+      reports.push(
+        namespace.missing
+          ? { namespace: namespace.name, status: "missing" }
+          : await migrateNamespace(
+              source,
+              target,
+              namespace,
+              options,
+              onProgress
+            )
+      );
+    }
+    return reports;
+  };
+
+  run().then(
+    (reports) => callback(null, reports),
+    (err) => callback(err, null)
+  );
+};
+
+module.exports = {
+  checksum: checksum,
+  migrate: migrate,
+};
@@ -0,0 +1,256 @@
+/**
+ * Module defining namespace names and settings, shared by the service and the repositories.
+ * Namespace names address files and collections within the repositories, so they are restricted to letters,
+ * digits, '-' and '_', starting with a letter or digit, up to 64 characters. Names of the service level routes are
+ * reserved, as are names starting with '_' which the service uses for its own datasets (i.e. object history).
+ * Errors raised for a namespace name it as clients address it, without its tenant (see service/tenants).
+ *
+ * Each namespace has settings, stored by the repository alongside its dataset:
+ *  - readOnly: Writes to the namespace are rejected with a ReadOnlyNamespaceError.
+ *  - quota: Maximum number of data objects, writes which would exceed it are rejected with a NamespaceQuotaError.
+ *    limitsConfig.namespaceMaxObjects, or the namespaceMaxObjects setting of its tenant (see service/tenants), when
+ *    set limits every namespace, whichever its quota.
+ *  - idStrategy: Strategy generating the identifiers of created data objects (see service/ids), or null for the
+ *    default of the repository.
+ *  - idField: Body field holding the natural key of each data object, for the 'natural' strategy.
+ *  - ttl: Seconds each data object is kept after it was last written, 0 to keep them, or null for the time to live
+ *    of the repository. Only the memory and Redis repositories expire data objects, the others keep every one and
+ *    reject a ttl which would expire them (see verifyKept).
+ */
+const { strategies } = require("./ids");
+const tenants = require("./tenants");
+const {
+  ServiceError,
+  ValidationError,
+  ForbiddenError,
+  ConflictError,
+} = require("./errors");
+
+const namePattern = /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/;
+const reservedNames = [
+  "namespaces",
+  "config",
+  "etc",
+  "healthz",
+  "readyz",
+  "metrics",
+  "tenants",
+];
+
+const defaultSettings = {
+  readOnly: false,
+  quota: null,
+  idStrategy: null,
+  idField: null,
+  ttl: null,
+};
+
+/**
+ * Error raised when a namespace name or its settings are invalid.
+ */
+class NamespaceError extends ValidationError {
+  constructor(message) {
+    super(message);
+    this.name = "NamespaceError";
+  }
+}
+
+/**
+ * Error raised by a repository when creating, or renaming to, a namespace which already exists.
+ */
+class NamespaceExistsError extends ConflictError {
+  constructor(namespace) {
+    super(`Namespace '${tenants.split(namespace).namespace}' already exists`);
+    this.name = "NamespaceExistsError";
+  }
+}
+
+/**
+ * Error raised by a repository when writing to a read-only namespace.
+ */
+class ReadOnlyNamespaceError extends ForbiddenError {
+  constructor(namespace) {
+    super(`Namespace '${tenants.split(namespace).namespace}' is read-only`);
+    this.name = "ReadOnlyNamespaceError";
+  }
+}
+
+/**
+ * Error raised by a repository when a write would exceed the object quota of a namespace.
+ */
+class NamespaceQuotaError extends ServiceError {
+  constructor(namespace, quota) {
+    // Insufficient Storage, the namespace cannot hold further data objects.
+    super(
+      `Namespace '${
+        tenants.split(namespace).namespace
+      }' is limited to ${quota} objects`,
+      507
+    );
+    this.name = "NamespaceQuotaError";
+  }
+}
+
+/**
+ * Verify the specified namespace name may be used by clients.
+ * @function validateName
+ * @param {string} name - Namespace name
+ * @returns Namespace name
+ * @throws {NamespaceError} If the name is invalid or reserved.
+ */
+const validateName = (name) => {
+  if (typeof name !== "string" || !namePattern.test(name)) {
+    throw new NamespaceError(
+      `Invalid namespace '${name}', expecting up to 64 letters, digits, '-' or '_', starting with a letter or digit`
+    );
+  }
+  if (reservedNames.includes(name.toLowerCase())) {
+    throw new NamespaceError(`Namespace '${name}' is reserved`);
+  }
+  return name;
+};
+
+/**
+ * Parse namespace settings from a request body, completing them with the current settings.
+ * @function parseSettings
+ * @param {*} body - Request body
+ * @param {object} current - Current settings, or null for a new namespace
+ * @returns Namespace settings
+ * @throws {NamespaceError} If the settings are invalid.
+ */
+const parseSettings = (body, current) => {
+  if (body === null || typeof body !== "object" || Array.isArray(body)) {
+    throw new NamespaceError("Namespace settings must be an object");
+  }
+
+  const unknown = Object.keys(body).filter(
+    (key) => !Object.keys(defaultSettings).includes(key)
+  );
+  if (unknown.length > 0) {
+    throw new NamespaceError(
+      `Unsupported namespace settings: ${unknown.join(", ")}`
+    );
+  }
+  if (body.readOnly !== undefined && typeof body.readOnly !== "boolean") {
+    throw new NamespaceError("Setting 'readOnly' must be a boolean");
+  }
+  if (
+    body.quota !== undefined &&
+    body.quota !== null &&
+    !(Number.isInteger(body.quota) && body.quota > 0)
+  ) {
+    throw new NamespaceError(
+      "Setting 'quota' must be a positive integer, or null for no quota"
+    );
+  }
+
+  if (
+    body.idStrategy !== undefined &&
+    body.idStrategy !== null &&
+    !strategies.includes(body.idStrategy)
+  ) {
+    throw new NamespaceError(
+      `Setting 'idStrategy' must be one of ${strategies.join(", ")}, or null`
+    );
+  }
+  if (
+    body.idField !== undefined &&
+    body.idField !== null &&
+    !(typeof body.idField === "string" && /^[^_$][^.]*$/.test(body.idField))
+  ) {
+    throw new NamespaceError(
+      "Setting 'idField' must name a top level field, not starting with '_' or '$'"
+    );
+  }
+
+  if (
+    body.ttl !== undefined &&
+    body.ttl !== null &&
+    !(Number.isInteger(body.ttl) && body.ttl >= 0)
+  ) {
+    throw new NamespaceError(
+      "Setting 'ttl' must be a whole number of seconds, 0 to keep objects, or null for the repository default"
+    );
+  }
+
+  const settings = { ...defaultSettings, ...current, ...body };
+  if (settings.idStrategy === "natural" && settings.idField === null) {
+    throw new NamespaceError(
+      "Setting 'idField' is required by the 'natural' idStrategy"
+    );
+  }
+  return settings;
+};
+
+/**
+ * Provide the maximum number of data objects of a namespace, the lower of its quota and the limit of its tenant.
+ * @function objectLimit
+ * @param {object} settings - Namespace settings
+ * @param {string} namespace - Unique namespace of the dataset, omitted for the service limit
+ * @returns Maximum number of data objects, or null when unlimited.
+ */
+const objectLimit = (settings, namespace) => {
+  const limits = [settings.quota, tenants.objectLimit(namespace)].filter(
+    (limit) => limit !== null && limit > 0
+  );
+  return limits.length > 0 ? Math.min(...limits) : null;
+};
+
+/**
+ * Provide the time to live of the data objects of a namespace.
+ * @function timeToLive
+ * @param {object} settings - Namespace settings, null until stored
+ * @param {number} fallback - Time to live of the repository, used when the namespace does not set one
+ * @returns Seconds each data object is kept after it was last written, 0 when they never expire
+ */
+const timeToLive = (settings, fallback) =>
+  settings && Number.isInteger(settings.ttl) ? settings.ttl : fallback;
+
+/**
+ * Verify namespace settings can be honoured by a repository which keeps every data object.
+ * @function verifyKept
+ * @param {object} settings - Namespace settings
+ * @throws {NamespaceError} If the settings give the data objects a time to live.
+ */
+const verifyKept = (settings) => {
+  if (timeToLive(settings, 0) > 0) {
+    throw new NamespaceError(
+      "Setting 'ttl' is not supported by the repository, which keeps every object"
+    );
+  }
+};
+
+/**
+ * Verify a write to a namespace is permitted by its settings.
+ * @function verifyWrite
+ * @param {string} namespace - Unique namespace of the dataset
+ * @param {object} settings - Namespace settings
+ * @param {number} count - Number of data objects before the write
+ * @param {number} added - Number of data objects the write adds, less those it deletes
+ * @throws {ReadOnlyNamespaceError|NamespaceQuotaError} If the settings do not permit the write.
+ */
+const verifyWrite = (namespace, settings, count, added) => {
+  if (settings.readOnly) {
+    throw new ReadOnlyNamespaceError(namespace);
+  }
+  // A namespace already beyond a reduced quota may still shrink.
+  const limit = objectLimit(settings, namespace);
+  if (limit !== null && added > 0 && count + added > limit) {
+    throw new NamespaceQuotaError(namespace, limit);
+  }
+};
+
+module.exports = {
+  namePattern: namePattern,
+  defaultSettings: defaultSettings,
+  NamespaceError: NamespaceError,
+  NamespaceExistsError: NamespaceExistsError,
+  ReadOnlyNamespaceError: ReadOnlyNamespaceError,
+  NamespaceQuotaError: NamespaceQuotaError,
+  validateName: validateName,
+  parseSettings: parseSettings,
+  objectLimit: objectLimit,
+  timeToLive: timeToLive,
+  verifyKept: verifyKept,
+  verifyWrite: verifyWrite,
+};
@@ -0,0 +1,755 @@
+const Ajv = require("ajv");
+const path = require("path");
+const auth = require("./auth");
+const { ValidationError, problemContentType } = require("./errors");
+const { strategies } = require("./ids");
+const { namePattern } = require("./namespace");
+const tenants = require("./tenants");
+const { versionField } = require("./version");
+
+/**
+ * Module describing the REST API as an OpenAPI 3.1 document, generated from the Express routes themselves.
+ * Each route declares its operation through the middleware returned by operation(), which validates requests
+ * against the declaration before the route handler runs:
+ *   webServer.get("/:namespace/dataset", auth.read, api.operation({ operationId: "getDataset", ... }), handler);
+ * The document lists every route carrying an operation, with the path parameters taken from the route path and the
+ * permission taken from its auth middleware. Namespaces with a registered schema are described by paths of their
+ * own, where data objects are described by that schema.
+ */
+
+const namespaceParam = "namespace";
+const componentPrefix = "#/components/schemas/";
+const jsonTypes = ["application/json", "application/*+json"];
+const docsPage = path.join(__dirname, "openapi.html");
+const { version } = require("../../package.json");
+
+const ref = (name) => ({ $ref: `${componentPrefix}${name}` });
+
+const schemas = {
+  DataObject: {
+    type: "object",
+    description: "Data object, any JSON object",
+    properties: {
+      _id: {
+        type: ["string", "integer"],
+        description: "Identifier given by the namespace idStrategy",
+        readOnly: true,
+      },
+      [versionField]: {
+        type: "integer",
+        description: "Version incremented by every write, exposed as the ETag",
+        readOnly: true,
+      },
+    },
+  },
+  JsonPatch: {
+    type: "array",
+    description: "JSON Patch (RFC 6902) operations",
+    items: {
+      type: "object",
+      required: ["op", "path"],
+      properties: {
+        op: {
+          type: "string",
+          enum: ["add", "remove", "replace", "move", "copy", "test"],
+        },
+        path: { type: "string" },
+        from: { type: "string" },
+        value: {},
+      },
+    },
+  },
+  JsonSchema: {
+    type: "object",
+    description: "JSON Schema (draft-07)",
+  },
+  Problem: {
+    type: "object",
+    description: "Problem details (RFC 7807), reported for every error",
+    properties: {
+      type: { type: "string" },
+      title: { type: "string" },
+      status: { type: "integer" },
+      detail: { type: "string" },
+      instance: { type: "string", description: "Path of the request" },
+      requestId: {
+        type: "string",
+        description:
+          "Request identifier, also given by the X-Request-Id header",
+      },
+      errors: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            path: {
+              type: "string",
+              description: "JSON Pointer of the invalid value",
+            },
+            keyword: { type: "string" },
+            message: { type: "string" },
+            params: { type: "object" },
+          },
+        },
+      },
+    },
+  },
+  BatchRequest: {
+    type: "object",
+    required: ["operations"],
+    properties: {
+      atomic: {
+        type: "boolean",
+        description: "Only apply the operations if every one of them succeeds",
+      },
+      operations: {
+        type: "array",
+        description:
+          "Operations to perform in order, each with the 'op' (create, update or delete), the object 'id' (except to create), the object 'data' (except to delete) and an optional 'ifMatch' entity tag",
+        items: {
+          type: "object",
+          properties: {
+            op: { type: "string" },
+            id: { type: ["string", "integer"] },
+            data: ref("DataObject"),
+            ifMatch: { type: "string" },
+          },
+        },
+      },
+    },
+  },
+  BatchResults: {
+    type: "object",
+    properties: {
+      atomic: { type: "boolean" },
+      results: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            op: { type: ["string", "null"] },
+            id: { type: ["string", "null"] },
+            status: { type: "integer" },
+            etag: { type: "string" },
+            error: { type: "string" },
+            errors: ref("Problem/properties/errors"),
+          },
+        },
+      },
+    },
+  },
+  ImportReport: {
+    type: "object",
+    properties: {
+      mode: { type: "string", enum: ["merge", "replace"] },
+      imported: { type: "integer" },
+      deleted: { type: "integer" },
+      error: { type: "string" },
+      errors: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            row: { type: "integer" },
+            status: { type: "integer" },
+            error: { type: "string" },
+          },
+        },
+      },
+    },
+  },
+  Revision: {
+    type: "object",
+    properties: {
+      revision: { type: "string" },
+      dataId: { type: "string" },
+      action: {
+        type: "string",
+        enum: ["created", "updated", "deleted", "restored"],
+      },
+      timestamp: { type: "string", format: "date-time" },
+      identity: { type: ["string", "null"] },
+      before: { oneOf: [ref("DataObject"), { type: "null" }] },
+      after: { oneOf: [ref("DataObject"), { type: "null" }] },
+    },
+  },
+  NamespaceSettings: {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+      readOnly: {
+        type: "boolean",
+        description: "Reject writes to the namespace",
+      },
+      quota: {
+        type: ["integer", "null"],
+        minimum: 1,
+        description: "Maximum number of data objects, null for no quota",
+      },
+      idStrategy: {
+        enum: [...strategies, null],
+        description:
+          "Strategy giving the identifiers of created data objects, null for the repository default",
+      },
+      idField: {
+        type: ["string", "null"],
+        description:
+          "Body field holding the identifier, for the natural strategy",
+      },
+      ttl: {
+        type: ["integer", "null"],
+        minimum: 0,
+        description:
+          "Seconds each data object is kept after it was last written, 0 to keep them, null for the repository default",
+      },
+    },
+  },
+  Namespace: {
+    type: "object",
+    properties: {
+      name: { type: "string" },
+      count: { type: "integer" },
+      size: { type: "integer", description: "Stored size in bytes" },
+      settings: ref("NamespaceSettings"),
+    },
+  },
+  Rename: {
+    type: "object",
+    required: ["name"],
+    properties: {
+      name: { type: "string", description: "New namespace name" },
+    },
+  },
+  TenantSettings: {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+      namespaceMaxObjects: {
+        type: ["integer", "null"],
+        minimum: 1,
+        description:
+          "Maximum number of data objects of each namespace, null for the service limit",
+      },
+      rateLimit: {
+        type: ["number", "null"],
+        exclusiveMinimum: 0,
+        description:
+          "Requests per second shared by the clients of the tenant, null for no limit",
+      },
+      cors: {
+        type: ["object", "null"],
+        required: ["origins"],
+        additionalProperties: false,
+        properties: {
+          origins: {
+            type: "array",
+            minItems: 1,
+            items: { type: "string" },
+            description:
+              "Origins permitted to make cross-origin requests, '*' for any",
+          },
+          methods: {
+            type: "array",
+            minItems: 1,
+            items: { type: "string" },
+            description:
+              "Methods permitted, the service CORS methods by default",
+          },
+        },
+        description: "CORS settings, null for the service CORS settings",
+      },
+    },
+  },
+  Tenant: {
+    allOf: [
+      ref("TenantSettings"),
+      {
+        type: "object",
+        properties: {
+          tenant: { type: "string" },
+          created: { type: "string", format: "date-time" },
+        },
+      },
+    ],
+  },
+  WebhookDefinition: {
+    type: "object",
+    required: ["url"],
+    additionalProperties: false,
+    properties: {
+      url: {
+        type: "string",
+        description: "http or https URL to POST changes to",
+      },
+      events: {
+        type: "array",
+        minItems: 1,
+        items: { enum: ["created", "updated", "deleted"] },
+        description: "Change types to deliver, every type by default",
+      },
+      secret: {
+        type: "string",
+        minLength: 16,
+        description: "Key of the delivery signatures, generated by default",
+      },
+    },
+  },
+  Webhook: {
+    type: "object",
+    properties: {
+      webhook: { type: "string" },
+      url: { type: "string" },
+      events: { type: "array", items: { type: "string" } },
+      created: { type: "string", format: "date-time" },
+      secret: {
+        type: "string",
+        description:
+          "Key of the delivery signatures, only provided on registration",
+      },
+    },
+  },
+  Delivery: {
+    type: "object",
+    properties: {
+      delivery: { type: "string" },
+      webhook: { type: "string" },
+      event: { type: "string" },
+      status: {
+        type: "string",
+        enum: ["pending", "delivered", "failed", "cancelled"],
+      },
+      created: { type: "string", format: "date-time" },
+      nextAttempt: {
+        type: ["string", "null"],
+        format: "date-time",
+        description: "Time of the next attempt of a pending delivery",
+      },
+      attempts: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            timestamp: { type: "string", format: "date-time" },
+            status: {
+              type: ["integer", "null"],
+              description: "Response status, null if no response was received",
+            },
+            error: { type: ["string", "null"] },
+            duration: { type: "integer", description: "Milliseconds" },
+          },
+        },
+      },
+      payload: { type: "object", description: "Change event delivered" },
+    },
+  },
+};
+
+const securitySchemes = {
+  apiKey: { type: "apiKey", in: "header", name: "X-API-Key" },
+  bearer: { type: "http", scheme: "bearer", bearerFormat: "JWT" },
+};
+
+const pathParams = {
+  namespace: {
+    description: "Namespace of the dataset",
+    schema: { type: "string", pattern: namePattern.source },
+  },
+  dataId: { description: "Data object identifier", schema: { type: "string" } },
+  revision: { description: "Revision identifier", schema: { type: "string" } },
+  webhookId: { description: "Webhook identifier", schema: { type: "string" } },
+  tenant: {
+    description: "Tenant name",
+    schema: { type: "string", pattern: tenants.namePattern.source },
+  },
+  config: {
+    description: "Configuration file name",
+    schema: { type: "string" },
+  },
+};
+
+const headerParams = {
+  "If-Match": {
+    description:
+      "Only write if the data object matches one of the entity tags, or '*' for any existing object",
+    schema: { type: "string" },
+  },
+  "If-None-Match": {
+    description:
+      "Respond with 304 (Not Modified) if the data object matches one of the entity tags",
+    schema: { type: "string" },
+  },
+  "Last-Event-ID": {
+    description:
+      "Identifier of the last change event received, to resume the feed",
+    schema: { type: "string" },
+  },
+};
+
+/**
+ * Query parameters of a dataset query, see service/query.
+ */
+const datasetQuery = {
+  sort: {
+    description:
+      "Comma separated fields to sort by, a leading '-' sorts descending",
+    schema: { type: "string" },
+  },
+  fields: {
+    description:
+      "Comma separated fields to return, the '_id' field is always returned",
+    schema: { type: "string" },
+  },
+  limit: {
+    description: "Maximum number of items to return",
+    schema: { type: "integer", minimum: 0 },
+  },
+  offset: {
+    description: "Number of items to skip",
+    schema: { type: "integer", minimum: 0 },
+  },
+  filter: {
+    description:
+      "Filters, '<field>=<value>' for equality or '<field>[<op>]=<value>' where op is one of eq, ne, gt, gte, lt, lte or in",
+    style: "form",
+    explode: true,
+    schema: { type: "object", additionalProperties: true },
+  },
+};
+
+/**
+ * Query parameters of a history query, see service/history.
+ */
+const historyQuery = {
+  ...datasetQuery,
+  from: {
+    description: "ISO 8601 time of the earliest revision (inclusive)",
+    schema: { type: "string" },
+  },
+  to: {
+    description: "ISO 8601 time of the latest revision (exclusive)",
+    schema: { type: "string" },
+  },
+};
+
+/**
+ * Describe the content of a request or response body.
+ * @function content
+ * @param {string} description - Body description
+ * @param {string|object} schema - Component schema name, or schema, of the body
+ * @param {Array<string>} types - Media types of the body, defaults to JSON
+ * @returns Body description
+ */
+const content = (description, schema, types = ["application/json"]) => ({
+  description: description,
+  content: Object.fromEntries(
+    types.map((type) => [
+      type,
+      schema
+        ? { schema: typeof schema === "string" ? ref(schema) : schema }
+        : {},
+    ])
+  ),
+});
+
+/**
+ * Query parameters which are validated, free-form objects gather the parameters which are not otherwise declared.
+ * @function declaredQuery
+ * @param {object} query - Query parameters of an operation
+ * @returns Query parameter names
+ */
+const declaredQuery = (query) =>
+  Object.keys(query).filter((name) => query[name].schema.type !== "object");
+
+const compile = (schema) =>
+  new Ajv({ allErrors: true, jsonPointers: true }).compile({
+    allOf: [schema],
+    components: { schemas: schemas },
+  });
+
+const formatErrors = (location, errors) =>
+  errors.map((error) => ({
+    path: `${location}${error.dataPath}` || "/",
+    keyword: error.keyword,
+    message: error.message,
+    params: error.params,
+  }));
+
+/**
+ * Declare the operation of a route, providing the middleware which validates requests against it.
+ * Path parameters and query parameters are validated as strings coerced to their declared type, and JSON bodies
+ * against the schema of their media type. Requests which do not conform are passed on to the error handling
+ * middleware as a ValidationError, listing the validation errors.
+ * @function operation
+ * @param {{operationId: string, summary: string, description: string, tags: Array<string>, headers: Array<string>,
+ *   query: object, requestBody: object, responses: object}} definition - Operation, where headers name the request
+ *   headers, query maps query parameter names to their description and schema, and requestBody and responses are
+ *   described with content()
+ * @returns Express middleware, exposing the definition as its 'operation' property
+ */
+const operation = (definition) => {
+  const query = definition.query || {};
+  const validateParams = new Ajv({
+    allErrors: true,
+    jsonPointers: true,
+    coerceTypes: true,
+  }).compile({
+    type: "object",
+    properties: {
+      params: {
+        type: "object",
+        properties: Object.fromEntries(
+          Object.keys(pathParams).map((name) => [name, pathParams[name].schema])
+        ),
+      },
+      query: {
+        type: "object",
+        properties: Object.fromEntries(
+          declaredQuery(query).map((name) => [name, query[name].schema])
+        ),
+      },
+    },
+  });
+
+  const bodyTypes = definition.requestBody
+    ? Object.keys(definition.requestBody.content)
+    : [];
+  const validateBody = new Map(
+    bodyTypes
+      .filter((type) => definition.requestBody.content[type].schema)
+      .map((type) => [
+        type,
+        compile(definition.requestBody.content[type].schema),
+      ])
+  );
+
+  const middleware = (req, res, next) => {
+    // Coercion converts the values it validates, so the request itself is left as it was received.
+    const errors = [];
+    if (
+      !validateParams({ params: { ...req.params }, query: { ...req.query } })
+    ) {
+      errors.push(...formatErrors("", validateParams.errors));
+    }
+    // Only parsed JSON bodies are validated, anything else is left to the route handler.
+    const type = req.is(jsonTypes)
+      ? bodyTypes.find((name) => req.is(name))
+      : null;
+    if (type && validateBody.has(type) && !validateBody.get(type)(req.body)) {
+      errors.push(...formatErrors("/body", validateBody.get(type).errors));
+    }
+
+    if (errors.length > 0) {
+      next(
+        new ValidationError(
+          "Request does not conform to the API specification",
+          errors
+        )
+      );
+      return;
+    }
+    next();
+  };
+  middleware.operation = definition;
+  return middleware;
+};
+
+/**
+ * Determine the permission a route requires from its auth middleware.
+ * @function routePermission
+ * @param {Array} stack - Route layers
+ * @returns Permission name, 'authenticated' when any identity is permitted, or null for unauthenticated routes
+ */
+const routePermission = (stack) => {
+  const handles = stack.map((layer) => layer.handle);
+  return (
+    ["read", "write", "admin", "authenticated"].find((permission) =>
+      handles.includes(auth[permission])
+    ) || null
+  );
+};
+
+/**
+ * Describe the operation of a route.
+ * @function describe
+ * @param {object} definition - Operation declared by the route
+ * @param {string} routePath - Express route path
+ * @param {string} permission - Permission the route requires, see routePermission
+ * @returns OpenAPI operation object
+ */
+const describe = (definition, routePath, permission) => {
+  const query = definition.query || {};
+  const parameters = [
+    ...(routePath.match(/:\w+/g) || []).map((param) => ({
+      name: param.slice(1),
+      in: "path",
+      required: true,
+      ...pathParams[param.slice(1)],
+    })),
+    ...(definition.headers || []).map((name) => ({
+      name: name,
+      in: "header",
+      ...headerParams[name],
+    })),
+    ...Object.keys(query).map((name) => ({
+      name: name,
+      in: "query",
+      ...query[name],
+    })),
+  ];
+
+  const responses = { ...definition.responses };
+  if (parameters.length > 0 || definition.requestBody) {
+    responses[400] =
+      responses[400] || "Request does not conform to the API specification";
+  }
+  if (definition.requestBody) {
+    responses[413] = responses[413] || "Request body exceeds the size limit";
+  }
+  const described = {
+    operationId: definition.operationId,
+    summary: definition.summary,
+    description: definition.description,
+    tags: definition.tags,
+    parameters: parameters.length > 0 ? parameters : undefined,
+    requestBody: definition.requestBody && {
+      required: true,
+      ...definition.requestBody,
+    },
+    responses: responses,
+  };
+
+  if (permission !== null) {
+    described.security = Object.keys(securitySchemes).map((name) => ({
+      [name]: [],
+    }));
+    responses[401] = responses[401] || "Not authenticated";
+    if (permission !== "authenticated") {
+      described["x-permission"] = permission;
+      responses[403] =
+        responses[403] || `Requires the ${permission} permission`;
+    }
+    // Authorized routes follow the rate limits.
+    responses[429] =
+      responses[429] ||
+      "Rate limit exceeded, retry after the Retry-After seconds";
+  }
+  // Errors are described by the problem details they are reported with.
+  Object.keys(responses)
+    .filter((status) => typeof responses[status] === "string")
+    .forEach(
+      (status) =>
+        (responses[status] =
+          status >= 400
+            ? content(responses[status], "Problem", [problemContentType])
+            : { description: responses[status] })
+    );
+  return JSON.parse(JSON.stringify(described));
+};
+
+/**
+ * Describe the paths of a namespace with a registered schema, which are those describing data objects. The schema
+ * is added as a component, in which references relative to the schema document are rebased.
+ * @function namespacePaths
+ * @param {object} paths - Paths of every namespace
+ * @param {object} components - Component schemas, the namespace schema is added to
+ * @param {string} namespace - Unique namespace of the dataset
+ * @param {object} schema - JSON Schema registered for the namespace
+ * @returns Paths of the namespace
+ */
+const namespacePaths = (paths, components, namespace, schema) => {
+  const name = `${namespace}.DataObject`;
+  const { $schema, $id, ...rest } = schema;
+  components[name] = JSON.parse(
+    JSON.stringify({ allOf: [ref("DataObject"), rest] }).replace(
+      /"\$ref":"#\//g,
+      `"$ref":"${componentPrefix}${name}/allOf/1/`
+    )
+  );
+
+  const dataObject = JSON.stringify(ref("DataObject"));
+  return Object.fromEntries(
+    Object.keys(paths)
+      .filter((key) => key.startsWith(`/{${namespaceParam}}/`))
+      .filter((key) => JSON.stringify(paths[key]).includes(dataObject))
+      .map((key) => {
+        const operations = JSON.parse(
+          JSON.stringify(paths[key])
+            .split(dataObject)
+            .join(JSON.stringify(ref(name)))
+        );
+        Object.values(operations).forEach((described) => {
+          described.operationId = `${described.operationId}.${namespace}`;
+          described.tags = [namespace];
+          described.parameters = described.parameters.filter(
+            (parameter) => parameter.name !== namespaceParam
+          );
+        });
+        return [key.replace(`{${namespaceParam}}`, namespace), operations];
+      })
+  );
+};
+
+/**
+ * Generate the OpenAPI document describing the routes of an Express application.
+ * @function document
+ * @param {Application} app - Express application
+ * @param {{server: string, schemas: object}} options - URL of the service, and the JSON Schemas of the namespaces
+ *   to describe paths for, by namespace
+ * @returns OpenAPI document
+ */
+const document = (app, options) => {
+  const paths = {};
+  app._router.stack
+    .filter((layer) => layer.route)
+    .forEach(({ route }) => {
+      const declared = route.stack.find((layer) => layer.handle.operation);
+      if (!declared) {
+        return;
+      }
+      const key = route.path.replace(/:(\w+)/g, "{$1}");
+      Object.keys(route.methods)
+        .filter((method) => method !== "_all")
+        .forEach((method) => {
+          paths[key] = {
+            ...paths[key],
+            [method]: describe(
+              declared.handle.operation,
+              route.path,
+              routePermission(route.stack)
+            ),
+          };
+        });
+    });
+
+  const components = { ...schemas };
+  Object.keys(options.schemas || {})
+    .sort()
+    .forEach((namespace) =>
+      Object.assign(
+        paths,
+        namespacePaths(paths, components, namespace, options.schemas[namespace])
+      )
+    );
+
+  return {
+    openapi: "3.1.0",
+    info: {
+      title: "MyData-Service",
+      description:
+        "REST API for CRUD operations on JSON objects within the context of a namespace",
+      version: version,
+    },
+    servers: options.server ? [{ url: options.server }] : undefined,
+    paths: paths,
+    components: { schemas: components, securitySchemes: securitySchemes },
+  };
+};
+
+module.exports = {
+  docsPage: docsPage,
+  datasetQuery: datasetQuery,
+  historyQuery: historyQuery,
+  content: content,
+  operation: operation,
+  document: document,
+};
@@ -0,0 +1,251 @@
+const { ServiceError } = require("./errors");
+
+/**
+ * Module to apply partial updates to data objects.
+ * Two patch document formats are supported:
+ *  1.  JSON Merge Patch (RFC 7396) - a partial object whose fields are merged into the target, null removes a field.
+ *  2.  JSON Patch (RFC 6902) - an ordered array of add/remove/replace/move/copy/test operations.
+ */
+
+const mergePatchType = "application/merge-patch+json";
+const jsonPatchType = "application/json-patch+json";
+
+/**
+ * Error raised when a patch document is malformed or cannot be applied to the target object.
+ */
+class PatchError extends ServiceError {
+  constructor(message) {
+    // Unprocessable Entity, the patch document is understood but cannot be applied.
+    super(message, 422);
+    this.name = "PatchError";
+  }
+}
+
+const isObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+const clone = (value) =>
+  value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+
+/**
+ * Apply a JSON Merge Patch document to the specified target.
+ * @function mergePatch
+ * @param {*} target - Value to be patched
+ * @param {*} patch - Merge patch document
+ * @returns Patched value, the target is not modified.
+ */
+const mergePatch = (target, patch) => {
+  if (!isObject(patch)) {
+    return clone(patch);
+  }
+
+  const result = isObject(target) ? clone(target) : {};
+  Object.keys(patch).forEach((key) => {
+    if (patch[key] === null) {
+      delete result[key];
+    } else {
+      result[key] = mergePatch(result[key], patch[key]);
+    }
+  });
+
+  return result;
+};
+
+/**
+ * Split a JSON Pointer (RFC 6901) into its unescaped reference tokens.
+ * @function parsePointer
+ * @param {string} pointer - JSON Pointer
+ * @returns Array of reference tokens
+ */
+const parsePointer = (pointer) => {
+  if (typeof pointer !== "string" || (pointer !== "" && pointer[0] !== "/")) {
+    throw new PatchError(`Invalid JSON pointer '${pointer}'`);
+  }
+
+  return pointer
+    .split("/")
+    .slice(1)
+    .map((token) => token.replace(/~1/g, "/").replace(/~0/g, "~"));
+};
+
+/**
+ * Resolve the container and the final key addressed by the specified JSON Pointer.
+ * @function resolve
+ * @param {object} document - Document to resolve the pointer against
+ * @param {string} pointer - JSON Pointer
+ * @returns Object with the parent container and final key
+ */
+const resolve = (document, pointer) => {
+  const tokens = parsePointer(pointer);
+  if (tokens.length === 0) {
+    throw new PatchError("Patching the document root is not supported");
+  }
+
+  const key = tokens.pop();
+  const parent = tokens.reduce((node, token) => {
+    if (node === null || typeof node !== "object" || !(token in node)) {
+      throw new PatchError(`Path '${pointer}' does not exist`);
+    }
+    return node[token];
+  }, document);
+
+  if (parent === null || typeof parent !== "object") {
+    throw new PatchError(`Path '${pointer}' does not exist`);
+  }
+
+  return { parent, key };
+};
+
+/**
+ * Convert a reference token into an array index.
+ * @function arrayIndex
+ * @param {Array} array - Addressed array
+ * @param {string} key - Reference token
+ * @param {boolean} append - Whether the index may address the end of the array
+ * @returns Array index
+ */
+const arrayIndex = (array, key, append) => {
+  if (append && key === "-") {
+    return array.length;
+  }
+
+  const index = /^(0|[1-9][0-9]*)$/.test(key) ? parseInt(key) : -1;
+  if (index < 0 || index > array.length || (!append && index === array.length)) {
+    throw new PatchError(`Array index '${key}' is out of bounds`);
+  }
+
+  return index;
+};
+
+const getValue = (document, pointer) => {
+  const { parent, key } = resolve(document, pointer);
+  if (Array.isArray(parent)) {
+    return parent[arrayIndex(parent, key, false)];
+  }
+  if (!(key in parent)) {
+    throw new PatchError(`Path '${pointer}' does not exist`);
+  }
+  return parent[key];
+};
+
+const addValue = (document, pointer, value) => {
+  const { parent, key } = resolve(document, pointer);
+  if (Array.isArray(parent)) {
+    parent.splice(arrayIndex(parent, key, true), 0, value);
+  } else {
+    parent[key] = value;
+  }
+};
+
+const removeValue = (document, pointer) => {
+  const value = getValue(document, pointer);
+  const { parent, key } = resolve(document, pointer);
+  if (Array.isArray(parent)) {
+    parent.splice(arrayIndex(parent, key, false), 1);
+  } else {
+    delete parent[key];
+  }
+  return value;
+};
+
+const equal = (a, b) => {
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, i) => equal(item, b[i]));
+  }
+  if (isObject(a) && isObject(b)) {
+    const keys = Object.keys(a);
+    return (
+      keys.length === Object.keys(b).length &&
+      keys.every((key) => key in b && equal(a[key], b[key]))
+    );
+  }
+  return a === b;
+};
+
+/**
+ * Apply a JSON Patch document to the specified target.
+ * Operations are applied in order to a copy of the target, so a failing operation leaves the target untouched.
+ * @function jsonPatch
+ * @param {object} target - Object to be patched
+ * @param {Array} operations - JSON Patch operations
+ * @returns Patched object
+ */
+const jsonPatch = (target, operations) => {
+  if (!Array.isArray(operations)) {
+    throw new PatchError("JSON Patch document must be an array of operations");
+  }
+
+  const document = clone(target);
+  operations.forEach((operation, index) => {
+    if (!isObject(operation)) {
+      throw new PatchError(`Operation ${index} is not an object`);
+    }
+
+    switch (operation.op) {
+      case "add":
+        addValue(document, operation.path, clone(operation.value));
+        break;
+      case "remove":
+        removeValue(document, operation.path);
+        break;
+      case "replace":
+        removeValue(document, operation.path);
+        addValue(document, operation.path, clone(operation.value));
+        break;
+      case "move":
+        addValue(
+          document,
+          operation.path,
+          removeValue(document, operation.from)
+        );
+        break;
+      case "copy":
+        addValue(
+          document,
+          operation.path,
+          clone(getValue(document, operation.from))
+        );
+        break;
+      case "test":
+        if (!equal(getValue(document, operation.path), operation.value)) {
+          throw new PatchError(`Test failed for path '${operation.path}'`);
+        }
+        break;
+      default:
+        throw new PatchError(
+          `Operation ${index} has an unsupported op '${operation.op}'`
+        );
+    }
+  });
+
+  return document;
+};
+
+/**
+ * Create a function which applies the specified patch document to a data object.
+ * A JSON Patch document is applied when the content type is 'application/json-patch+json', otherwise the document
+ * is treated as a JSON Merge Patch.
+ * @function createPatch
+ * @param {string} contentType - Content type of the patch document
+ * @param {*} document - Patch document
+ * @returns {function(object):object} Function returning the patched copy of a data object
+ */
+const createPatch = (contentType, document) => {
+  if (contentType === jsonPatchType) {
+    return (target) => jsonPatch(target, document);
+  }
+
+  if (!isObject(document)) {
+    throw new PatchError("JSON Merge Patch document must be an object");
+  }
+  return (target) => mergePatch(target, document);
+};
+
+module.exports = {
+  mergePatchType: mergePatchType,
+  jsonPatchType: jsonPatchType,
+  PatchError: PatchError,
+  mergePatch: mergePatch,
+  jsonPatch: jsonPatch,
+  createPatch: createPatch,
+};
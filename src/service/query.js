@@ -0,0 +1,412 @@
+const { ValidationError } = require("./errors");
+
+/**
+ * Module to parse dataset query parameters and evaluate them against in-memory data objects.
+ * The parsed query is a backend neutral description which each repository translates into its own query language,
+ * repositories without a query language of their own (i.e. the local filesystem) evaluate it with applyQuery.
+ *
+ * Supported query parameters:
+ *  - <field>=<value>            Equality, repeat the parameter to match any of several values.
+ *  - <field>[<op>]=<value>      Comparison where op is one of eq, ne, gt, gte, lt, lte or in (comma separated values).
+ *  - sort=<field>,-<field>      Sort order, a leading '-' sorts the field in descending order. As with MongoDB, an
+ *                               array sorts by its lowest element in ascending order, and its highest in descending.
+ *  - fields=<field>,<field>     Projection of the returned fields, the identifier field is always returned. A field
+ *                               within another projected field is returned with it, so is dropped from the list.
+ *  - limit=<n>&offset=<n>       Pagination of the sorted and filtered dataset.
+ * Field names may use dot notation to address nested fields. Every parameter other than sort, fields, limit and
+ * offset filters the field it names, except the paging and search parameters of other APIs (cursor, page and q),
+ * which are rejected rather than filtering a field the data objects are unlikely to hold. A field sharing one of
+ * those names is filtered with the explicit operator, i.e. 'page[eq]=2'.
+ */
+
+const idField = "_id";
+const reservedParams = ["sort", "fields", "limit", "offset"];
+const unsupportedParams = ["cursor", "page", "q"];
+const operators = ["eq", "ne", "gt", "gte", "lt", "lte", "in"];
+
+/**
+ * Error raised when the dataset query parameters are invalid.
+ */
+class QueryError extends ValidationError {
+  constructor(message) {
+    super(message);
+    this.name = "QueryError";
+  }
+}
+
+/**
+ * Query parameter values are always strings, so numeric, boolean and null literals are converted to their
+ * JSON type. Equality matches either the converted value or the raw string.
+ * @function parseValue
+ * @param {string} raw - Raw query parameter value
+ * @returns Array of candidate values
+ */
+const parseValue = (raw) => {
+  if (typeof raw !== "string") {
+    throw new QueryError(`Invalid query value '${JSON.stringify(raw)}'`);
+  }
+
+  let value = raw;
+  if (raw === "true" || raw === "false") {
+    value = raw === "true";
+  } else if (raw === "null") {
+    value = null;
+  } else if (raw.trim() !== "" && !isNaN(Number(raw))) {
+    value = Number(raw);
+  }
+
+  return value === raw ? [raw] : [value, raw];
+};
+
+/**
+ * Verify a field name addresses a field of the data objects.
+ * @function verifyField
+ * @param {string} field - Dot notation field path
+ * @returns Field path
+ * @throws {QueryError} If the field starts with '.', contains '$' or an empty path segment.
+ */
+const verifyField = (field) => {
+  if (!/^[^$.][^$]*$/.test(field) || field.split(".").some((p) => p === "")) {
+    throw new QueryError(`Invalid query field '${field}'`);
+  }
+  return field;
+};
+
+/**
+ * Parse a non-negative integer query parameter.
+ * @function parseInteger
+ * @param {string} name - Query parameter name, reported should the value be invalid
+ * @param {string} raw - Raw query parameter value, undefined if absent
+ * @param {number} fallback - Value when the parameter is absent
+ * @returns Parameter value
+ * @throws {QueryError} If the value is not a single non-negative integer.
+ */
+const parseInteger = (name, raw, fallback) => {
+  if (raw === undefined) {
+    return fallback;
+  }
+  if (typeof raw !== "string" || !/^[0-9]+$/.test(raw)) {
+    throw new QueryError(
+      `Query parameter '${name}' must be a non-negative integer`
+    );
+  }
+  return parseInt(raw);
+};
+
+/**
+ * Parse a comma separated list query parameter, discarding empty items.
+ * @function parseList
+ * @param {string} name - Query parameter name, reported should the value be invalid
+ * @param {string} raw - Raw query parameter value, undefined if absent
+ * @returns Array of list items, empty if the parameter is absent
+ * @throws {QueryError} If the parameter is repeated or given operators.
+ */
+const parseList = (name, raw) => {
+  if (raw === undefined) {
+    return [];
+  }
+  if (typeof raw !== "string") {
+    throw new QueryError(`Query parameter '${name}' must be a comma separated list`);
+  }
+  return raw
+    .split(",")
+    .map((item) => item.trim())
+    .filter((item) => item !== "");
+};
+
+/**
+ * Remove the projected fields which lie within another projected field, or the identifier field, as MongoDB rejects
+ * a projection of both a field and a field within it.
+ * @function parseFields
+ * @param {Array<string>} fields - Dot notation field paths
+ * @returns Field paths, without repeats or those another field path includes
+ */
+const parseFields = (fields) => {
+  const within = (field, other) =>
+    field === other || field.startsWith(`${other}.`);
+  const unique = [...new Set(fields)];
+  return unique.filter(
+    (field) =>
+      !within(field, idField) &&
+      !unique.some((other) => other !== field && within(field, other))
+  );
+};
+
+/**
+ * Parse a filter condition from a query parameter.
+ * @function parseCondition
+ * @param {string} field - Filtered field
+ * @param {string} op - Comparison operator
+ * @param {string|Array} raw - Raw query parameter value(s)
+ * @returns Filter condition
+ */
+const parseCondition = (field, op, raw) => {
+  if (!operators.includes(op)) {
+    throw new QueryError(`Unsupported query operator '${op}' on field '${field}'`);
+  }
+
+  if (Array.isArray(raw) || op === "in") {
+    const items = Array.isArray(raw) ? raw : parseList(field, raw);
+    if (op !== "eq" && op !== "in") {
+      throw new QueryError(`Operator '${op}' on field '${field}' expects a single value`);
+    }
+    return {
+      field: field,
+      op: "in",
+      values: [].concat(...items.map(parseValue)),
+    };
+  }
+
+  const values = parseValue(raw);
+  // Comparisons use the converted value, only equality can match the raw string as well.
+  return {
+    field: field,
+    op: op,
+    values: op === "eq" || op === "ne" ? values : values.slice(0, 1),
+  };
+};
+
+/**
+ * Parse Express request query parameters into a dataset query.
+ * @function parseQuery
+ * @param {object} params - Express request query parameters
+ * @returns {{filter: Array, sort: Array, fields: Array, offset: number, limit: number}} Dataset query, a null limit returns all data objects.
+ */
+const parseQuery = (params) => {
+  const filter = [];
+  Object.keys(params)
+    .filter((key) => !reservedParams.includes(key))
+    .forEach((key) => {
+      const field = verifyField(key);
+      const raw = params[key];
+      if (
+        unsupportedParams.includes(key) &&
+        (raw === null || typeof raw !== "object" || Array.isArray(raw))
+      ) {
+        throw new QueryError(
+          `Unsupported query parameter '${key}', filter a field of that name with '${key}[eq]'`
+        );
+      }
+      if (raw !== null && typeof raw === "object" && !Array.isArray(raw)) {
+        Object.keys(raw).forEach((op) =>
+          filter.push(parseCondition(field, op, raw[op]))
+        );
+      } else {
+        filter.push(parseCondition(field, "eq", raw));
+      }
+    });
+
+  const sort = parseList("sort", params.sort).map((item) => {
+    const descending = item.startsWith("-");
+    return {
+      field: verifyField(descending ? item.slice(1) : item),
+      direction: descending ? -1 : 1,
+    };
+  });
+  // Ensure a stable order for pagination when a sort order is specified.
+  if (sort.length > 0 && !sort.some((item) => item.field === idField)) {
+    sort.push({ field: idField, direction: 1 });
+  }
+
+  return {
+    filter: filter,
+    sort: sort,
+    fields: parseFields(parseList("fields", params.fields).map(verifyField)),
+    offset: parseInteger("offset", params.offset, 0),
+    limit: parseInteger("limit", params.limit, null),
+  };
+};
+
+/**
+ * Resolve a dot notation field path against a data object.
+ * @function resolveField
+ * @param {object} data - Data object
+ * @param {string} field - Dot notation field path
+ * @returns Field value, or undefined if the path does not exist.
+ */
+const resolveField = (data, field) =>
+  field
+    .split(".")
+    .reduce(
+      (node, key) =>
+        node !== null && typeof node === "object" ? node[key] : undefined,
+      data
+    );
+
+/**
+ * Ranks value types in the same order MongoDB compares BSON types, so both backends sort alike.
+ */
+const typeRank = (value) => {
+  if (value === undefined || value === null) return 0;
+  if (typeof value === "number") return 1;
+  if (typeof value === "string") return 2;
+  if (Array.isArray(value)) return 4;
+  if (typeof value === "object") return 3;
+  if (typeof value === "boolean") return 5;
+  return 6;
+};
+
+/**
+ * Compare two field values, ordering values of different types by their type rank, objects and arrays by their
+ * JSON and other values natively.
+ * @function compare
+ * @param {*} a - Field value
+ * @param {*} b - Field value
+ * @returns Negative if a orders first, positive if b orders first, otherwise 0
+ */
+const compare = (a, b) => {
+  const rank = typeRank(a) - typeRank(b);
+  if (rank !== 0) {
+    return rank;
+  }
+  if (typeof a === "object" || typeof b === "object") {
+    const left = JSON.stringify(a);
+    const right = JSON.stringify(b);
+    return left < right ? -1 : left > right ? 1 : 0;
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+};
+
+const equals = (a, b) => typeRank(a) === typeRank(b) && compare(a, b) === 0;
+
+/**
+ * Provide the value a field sorts by, in the same way as MongoDB: the lowest element of an array in ascending order
+ * and its highest in descending order, an empty array sorting with missing fields.
+ * @function sortKey
+ * @param {*} value - Field value
+ * @param {number} direction - 1 for ascending order, -1 for descending
+ * @returns Value to compare
+ */
+const sortKey = (value, direction) => {
+  if (!Array.isArray(value)) {
+    return value;
+  }
+  return value.reduce(
+    (key, item) =>
+      key === undefined || compare(item, key) * direction < 0 ? item : key,
+    undefined
+  );
+};
+
+/**
+ * Evaluate a single filter condition against a field value.
+ * Array values match when any element matches, in the same way as MongoDB.
+ */
+const matchCondition = (value, condition) => {
+  if (condition.op === "ne") {
+    return !matchCondition(value, { ...condition, op: "eq" });
+  }
+  if (Array.isArray(value) && value.some((item) => matchCondition(item, condition))) {
+    return true;
+  }
+
+  const target = condition.values[0];
+  switch (condition.op) {
+    case "eq":
+    case "in":
+      return condition.values.some((candidate) =>
+        equals(value === undefined ? null : value, candidate)
+      );
+    default:
+      // Comparisons only match values of the same type.
+      if (value === undefined || value === null || typeRank(value) !== typeRank(target)) {
+        return false;
+      }
+      const order = compare(value, target);
+      return (
+        (condition.op === "gt" && order > 0) ||
+        (condition.op === "gte" && order >= 0) ||
+        (condition.op === "lt" && order < 0) ||
+        (condition.op === "lte" && order <= 0)
+      );
+  }
+};
+
+/**
+ * Project the specified fields of a data object, the identifier field is always included.
+ * @function project
+ * @param {object} data - Data object
+ * @param {Array<string>} fields - Dot notation field paths, empty to project every field
+ * @returns Data object holding the projected fields, nested as they are within the data object
+ */
+const project = (data, fields) => {
+  if (fields.length === 0) {
+    return data;
+  }
+
+  const result = {};
+  [idField, ...fields].forEach((field) => {
+    const value = resolveField(data, field);
+    if (value === undefined) {
+      return;
+    }
+    const keys = field.split(".");
+    const last = keys.pop();
+    keys.reduce((node, key) => {
+      if (node[key] === null || typeof node[key] !== "object") {
+        node[key] = {};
+      }
+      return node[key];
+    }, result)[last] = value;
+  });
+  return result;
+};
+
+/**
+ * Evaluate the specified dataset query against an in-memory list of data objects.
+ * @function applyQuery
+ * @param {Array} items - Data objects
+ * @param {object} query - Parsed dataset query
+ * @returns {{items: Array, total: number}} Page of data objects and the total number of matching data objects.
+ */
+const applyQuery = (items, query) => {
+  let result = items.filter((data) =>
+    query.filter.every((condition) =>
+      matchCondition(resolveField(data, condition.field), condition)
+    )
+  );
+
+  if (query.sort.length > 0) {
+    result = result.slice().sort((a, b) => {
+      for (const item of query.sort) {
+        const order = compare(
+          sortKey(resolveField(a, item.field), item.direction),
+          sortKey(resolveField(b, item.field), item.direction)
+        );
+        if (order !== 0) {
+          return order * item.direction;
+        }
+      }
+      return 0;
+    });
+  }
+
+  const total = result.length;
+  const end = query.limit === null ? undefined : query.offset + query.limit;
+  return {
+    items: result
+      .slice(query.offset, end)
+      .map((data) => project(data, query.fields)),
+    total: total,
+  };
+};
+
+/**
+ * Provide a query which returns every data object.
+ * @function allQuery
+ * @returns Dataset query without filter, sort order, projection or pagination.
+ */
+const allQuery = () => ({
+  filter: [],
+  sort: [],
+  fields: [],
+  offset: 0,
+  limit: null,
+});
+
+module.exports = {
+  QueryError: QueryError,
+  parseQuery: parseQuery,
+  applyQuery: applyQuery,
+  allQuery: allQuery,
+};
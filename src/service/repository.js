@@ -0,0 +1,63 @@
+/**
+ * Module providing the promise interface of a repository. Repositories implement each operation with a callback
+ * last (see repository/), and the interface returns a promise of the operation result whenever an operation is
+ * called without its callback, so the service awaits its repository whilst modules written with callbacks share the
+ * same repository. Lifecycle operations a repository does not implement (open, close and ping) complete at once,
+ * and 'watch', which reports each change to its callback, is provided as the repository implements it.
+ */
+
+// Arguments each operation takes before its callback.
+const operations = {
+  create: 2,
+  read: 2,
+  get: 2,
+  update: 4,
+  patch: 4,
+  delete: 3,
+  batch: 3,
+  scan: 2,
+  namespaces: 0,
+  getSettings: 1,
+  putSettings: 2,
+  renameNamespace: 2,
+  dropNamespace: 1,
+  open: 0,
+  close: 0,
+  ping: 0,
+};
+
+/**
+ * Provide the promise interface of a repository.
+ * @function promisify
+ * @param {object} repository - Repository implementing its operations with callbacks
+ * @returns Repository whose operations return a promise when called without a callback
+ */
+const promisify = (repository) => {
+  const promised = { ...repository };
+  Object.entries(operations).forEach(([name, arity]) => {
+    // Lifecycle operations are optional.
+    const operation =
+      repository[name] || ((...args) => args[args.length - 1](null));
+    promised[name] = (...args) => {
+      if (args.length > arity && typeof args[arity] === "function") {
+        operation(...args);
+        return undefined;
+      }
+      // Omitted arguments are passed as undefined, so the callback is always in its place.
+      const values = Array.from(
+        { length: arity },
+        (value, index) => args[index]
+      );
+      return new Promise((resolve, reject) =>
+        operation(...values, (err, result) =>
+          err ? reject(err) : resolve(result)
+        )
+      );
+    };
+  });
+  return promised;
+};
+
+module.exports = {
+  promisify: promisify,
+};
@@ -0,0 +1,265 @@
+const Ajv = require("ajv");
+const fs = require("fs");
+const serverConfig = require("../config/server");
+const { versionField } = require("./version");
+const { ServiceError } = require("./errors");
+
+/**
+ * Module to register JSON Schemas against namespaces and validate data objects against them.
+ * A schema is registered by placing a '<namespace>.json' file within the schema path (serverConfig.schemaPath),
+ * either directly or through the service's schema route. Compiled schemas are cached until the file changes.
+ */
+
+const idField = "_id";
+
+const ajvOptions = { allErrors: true, jsonPointers: true };
+const validators = new Map();
+
+/**
+ * Compile the specified schema.  Each schema is compiled by its own Ajv instance, so a changed schema which keeps
+ * the same $id does not clash with the previously compiled version.
+ * @function compile
+ * @param {object} schema - JSON Schema
+ * @returns Compiled validator
+ */
+const compile = (schema) => new Ajv(ajvOptions).compile(schema);
+
+/**
+ * Error raised when a data object does not conform to the schema registered for its namespace, or when a
+ * registered schema is not a valid JSON Schema.
+ */
+class SchemaValidationError extends ServiceError {
+  constructor(message, errors) {
+    // Unprocessable Entity, the data object is well formed but does not conform to the schema.
+    super(message, 422);
+    this.name = "SchemaValidationError";
+    this.errors = errors;
+  }
+}
+
+/**
+ * Resolves the specified namespace into its schema file.
+ * Namespaces containing path separators are rejected, so a schema file cannot be addressed outside of the schema path.
+ * @function schemaFile
+ * @param {string} namespace - Unique namespace of the dataset
+ * @returns Schema file path
+ */
+const schemaFile = (namespace) => {
+  if (/[\/\\]/.test(namespace) || namespace === "." || namespace === "..") {
+    throw new Error(`Invalid namespace '${namespace}'`);
+  }
+  return `${serverConfig.schemaPath}/${namespace}.json`;
+};
+
+/**
+ * Convert Ajv validation errors into a client facing list of errors.
+ * @function formatErrors
+ * @param {Array} errors - Ajv errors
+ * @returns Array of errors with the JSON Pointer path of the invalid value
+ */
+const formatErrors = (errors) =>
+  errors.map((error) => ({
+    path: error.dataPath || "/",
+    keyword: error.keyword,
+    message: error.message,
+    params: error.params,
+  }));
+
+/**
+ * Provide the compiled validator for the schema registered against the specified namespace.
+ * @function loadValidator
+ * @param {string} namespace - Unique namespace of the dataset
+ * @returns Compiled validator, or null if no schema is registered.
+ */
+const loadValidator = (namespace) => {
+  const file = schemaFile(namespace);
+  if (!fs.existsSync(file)) {
+    validators.delete(namespace);
+    return null;
+  }
+
+  const modified = fs.statSync(file).mtimeMs;
+  const cached = validators.get(namespace);
+  if (cached && cached.modified === modified) {
+    return cached.validate;
+  }
+
+  const schema = JSON.parse(fs.readFileSync(file, "UTF8"));
+  const validate = compile(schema);
+  validators.set(namespace, { modified: modified, validate: validate });
+  return validate;
+};
+
+/**
+ * Provide the schema registered against the specified namespace.
+ * @function getSchema
+ * @param {string} namespace - Unique namespace of the dataset
+ * @returns Schema object, or null if no schema is registered.
+ */
+const getSchema = (namespace) => {
+  const validate = loadValidator(namespace);
+  return validate ? validate.schema : null;
+};
+
+const invalidSchema = (namespace) =>
+  `Invalid JSON Schema for namespace '${namespace}'`;
+
+/**
+ * Register the specified schema against the specified namespace, replacing any existing schema.
+ * The callback receives a SchemaValidationError if the schema itself is invalid.
+ * @function registerSchema
+ * @param {string} namespace - Unique namespace of the dataset
+ * @param {object} schema - JSON Schema
+ * @param {function(Error,boolean):void} callback - Callback with whether the schema was newly created
+ */
+const registerSchema = (namespace, schema, callback) => {
+  let file = null;
+  try {
+    file = schemaFile(namespace);
+    const ajv = new Ajv(ajvOptions);
+    if (!ajv.validateSchema(schema)) {
+      callback(
+        new SchemaValidationError(invalidSchema(namespace), formatErrors(ajv.errors)),
+        false
+      );
+      return;
+    }
+    ajv.compile(schema);
+  } catch (err) {
+    // Compilation fails for unresolvable references and unknown formats.
+    callback(
+      new SchemaValidationError(invalidSchema(namespace), [
+        { path: "/", keyword: "schema", message: err.message, params: {} },
+      ]),
+      false
+    );
+    return;
+  }
+
+  const created = !fs.existsSync(file);
+  fs.mkdir(serverConfig.schemaPath, { recursive: true }, (mkdirErr) => {
+    if (mkdirErr) {
+      callback(mkdirErr, false);
+      return;
+    }
+    fs.writeFile(file, JSON.stringify(schema, null, 2), (err) => {
+      validators.delete(namespace);
+      callback(err, created);
+    });
+  });
+};
+
+/**
+ * List the namespaces with a registered schema.
+ * @function listSchemas
+ * @param {function(Error,Array<string>):void} callback - Callback with the namespaces, in name order
+ */
+const listSchemas = (callback) => {
+  fs.readdir(serverConfig.schemaPath, (err, files) => {
+    if (err && err.code === "ENOENT") {
+      callback(null, []);
+    } else if (err) {
+      callback(err, null);
+    } else {
+      callback(
+        null,
+        files
+          .filter((file) => file.endsWith(".json"))
+          .map((file) => file.slice(0, -".json".length))
+          .sort()
+      );
+    }
+  });
+};
+
+/**
+ * Remove the schema registered against the specified namespace.
+ * @function removeSchema
+ * @param {string} namespace - Unique namespace of the dataset
+ * @param {function(Error,boolean):void} callback - Callback with whether a schema was removed
+ */
+const removeSchema = (namespace, callback) => {
+  let file = null;
+  try {
+    file = schemaFile(namespace);
+  } catch (err) {
+    callback(err, false);
+    return;
+  }
+
+  fs.unlink(file, (err) => {
+    validators.delete(namespace);
+    if (err && err.code === "ENOENT") {
+      callback(null, false);
+    } else {
+      callback(err, !err);
+    }
+  });
+};
+
+/**
+ * Move the schema registered against the specified namespace to another namespace, i.e. when it is renamed.
+ * Any schema registered against the other namespace is replaced.
+ * @function moveSchema
+ * @param {string} namespace - Unique namespace of the dataset
+ * @param {string} to - Namespace to register the schema against
+ * @param {function(Error,boolean):void} callback - Callback with whether a schema was moved
+ */
+const moveSchema = (namespace, to, callback) => {
+  let file = null;
+  let target = null;
+  try {
+    file = schemaFile(namespace);
+    target = schemaFile(to);
+  } catch (err) {
+    callback(err, false);
+    return;
+  }
+
+  fs.rename(file, target, (err) => {
+    validators.delete(namespace);
+    validators.delete(to);
+    if (err && err.code === "ENOENT") {
+      callback(null, false);
+    } else {
+      callback(err, !err);
+    }
+  });
+};
+
+/**
+ * Validate a data object against the schema registered for the specified namespace.
+ * The identifier and version fields are maintained by the repository, so they are not validated.
+ * @function validate
+ * @param {string} namespace - Unique namespace of the dataset
+ * @param {object} data - Data object
+ * @throws {SchemaValidationError} If the data object does not conform to the schema.
+ */
+const validate = (namespace, data) => {
+  const validator = loadValidator(namespace);
+  if (!validator) {
+    return;
+  }
+
+  let fields = data;
+  if (data !== null && typeof data === "object" && !Array.isArray(data)) {
+    const { [idField]: id, [versionField]: version, ...rest } = data;
+    fields = rest;
+  }
+  if (!validator(fields)) {
+    throw new SchemaValidationError(
+      `Object does not conform to the schema of namespace '${namespace}'`,
+      formatErrors(validator.errors)
+    );
+  }
+};
+
+module.exports = {
+  SchemaValidationError: SchemaValidationError,
+  getSchema: getSchema,
+  listSchemas: listSchemas,
+  registerSchema: registerSchema,
+  removeSchema: removeSchema,
+  moveSchema: moveSchema,
+  validate: validate,
+};
@@ -0,0 +1,427 @@
+const config = require("../config/tenants");
+const limitsConfig = require("../config/limits");
+const auth = require("./auth");
+const { parseQuery } = require("./query");
+const { ValidationError, ForbiddenError, NotFoundError } = require("./errors");
+const logger = require("./logger");
+
+/**
+ * Module isolating tenants, each holding namespaces of its own together with its own limits and CORS settings.
+ * The tenant of a request is resolved from, in order of precedence:
+ *  - Identity:  An API key or bearer token bound to a tenant, by its 'tenant' field or claim, only ever addresses
+ *               that tenant.
+ *  - Header:    The config.header request header, 'X-Tenant-Id' by default.
+ *  - Subdomain: The first label of a host within config.domain, i.e. 'acme' for 'acme.mydata.example.com'.
+ * Requests naming no tenant address the default tenant, which holds the namespaces the service had before tenants.
+ * Identities which are not bound to a tenant may only name one when they hold the admin permission on every
+ * namespace, so existing credentials cannot reach into a tenant.
+ *
+ * Repositories address the namespaces of a tenant by their qualified name, '<namespace>@<tenant>', which clients
+ * cannot address themselves as '@' is not valid within a namespace name. The datasets the service keeps for a
+ * namespace (i.e. '_history.<namespace>') are qualified with it. The MongoDB repository keeps each tenant within a
+ * database of its own, and the filesystem repository within a subdirectory of its location.
+ *
+ * Tenants are provisioned through the admin API, stored within the '_tenants' dataset of the default tenant, with
+ * their settings:
+ *  - namespaceMaxObjects: Maximum number of data objects of each namespace, in place of
+ *    limitsConfig.namespaceMaxObjects, or null for the service limit.
+ *  - rateLimit: Requests per second shared by every client of the tenant, or null for no limit.
+ *  - cors: '{"origins": [...], "methods": [...]}', the origins permitted to make cross-origin requests, '*' for any,
+ *    and the methods they may use (default serverConfig.getCors()), or null for the service CORS settings.
+ * Tenants are loaded when the service starts, so those provisioned by another instance are only known once this
+ * one restarts.
+ */
+
+const tenantsNamespace = "_tenants";
+const namePattern = /^[a-z0-9][a-z0-9-]{0,30}$/;
+const corsMethods = ["GET", "HEAD", "POST", "PUT", "PATCH", "DELETE"];
+
+const defaultSettings = {
+  namespaceMaxObjects: null,
+  rateLimit: null,
+  cors: null,
+};
+
+/**
+ * Error raised when a tenant name or its settings are invalid.
+ */
+class TenantError extends ValidationError {
+  constructor(message) {
+    super(message);
+    this.name = "TenantError";
+  }
+}
+
+let repository = null;
+// Provisioned tenants, keyed by name.
+const registry = new Map();
+
+/**
+ * Provide the name repositories address a namespace of the specified tenant by.
+ * @function qualify
+ * @param {string} tenant - Tenant name, or null for the default tenant
+ * @param {string} namespace - Namespace name
+ * @returns Qualified namespace
+ */
+const qualify = (tenant, namespace) =>
+  tenant ? `${namespace}@${tenant}` : namespace;
+
+/**
+ * Split a qualified namespace into the namespace name and its tenant.
+ * @function split
+ * @param {string} name - Qualified namespace
+ * @returns {{namespace: string, tenant: string}} Namespace name and tenant, null for the default tenant.
+ */
+const split = (name) => {
+  const at = name.lastIndexOf("@");
+  return at < 0
+    ? { namespace: name, tenant: null }
+    : { namespace: name.slice(0, at), tenant: name.slice(at + 1) };
+};
+
+/**
+ * Verify the specified tenant name is valid.
+ * @function validateName
+ * @param {string} name - Tenant name
+ * @returns Tenant name
+ * @throws {TenantError} If the name is invalid.
+ */
+const validateName = (name) => {
+  if (typeof name !== "string" || !namePattern.test(name)) {
+    throw new TenantError(
+      `Invalid tenant '${name}', expecting up to 31 lowercase letters, digits or '-', starting with a letter or digit`
+    );
+  }
+  return name;
+};
+
+/**
+ * Parse tenant CORS settings.
+ * @function parseCors
+ * @param {*} cors - CORS settings from a request body
+ * @returns CORS settings
+ * @throws {TenantError} If the settings are invalid.
+ */
+const parseCors = (cors) => {
+  if (cors === null || typeof cors !== "object" || Array.isArray(cors)) {
+    throw new TenantError("Setting 'cors' must be an object, or null");
+  }
+  const { origins, methods, ...rest } = cors;
+  const unknown = Object.keys(rest);
+  if (unknown.length > 0) {
+    throw new TenantError(`Unsupported CORS settings: ${unknown.join(", ")}`);
+  }
+
+  const isOrigin = (origin) => {
+    try {
+      return origin === "*" || new URL(origin).origin === origin;
+    } catch (err) {
+      return false;
+    }
+  };
+  if (
+    !Array.isArray(origins) ||
+    origins.length === 0 ||
+    !origins.every((origin) => typeof origin === "string" && isOrigin(origin))
+  ) {
+    throw new TenantError(
+      "Setting 'cors.origins' must list '*' or origins, i.e. 'https://app.example.com'"
+    );
+  }
+  if (
+    methods !== undefined &&
+    !(
+      Array.isArray(methods) &&
+      methods.length > 0 &&
+      methods.every((method) => corsMethods.includes(method))
+    )
+  ) {
+    throw new TenantError(
+      `Setting 'cors.methods' must list one or more of ${corsMethods.join(
+        ", "
+      )}`
+    );
+  }
+  return methods === undefined
+    ? { origins: origins }
+    : { origins: origins, methods: methods };
+};
+
+/**
+ * Parse tenant settings from a request body, completing them with the current settings.
+ * @function parseSettings
+ * @param {*} body - Request body
+ * @param {object} current - Current settings, or null for a new tenant
+ * @returns Tenant settings
+ * @throws {TenantError} If the settings are invalid.
+ */
+const parseSettings = (body, current) => {
+  if (body === null || typeof body !== "object" || Array.isArray(body)) {
+    throw new TenantError("Tenant settings must be an object");
+  }
+
+  const unknown = Object.keys(body).filter(
+    (key) => !Object.keys(defaultSettings).includes(key)
+  );
+  if (unknown.length > 0) {
+    throw new TenantError(`Unsupported tenant settings: ${unknown.join(", ")}`);
+  }
+  if (
+    body.namespaceMaxObjects !== undefined &&
+    body.namespaceMaxObjects !== null &&
+    !(
+      Number.isInteger(body.namespaceMaxObjects) && body.namespaceMaxObjects > 0
+    )
+  ) {
+    throw new TenantError(
+      "Setting 'namespaceMaxObjects' must be a positive integer, or null for the service limit"
+    );
+  }
+  if (
+    body.rateLimit !== undefined &&
+    body.rateLimit !== null &&
+    !(typeof body.rateLimit === "number" && body.rateLimit > 0)
+  ) {
+    throw new TenantError(
+      "Setting 'rateLimit' must be a positive number, or null for no limit"
+    );
+  }
+
+  const settings = { ...defaultSettings, ...current, ...body };
+  if (settings.cors !== null) {
+    settings.cors = parseCors(settings.cors);
+  }
+  return settings;
+};
+
+/**
+ * Present a stored tenant.
+ * @function present
+ * @param {object} stored - Stored tenant
+ * @returns Tenant
+ */
+const present = (stored) => ({
+  tenant: stored.name,
+  ...stored.settings,
+  created: stored.created,
+});
+
+/**
+ * Provide the settings of a provisioned tenant.
+ * @function settingsOf
+ * @param {string} tenant - Tenant name, or null for the default tenant
+ * @returns Tenant settings, or null for the default tenant and tenants which are not provisioned.
+ */
+const settingsOf = (tenant) =>
+  tenant && registry.has(tenant) ? registry.get(tenant).settings : null;
+
+/**
+ * Provide the maximum number of data objects of each namespace of a tenant, before the quota of the namespace.
+ * @function objectLimit
+ * @param {string} namespace - Qualified namespace, omitted for the service limit
+ * @returns Maximum number of data objects, 0 when unlimited.
+ */
+const objectLimit = (namespace) => {
+  const settings =
+    namespace === undefined ? null : settingsOf(split(namespace).tenant);
+  return settings && settings.namespaceMaxObjects !== null
+    ? settings.namespaceMaxObjects
+    : limitsConfig.namespaceMaxObjects;
+};
+
+/**
+ * Provide the rate limit of a tenant.
+ * @function rateLimit
+ * @param {string} tenant - Tenant name, or null for the default tenant
+ * @returns Requests per second, or null when unlimited.
+ */
+const rateLimit = (tenant) => {
+  const settings = settingsOf(tenant);
+  return settings ? settings.rateLimit : null;
+};
+
+/**
+ * Provide the tenant a request names, by its tenant header or the subdomain of its host. The identity of the
+ * request is not considered, see identify.
+ * @function requested
+ * @param {Request} req - Request providing a 'get(header)' function
+ * @returns Tenant name, or null if the request names no tenant.
+ */
+const requested = (req) => {
+  const header = req.get(config.header);
+  if (header) {
+    return header;
+  }
+  if (config.domain) {
+    const host = (req.get("host") || "").replace(/:\d+$/, "").toLowerCase();
+    const suffix = `.${config.domain.toLowerCase()}`;
+    const label = host.endsWith(suffix) ? host.slice(0, -suffix.length) : "";
+    if (label !== "" && !label.includes(".")) {
+      return label;
+    }
+  }
+  return null;
+};
+
+/**
+ * Resolve the tenant a request addresses.
+ * @function identify
+ * @param {Request} req - Request providing a 'get(header)' function
+ * @param {object} identity - Authenticated identity, or null for anonymous requests
+ * @returns Tenant name, or null for the default tenant.
+ * @throws {ServiceError} If the identity may not address the named tenant, or the tenant is not provisioned.
+ */
+const identify = (req, identity) => {
+  const bound = identity && identity.tenant ? identity.tenant : null;
+  const named = requested(req);
+  if (bound !== null && named !== null && named !== bound) {
+    throw new ForbiddenError(`Identity is bound to tenant '${bound}'`);
+  }
+
+  const tenant = bound || named;
+  if (tenant === null) {
+    return null;
+  }
+  validateName(tenant);
+  if (bound === null) {
+    const denied = auth.authorization(identity, undefined, "admin");
+    if (denied) {
+      throw denied;
+    }
+  }
+  if (!registry.has(tenant)) {
+    throw new NotFoundError(`Tenant '${tenant}' not found`);
+  }
+  return tenant;
+};
+
+/**
+ * Express middleware resolving the tenant of a request, attached as 'req.tenant', null for the default tenant.
+ * Follows authentication, as identities may be bound to a tenant.
+ * @function resolve
+ * @param {Request} req - Express request object instance
+ * @param {Response} res - Express response object instance
+ * @param {function} next - Invoke the next middleware
+ */
+const resolve = (req, res, next) => {
+  try {
+    req.tenant = identify(req, req.identity);
+  } catch (err) {
+    next(err);
+    return;
+  }
+  next();
+};
+
+/**
+ * Express route middleware restricting the tenant administration routes to the default tenant, so identities bound
+ * to a tenant cannot administer tenants whichever their grants.
+ * @function operator
+ * @param {Request} req - Express request object instance
+ * @param {Response} res - Express response object instance
+ * @param {function} next - Invoke the next middleware
+ */
+const operator = (req, res, next) =>
+  next(
+    req.tenant
+      ? new ForbiddenError("Tenants are administered from the default tenant")
+      : undefined
+  );
+
+/**
+ * Provide the CORS settings of the tenant a request names by its header or subdomain. Preflight requests do not
+ * carry the tenant header, so browsers reach the CORS settings of a tenant through its subdomain.
+ * @function cors
+ * @param {Request} req - Express request object instance
+ * @returns CORS settings, or null for the service CORS settings.
+ */
+const cors = (req) => {
+  const settings = settingsOf(requested(req));
+  return settings ? settings.cors : null;
+};
+
+/**
+ * Load the provisioned tenants through the specified repository.
+ * @function start
+ * @param {object} useRepository - Repository storing the tenants, with the promise interface of service/repository
+ * @returns Promise resolving once the tenants are loaded
+ */
+const start = async (useRepository) => {
+  repository = useRepository;
+  const result = await repository.read(tenantsNamespace, parseQuery({}));
+  registry.clear();
+  result.items.forEach((stored) => registry.set(stored.name, stored));
+  logger.info(`Loaded ${registry.size} tenants`);
+};
+
+/**
+ * Provide every provisioned tenant.
+ * @function list
+ * @returns Tenants, in name order
+ */
+const list = () =>
+  [...registry.keys()].sort().map((name) => present(registry.get(name)));
+
+/**
+ * Provide a provisioned tenant.
+ * @function get
+ * @param {string} name - Tenant name
+ * @returns Tenant, or null if it is not provisioned.
+ */
+const get = (name) => (registry.has(name) ? present(registry.get(name)) : null);
+
+/**
+ * Provision a tenant, or update its settings. Settings missing from the body keep their current value.
+ * @function provision
+ * @param {string} name - Tenant name
+ * @param {object} body - Tenant settings, see parseSettings
+ * @returns Promise resolving the tenant, and whether it was created
+ */
+const provision = async (name, body) => {
+  validateName(name);
+  const current = registry.get(name) || null;
+  const stored = {
+    name: name,
+    settings: parseSettings(body, current ? current.settings : null),
+    created: current ? current.created : new Date().toISOString(),
+  };
+  await repository.update(tenantsNamespace, name, stored, null);
+  registry.set(name, stored);
+  return { tenant: present(stored), created: current === null };
+};
+
+/**
+ * Remove a provisioned tenant. Its namespaces are left to the caller.
+ * @function remove
+ * @param {string} name - Tenant name
+ * @returns Promise resolving whether the tenant was provisioned
+ */
+const remove = async (name) => {
+  if (!registry.has(name)) {
+    return false;
+  }
+  await repository.delete(tenantsNamespace, name, null);
+  registry.delete(name);
+  return true;
+};
+
+module.exports = {
+  namePattern: namePattern,
+  TenantError: TenantError,
+  defaultSettings: defaultSettings,
+  qualify: qualify,
+  split: split,
+  validateName: validateName,
+  parseSettings: parseSettings,
+  objectLimit: objectLimit,
+  rateLimit: rateLimit,
+  identify: identify,
+  resolve: resolve,
+  operator: operator,
+  cors: cors,
+  start: start,
+  list: list,
+  get: get,
+  provision: provision,
+  remove: remove,
+};
@@ -0,0 +1,604 @@
+const { StringDecoder } = require("string_decoder");
+const serverConfig = require("../config/server");
+const { parseBatch, batchResults } = require("./batch");
+const { versionField } = require("./version");
+const { ValidationError } = require("./errors");
+
+/**
+ * Module to export and import the whole dataset of a namespace as JSON, NDJSON or CSV.
+ * Exports are written one data object at a time as the repository scans the dataset, so a dataset is never held in
+ * memory. Every data object is written as '{ "_id": ..., <fields>, "_version": ... }' with a string identifier,
+ * so an export is identical whichever repository is configured.
+ *
+ * CSV has a column per top level field. Cell values are JSON text, except identifiers and strings which are written
+ * as is, unless a string would read back as another type (e.g. the string "42"), so an exported CSV file imports
+ * without loss. An empty cell is a missing field.
+ *
+ * Imports are read one row at a time and written in batches of serverConfig.batchLimit through the repository batch
+ * operation, so every row is validated against the namespace schema. Rows which cannot be imported are reported
+ * rather than failing the import. In 'merge' mode rows with an '_id' replace, or create, that data object and rows
+ * without one are created. In 'replace' mode the data objects which are not imported are then deleted.
+ */
+
+const formats = {
+  json: {
+    contentType: "application/json",
+    mediaTypes: ["application/json"],
+  },
+  ndjson: {
+    contentType: "application/x-ndjson",
+    mediaTypes: ["application/x-ndjson", "application/ndjson"],
+  },
+  csv: {
+    contentType: "text/csv; charset=utf-8",
+    mediaTypes: ["text/csv"],
+  },
+};
+
+const importModes = ["merge", "replace"];
+const idModes = ["keep", "new"];
+
+/**
+ * Error raised when an export or import request, or an import body, is malformed.
+ */
+class TransferError extends ValidationError {
+  constructor(message) {
+    super(message);
+    this.name = "TransferError";
+  }
+}
+
+const isObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Validate a request option against its permitted values.
+ * @function option
+ * @param {string} name - Option name, for the error message
+ * @param {string} value - Requested value, undefined for the default
+ * @param {Array<string>} values - Permitted values, the first being the default
+ * @returns Option value
+ * @throws {TransferError} If the value is not permitted.
+ */
+const option = (name, value, values) => {
+  if (value === undefined) {
+    return values[0];
+  }
+  if (!values.includes(value)) {
+    throw new TransferError(`The ${name} must be one of ${values.join(", ")}`);
+  }
+  return value;
+};
+
+/**
+ * Parse the format of an export or import request.
+ * @function parseFormat
+ * @param {string} format - Requested format, undefined for JSON
+ * @returns Format name, one of 'json', 'ndjson' or 'csv'
+ * @throws {TransferError} If the format is not supported.
+ */
+const parseFormat = (format) => option("format", format, Object.keys(formats));
+
+/**
+ * Parse the options of an import request.
+ * @function parseImport
+ * @param {object} params - Request query parameters providing 'mode' and 'ids'
+ * @returns {{mode: string, newIds: boolean}} Import options
+ * @throws {TransferError} If an option is not supported.
+ */
+const parseImport = (params) => ({
+  mode: option("mode", params.mode, importModes),
+  newIds: option("ids", params.ids, idModes) === "new",
+});
+
+/**
+ * Arrange a data object as it is exported, with a string identifier first and the version last.
+ * @function exported
+ * @param {object} data - Stored data object
+ * @returns Exported data object
+ */
+const exported = (data) => {
+  const { _id, [versionField]: version, ...fields } = data;
+  return { _id: String(_id), ...fields, [versionField]: version };
+};
+
+/**
+ * Determine whether the specified text parses as JSON.
+ * @function parseJson
+ * @param {string} text - Text to parse
+ * @returns {{value: *}} Parsed value, or null if the text is not JSON.
+ */
+const parseJson = (text) => {
+  try {
+    return { value: JSON.parse(text) };
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * Write text as a CSV cell, quoted when it holds a separator, quote or line break.
+ * @function csvText
+ * @param {string} text - Cell text
+ * @returns CSV cell
+ */
+const csvText = (text) =>
+  /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+
+/**
+ * Write a field value as a CSV cell. Identifiers are always strings, so are written as is.
+ * @function csvCell
+ * @param {string} column - Field name
+ * @param {*} value - Field value, undefined for a missing field
+ * @returns CSV cell
+ */
+const csvCell = (column, value) => {
+  if (value === undefined) {
+    return "";
+  }
+  if (
+    column === "_id" ||
+    (typeof value === "string" && value !== "" && !parseJson(value))
+  ) {
+    return csvText(String(value));
+  }
+  return csvText(JSON.stringify(value));
+};
+
+/**
+ * Provide the functions to write the specified format.
+ * @function writer
+ * @param {string} format - Export format
+ * @param {Array<string>} columns - CSV columns
+ * @returns {{open: function():string, item: function(object,number):string, close: function(number):string}} Format writer
+ */
+const writer = (format, columns) => {
+  switch (format) {
+    case "ndjson":
+      return {
+        open: () => "",
+        item: (data) => `${JSON.stringify(data)}\n`,
+        close: () => "",
+      };
+    case "csv":
+      return {
+        open: () => `${columns.map(csvText).join(",")}\r\n`,
+        item: (data) =>
+          `${columns.map((column) => csvCell(column, data[column])).join(",")}\r\n`,
+        close: () => "",
+      };
+    default:
+      return {
+        open: () => "[",
+        item: (data, index) =>
+          `${index === 0 ? "\n" : ",\n"}${JSON.stringify(data)}`,
+        close: (count) => (count > 0 ? "\n]\n" : "]\n"),
+      };
+  }
+};
+
+/**
+ * Promisify a repository operation taking a callback as its last argument.
+ * @function call
+ * @param {function} operation - Repository operation
+ * @param {...*} args - Operation arguments, excluding the callback
+ * @returns Promise resolving the callback result
+ */
+const call = (operation, ...args) =>
+  new Promise((resolve, reject) =>
+    operation(...args, (err, result) => (err ? reject(err) : resolve(result)))
+  );
+
+/**
+ * Provide the CSV columns of a dataset, the identifier, every field in the order first seen, then the version.
+ * @function csvColumns
+ * @param {object} repository - Repository providing the scan operation
+ * @param {string} namespace - Unique namespace of the dataset
+ * @returns Promise resolving the columns
+ */
+const csvColumns = async (repository, namespace) => {
+  const fields = new Set();
+  await call(repository.scan, namespace, async (data) =>
+    Object.keys(data)
+      .filter((field) => field !== "_id" && field !== versionField)
+      .forEach((field) => fields.add(field))
+  );
+  return ["_id", ...fields, versionField];
+};
+
+/**
+ * Export the dataset of the specified namespace.
+ * @function exportDataset
+ * @param {object} repository - Repository providing the scan operation
+ * @param {string} namespace - Unique namespace of the dataset
+ * @param {string} format - Export format, see parseFormat
+ * @param {function(string):Promise} write - Writes a chunk of the export, resolving once more can be written
+ * @param {function(Error,number):void} callback - Callback with the number of exported data objects.
+ */
+const exportDataset = (repository, namespace, format, write, callback) => {
+  const run = async () => {
+    const output = writer(
+      format,
+      format === "csv" ? await csvColumns(repository, namespace) : null
+    );
+
+    let count = 0;
+    await write(output.open());
+    await call(repository.scan, namespace, (data) =>
+      write(output.item(exported(data), count++))
+    );
+    await write(output.close(count));
+    return count;
+  };
+
+  run().then(
+    (count) => callback(null, count),
+    (err) => callback(err, null)
+  );
+};
+
+/**
+ * Read the text of a stream, stripping any byte order mark.
+ * @function text
+ * @param {Readable} stream - Request body stream
+ */
+async function* text(stream) {
+  const decoder = new StringDecoder("utf8");
+  let first = true;
+  for await (const chunk of stream) {
+    let value = typeof chunk === "string" ? chunk : decoder.write(chunk);
+    if (first && value !== "") {
+      value = value.replace(/^\uFEFF/, "");
+      first = false;
+    }
+    yield value;
+  }
+  yield decoder.end();
+}
+
+/**
+ * Parse a row of an import, which must be a JSON object.
+ * @function jsonRow
+ * @param {number} row - Row number
+ * @param {string} source - JSON text of the row
+ * @returns Parsed row
+ */
+const jsonRow = (row, source) => {
+  const parsed = parseJson(source);
+  if (!parsed) {
+    return { row: row, error: "Malformed JSON" };
+  }
+  if (!isObject(parsed.value)) {
+    return { row: row, error: "Expecting a JSON object" };
+  }
+  return { row: row, data: parsed.value };
+};
+
+/**
+ * Read the rows of an NDJSON import, one JSON object per line.
+ * @function ndjsonRows
+ * @param {Readable} stream - Request body stream
+ */
+async function* ndjsonRows(stream) {
+  let pending = "";
+  let row = 0;
+  for await (const chunk of text(stream)) {
+    const lines = (pending + chunk).split("\n");
+    pending = lines.pop();
+    for (const line of lines.filter((line) => line.trim() !== "")) {
+      yield jsonRow(++row, line);
+    }
+  }
+  if (pending.trim() !== "") {
+    yield jsonRow(++row, pending);
+  }
+}
+
+/**
+ * Read the rows of a JSON import, a JSON array of objects. Each element of the array is parsed as it is read.
+ * @function jsonRows
+ * @param {Readable} stream - Request body stream
+ * @throws {TransferError} If the body is not a JSON array.
+ */
+async function* jsonRows(stream) {
+  let started = false;
+  let ended = false;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let element = "";
+  let row = 0;
+
+  for await (const chunk of text(stream)) {
+    const rows = [];
+    let start = 0;
+    const endElement = (index) => {
+      const source = (element + chunk.slice(start, index)).trim();
+      element = "";
+      start = index + 1;
+      return source;
+    };
+
+    for (let index = 0; index < chunk.length; index++) {
+      const char = chunk[index];
+      if (!started || ended) {
+        if (!/\s/.test(char)) {
+          if (started || char !== "[") {
+            throw new TransferError("Expecting a JSON array of objects");
+          }
+          started = true;
+          start = index + 1;
+        }
+      } else if (inString) {
+        if (escaped) {
+          escaped = false;
+        } else if (char === "\\") {
+          escaped = true;
+        } else if (char === '"') {
+          inString = false;
+        }
+      } else if (char === '"') {
+        inString = true;
+      } else if (char === "{" || char === "[") {
+        depth++;
+      } else if (depth > 0 && (char === "}" || char === "]")) {
+        depth--;
+      } else if (depth === 0 && (char === "," || char === "]")) {
+        const source = endElement(index);
+        if (source !== "") {
+          rows.push(jsonRow(++row, source));
+        } else if (char === "," || row > 0) {
+          throw new TransferError(`Malformed JSON array after row ${row}`);
+        }
+        ended = char === "]";
+      }
+    }
+
+    if (started && !ended) {
+      element += chunk.slice(start);
+    }
+    yield* rows;
+  }
+
+  if (!ended) {
+    throw new TransferError("Unexpected end of the JSON array");
+  }
+}
+
+/**
+ * Read the value of a CSV cell, see csvCell.
+ * @function csvValue
+ * @param {string} column - Field name
+ * @param {string} cell - CSV cell
+ * @returns Field value, undefined for an empty cell
+ */
+const csvValue = (column, cell) => {
+  if (cell === "" || column === "_id") {
+    return cell === "" ? undefined : cell;
+  }
+  const parsed = parseJson(cell);
+  return parsed ? parsed.value : cell;
+};
+
+/**
+ * Read the records of CSV text, as described by RFC 4180.
+ * @function csvRecords
+ * @param {Readable} stream - Request body stream
+ */
+async function* csvRecords(stream) {
+  let record = [];
+  let field = "";
+  let quoted = false;
+  let quote = false;
+
+  for await (const chunk of text(stream)) {
+    const records = [];
+    for (const char of chunk) {
+      if (quoted) {
+        if (char === '"') {
+          quoted = false;
+          quote = true;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        // A quote following a closing quote is an escaped quote.
+        if (quote) {
+          field += char;
+        }
+        quoted = true;
+        quote = false;
+      } else {
+        quote = false;
+        if (char === ",") {
+          record.push(field);
+          field = "";
+        } else if (char === "\n") {
+          record.push(field.replace(/\r$/, ""));
+          records.push(record);
+          record = [];
+          field = "";
+        } else {
+          field += char;
+        }
+      }
+    }
+    yield* records;
+  }
+
+  if (quoted) {
+    throw new TransferError("Unterminated quoted CSV field");
+  }
+  if (record.length > 0 || field !== "") {
+    record.push(field.replace(/\r$/, ""));
+    yield record;
+  }
+}
+
+/**
+ * Read the rows of a CSV import, the first record naming the field of each column.
+ * @function csvRows
+ * @param {Readable} stream - Request body stream
+ * @throws {TransferError} If there is no header record.
+ */
+async function* csvRows(stream) {
+  let columns = null;
+  let row = 0;
+  for await (const record of csvRecords(stream)) {
+    if (record.length === 1 && record[0] === "") {
+      // Blank line
+      continue;
+    }
+    if (!columns) {
+      columns = record;
+      continue;
+    }
+
+    row++;
+    if (record.length !== columns.length) {
+      yield { row: row, error: `Expecting ${columns.length} CSV columns` };
+      continue;
+    }
+    yield {
+      row: row,
+      data: columns.reduce((data, column, index) => {
+        const value = csvValue(column, record[index]);
+        if (value !== undefined) {
+          data[column] = value;
+        }
+        return data;
+      }, {}),
+    };
+  }
+
+  if (!columns) {
+    throw new TransferError("Expecting a CSV header record");
+  }
+}
+
+const readers = {
+  json: jsonRows,
+  ndjson: ndjsonRows,
+  csv: csvRows,
+};
+
+/**
+ * Import rows into the dataset of the specified namespace.
+ * The report lists the rows which were not imported with the status and error of each one. Should the body be
+ * malformed the import stops, the report then carries the 'error' and lists the rows imported before it.
+ * @function importDataset
+ * @param {object} repository - Repository providing the batch and scan operations
+ * @param {string} namespace - Unique namespace of the dataset
+ * @param {Readable} stream - Request body stream
+ * @param {{format: string, mode: string, newIds: boolean, onPerformed: function(Array):Promise}} options - Import
+ * options, onPerformed receives the repository outcomes of each batch written and the import continues once the
+ * promise it returns resolves
+ * @param {function(Error,object):void} callback - Callback with the import report.
+ */
+const importDataset = (repository, namespace, stream, options, callback) => {
+  const report = { mode: options.mode, imported: 0, errors: [] };
+  // Identifiers to keep when replacing the dataset, including those of failed rows so they are never deleted.
+  const kept = new Set();
+  let rows = [];
+
+  const write = async () => {
+    if (rows.length === 0) {
+      return;
+    }
+
+    const parsed = parseBatch(namespace, {
+      operations: rows.map((row) => {
+        const { _id, [versionField]: version, ...data } = row.data;
+        if (_id === undefined || _id === null || options.newIds) {
+          return { op: "create", data: data };
+        }
+        kept.add(String(_id));
+        return { op: "update", id: String(_id), data: data };
+      }),
+    });
+    const accepted = parsed.operations.filter(
+      (operation) => !operation.rejected
+    );
+    const performed =
+      accepted.length > 0
+        ? await call(repository.batch, namespace, accepted, false)
+        : [];
+    await options.onPerformed(performed);
+
+    batchResults(parsed.operations, performed).forEach((result, index) => {
+      if (result.status < 300) {
+        report.imported++;
+        kept.add(result.id);
+      } else {
+        report.errors.push({ row: rows[index].row, ...result });
+      }
+    });
+    rows = [];
+  };
+
+  const removeRest = async () => {
+    const rest = [];
+    await call(repository.scan, namespace, async (data) => {
+      if (!kept.has(String(data._id))) {
+        rest.push(String(data._id));
+      }
+    });
+
+    report.deleted = 0;
+    for (let index = 0; index < rest.length; index += serverConfig.batchLimit) {
+      const performed = await call(
+        repository.batch,
+        namespace,
+        rest
+          .slice(index, index + serverConfig.batchLimit)
+          .map((id) => ({ op: "delete", id: id, ifMatch: null })),
+        false
+      );
+      await options.onPerformed(performed);
+      report.deleted += performed.filter(
+        (result) => result.outcome === "deleted"
+      ).length;
+    }
+  };
+
+  const run = async () => {
+    try {
+      for await (const row of readers[options.format](stream)) {
+        if (row.error) {
+          report.errors.push({ row: row.row, status: 400, error: row.error });
+          continue;
+        }
+        rows.push(row);
+        if (rows.length === serverConfig.batchLimit) {
+          await write();
+        }
+      }
+      await write();
+    } catch (err) {
+      if (!(err instanceof TransferError)) {
+        throw err;
+      }
+      report.error = err.message;
+      return report;
+    }
+
+    if (options.mode === "replace") {
+      await removeRest();
+    }
+    return report;
+  };
+
+  run().then(
+    (result) => callback(null, result),
+    (err) => callback(err, null)
+  );
+};
+
+module.exports = {
+  formats: formats,
+  TransferError: TransferError,
+  parseFormat: parseFormat,
+  parseImport: parseImport,
+  exportDataset: exportDataset,
+  importDataset: importDataset,
+};
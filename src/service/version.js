@@ -0,0 +1,85 @@
+const { ServiceError } = require("./errors");
+
+/**
+ * Module to support optimistic concurrency control of data objects.
+ * Every stored data object carries a version number which is incremented by each write. The version is exposed to
+ * clients as the object's ETag, and conditional requests (If-Match/If-None-Match) are evaluated against it.
+ * Data objects stored before versioning was introduced are treated as version 0.
+ */
+
+const versionField = "_version";
+
+/**
+ * Error raised by a repository when a conditional write does not match the stored version of a data object.
+ */
+class VersionMismatchError extends ServiceError {
+  constructor(id) {
+    // Precondition Failed, the object does not match the If-Match header of the request.
+    super(`Object '${id}' does not match the expected version`, 412);
+    this.name = "VersionMismatchError";
+  }
+}
+
+/**
+ * Provide the version of the specified data object.
+ * @function currentVersion
+ * @param {object} data - Stored data object
+ * @returns Version number
+ */
+const currentVersion = (data) => (data && data[versionField]) || 0;
+
+/**
+ * Provide the ETag header value for the specified version.
+ * @function etag
+ * @param {number} version - Data object version
+ * @returns Strong entity tag
+ */
+const etag = (version) => `"${version}"`;
+
+/**
+ * Parse an If-Match or If-None-Match header value into a version condition.
+ * Weak and unrecognised entity tags cannot match a version, so they are discarded.
+ * @function parseCondition
+ * @param {string} header - Header value
+ * @returns Null if there is no header, '*' to match any existing object, otherwise an array of versions.
+ */
+const parseCondition = (header) => {
+  if (header === undefined || header === null) {
+    return null;
+  }
+  if (header.trim() === "*") {
+    return "*";
+  }
+
+  return header
+    .split(",")
+    .map((tag) => /^"(\d+)"$/.exec(tag.trim()))
+    .filter((match) => match !== null)
+    .map((match) => parseInt(match[1]));
+};
+
+/**
+ * Determine whether the specified data object satisfies a version condition.
+ * @function matchesVersion
+ * @param {string|Array} condition - Version condition, see parseCondition
+ * @param {object} data - Stored data object, or null if the object does not exist
+ * @returns True if the condition is null or matches the data object.
+ */
+const matchesVersion = (condition, data) => {
+  if (condition === null) {
+    return true;
+  }
+  if (!data) {
+    return false;
+  }
+  return condition === "*" || condition.includes(currentVersion(data));
+};
+
+module.exports = {
+  versionField: versionField,
+  VersionMismatchError: VersionMismatchError,
+  currentVersion: currentVersion,
+  etag: etag,
+  parseCondition: parseCondition,
+  matchesVersion: matchesVersion,
+};
@@ -0,0 +1,696 @@
+const crypto = require("crypto");
+const http = require("http");
+const https = require("https");
+const config = require("../config/webhooks");
+const changeFeed = require("./change-feed");
+const { parseQuery } = require("./query");
+const { versionField } = require("./version");
+const { ValidationError } = require("./errors");
+const logger = require("./logger");
+
+/**
+ * Module delivering the changes made to a namespace to the webhooks registered against it.
+ * A webhook names the URL to POST change events to, the change types it receives, and the secret its deliveries
+ * are signed with. Each delivery carries the change event as its JSON body, together with the headers:
+ *  - X-Webhook-Id:        Delivery identifier, unchanged between attempts so receivers can discard repeats.
+ *  - X-Webhook-Event:     Change type.
+ *  - X-Webhook-Timestamp: Time of the attempt, in seconds since the epoch.
+ *  - X-Webhook-Signature: 'sha256=<hex>', the HMAC-SHA256 of '<timestamp>.<body>' keyed by the webhook secret.
+ *
+ * Webhooks and their deliveries are stored through the configured repository, within datasets alongside the
+ * namespace like its history. A delivery is queued before it is attempted, and a failed attempt (a network error,
+ * or a response other than 2xx within config.timeout) is retried after config.retryDelay, doubling with each
+ * attempt, until config.maxAttempts are made. Queued deliveries are resumed when the service restarts. Settled
+ * deliveries are kept for config.retention milliseconds so the attempts made can be reviewed.
+ */
+
+const statuses = {
+  pending: "pending",
+  delivered: "delivered",
+  failed: "failed",
+  // The webhook was removed before the change could be delivered.
+  cancelled: "cancelled",
+};
+
+/**
+ * Error raised when a webhook definition is invalid.
+ */
+class WebhookError extends ValidationError {
+  constructor(message) {
+    super(message);
+    this.name = "WebhookError";
+  }
+}
+
+let repository = null;
+// Webhooks of each namespace which has any, together with the change feed subscription delivering to them.
+const watched = new Map();
+// Scheduled delivery attempts, keyed by namespace and delivery identifier.
+const scheduled = new Map();
+
+/**
+ * Provide the namespace of the dataset holding the webhooks of the specified namespace.
+ * @function webhookNamespace
+ * @param {string} namespace - Unique namespace of the dataset
+ * @returns Webhook namespace
+ */
+const webhookNamespace = (namespace) => `_webhooks.${namespace}`;
+
+/**
+ * Provide the namespace of the dataset holding the deliveries made to the webhooks of the specified namespace.
+ * @function deliveryNamespace
+ * @param {string} namespace - Unique namespace of the dataset
+ * @returns Delivery namespace
+ */
+const deliveryNamespace = (namespace) => `_deliveries.${namespace}`;
+
+/**
+ * Provide the datasets the module keeps for the specified namespace, which move and drop with it.
+ * @function datasets
+ * @param {string} namespace - Unique namespace of the dataset
+ * @returns Namespaces of the webhook and delivery datasets
+ */
+const datasets = (namespace) => [
+  webhookNamespace(namespace),
+  deliveryNamespace(namespace),
+];
+
+/**
+ * Sign a delivery body.
+ * @function sign
+ * @param {string} secret - Webhook secret
+ * @param {number} timestamp - Time of the attempt, in seconds since the epoch
+ * @param {string} body - Delivery body
+ * @returns Signature header value
+ */
+const sign = (secret, timestamp, body) =>
+  `sha256=${crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex")}`;
+
+/**
+ * Parse a webhook definition, '{"url": "<url>", "events": ["created", ...], "secret": "<secret>"}'.
+ * Webhooks receive every change type unless events are specified, and are given a random secret unless one is.
+ * @function parseWebhook
+ * @param {object} body - Webhook definition
+ * @returns Webhook to store
+ */
+const parseWebhook = (body) => {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    throw new WebhookError("Expecting a webhook object");
+  }
+  const { url, events, secret, ...rest } = body;
+  const unsupported = Object.keys(rest);
+  if (unsupported.length > 0) {
+    throw new WebhookError(`Unsupported webhook field '${unsupported[0]}'`);
+  }
+
+  let target = null;
+  try {
+    target = new URL(url);
+  } catch (err) {
+    throw new WebhookError("Webhook 'url' must be an absolute URL");
+  }
+  if (target.protocol !== "http:" && target.protocol !== "https:") {
+    throw new WebhookError("Webhook 'url' must be an http or https URL");
+  }
+
+  const types = Object.values(changeFeed.changeTypes);
+  if (
+    events !== undefined &&
+    (!Array.isArray(events) ||
+      events.length === 0 ||
+      events.some((event) => !types.includes(event)))
+  ) {
+    throw new WebhookError(
+      `Webhook 'events' must list one or more of ${types.join(", ")}`
+    );
+  }
+  if (
+    secret !== undefined &&
+    (typeof secret !== "string" || secret.length < 16)
+  ) {
+    throw new WebhookError(
+      "Webhook 'secret' must be a string of at least 16 characters"
+    );
+  }
+
+  return {
+    url: target.href,
+    events: events ? [...new Set(events)] : types,
+    secret: secret || crypto.randomBytes(32).toString("hex"),
+    created: new Date().toISOString(),
+  };
+};
+
+/**
+ * Present a stored webhook, addressed by its identifier. The secret is only presented when the webhook is
+ * registered.
+ * @function present
+ * @param {object} stored - Stored webhook
+ * @param {boolean} withSecret - Whether to present the secret
+ * @returns Webhook
+ */
+const present = (stored, withSecret) => ({
+  webhook: String(stored._id),
+  url: stored.url,
+  events: stored.events,
+  created: stored.created,
+  ...(withSecret ? { secret: stored.secret } : {}),
+});
+
+/**
+ * Present a stored delivery, addressed by its identifier.
+ * @function presentDelivery
+ * @param {object} stored - Stored delivery
+ * @returns Delivery
+ */
+const presentDelivery = (stored) => ({
+  delivery: String(stored._id),
+  webhook: stored.webhook,
+  event: stored.event,
+  status: stored.status,
+  created: stored.created,
+  nextAttempt: stored.nextAttempt,
+  attempts: stored.attempts,
+  payload: stored.payload,
+});
+
+/**
+ * Strip the fields the repository maintains from a stored data object, so it can be written back.
+ * @function unstored
+ * @param {object} stored - Stored data object
+ * @returns Data object to write
+ */
+const unstored = (stored) => {
+  const { _id, [versionField]: version, ...data } = stored;
+  return data;
+};
+
+/**
+ * Provide every data object of the specified dataset matching the specified query.
+ * @function readAll
+ * @param {string} namespace - Namespace of the dataset
+ * @param {object} query - Dataset query, see service/query
+ * @param {function(Error,Array):void} callback - Callback with the matching data objects.
+ */
+const readAll = (namespace, query, callback) =>
+  repository.read(namespace, query, (err, result) =>
+    callback(err, err ? null : result.items)
+  );
+
+/**
+ * POST a delivery body to the specified URL.
+ * @function post
+ * @param {string} url - Webhook URL
+ * @param {string} body - Delivery body
+ * @param {object} headers - Delivery headers
+ * @param {function(Error,number):void} callback - Callback with the response status.
+ */
+const post = (url, body, headers, callback) => {
+  let completed = false;
+  const complete = (err, status) => {
+    if (!completed) {
+      completed = true;
+      callback(err, status);
+    }
+  };
+
+  const target = new URL(url);
+  const request = (target.protocol === "https:" ? https : http).request(
+    target,
+    {
+      method: "POST",
+      headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+      timeout: config.timeout,
+    },
+    (res) => {
+      // The response body is not used, it is only read so the connection is released.
+      res.resume();
+      res.on("end", () => complete(null, res.statusCode));
+      res.on("error", (err) => complete(err, null));
+    }
+  );
+  request.on("timeout", () =>
+    request.destroy(new Error(`No response within ${config.timeout}ms`))
+  );
+  request.on("error", (err) => complete(err, null));
+  request.end(body);
+};
+
+/**
+ * Schedule the next attempt of a pending delivery.
+ * @function schedule
+ * @param {string} namespace - Unique namespace of the changed dataset
+ * @param {*} id - Delivery identifier
+ * @param {object} delivery - Stored delivery
+ */
+const schedule = (namespace, id, delivery) => {
+  const key = `${namespace}/${id}`;
+  const wait = Math.max(0, Date.parse(delivery.nextAttempt) - Date.now());
+  const timer = setTimeout(() => {
+    scheduled.delete(key);
+    attempt(namespace, id, delivery);
+  }, wait);
+  // Pending deliveries are stored, so they do not keep the process running.
+  timer.unref();
+  scheduled.set(key, { namespace: namespace, timer: timer });
+};
+
+/**
+ * Store the outcome of a delivery attempt, scheduling the next attempt if the delivery is still pending.
+ * @function settle
+ * @param {string} namespace - Unique namespace of the changed dataset
+ * @param {*} id - Delivery identifier
+ * @param {object} delivery - Delivery after the attempt
+ */
+const settle = (namespace, id, delivery) =>
+  repository.update(
+    deliveryNamespace(namespace),
+    id,
+    { ...delivery },
+    null,
+    (err) => {
+      if (err) {
+        logger.error(`Failed to store the delivery ${id} of ${namespace}`, {
+          error: err.message,
+        });
+      } else if (delivery.status === statuses.pending) {
+        schedule(namespace, id, delivery);
+      }
+    }
+  );
+
+/**
+ * Attempt a delivery, recording the outcome of the attempt.
+ * @function attempt
+ * @param {string} namespace - Unique namespace of the changed dataset
+ * @param {*} id - Delivery identifier
+ * @param {object} delivery - Stored delivery
+ */
+const attempt = (namespace, id, delivery) => {
+  const state = watched.get(namespace);
+  const webhook =
+    state && state.webhooks.find((item) => item.webhook === delivery.webhook);
+  if (!webhook) {
+    settle(namespace, id, {
+      ...delivery,
+      status: statuses.cancelled,
+      nextAttempt: null,
+    });
+    return;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const started = Date.now();
+  const timestamp = Math.floor(started / 1000);
+  const headers = {
+    "Content-Type": "application/json",
+    "User-Agent": "MyData-Service",
+    "X-Webhook-Id": String(id),
+    "X-Webhook-Event": delivery.event,
+    "X-Webhook-Timestamp": String(timestamp),
+    "X-Webhook-Signature": sign(webhook.secret, timestamp, body),
+  };
+
+  post(webhook.url, body, headers, (err, status) => {
+    const delivered = !err && status >= 200 && status < 300;
+    const attempts = [
+      ...delivery.attempts,
+      {
+        timestamp: new Date(started).toISOString(),
+        status: status,
+        error: delivered ? null : err ? err.message : `Responded ${status}`,
+        duration: Date.now() - started,
+      },
+    ];
+
+    let outcome = statuses.pending;
+    let nextAttempt = null;
+    if (delivered) {
+      outcome = statuses.delivered;
+    } else if (attempts.length >= config.maxAttempts) {
+      outcome = statuses.failed;
+      logger.warn(`Delivery ${id} to ${webhook.url} failed`, {
+        attempts: attempts.length,
+        error: attempts[attempts.length - 1].error,
+      });
+    } else {
+      nextAttempt = new Date(
+        Date.now() + config.retryDelay * 2 ** (attempts.length - 1)
+      ).toISOString();
+    }
+    settle(namespace, id, {
+      ...delivery,
+      status: outcome,
+      nextAttempt: nextAttempt,
+      attempts: attempts,
+    });
+  });
+};
+
+/**
+ * Queue a delivery of a change event to each webhook of the namespace which receives its change type.
+ * @function enqueue
+ * @param {string} namespace - Unique namespace of the changed dataset
+ * @param {object} event - Change event, see service/change-feed
+ */
+const enqueue = (namespace, event) => {
+  const state = watched.get(namespace);
+  if (!state) {
+    return;
+  }
+
+  const now = new Date().toISOString();
+  state.webhooks
+    .filter((webhook) => webhook.events.includes(event.type))
+    .forEach((webhook) => {
+      const delivery = {
+        webhook: webhook.webhook,
+        event: event.type,
+        payload: event,
+        status: statuses.pending,
+        created: now,
+        nextAttempt: now,
+        attempts: [],
+      };
+      repository.create(
+        deliveryNamespace(namespace),
+        { ...delivery },
+        (err, id) => {
+          if (err) {
+            logger.error(`Failed to queue a delivery to ${webhook.url}`, {
+              error: err.message,
+            });
+          } else {
+            attempt(namespace, id, delivery);
+          }
+        }
+      );
+    });
+};
+
+/**
+ * Deliver the changes of the specified namespace to the specified webhooks, subscribing to the changes of the
+ * namespace while it has any.
+ * @function watch
+ * @param {string} namespace - Unique namespace of the dataset
+ * @param {Array} webhooks - Webhooks of the namespace, presented with their secrets
+ */
+const watch = (namespace, webhooks) => {
+  const state = watched.get(namespace);
+  if (webhooks.length === 0) {
+    if (state) {
+      state.unsubscribe();
+      watched.delete(namespace);
+    }
+  } else if (state) {
+    state.webhooks = webhooks;
+  } else {
+    watched.set(namespace, {
+      webhooks: webhooks,
+      unsubscribe: changeFeed.subscribe(namespace, null, (event) =>
+        enqueue(namespace, event)
+      ),
+    });
+  }
+};
+
+/**
+ * Load the webhooks of the specified namespace, resuming its pending deliveries and removing the settled
+ * deliveries older than config.retention.
+ * @function load
+ * @param {string} namespace - Unique namespace of the dataset
+ * @param {function(Error):void} callback - Callback once the webhooks are loaded.
+ */
+const load = (namespace, callback) => {
+  readAll(webhookNamespace(namespace), parseQuery({}), (err, webhooks) => {
+    if (err) {
+      callback(err);
+      return;
+    }
+    watch(
+      namespace,
+      webhooks.map((webhook) => present(webhook, true))
+    );
+
+    readAll(
+      deliveryNamespace(namespace),
+      parseQuery({ status: statuses.pending }),
+      (err, pending) => {
+        if (err) {
+          callback(err);
+          return;
+        }
+        pending.forEach((delivery) =>
+          schedule(namespace, delivery._id, unstored(delivery))
+        );
+
+        const expired = parseQuery({});
+        expired.filter.push(
+          { field: "status", op: "ne", values: [statuses.pending] },
+          {
+            field: "created",
+            op: "lt",
+            values: [new Date(Date.now() - config.retention).toISOString()],
+          }
+        );
+        readAll(deliveryNamespace(namespace), expired, (err, items) => {
+          if (err || items.length === 0) {
+            callback(err);
+            return;
+          }
+          repository.batch(
+            deliveryNamespace(namespace),
+            items.map((item) => ({
+              op: "delete",
+              id: String(item._id),
+              ifMatch: null,
+            })),
+            false,
+            (err) => callback(err)
+          );
+        });
+      }
+    );
+  });
+};
+
+/**
+ * Stop delivering the changes of the specified namespace, i.e. before it is renamed or dropped. Pending
+ * deliveries remain queued.
+ * @function forget
+ * @param {string} namespace - Unique namespace of the dataset
+ */
+const forget = (namespace) => {
+  watch(namespace, []);
+  scheduled.forEach((entry, key) => {
+    if (entry.namespace === namespace) {
+      clearTimeout(entry.timer);
+      scheduled.delete(key);
+    }
+  });
+};
+
+/**
+ * Start delivering changes through the specified repository, loading the webhooks of every namespace.
+ * @function start
+ * @param {object} useRepository - Repository storing the webhooks and their deliveries
+ * @param {function(Error):void} callback - Callback once every namespace is loaded.
+ */
+const start = (useRepository, callback) => {
+  repository = useRepository;
+  repository.namespaces((err, namespaces) => {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    const names = new Set(
+      namespaces
+        .map((namespace) =>
+          /^_(?:webhooks|deliveries)\.(.+)$/.exec(namespace.name)
+        )
+        .filter((match) => match)
+        .map((match) => match[1])
+    );
+    Promise.all(
+      [...names].map(
+        (namespace) =>
+          new Promise((resolve) =>
+            load(namespace, (err) => {
+              if (err) {
+                logger.error(`Unable to load the webhooks of ${namespace}`, {
+                  error: err.message,
+                });
+              }
+              resolve();
+            })
+          )
+      )
+    ).then(() => callback(null));
+  });
+};
+
+/**
+ * Stop delivering changes. Pending deliveries remain queued, to be resumed when the service restarts.
+ * @function stop
+ */
+const stop = () => {
+  [...watched.keys()].forEach(forget);
+  scheduled.forEach((entry) => clearTimeout(entry.timer));
+  scheduled.clear();
+};
+
+/**
+ * Provide the webhooks registered against the specified namespace.
+ * @function list
+ * @param {string} namespace - Unique namespace of the dataset
+ * @param {function(Error,Array):void} callback - Callback with the webhooks, in the order they were registered.
+ */
+const list = (namespace, callback) => {
+  const query = parseQuery({ sort: "created" });
+  readAll(webhookNamespace(namespace), query, (err, webhooks) =>
+    callback(
+      err,
+      err ? null : webhooks.map((webhook) => present(webhook, false))
+    )
+  );
+};
+
+/**
+ * Provide a stored webhook.
+ * The callback receives a null webhook if it does not exist.
+ * @function find
+ * @param {string} namespace - Unique namespace of the dataset
+ * @param {string} id - Webhook identifier
+ * @param {function(Error,object):void} callback - Callback with the stored webhook.
+ */
+const find = (namespace, id, callback) =>
+  // The webhook dataset is queried rather than addressed by identifier, as not every repository accepts any
+  // identifier (i.e. MongoDB only accepts ObjectIDs).
+  readAll(webhookNamespace(namespace), parseQuery({ _id: id }), (err, items) =>
+    callback(err, err || items.length === 0 ? null : items[0])
+  );
+
+/**
+ * Provide a webhook registered against the specified namespace.
+ * The callback receives a null webhook if it does not exist.
+ * @function get
+ * @param {string} namespace - Unique namespace of the dataset
+ * @param {string} id - Webhook identifier
+ * @param {function(Error,object):void} callback - Callback with the webhook.
+ */
+const get = (namespace, id, callback) =>
+  find(namespace, id, (err, stored) =>
+    callback(err, stored ? present(stored, false) : null)
+  );
+
+/**
+ * Register a webhook against the specified namespace.
+ * @function register
+ * @param {string} namespace - Unique namespace of the dataset
+ * @param {object} body - Webhook definition, see parseWebhook
+ * @param {function(Error,object):void} callback - Callback with the registered webhook, including its secret.
+ */
+const register = (namespace, body, callback) => {
+  let webhook = null;
+  try {
+    webhook = parseWebhook(body);
+  } catch (err) {
+    callback(err, null);
+    return;
+  }
+
+  repository.create(webhookNamespace(namespace), { ...webhook }, (err, id) => {
+    if (err) {
+      callback(err, null);
+      return;
+    }
+    const registered = present({ ...webhook, _id: id }, true);
+    const state = watched.get(namespace);
+    watch(namespace, [...(state ? state.webhooks : []), registered]);
+    callback(null, registered);
+  });
+};
+
+/**
+ * Remove a webhook registered against the specified namespace. Its pending deliveries are cancelled.
+ * @function remove
+ * @param {string} namespace - Unique namespace of the dataset
+ * @param {string} id - Webhook identifier
+ * @param {function(Error,boolean):void} callback - Callback with whether the webhook existed.
+ */
+const remove = (namespace, id, callback) => {
+  find(namespace, id, (err, stored) => {
+    if (err || !stored) {
+      callback(err, false);
+      return;
+    }
+    repository.delete(webhookNamespace(namespace), stored._id, null, (err) => {
+      if (err) {
+        callback(err, false);
+        return;
+      }
+      const state = watched.get(namespace);
+      watch(
+        namespace,
+        (state ? state.webhooks : []).filter(
+          (webhook) => webhook.webhook !== String(stored._id)
+        )
+      );
+      callback(null, true);
+    });
+  });
+};
+
+/**
+ * Provide the deliveries made to a webhook matching the specified query parameters, the most recent first unless
+ * another sort order is specified.
+ * @function deliveries
+ * @param {string} namespace - Unique namespace of the dataset
+ * @param {string} id - Webhook identifier
+ * @param {object} params - Express request query parameters, see service/query
+ * @param {function(Error,{items: Array, total: number}):void} callback - Callback with the page of deliveries and total match count
+ */
+const deliveries = (namespace, id, params, callback) => {
+  let query = null;
+  try {
+    query = parseQuery(params);
+  } catch (err) {
+    callback(err, null);
+    return;
+  }
+  query.filter.push({ field: "webhook", op: "eq", values: [String(id)] });
+  if (query.sort.length === 0) {
+    query.sort = [
+      { field: "created", direction: -1 },
+      { field: "_id", direction: -1 },
+    ];
+  }
+  repository.read(deliveryNamespace(namespace), query, (err, result) =>
+    callback(
+      err,
+      err
+        ? null
+        : { items: result.items.map(presentDelivery), total: result.total }
+    )
+  );
+};
+
+module.exports = {
+  statuses: statuses,
+  WebhookError: WebhookError,
+  datasets: datasets,
+  sign: sign,
+  start: start,
+  stop: stop,
+  load: load,
+  forget: forget,
+  list: list,
+  get: get,
+  register: register,
+  remove: remove,
+  deliveries: deliveries,
+};